@@ -0,0 +1,219 @@
+/**
+ * Chart Monitor - End-of-Day Archive Manager
+ * Run by the scheduler when the session closes (or by hand):
+ *   1. merge validated bars from Historical/today_15min into Historical/data
+ *      (15-minute file plus the resampled higher timeframes); a today file with
+ *      rejected rows is kept in Historical/quarantine/today/<date>/
+ *   2. move the day's alerts and logs into Archive/daily/<date>/
+ *   3. gzip archive folders and dated scheduler logs older than N days
+ *   4. reset the live snapshot and alert files for the next session
+ *
+ * A today file that cannot be merged is left in place and retried on the next
+ * run, together with any newer bars written to it meanwhile.
+ *
+ * Usage: node Archive/archiveManager.js [--date=YYYY-MM-DD] [--days=N] [--no-merge]
+ */
+require("dotenv").config({ path: require("path").resolve(__dirname, "../.env") });
+const fs = require("fs");
+const path = require("path");
+const zlib = require("zlib");
+const barStore = require("../backend/data/barStore");
+const indicatorPipeline = require("../backend/data/indicatorPipeline");
+const resampler = require("../backend/data/resampler");
+const { auditBars, quarantineFile } = require("../backend/data/qualityAuditor");
+const clock = require("../backend/utils/clock");
+const calendar = require("../backend/utils/tradingCalendar");
+
+const BASE = path.join(__dirname, "..");
+const ARCHIVE_DIR = process.env.ARCHIVE_DIR || path.join(__dirname, "daily");
+const SCHEDULER_LOG_DIR = path.join(__dirname, "logs");
+const COMPRESS_AFTER_DAYS = Number(process.env.ARCHIVE_COMPRESS_DAYS || 7);
+const TIMEFRAME = resampler.SOURCE_TIMEFRAME;
+
+// Files rotated every day (relative to the project root). `reset` is written
+// back after archiving; null removes the file (its script recreates it).
+const ROTATED_FILES = [
+  { file: "stock_strat_test/log/alerts.json", reset: "[]" },
+  { file: "stock_strat_test/log/livedata.json", reset: "{}" },
+  { file: "option-chain-test/log/alerts.json", reset: "[]" },
+  { file: "option-chain-test/log/alerts.csv", reset: null },
+  { file: "option-chain-test/log/results.json", reset: null },
+  { file: "option-chain-test/log/optionchains.txt", reset: null },
+  { file: "Chart Options Bridge/log/urgentAlert.json", reset: "[]" },
+  { file: "Chart Options Bridge/log/stockAlert.json", reset: "[]" },
+  { file: "Chart Options Bridge/log/optionAlert.json", reset: "[]" },
+];
+
+// ---- 1. Merge today's bars ----
+/**
+ * Drop duplicate timestamps and rows with unusable OHLC values
+ * @param {Array} bars - today file rows
+ * @returns {Object} { bars, rejected, score } cleaned bars oldest first, rejected row count, audit score of the rest
+ */
+function validateTodayBars(bars) {
+  const { issues } = auditBars(bars, TIMEFRAME);
+  const bad = new Set(issues.ohlcInconsistent);
+  const unique = [...new Map(bars.map(b => [b.time, b])).values()].sort((a, b) => a.time - b.time);
+  const valid = unique.filter(b => !bad.has(b.time));
+  return { bars: valid, rejected: bars.length - valid.length, score: valid.length ? auditBars(valid, TIMEFRAME).score : 0 };
+}
+
+/**
+ * Move every today_15min file into the historical store
+ * @param {string} [date] - session being closed, names the quarantine folder
+ * @returns {Promise<Object>} { merged: [{ symbol, rows, rejected, score, quarantined? }], failed: [{ symbol, error }] }
+ */
+async function mergeTodayBars(date = clock.today()) {
+  const merged = [];
+  const failed = [];
+
+  for (const symbol of barStore.listSymbols(TIMEFRAME, { store: "today" })) {
+    try {
+      const { bars, rejected, score } = validateTodayBars(await barStore.readBars(symbol, TIMEFRAME, { store: "today" }));
+      if (bars.length) {
+        await indicatorPipeline.appendBars(symbol, TIMEFRAME, bars);
+        await resampler.resampleSymbol(symbol, { since: bars[0].time });
+      }
+      // Rejected rows stay inspectable: the whole file goes to quarantine instead of being deleted
+      const quarantined = rejected ? quarantineFile(symbol, TIMEFRAME, { store: "today", date }) : null;
+      if (!quarantined) fs.unlinkSync(barStore.barPath(symbol, TIMEFRAME, { store: "today" }));
+      indicatorPipeline.clearState(symbol, TIMEFRAME, { store: "today" });
+      merged.push({ symbol, rows: bars.length, rejected, score, ...(quarantined && { quarantined }) });
+      if (rejected) console.warn(`⚠️ ${symbol}: ${rejected} invalid bars not merged; today file quarantined to ${quarantined}`);
+    } catch (err) {
+      failed.push({ symbol, error: err.message });
+      console.warn(`⚠️ ${symbol}: merge failed, today file kept (${err.message})`);
+    }
+  }
+  return { merged, failed };
+}
+
+// ---- 2. Rotate alerts and logs ----
+/**
+ * Copy the day's alert/log files into Archive/daily/<date>/ and reset them
+ * @param {string} date - YYYY-MM-DD
+ * @returns {Array<string>} archived files (relative paths)
+ */
+function rotateFiles(date) {
+  const archived = [];
+  for (const { file, reset } of ROTATED_FILES) {
+    const source = path.join(BASE, file);
+    if (!fs.existsSync(source)) continue;
+    if (fs.statSync(source).size > 0) {
+      const target = path.join(ARCHIVE_DIR, date, file);
+      fs.mkdirSync(path.dirname(target), { recursive: true });
+      fs.copyFileSync(source, target);
+      archived.push(file);
+    }
+    if (reset === null) fs.unlinkSync(source);
+    else fs.writeFileSync(source, reset);
+  }
+  return archived;
+}
+
+// ---- 3. Compress old archives ----
+function gzipFile(file) {
+  fs.writeFileSync(`${file}.gz`, zlib.gzipSync(fs.readFileSync(file)));
+  fs.unlinkSync(file);
+}
+
+function filesUnder(dir) {
+  return fs.readdirSync(dir, { withFileTypes: true }).flatMap(entry => {
+    const full = path.join(dir, entry.name);
+    return entry.isDirectory() ? filesUnder(full) : [full];
+  });
+}
+
+/**
+ * Gzip every file in dated archive folders and dated scheduler logs older than `days`
+ * @param {string} date - today, YYYY-MM-DD
+ * @param {number} days
+ * @returns {number} files compressed
+ */
+function compressOld(date, days) {
+  const cutoff = new Date(Date.parse(`${date}T00:00:00Z`) - days * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+  const datedIn = name => (name.match(/\d{4}-\d{2}-\d{2}/) || [])[0];
+  let count = 0;
+
+  if (fs.existsSync(ARCHIVE_DIR)) {
+    for (const folder of fs.readdirSync(ARCHIVE_DIR)) {
+      const folderDate = datedIn(folder);
+      if (!folderDate || folderDate >= cutoff) continue;
+      for (const file of filesUnder(path.join(ARCHIVE_DIR, folder))) {
+        if (file.endsWith(".gz")) continue;
+        gzipFile(file);
+        count++;
+      }
+    }
+  }
+
+  if (fs.existsSync(SCHEDULER_LOG_DIR)) {
+    for (const name of fs.readdirSync(SCHEDULER_LOG_DIR)) {
+      const fileDate = datedIn(name);
+      if (!fileDate || fileDate >= cutoff || name.endsWith(".gz")) continue;
+      gzipFile(path.join(SCHEDULER_LOG_DIR, name));
+      count++;
+    }
+  }
+  return count;
+}
+
+// ---- Full run ----
+/**
+ * End-of-day rollover
+ * @param {Object} [options]
+ * @param {string} [options.date] - session being closed (default today, New York)
+ * @param {number} [options.days] - compress archives older than this (ARCHIVE_COMPRESS_DAYS, default 7)
+ * @param {boolean} [options.merge=true] - merge today_15min into the historical store
+ * @returns {Promise<Object>} manifest, also saved as Archive/daily/<date>/manifest.json
+ */
+async function runEndOfDay({ date = clock.today(), days = COMPRESS_AFTER_DAYS, merge = true } = {}) {
+  const startTime = Date.now();
+  console.log(`📦 End-of-day rollover for ${date}${calendar.isTradingDay(date) ? "" : " (not a trading day)"}`);
+
+  const { merged, failed } = merge ? await mergeTodayBars(date) : { merged: [], failed: [] };
+  console.log(`🗄 Merged ${merged.length} today files into ${TIMEFRAME} history (${failed.length} kept for retry)`);
+
+  const archived = rotateFiles(date);
+  console.log(`🗂 Archived ${archived.length} alert/log files to ${path.join(ARCHIVE_DIR, date)}`);
+
+  const compressed = compressOld(date, days);
+  console.log(`🗜 Compressed ${compressed} files older than ${days} days`);
+
+  const manifest = {
+    date,
+    createdAt: new Date().toISOString(),
+    merged,
+    failed,
+    archived,
+    compressed,
+    duration: ((Date.now() - startTime) / 1000).toFixed(1),
+  };
+  fs.mkdirSync(path.join(ARCHIVE_DIR, date), { recursive: true });
+  fs.writeFileSync(path.join(ARCHIVE_DIR, date, "manifest.json"), JSON.stringify(manifest, null, 2));
+  console.log(`✅ Rollover complete in ${manifest.duration}s. Live snapshot reset.`);
+  return manifest;
+}
+
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const option = name => args.find(a => a.startsWith(`--${name}=`))?.split("=")[1];
+  const date = option("date");
+  if (date && !/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+    console.error("Usage: node Archive/archiveManager.js [--date=YYYY-MM-DD] [--days=N] [--no-merge]");
+    process.exit(1);
+  }
+
+  runEndOfDay({
+    date: date || undefined,
+    days: option("days") !== undefined ? Number(option("days")) : undefined,
+    merge: !args.includes("--no-merge"),
+  }).then(({ failed }) => {
+    if (failed.length) process.exitCode = 1;
+  }).catch(err => {
+    console.error(`❌ Rollover failed: ${err.message}`);
+    process.exit(1);
+  });
+}
+
+module.exports = { ARCHIVE_DIR, validateTodayBars, mergeTodayBars, rotateFiles, compressOld, runEndOfDay };
@@ -1,18 +1,16 @@
 const axios = require('axios');
 const fs = require('fs');
 const path = require('path');
+require('dotenv').config({ path: path.resolve(__dirname, '../../.env') });
+const httpClient = require('../../backend/utils/httpClient');
 
 // ------------------- CONFIG -------------------
-const DELAY_MS = 200; // per-key delay
+// Per-key budget: PUBLIC_MAX_REQUESTS per PUBLIC_RATE_WINDOW_MS (see backend/config/http.js)
 const BETWEEN_TEST_DELAY_MS = 1000; // 1-second delay between the two tests
 
-const SECRET_KEY_1 = "2QdWKlLrnNnM5AotxCdZSj4WzVGjxUP3";
-const ACCOUNT_ID_1 = "5OF34891";
-const BASE_1 = "https://api.public.com";
-
-const SECRET_KEY_2 = "jqxXdzYHWIZOH1QJLYRJ3DN7PJocdLzL";
-const ACCOUNT_ID_2 = "5OF34891";
-const BASE_2 = "https://api.public.com";
+const SECRET_KEYS = (process.env.PUBLIC_SECRET_KEYS || '').split(',').map(k => k.trim()).filter(Boolean);
+const ACCOUNT_ID = process.env.PUBLIC_ACCOUNT_ID;
+const BASE = process.env.PUBLIC_BASE_URL || "https://api.public.com";
 
 // 100 symbols for testing
 const symbols = [
@@ -76,18 +74,26 @@ function logResult(symbol, label, data, success = true, error = null) {
   fs.writeFileSync(logPath, JSON.stringify(currentLog, null, 2), 'utf-8');
 }
 
-// ------------------- RUN SINGLE KEY -------------------
-async function runSingleKey(symbolList, token, accountId, base, label) {
+// Rate-limited client rotating through the given access tokens (one budget each)
+function quoteClient(tokens) {
+  return httpClient.createClient('public', {
+    keys: tokens,
+    apply: (config, token) => { config.headers.Authorization = `Bearer ${token}`; },
+  });
+}
+
+// ------------------- RUN KEY POOL -------------------
+// All symbols are queued at once; the client spaces them out to the pool's budget
+async function runKeys(symbolList, tokens, label) {
+  const client = quoteClient(tokens);
   let successCount = 0;
   const start = Date.now();
 
-  for (let i = 0; i < symbolList.length; i++) {
-    const symbol = symbolList[i];
+  await Promise.all(symbolList.map(async symbol => {
     try {
-      const res = await axios.post(
-        `${base}/userapigateway/marketdata/${accountId}/quotes`,
-        { instruments: [{ symbol, type: 'EQUITY' }] },
-        { headers: { Authorization: `Bearer ${token}` } }
+      const res = await client.post(
+        `${BASE}/userapigateway/marketdata/${ACCOUNT_ID}/quotes`,
+        { instruments: [{ symbol, type: 'EQUITY' }] }
       );
 
       successCount++;
@@ -96,63 +102,41 @@ async function runSingleKey(symbolList, token, accountId, base, label) {
 
     } catch (err) {
       if (err.response && err.response.status === 429) {
-        console.log(`🚨 Rate limit hit on ${symbol} (${label})!`);
-        break;
+        console.log(`🚨 Rate limit hit on ${symbol} (${label}), retries exhausted!`);
       } else {
         console.log(`❌ ${symbol} error (${label}):`, err.response ? err.response.data : err.message);
-        logResult(symbol, label, null, false, err.response ? err.response.data : err.message);
       }
+      logResult(symbol, label, null, false, err.response ? err.response.data : err.message);
     }
-    await sleep(DELAY_MS);
-  }
+  }));
 
   const elapsed = ((Date.now() - start) / 1000).toFixed(2);
-  console.log(`\n${label} complete. Elapsed: ${elapsed}s`);
+  const m = client.metrics();
+  console.log(`\n${label} complete. Elapsed: ${elapsed}s (${m.requests} requests, ${m.retries} retries, ${m.rateLimited}×429)`);
   return elapsed;
 }
 
-// ------------------- RUN TWO KEYS IN PARALLEL -------------------
-async function runTwoKeys(symbolList, tokens, accountIds, bases) {
-  const half = Math.ceil(symbolList.length / 2);
-  const list1 = symbolList.slice(0, half);
-  const list2 = symbolList.slice(half);
-
-  console.log(`Splitting symbols into two halves: ${list1.length} for key 1, ${list2.length} for key 2\n`);
-
-  const start = Date.now();
-
-  // Run both loops concurrently
-  const [time1, time2] = await Promise.all([
-    runSingleKey(list1, tokens[0], accountIds[0], bases[0], "key 1"),
-    runSingleKey(list2, tokens[1], accountIds[1], bases[1], "key 2")
-  ]);
-
-  const totalElapsed = ((Date.now() - start) / 1000).toFixed(2);
-  console.log(`\nTest complete!`);
-  console.log(`Key 1 time: ${time1}s`);
-  console.log(`Key 2 time: ${time2}s`);
-  console.log(`Total elapsed (parallel): ${totalElapsed}s`);
-  return totalElapsed;
-}
-
 // ------------------- MAIN -------------------
 (async () => {
-  const token1 = await getAccessToken(SECRET_KEY_1, BASE_1);
-  const token2 = await getAccessToken(SECRET_KEY_2, BASE_2);
+  if (SECRET_KEYS.length < 2 || !ACCOUNT_ID) {
+    console.error("Set PUBLIC_SECRET_KEYS (two or more, comma-separated) and PUBLIC_ACCOUNT_ID in .env. Exiting.");
+    return;
+  }
 
-  if (!token1 || !token2) {
-    console.error("Failed to get one or both access tokens. Exiting.");
+  const tokens = await Promise.all(SECRET_KEYS.map(key => getAccessToken(key, BASE)));
+  if (tokens.some(t => !t)) {
+    console.error("Failed to get one or more access tokens. Exiting.");
     return;
   }
 
   console.log("🚀 Running test with only key 1...");
-  const timeSingleKey = await runSingleKey(symbols, token1, ACCOUNT_ID_1, BASE_1, "single key");
+  const timeSingleKey = await runKeys(symbols, tokens.slice(0, 1), "single key");
   console.log(`⏱ Time for single key: ${timeSingleKey}s\n`);
 
-  console.log("🕐 Waiting 1 second before running the two-key test...\n");
+  console.log("🕐 Waiting 1 second before running the key pool test...\n");
   await sleep(BETWEEN_TEST_DELAY_MS);
 
-  console.log("🚀 Running test using two keys concurrently...");
-  const timeTwoKeys = await runTwoKeys(symbols, [token1, token2], [ACCOUNT_ID_1, ACCOUNT_ID_2], [BASE_1, BASE_2]);
-  console.log(`⏱ Time for two keys (parallel): ${timeTwoKeys}s`);
+  console.log(`🚀 Running test rotating through ${tokens.length} keys...`);
+  const timePool = await runKeys(symbols, tokens, `${tokens.length} keys`);
+  console.log(`⏱ Time for ${tokens.length} keys: ${timePool}s`);
 })();
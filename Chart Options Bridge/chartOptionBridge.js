@@ -1,7 +1,12 @@
 require('dotenv').config();
 const fs = require('fs');
 const path = require('path');
-const axios = require('axios');
+const marketData = require('../backend/config/marketData');
+const httpClient = require('../backend/utils/httpClient');
+const eventCalendar = require('../backend/data/eventCalendar');
+const { describePattern } = require('../backend/utils/candlePatterns');
+
+const POLYGON_BASE = marketData.polygon.baseUrl;
 
 // ---- Paths ----
 const stockLivePath = path.join(__dirname, '..', 'stock_strat_test', 'log', 'livedata.json');
@@ -31,10 +36,9 @@ function categorizeADX(adx) {
 // ---- Fetch News & Sentiment from Polygon.io ----
 async function fetchNewsSentiment(ticker) {
   try {
-    const apiKey = process.env.POLYGON_API_KEY;
-    if (!apiKey) return [];
-    const res = await axios.get('https://api.polygon.io/v2/reference/news', {
-      params: { ticker, limit: 5, sort: 'published_utc', apiKey },
+    if (!httpClient.hasKeys('polygon')) return [];
+    const res = await httpClient.getClient('polygon').get(`${POLYGON_BASE}/v2/reference/news`, {
+      params: { ticker, limit: 5, sort: 'published_utc' },
     });
     return (
       res.data.results?.map((n) => ({
@@ -81,9 +85,31 @@ function computeConfidence({ stock, option, indicators, news }) {
   return Math.min(score, 1);
 }
 
+// ---- Earnings / macro events inside the holding period ----
+// Option alerts are held to their last expiration, stock alerts for the
+// default event horizon (EVENT_HORIZON_SESSIONS).
+function checkEvents(symbol, option) {
+  const expirations = (option?.contracts || []).map(c => c.expiration).filter(Boolean).sort();
+  return eventCalendar.checkAlert(symbol, expirations.length ? { until: expirations[expirations.length - 1] } : {});
+}
+
+// ---- Candlestick patterns: the stock alert's own plus the live 15-min candle's ----
+function collectPatterns(stock, option, indicators) {
+  const side = stock?.signal || option?.type || null;
+  const live = (indicators?.patterns || []).map(p => ({ timeframe: '15min live', ...p }));
+  const patterns = [...(stock?.patterns || []), ...live];
+  const reasons = [
+    ...(stock?.reasons || []),
+    ...live.map(p => `${p.timeframe} ${describePattern(p, side)}`),
+  ];
+  return { patterns, reasons };
+}
+
 // ---- Decision Builder ----
-function buildDecision(symbol, stock, option, indicators, news) {
-  const confidence = computeConfidence({ stock, option, indicators, news });
+function buildDecision(symbol, stock, option, indicators, news, events) {
+  let confidence = computeConfidence({ stock, option, indicators, news });
+  if (events.action === 'suppress') confidence = 0;
+  else if (events.action === 'downgrade') confidence = Math.max(confidence - 0.3, 0);
   const aligned =
     stock &&
     option &&
@@ -105,6 +131,7 @@ function buildDecision(symbol, stock, option, indicators, news) {
         : option.type === 'put'
         ? 'BUY PUT OPTION'
         : 'HOLD OPTION';
+  if (events.action === 'suppress') suggestedAction = 'HOLD / REVIEW';
 
   // ---- Additional info for review ----
   const currentPrice = indicators?.latestPrice || null;
@@ -113,6 +140,7 @@ function buildDecision(symbol, stock, option, indicators, news) {
   const takeProfit = stock?.takeProfit || null;
   const percentMove = stock?.percentMove || null;
   const newsHeadlines = news.map(n => ({ title: n.title, sentiment: n.sentiment }));
+  const { patterns, reasons } = collectPatterns(stock, option, indicators);
   const optionContracts =
     option?.contracts?.map(c => ({
       expiration: c.expiration,
@@ -143,8 +171,14 @@ function buildDecision(symbol, stock, option, indicators, news) {
         : 'neutral',
     newsHeadlines,
     optionContracts,
+    patterns,
+    reasons,
     confidence: confidence.toFixed(2),
     suggestedAction,
+    eventAction: events.action,
+    eventNote: events.note,
+    events: events.events,
+    daysToEarnings: eventCalendar.daysToNextEarnings(symbol),
     timestamp: new Date().toISOString(),
   };
 }
@@ -175,7 +209,7 @@ async function processAllAlerts() {
     const option = optionAlerts.find((o) => o.symbol === symbol);
     const indicators = stockLive[symbol]?.indicators || {};
     const news = await fetchNewsSentiment(symbol);
-    const decision = buildDecision(symbol, stock, option, indicators, news);
+    const decision = buildDecision(symbol, stock, option, indicators, news, checkEvents(symbol, option));
 
     if (stock && option && decision.alignment === 'STRONG' && decision.confidence > 0.7) {
       urgent.push(decision);
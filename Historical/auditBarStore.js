@@ -0,0 +1,62 @@
+// auditBarStore.js
+// Scans Historical/data/<tf>/*.parquet for data problems, optionally repairs or
+// quarantines bad files, and records a quality score per symbol/timeframe in
+// Historical/quality.json (read by backtesters/fullbacktest.js).
+//
+// Usage: node Historical/auditBarStore.js [--repair] [--quarantine] [--min-score=50] [SYMBOL ...]
+const { TIMEFRAMES } = require('../backend/utils/timeframes');
+const { listSymbols } = require('../backend/data/barStore');
+const auditor = require('../backend/data/qualityAuditor');
+
+const args = process.argv.slice(2);
+const REPAIR = args.includes('--repair');
+const QUARANTINE = args.includes('--quarantine');
+const MIN_SCORE = Number((args.find(a => a.startsWith('--min-score=')) || '--min-score=50').split('=')[1]);
+const ONLY = args.filter(a => !a.startsWith('--'));
+
+function summarize(report) {
+  return Object.entries(report.issues)
+    .filter(([, list]) => list.length)
+    .map(([name, list]) => `${name}:${list.length}`)
+    .join(' ') || 'clean';
+}
+
+(async () => {
+  const reports = [];
+  let repaired = 0, quarantined = 0;
+
+  for (const timeframe of Object.keys(TIMEFRAMES)) {
+    const symbols = listSymbols(timeframe).filter(s => !ONLY.length || ONLY.includes(s));
+    for (const symbol of symbols) {
+      try {
+        let report = await auditor.auditFile(symbol, timeframe);
+        const structural = report.issues.duplicates.length + report.issues.outOfOrder.length + report.issues.ohlcInconsistent.length;
+
+        if (REPAIR && structural) {
+          const { before, after } = await auditor.repairFile(symbol, timeframe);
+          repaired++;
+          console.log(`🔧 ${symbol} ${timeframe} repaired (${before} → ${after} rows)`);
+          report = await auditor.auditFile(symbol, timeframe);
+        }
+
+        if (QUARANTINE && report.score < MIN_SCORE) {
+          const target = auditor.quarantineFile(symbol, timeframe);
+          report.quarantined = true;
+          quarantined++;
+          console.log(`🚫 ${symbol} ${timeframe} quarantined → ${target}`);
+        }
+
+        reports.push(report);
+        const icon = report.score >= MIN_SCORE ? '✅' : '⚠️';
+        console.log(`${icon} ${symbol} ${timeframe} score ${report.score} (${report.rows} rows) ${summarize(report)}`);
+      } catch (err) {
+        console.warn(`❌ ${symbol} ${timeframe}: ${err.message}`);
+      }
+    }
+  }
+
+  auditor.saveQualityScores(reports);
+  const below = reports.filter(r => r.score < MIN_SCORE).length;
+  console.log(`\nAudited ${reports.length} files: ${below} below ${MIN_SCORE}, ${repaired} repaired, ${quarantined} quarantined.`);
+  console.log(`Scores saved to ${auditor.QUALITY_PATH}`);
+})();
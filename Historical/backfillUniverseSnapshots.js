@@ -0,0 +1,34 @@
+// backfillUniverseSnapshots.js
+// Rebuilds point-in-time universe snapshots for past trading days from the
+// local daily bars, so backtests over older history see the symbols that were
+// eligible then (delisted ones included) instead of today's survivors.
+// Dates that already have a snapshot are kept unless --force is given.
+//
+// Usage: node Historical/backfillUniverseSnapshots.js [--from=YYYY-MM-DD] [--to=YYYY-MM-DD] [--force]
+require('dotenv').config({ path: require('path').resolve(__dirname, '../.env') });
+const universe = require('../backend/data/universe');
+const universeSnapshots = require('../backend/data/universeSnapshots');
+const clock = require('../backend/utils/clock');
+
+const args = process.argv.slice(2);
+const option = name => args.find(a => a.startsWith(`--${name}=`))?.split('=')[1];
+
+(async () => {
+  const to = option('to') || clock.today();
+  const from = option('from') || new Date(Date.parse(`${to}T00:00:00Z`) - 365 * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+  if (![from, to].every(d => /^\d{4}-\d{2}-\d{2}$/.test(d))) {
+    console.error('Usage: node Historical/backfillUniverseSnapshots.js [--from=YYYY-MM-DD] [--to=YYYY-MM-DD] [--force]');
+    process.exit(1);
+  }
+  if (!Object.keys(universe.loadUniverse().symbols).length) {
+    console.error('❌ No symbol universe. Run backtesters/update-optionable-list.js first.');
+    process.exit(1);
+  }
+
+  console.log(`🗓 Reconstructing universe snapshots ${from} → ${to}...`);
+  const { written, symbols } = await universeSnapshots.reconstructSnapshots({ from, to, force: args.includes('--force') });
+  console.log(`✅ ${written} snapshots written from the daily bars of ${symbols} symbols (${universeSnapshots.SNAPSHOT_DIR}).`);
+})().catch(err => {
+  console.error(`❌ Backfill failed: ${err.message}`);
+  process.exit(1);
+});
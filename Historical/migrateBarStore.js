@@ -0,0 +1,38 @@
+// migrateBarStore.js
+// Rewrites every Parquet bar file that predates the current bar schema
+// (Historical/data/<tf>/*.parquet and Historical/today_15min/*.parquet).
+const fs = require('fs');
+const path = require('path');
+const { STORES, migrateFile } = require('../backend/data/barStore');
+const { BAR_SCHEMA_VERSION } = require('../backend/data/barSchema');
+
+function listParquetFiles(dir) {
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir, { withFileTypes: true }).flatMap(entry => {
+    const full = path.join(dir, entry.name);
+    if (entry.isDirectory()) return listParquetFiles(full);
+    return entry.name.endsWith('.parquet') ? [full] : [];
+  });
+}
+
+(async () => {
+  const files = [...listParquetFiles(STORES.historical), ...listParquetFiles(STORES.today)];
+  console.log(`Checking ${files.length} bar files against schema v${BAR_SCHEMA_VERSION}...`);
+
+  let migrated = 0, failed = 0;
+  for (const file of files) {
+    try {
+      const result = await migrateFile(file);
+      if (result.migrated) {
+        migrated++;
+        console.log(`✅ ${path.relative(path.join(__dirname, '..'), file)} v${result.from} → v${result.to} (${result.rows} rows)`);
+      }
+    } catch (err) {
+      failed++;
+      console.warn(`⚠️ ${file}: ${err.message}`);
+    }
+  }
+
+  console.log(`Done. Migrated ${migrated}, already current ${files.length - migrated - failed}, failed ${failed}.`);
+  if (failed) process.exitCode = 1;
+})();
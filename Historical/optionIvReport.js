@@ -0,0 +1,44 @@
+// optionIvReport.js
+// Prints the daily ATM implied volatility, skew and IV rank of an underlying
+// from the stored option-chain snapshots (Historical/options).
+//
+// Usage: node Historical/optionIvReport.js SYMBOL [--from=YYYY-MM-DD] [--to=YYYY-MM-DD] [--json]
+require('dotenv').config({ path: require('path').resolve(__dirname, '../.env') });
+const optionAnalytics = require('../backend/data/optionAnalytics');
+const optionStore = require('../backend/data/optionStore');
+
+const args = process.argv.slice(2);
+const option = name => args.find(a => a.startsWith(`--${name}=`))?.split('=')[1];
+const pct = value => (value === null || value === undefined ? '-' : `${(value * 100).toFixed(1)}%`);
+
+(async () => {
+  const symbol = args.find(a => !a.startsWith('--'))?.toUpperCase();
+  if (!symbol) {
+    console.error(`Usage: node Historical/optionIvReport.js SYMBOL [--from=YYYY-MM-DD] [--to=YYYY-MM-DD] [--json]` +
+      `\nStored underlyings: ${optionStore.listUnderlyings().join(', ') || 'none'}`);
+    process.exit(1);
+  }
+
+  const closes = optionAnalytics.dailyCloses(await optionAnalytics.ivHistory(symbol, { from: option('from'), to: option('to') }));
+  if (!closes.length) {
+    console.error(`❌ No option-chain snapshots stored for ${symbol}.`);
+    process.exit(1);
+  }
+  const rank = await optionAnalytics.ivRank(symbol, { date: closes[closes.length - 1].date });
+
+  if (args.includes('--json')) {
+    console.log(JSON.stringify({ symbol, rank, history: closes }, null, 2));
+    return;
+  }
+  console.log(`date        spot      ATM IV  skew`);
+  for (const p of closes) {
+    console.log(`${p.date}  ${p.spot.toFixed(2).padStart(8)}  ${pct(p.atmIv).padStart(6)}  ${pct(p.skew).padStart(6)}`);
+  }
+  if (rank) {
+    console.log(`\n${symbol} ${rank.date}: ATM IV ${pct(rank.atmIv)}, IV rank ${rank.ivRank === null ? '-' : rank.ivRank.toFixed(0)}, ` +
+      `IV percentile ${rank.ivPercentile === null ? '-' : rank.ivPercentile.toFixed(0)} over ${rank.sessions} sessions`);
+  }
+})().catch(err => {
+  console.error(`❌ IV report failed: ${err.message}`);
+  process.exit(1);
+});
@@ -0,0 +1,33 @@
+// recomputeIndicators.js
+// Recomputes the stored indicator columns of every bar file over its full
+// history (fixes files written when indicators were computed per chunk).
+// Usage: node Historical/recomputeIndicators.js [SYMBOL ...]
+const { TIMEFRAMES } = require('../backend/utils/timeframes');
+const { listSymbols } = require('../backend/data/barStore');
+const { recomputeFile } = require('../backend/data/indicatorPipeline');
+
+(async () => {
+  const only = process.argv.slice(2);
+  const jobs = [];
+  for (const timeframe of Object.keys(TIMEFRAMES)) {
+    for (const symbol of listSymbols(timeframe)) jobs.push({ symbol, timeframe, options: {} });
+  }
+  // The intraday file is done last so it warms up from the freshly recomputed history
+  for (const symbol of listSymbols('15min', { store: 'today' })) jobs.push({ symbol, timeframe: '15min', options: { store: 'today' } });
+  const selected = only.length ? jobs.filter(j => only.includes(j.symbol)) : jobs;
+  console.log(`Recomputing indicators for ${selected.length} bar files...`);
+
+  let failed = 0;
+  for (const { symbol, timeframe, options } of selected) {
+    try {
+      const rows = await recomputeFile(symbol, timeframe, options);
+      console.log(`✅ ${symbol} ${options.store === 'today' ? 'today' : timeframe} (${rows} rows)`);
+    } catch (err) {
+      failed++;
+      console.warn(`⚠️ ${symbol} ${timeframe}: ${err.message}`);
+    }
+  }
+
+  console.log(`Done. ${selected.length - failed} rewritten, ${failed} failed.`);
+  if (failed) process.exitCode = 1;
+})();
@@ -0,0 +1,25 @@
+// resampleBarStore.js
+// Rebuilds Historical/data/{1hour,4hour,1day,1week} for every symbol from its
+// stored 15-minute bars, replacing any bars downloaded per timeframe.
+// Usage: node Historical/resampleBarStore.js [SYMBOL ...]
+const { listSymbols } = require('../backend/data/barStore');
+const { SOURCE_TIMEFRAME, resampleSymbol } = require('../backend/data/resampler');
+
+(async () => {
+  const symbols = process.argv.slice(2).length ? process.argv.slice(2) : listSymbols(SOURCE_TIMEFRAME);
+  console.log(`Resampling ${symbols.length} symbols from ${SOURCE_TIMEFRAME} bars...`);
+
+  let failed = 0;
+  for (const symbol of symbols) {
+    try {
+      const written = await resampleSymbol(symbol);
+      console.log(`✅ ${symbol} ${Object.entries(written).map(([tf, n]) => `${tf}:${n}`).join(' ')}`);
+    } catch (err) {
+      failed++;
+      console.warn(`⚠️ ${symbol}: ${err.message}`);
+    }
+  }
+
+  console.log(`Done. ${symbols.length - failed} rebuilt, ${failed} failed.`);
+  if (failed) process.exitCode = 1;
+})();
@@ -0,0 +1,47 @@
+// syncCorporateActions.js
+// Records splits and cash dividends in Historical/corporate_actions.json and
+// back-adjusts the stored bar history for every split.
+//
+// Usage:
+//   node Historical/syncCorporateActions.js [SYMBOL ...]          fetch from MARKET_DATA_PROVIDER
+//   node Historical/syncCorporateActions.js --file actions.csv     import a local file instead
+require('dotenv').config({ path: require('path').resolve(__dirname, '../.env') });
+const { getProvider } = require('../backend/providers');
+const { listSymbols } = require('../backend/data/barStore');
+const corporateActions = require('../backend/data/corporateActions');
+
+const args = process.argv.slice(2);
+const fileArg = args.find(a => a.startsWith('--file='))?.split('=')[1] || (args.includes('--file') ? args[args.indexOf('--file') + 1] : null);
+const symbols = args.filter(a => !a.startsWith('--') && a !== fileArg);
+
+(async () => {
+  if (fileArg) {
+    const added = corporateActions.recordActions(corporateActions.parseActionsFile(fileArg), fileArg);
+    console.log(`📥 Imported ${added.splits.length} splits and ${added.dividends.length} dividends from ${fileArg}`);
+    const adjustments = await corporateActions.applyPendingSplits(symbols.length ? symbols : undefined);
+    console.log(`Done. ${adjustments.length} adjustments.`);
+    return;
+  }
+
+  const provider = getProvider();
+  const targets = symbols.length ? symbols : listSymbols('15min');
+  const from = new Date(Date.now() - 365 * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+  console.log(`Syncing corporate actions for ${targets.length} symbols from ${provider.name}...`);
+
+  let adjustments = 0, failed = 0;
+  for (const symbol of targets) {
+    try {
+      const result = await corporateActions.syncSymbol(provider, symbol, { from });
+      adjustments += result.adjustments.length;
+      if (result.splits.length || result.dividends.length) {
+        console.log(`✅ ${symbol}: ${result.splits.length} new splits, ${result.dividends.length} new dividends`);
+      }
+    } catch (err) {
+      failed++;
+      console.warn(`⚠️ ${symbol}: ${err.message}`);
+    }
+  }
+
+  console.log(`Done. ${adjustments} adjustments, ${failed} failed.`);
+  if (failed) process.exitCode = 1;
+})();
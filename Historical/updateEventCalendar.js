@@ -0,0 +1,39 @@
+// updateEventCalendar.js
+// Refreshes the earnings / macro-event calendar (Historical/events.json) used
+// to suppress, downgrade or annotate alerts that cross an event.
+//
+// Usage:
+//   node Historical/updateEventCalendar.js [SYMBOL ...] [--provider=finnhub|yahoo] [--csv=events.csv] [--force]
+//   Without symbols the eligible universe is used; the refresh is skipped while
+//   the calendar is younger than EVENT_REFRESH_HOURS unless --force is given.
+require('dotenv').config({ path: require('path').resolve(__dirname, '../.env') });
+const config = require('../backend/config/events');
+const eventCalendar = require('../backend/data/eventCalendar');
+const universe = require('../backend/data/universe');
+const httpClient = require('../backend/utils/httpClient');
+
+const args = process.argv.slice(2);
+const option = name => args.find(a => a.startsWith(`--${name}=`))?.split('=')[1];
+
+(async () => {
+  if (!args.includes('--force') && !eventCalendar.isStale()) {
+    console.log(`⏭️ Event calendar refreshed at ${eventCalendar.loadStore().updatedAt}; use --force to refresh again.`);
+    return;
+  }
+
+  const tickers = args.filter(a => !a.startsWith('--')).map(s => s.toUpperCase());
+  const symbols = tickers.length ? tickers : universe.eligibleSymbols();
+  const provider = option('provider') || config.provider;
+  console.log(`🗓️ Refreshing events for ${symbols.length} symbols from ${provider}...`);
+
+  const summary = await eventCalendar.refreshEvents({ symbols, provider, csvFile: option('csv') || config.csvFile });
+  console.log(`✅ ${summary.from} → ${summary.to}: ${summary.earnings} earnings, ${summary.macro} macro releases, ` +
+    `${summary.csv} from CSV (${summary.total} events stored).`);
+
+  const macro = eventCalendar.macroEventsWithin(config.defaultHorizonSessions);
+  for (const e of macro) console.log(`   ${e.date} ${e.time || ''} ${e.type.toUpperCase()} - ${e.description || ''}`);
+  httpClient.reportMetrics('UpdateEventCalendar');
+})().catch(err => {
+  console.error(`❌ Event calendar update failed: ${err.message}`);
+  process.exit(1);
+});
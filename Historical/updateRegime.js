@@ -0,0 +1,39 @@
+// updateRegime.js
+// Labels every session of SPY's daily history as trendUp / trendDown / chop /
+// volatile (ADX, realized volatility, SMA slope and universe breadth) and
+// writes Historical/regime.json, used by the backtesters and strat_test.
+//
+// Usage:
+//   node Historical/updateRegime.js [SYMBOL ...] [--days=10]
+//   Symbols listed are also classified on their own daily bars; --days sets
+//   how many recent market sessions are printed.
+require('dotenv').config({ path: require('path').resolve(__dirname, '../.env') });
+const barStore = require('../backend/data/barStore');
+const regime = require('../backend/data/regime');
+
+const args = process.argv.slice(2);
+const option = name => args.find(a => a.startsWith(`--${name}=`))?.split('=')[1];
+const fmt = (x, digits = 2) => (x === null || x === undefined ? 'n/a' : x.toFixed(digits));
+const describe = e => `${e.regime.padEnd(9)} ADX ${fmt(e.adx, 1)}  vol ×${fmt(e.volRatio)}  slope ${fmt(e.slope)} ATR  breadth ${e.breadth === null ? 'n/a' : `${Math.round(e.breadth * 100)}%`}`;
+
+(async () => {
+  const tickers = args.filter(a => !a.startsWith('--')).map(s => s.toUpperCase());
+  const days = Number(option('days') || 10);
+  const history = await regime.updateMarketHistory();
+
+  const dates = Object.keys(history.sessions);
+  const counts = dates.reduce((acc, d) => ({ ...acc, [history.sessions[d].regime]: (acc[history.sessions[d].regime] || 0) + 1 }), {});
+  console.log(`🧭 ${history.benchmark} regime ${history.date ? `as of ${history.date}: ${history.current.regime}` : 'unavailable (not enough history)'}`);
+  console.log(`   ${dates.length} sessions labeled: ${regime.REGIMES.map(r => `${r} ${counts[r] || 0}`).join(', ')}`);
+
+  for (const date of dates.slice(-days)) console.log(`   ${date}  ${describe(history.sessions[date])}`);
+
+  for (const symbol of tickers) {
+    const series = regime.symbolRegimes(await barStore.readBars(symbol, '1day'));
+    const last = series[series.length - 1];
+    console.log(`   ${symbol.padEnd(6)} ${last ? describe(last) : 'not enough daily bars'}`);
+  }
+})().catch(err => {
+  console.error(`❌ Regime update failed: ${err.message}`);
+  process.exit(1);
+});
@@ -0,0 +1,42 @@
+// updateRelativeStrength.js
+// Ranks the universe by relative strength against SPY and each symbol's
+// sector ETF from the local daily bars and writes the leaderboard
+// (Historical/relative_strength.json) used by strat_test.
+//
+// Usage:
+//   node Historical/updateRelativeStrength.js [SYMBOL ...] [--date=YYYY-MM-DD] [--top=10]
+//   Without symbols the eligible universe is ranked; --date ranks as of an
+//   earlier session.
+require('dotenv').config({ path: require('path').resolve(__dirname, '../.env') });
+const relativeStrength = require('../backend/data/relativeStrength');
+
+const args = process.argv.slice(2);
+const option = name => args.find(a => a.startsWith(`--${name}=`))?.split('=')[1];
+const pct = x => (x === null || x === undefined ? '   n/a' : `${x >= 0 ? '+' : ''}${(x * 100).toFixed(1)}%`);
+
+(async () => {
+  const tickers = args.filter(a => !a.startsWith('--')).map(s => s.toUpperCase());
+  const top = Number(option('top') || 10);
+  const board = await relativeStrength.updateLeaderboard({
+    ...(tickers.length && { symbols: tickers }),
+    asOf: option('date') || null,
+  });
+
+  const entries = Object.entries(board.symbols).sort((a, b) => a[1].rank - b[1].rank);
+  const groups = entries.reduce((acc, [, e]) => ({ ...acc, [e.group]: (acc[e.group] || 0) + 1 }), {});
+  console.log(`📊 Relative strength as of ${board.date} vs ${board.benchmark} (lookbacks ${board.lookbacks.join('/')} sessions): ` +
+    `${board.count} symbols, ${groups.leader || 0} leaders, ${groups.laggard || 0} laggards`);
+
+  console.log('\n🔄 Sector rotation:');
+  for (const s of board.sectors.filter(s => s.rank).sort((a, b) => a.rank - b.rank)) {
+    console.log(`   ${String(s.rank).padStart(2)}. ${s.etf.padEnd(5)} ${s.sector.padEnd(24)} ${pct(s.score)} vs ${board.benchmark}`);
+  }
+  const show = ([symbol, e]) => console.log(`   ${String(e.rank).padStart(4)}. ${symbol.padEnd(6)} RS ${String(e.percentile).padStart(2)}  ${pct(e.score)} vs ${board.benchmark}, ${pct(e.sectorScore)} vs ${e.sectorEtf || 'sector'}`);
+  console.log(`\n🏆 Leaders:`);
+  entries.slice(0, top).forEach(show);
+  console.log(`\n🐢 Laggards:`);
+  entries.slice(-top).reverse().forEach(show);
+})().catch(err => {
+  console.error(`❌ Relative strength update failed: ${err.message}`);
+  process.exit(1);
+});
@@ -0,0 +1,40 @@
+// backend/config/events.js
+const path = require("path");
+require("dotenv").config({ path: path.resolve(__dirname, "../../.env") });
+
+const ACTIONS = ["suppress", "downgrade", "annotate", "off"];
+
+// "earnings:suppress,fomc:downgrade" → { earnings: "suppress", fomc: "downgrade" }
+function actionMap(value, fallback) {
+  if (!value) return fallback;
+  const map = {};
+  for (const pair of value.split(",")) {
+    const [type, action] = pair.split(":").map(s => s.trim().toLowerCase());
+    if (type && ACTIONS.includes(action)) map[type] = action;
+  }
+  return map;
+}
+
+/**
+ * Event calendar settings (earnings and macro releases).
+ * EVENT_PROVIDER fetches earnings dates: finnhub | yahoo; macro releases come
+ * from the Finnhub economic calendar (paid plans) and/or the local CSV
+ * EVENT_CALENDAR_CSV (date,type,symbol,time,description).
+ * EVENT_ACTIONS sets what happens to an alert whose holding period crosses an
+ * event, per event type: suppress | downgrade | annotate | off. Types not
+ * listed use EVENT_DEFAULT_ACTION.
+ */
+module.exports = {
+  ACTIONS,
+  file: process.env.EVENT_CALENDAR_FILE || path.resolve(__dirname, "../../Historical/events.json"),
+  csvFile: process.env.EVENT_CALENDAR_CSV || path.resolve(__dirname, "../../Historical/events.csv"),
+  provider: process.env.EVENT_PROVIDER || "finnhub",
+  // Days ahead fetched on each refresh
+  lookaheadDays: Number(process.env.EVENT_LOOKAHEAD_DAYS || 90),
+  refreshHours: Number(process.env.EVENT_REFRESH_HOURS || 24),
+  // Holding period assumed when an alert does not state one (trading sessions)
+  defaultHorizonSessions: Number(process.env.EVENT_HORIZON_SESSIONS || 5),
+
+  actions: actionMap(process.env.EVENT_ACTIONS, { earnings: "suppress", fomc: "downgrade", cpi: "downgrade", nfp: "annotate" }),
+  defaultAction: ACTIONS.includes(process.env.EVENT_DEFAULT_ACTION) ? process.env.EVENT_DEFAULT_ACTION : "annotate",
+};
@@ -0,0 +1,38 @@
+// backend/config/http.js
+const os = require("os");
+const path = require("path");
+require("dotenv").config({ path: path.resolve(__dirname, "../../.env") });
+
+// Requests allowed per key per window: <PROVIDER>_MAX_REQUESTS / <PROVIDER>_RATE_WINDOW_MS
+function budget(provider, maxRequests, perMilliseconds) {
+  const prefix = provider.toUpperCase();
+  return {
+    maxRequests: Number(process.env[`${prefix}_MAX_REQUESTS`] || maxRequests),
+    perMilliseconds: Number(process.env[`${prefix}_RATE_WINDOW_MS`] || perMilliseconds),
+  };
+}
+
+/**
+ * Shared HTTP client settings (backend/utils/httpClient.js).
+ * Budgets are per API key and shared by every process on the machine through
+ * small state files in HTTP_BUDGET_DIR.
+ */
+module.exports = {
+  budgetDir: process.env.HTTP_BUDGET_DIR || path.join(os.tmpdir(), "chart-monitor-http"),
+  timeoutMs: Number(process.env.HTTP_TIMEOUT_MS || 30000),
+  maxRetries: Number(process.env.HTTP_MAX_RETRIES || 4),
+  backoffBaseMs: Number(process.env.HTTP_BACKOFF_MS || 1000),
+  backoffMaxMs: 60000,
+  metricsDir: process.env.HTTP_METRICS_DIR || path.resolve(__dirname, "../../Archive/logs"),
+  // Response cache (backend/utils/responseCache.js): off | record | replay
+  cacheMode: process.env.HTTP_CACHE || "off",
+  cacheDir: process.env.HTTP_CACHE_DIR || path.resolve(__dirname, "../../Historical/http_cache"),
+
+  budgets: {
+    polygon: budget("polygon", 100, 1000),
+    finnhub: budget("finnhub", 55, 60000), // free plan: 60 calls/minute
+    alpaca: budget("alpaca", 200, 60000),
+    public: budget("public", 5, 1000), // Archive/testing/publicapi.js
+    default: budget("http", 10, 1000),
+  },
+};
@@ -0,0 +1,18 @@
+// backend/config/indicators.js
+const path = require("path");
+require("dotenv").config({ path: path.resolve(__dirname, "../../.env") });
+
+/**
+ * Optional indicator column groups written to the bar store next to the
+ * default SMA/EMA/RSI/ATR/Bollinger columns. BAR_INDICATORS is a comma list
+ * of groups (dmi, macd, stochastic, williamsR, obv, vwap, keltner, donchian,
+ * supertrend, ichimoku), "all" or "none"; the columns of each group are listed
+ * in backend/data/barSchema.js. Run Historical/recomputeIndicators.js after
+ * changing it to fill existing files.
+ */
+const value = (process.env.BAR_INDICATORS ?? "dmi").trim();
+
+module.exports = {
+  // null = every group
+  groups: value === "all" ? null : value === "none" || !value ? [] : value.split(",").map(s => s.trim()).filter(Boolean),
+};
@@ -0,0 +1,54 @@
+// backend/config/marketData.js
+const path = require("path");
+require("dotenv").config({ path: path.resolve(__dirname, "../../.env") });
+
+// Comma-separated env list; the single-key variable is the fallback
+function keyList(list, single) {
+  return (list || single || "").split(",").map(k => k.trim()).filter(Boolean);
+}
+
+/**
+ * Market-data provider settings.
+ * MARKET_DATA_PROVIDER selects the default adapter: polygon | alpaca | yahoo | replay
+ * MARKET_DATA_STREAM selects the live minute-bar feed: polygon | alpaca
+ * POLYGON_API_KEYS / FINNHUB_API_KEYS / ALPACA_API_KEYS (id:secret,...) give a key
+ * pool that the HTTP client rotates through; the single-key variables still work.
+ */
+module.exports = {
+  provider: process.env.MARKET_DATA_PROVIDER || "polygon",
+  // The dashboard backend has always read from Alpaca; override with BACKEND_DATA_PROVIDER
+  backendProvider: process.env.BACKEND_DATA_PROVIDER || "alpaca",
+  stream: process.env.MARKET_DATA_STREAM || (process.env.MARKET_DATA_PROVIDER === "alpaca" ? "alpaca" : "polygon"),
+
+  polygon: {
+    apiKey: keyList(process.env.POLYGON_API_KEYS, process.env.POLYGON_API_KEY)[0],
+    apiKeys: keyList(process.env.POLYGON_API_KEYS, process.env.POLYGON_API_KEY),
+    baseUrl: process.env.POLYGON_BASE_URL || "https://api.polygon.io",
+    streamUrl: process.env.POLYGON_STREAM_URL || "wss://socket.polygon.io/stocks",
+  },
+
+  alpaca: {
+    keyId: process.env.ALPACA_API_KEY,
+    secretKey: process.env.ALPACA_SECRET_KEY,
+    keys: process.env.ALPACA_API_KEYS
+      ? keyList(process.env.ALPACA_API_KEYS).map(pair => {
+        const [keyId, secretKey] = pair.split(":");
+        return { keyId, secretKey };
+      })
+      : [{ keyId: process.env.ALPACA_API_KEY, secretKey: process.env.ALPACA_SECRET_KEY }].filter(k => k.keyId && k.secretKey),
+    dataBaseUrl: process.env.ALPACA_DATA_URL || "https://data.alpaca.markets",
+    tradingBaseUrl: process.env.ALPACA_BASE_URL || "https://paper-api.alpaca.markets",
+    feed: process.env.ALPACA_DATA_FEED || "iex",
+    streamUrl: process.env.ALPACA_STREAM_URL || `wss://stream.data.alpaca.markets/v2/${process.env.ALPACA_DATA_FEED || "iex"}`,
+  },
+
+  finnhub: {
+    apiKeys: keyList(process.env.FINNHUB_API_KEYS, process.env.FINNHUB_API_KEY),
+    baseUrl: process.env.FINNHUB_BASE_URL || "https://finnhub.io/api/v1",
+  },
+
+  replay: {
+    // Folder laid out like Historical/data: <dir>/<timeframe>/<SYMBOL>.parquet|.csv
+    dir: process.env.MARKET_DATA_REPLAY_DIR || path.resolve(__dirname, "../../Historical/data"),
+  },
+};
@@ -0,0 +1,26 @@
+// backend/config/regime.js
+const path = require("path");
+require("dotenv").config({ path: path.resolve(__dirname, "../../.env") });
+
+/**
+ * Market regime settings (see backend/utils/regime.js for the rules).
+ * The market regime is SPY's (REGIME_BENCHMARK) daily regime, with breadth
+ * from the universe's daily bars; it is saved per session to REGIME_FILE.
+ * A strategy needs REGIME_MIN_TRADES backtest trades in a regime before
+ * live selection trusts its win rate there.
+ */
+module.exports = {
+  file: process.env.REGIME_FILE || path.resolve(__dirname, "../../Historical/regime.json"),
+  benchmark: process.env.REGIME_BENCHMARK || "SPY",
+  thresholds: {
+    adxTrend: Number(process.env.REGIME_ADX_TREND || 25),
+    minSlope: Number(process.env.REGIME_MIN_SLOPE || 1),
+    volSpike: Number(process.env.REGIME_VOL_SPIKE || 1.5),
+    minBreadth: Number(process.env.REGIME_MIN_BREADTH || 0.4),
+    // Bars of volatility history before the first label; a year of daily bars loses about 70 to warm-up
+    volBaseline: Number(process.env.REGIME_VOL_BASELINE || 50),
+  },
+  // Breadth counts symbols above this daily SMA
+  breadthPeriod: Number(process.env.REGIME_BREADTH_PERIOD || 50),
+  minTrades: Number(process.env.REGIME_MIN_TRADES || 5),
+};
@@ -0,0 +1,28 @@
+// backend/config/relativeStrength.js
+const path = require("path");
+require("dotenv").config({ path: path.resolve(__dirname, "../../.env") });
+
+const BIASES = ["adjust", "filter", "annotate", "off"];
+
+/**
+ * Relative-strength leaderboard settings.
+ * RS_LOOKBACKS are trading sessions (default about 1, 3 and 6 months); a
+ * symbol's score is its average excess return over SPY (RS_BENCHMARK) across
+ * them. Symbols at or above RS_LEADER_PERCENTILE that also beat their sector
+ * ETF are leaders, those at or below RS_LAGGARD_PERCENTILE that also trail it
+ * are laggards.
+ * RS_ALERT_BIAS sets what strat_test does with LONG alerts in laggards and
+ * SHORT alerts in leaders (and the reverse): adjust (importance one step
+ * down / up) | filter (drop the contrary ones) | annotate | off.
+ */
+module.exports = {
+  BIASES,
+  file: process.env.RS_FILE || path.resolve(__dirname, "../../Historical/relative_strength.json"),
+  benchmark: process.env.RS_BENCHMARK || "SPY",
+  lookbacks: (process.env.RS_LOOKBACKS || "21,63,126").split(",").map(Number).filter(n => n > 0),
+  leaderPercentile: Number(process.env.RS_LEADER_PERCENTILE || 80),
+  laggardPercentile: Number(process.env.RS_LAGGARD_PERCENTILE || 20),
+  // Symbols whose last daily bar is older than this many sessions are left out
+  maxStaleSessions: Number(process.env.RS_MAX_STALE_SESSIONS || 3),
+  alertBias: BIASES.includes(process.env.RS_ALERT_BIAS) ? process.env.RS_ALERT_BIAS : "adjust",
+};
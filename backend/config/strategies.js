@@ -0,0 +1,13 @@
+// backend/config/strategies.js
+const path = require("path");
+require("dotenv").config({ path: path.resolve(__dirname, "../../.env") });
+
+/**
+ * Strategy plugins (see backend/services/strategyRegistry.js for the contract).
+ * STRATEGY_DIR holds one module per strategy, named after the file;
+ * LIVE_STRATEGY is the one strategyService runs for the live scheduler.
+ */
+module.exports = {
+  dir: process.env.STRATEGY_DIR || path.resolve(__dirname, "../../backtesters/strategies"),
+  live: process.env.LIVE_STRATEGY || "UltraWR",
+};
@@ -0,0 +1,56 @@
+// backend/config/universe.js
+const path = require("path");
+require("dotenv").config({ path: path.resolve(__dirname, "../../.env") });
+const { SECTOR_ETFS } = require("../utils/sectors");
+
+// Comma-separated env list → array (fallback when unset)
+function list(value, fallback) {
+  if (value === undefined) return fallback;
+  return value.split(",").map(s => s.trim()).filter(Boolean);
+}
+
+/**
+ * Symbol universe settings.
+ * UNIVERSE_PROVIDER lists the assets (alpaca reports listed options; polygon does not),
+ * UNIVERSE_DETAILS_PROVIDER looks up sectors: polygon | yahoo.
+ * Eligibility rules (an empty list means "any"):
+ *   UNIVERSE_ASSET_CLASSES    common,etf        (also preferred, warrant, unit, right, other)
+ *   UNIVERSE_EXCHANGES        NASDAQ,NYSE,AMEX,ARCA,BATS
+ *   UNIVERSE_REQUIRE_OPTIONS  1                 (0 to allow symbols without listed options)
+ *   UNIVERSE_MIN_PRICE / UNIVERSE_MAX_PRICE           last daily close
+ *   UNIVERSE_MIN_DOLLAR_VOLUME                        average close × volume over UNIVERSE_LIQUIDITY_DAYS
+ *   UNIVERSE_SECTORS / UNIVERSE_EXCLUDE_SECTORS       GICS sector names
+ *   UNIVERSE_INCLUDE / UNIVERSE_EXCLUDE               symbols always in / always out
+ * UNIVERSE_BENCHMARKS are downloaded with the universe but never traded: SPY and the
+ * sector ETFs, read by relative strength and the market regime.
+ */
+module.exports = {
+  file: process.env.UNIVERSE_FILE || path.resolve(__dirname, "../../Historical/universe.json"),
+  // One file per trading day with the symbols eligible that morning
+  snapshotDir: process.env.UNIVERSE_SNAPSHOT_DIR || path.resolve(__dirname, "../../Historical/universe_snapshots"),
+  // A snapshot stands in for the days after it until the next one, up to this many
+  snapshotMaxGapDays: Number(process.env.UNIVERSE_SNAPSHOT_MAX_GAP_DAYS || 7),
+  // Legacy symbol list, still written for the simulator and read while no universe exists
+  legacyFile: path.resolve(__dirname, "../../backtesters/optionable_stocks.csv"),
+  provider: process.env.UNIVERSE_PROVIDER || "alpaca",
+  detailsProvider: process.env.UNIVERSE_DETAILS_PROVIDER || "polygon",
+  refreshHours: Number(process.env.UNIVERSE_REFRESH_HOURS || 24),
+  liquidityDays: Number(process.env.UNIVERSE_LIQUIDITY_DAYS || 20),
+  // Sector lookups per refresh (one request each); the rest are filled in on later runs
+  sectorBatch: Number(process.env.UNIVERSE_SECTOR_BATCH || 200),
+  sectorMaxAgeDays: 90,
+  benchmarks: list(process.env.UNIVERSE_BENCHMARKS, ["SPY", ...Object.values(SECTOR_ETFS)]),
+
+  rules: {
+    assetClasses: list(process.env.UNIVERSE_ASSET_CLASSES, ["common", "etf"]),
+    exchanges: list(process.env.UNIVERSE_EXCHANGES, ["NASDAQ", "NYSE", "AMEX", "ARCA", "BATS"]),
+    requireOptions: process.env.UNIVERSE_REQUIRE_OPTIONS !== "0",
+    minPrice: Number(process.env.UNIVERSE_MIN_PRICE || 5),
+    maxPrice: Number(process.env.UNIVERSE_MAX_PRICE || Infinity),
+    minDollarVolume: Number(process.env.UNIVERSE_MIN_DOLLAR_VOLUME || 10000000),
+    sectors: list(process.env.UNIVERSE_SECTORS, []),
+    excludeSectors: list(process.env.UNIVERSE_EXCLUDE_SECTORS, []),
+    include: list(process.env.UNIVERSE_INCLUDE, []),
+    exclude: list(process.env.UNIVERSE_EXCLUDE, []),
+  },
+};
@@ -0,0 +1,127 @@
+// backend/data/barAggregator.js
+const { bucketStart, aggregate, SOURCE_TIMEFRAME } = require("./resampler");
+const { getTimeframe } = require("../utils/timeframes");
+const calendar = require("../utils/tradingCalendar");
+
+/**
+ * Builds bars of one timeframe (default 15min) from streamed 1-minute bars,
+ * per symbol, in the resampler's session-aligned buckets. Extended-hours
+ * minutes are ignored, like everywhere else in the bar store.
+ *
+ * A bucket closes when a minute of a later bucket arrives for the symbol, or
+ * on closeDue() once the bucket's end (session close for the last one) plus
+ * `graceMs` has passed. A minute arriving for the most recently closed bucket
+ * (vendor correction, late delivery) reopens it as a revision; anything older
+ * is dropped and counted.
+ *
+ * Closed bars are returned as { symbol, bar, partial, revised }. `partial` marks
+ * buckets that were already under way when the feed (re)connected, so minutes
+ * before that point are missing.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.timeframe='15min']
+ * @param {number} [options.graceMs=0] - wait after a bucket's end for late minutes
+ * @param {number} [options.connectedAt] - epoch ms the feed started delivering (default now)
+ * @returns {Object} { add, closeDue, markConnected, bucketEnd, stats }
+ */
+function createBarAggregator({ timeframe = SOURCE_TIMEFRAME, graceMs = 0, connectedAt = Date.now() } = {}) {
+  const size = getTimeframe(timeframe).minutes * 60 * 1000;
+  const open = new Map(); // symbol → { start, partial, minutes: Map(time → bar) }
+  const lastClosed = new Map(); // symbol → bucket, kept for late corrections
+  const counts = { minutes: 0, closed: 0, revised: 0, late: 0, outsideSession: 0 };
+
+  function newBucket(start) {
+    return { start, partial: start < connectedAt, minutes: new Map() };
+  }
+
+  function toClosed(symbol, bucket, revised) {
+    const minutes = [...bucket.minutes.values()].sort((a, b) => a.time - b.time);
+    return { symbol, bar: aggregate(bucket.start, minutes), partial: bucket.partial, revised };
+  }
+
+  function close(symbol, bucket) {
+    open.delete(symbol);
+    lastClosed.set(symbol, bucket);
+    counts.closed++;
+    return toClosed(symbol, bucket, false);
+  }
+
+  /**
+   * End of a bucket (capped at the session close)
+   * @param {number} start
+   * @returns {number} epoch ms
+   */
+  function bucketEnd(start) {
+    return Math.min(start + size, calendar.sessionClose(start));
+  }
+
+  /**
+   * Add one streamed minute
+   * @param {Object} minute - normalized 1-minute bar with { symbol }
+   * @returns {Array} closed or revised bars (usually empty)
+   */
+  function add(minute) {
+    const start = bucketStart(minute.time, timeframe);
+    if (start === null) {
+      counts.outsideSession++;
+      return [];
+    }
+    counts.minutes++;
+    const { symbol, ...bar } = minute;
+    const current = open.get(symbol);
+
+    if (current && current.start === start) {
+      current.minutes.set(bar.time, bar);
+      return [];
+    }
+
+    const previous = lastClosed.get(symbol);
+    if (previous && previous.start === start) {
+      previous.minutes.set(bar.time, bar);
+      counts.revised++;
+      return [toClosed(symbol, previous, true)];
+    }
+    if ((current && start < current.start) || (previous && start < previous.start)) {
+      counts.late++;
+      return [];
+    }
+
+    const closed = current ? [close(symbol, current)] : [];
+    const bucket = newBucket(start);
+    bucket.minutes.set(bar.time, bar);
+    open.set(symbol, bucket);
+    return closed;
+  }
+
+  /**
+   * Close every bucket whose end + grace has passed
+   * @param {number} [now]
+   * @returns {Array} closed bars
+   */
+  function closeDue(now = Date.now()) {
+    const closed = [];
+    for (const [symbol, bucket] of open) {
+      if (bucketEnd(bucket.start) + graceMs <= now) closed.push(close(symbol, bucket));
+    }
+    return closed;
+  }
+
+  /**
+   * Record a (re)connect: buckets already under way are marked partial
+   * @param {number} [time]
+   */
+  function markConnected(time = Date.now()) {
+    connectedAt = time;
+    for (const bucket of open.values()) bucket.partial = true;
+  }
+
+  return {
+    add,
+    closeDue,
+    markConnected,
+    bucketEnd,
+    stats: () => ({ ...counts, openBuckets: open.size }),
+  };
+}
+
+module.exports = { createBarAggregator };
@@ -0,0 +1,156 @@
+// backend/data/barSchema.js
+const parquet = require("parquets");
+
+/**
+ * Versioned on-disk bar schema for Historical/data and Historical/today_15min.
+ *
+ * v1 - historicalDBBuilder/stockmonitor short names: ts,o,h,l,c,v,n,vw + indicators
+ * v2 - canonical names matching the provider Bar: time,open,high,low,close,volume,trades,vwap + indicators
+ */
+const BAR_SCHEMA_VERSION = 2;
+const VERSION_KEY = "barSchemaVersion";
+
+// Always computed by the indicator pipeline
+const BASE_INDICATOR_COLUMNS = ["sma20", "sma50", "ema20", "rsi14", "atr14", "bollingerUpper", "bollingerLower"];
+
+// Written only for the groups enabled in BAR_INDICATORS (backend/config/indicators.js)
+const OPTIONAL_INDICATOR_GROUPS = {
+  dmi: ["plusDI14", "minusDI14", "adx14"],
+  macd: ["macd", "macdSignal", "macdHistogram"],
+  stochastic: ["stochK", "stochD"],
+  williamsR: ["williamsR14"],
+  obv: ["obv"],
+  vwap: ["sessionVwap", "sessionVwapUpper", "sessionVwapLower"],
+  keltner: ["keltnerUpper", "keltnerLower"],
+  donchian: ["donchianUpper", "donchianLower"],
+  supertrend: ["supertrend", "supertrendDirection"],
+  ichimoku: ["ichimokuConversion", "ichimokuBase", "ichimokuSpanA", "ichimokuSpanB"],
+};
+const OPTIONAL_INDICATOR_COLUMNS = Object.values(OPTIONAL_INDICATOR_GROUPS).flat();
+
+const INDICATOR_COLUMNS = [...BASE_INDICATOR_COLUMNS, ...OPTIONAL_INDICATOR_COLUMNS];
+
+const PRICE_COLUMNS = ["open", "high", "low", "close", "volume", "trades", "vwap"];
+
+// v1 column → v2 column
+const LEGACY_COLUMNS = { ts: "time", o: "open", h: "high", l: "low", c: "close", v: "volume", n: "trades", vw: "vwap" };
+
+function buildSchema() {
+  const fields = {
+    time: { type: "TIMESTAMP_MILLIS" },
+    open: { type: "DOUBLE" },
+    high: { type: "DOUBLE" },
+    low: { type: "DOUBLE" },
+    close: { type: "DOUBLE" },
+    volume: { type: "DOUBLE" },
+    trades: { type: "DOUBLE", optional: true },
+    vwap: { type: "DOUBLE", optional: true },
+  };
+  for (const col of INDICATOR_COLUMNS) fields[col] = { type: "DOUBLE", optional: true };
+  return new parquet.ParquetSchema(fields);
+}
+
+const schema = buildSchema();
+
+/**
+ * Stored bar, as returned by the barStore readers
+ * @typedef {Object} StoredBar
+ * @property {number} time - bar start, epoch milliseconds (UTC)
+ * @property {number} open
+ * @property {number} high
+ * @property {number} low
+ * @property {number} close
+ * @property {number} volume
+ * @property {number|null} trades
+ * @property {number|null} vwap
+ * @property {number|null} sma20
+ * @property {number|null} sma50
+ * @property {number|null} ema20
+ * @property {number|null} rsi14
+ * @property {number|null} atr14
+ * @property {number|null} bollingerUpper
+ * @property {number|null} bollingerLower
+ * @property {number} [adx14] - optional indicator columns (OPTIONAL_INDICATOR_GROUPS) are only
+ *   present when the file stores them
+ */
+
+/**
+ * Work out which schema version a file was written with
+ * @param {Object} metadata - parquet key/value metadata
+ * @param {Object} [sampleRow] - first row, used when metadata is missing
+ * @returns {number}
+ */
+function detectVersion(metadata = {}, sampleRow = null) {
+  if (metadata[VERSION_KEY]) return Number(metadata[VERSION_KEY]);
+  if (sampleRow && "ts" in sampleRow) return 1;
+  return BAR_SCHEMA_VERSION;
+}
+
+/**
+ * Upgrade a raw parquet row to the current schema
+ * @param {Object} row
+ * @param {number} version - version the row was written with
+ * @returns {Object} row using current column names
+ */
+function migrateRow(row, version) {
+  if (version >= BAR_SCHEMA_VERSION) return row;
+  const migrated = {};
+  for (const [key, value] of Object.entries(row)) migrated[LEGACY_COLUMNS[key] || key] = value;
+  return migrated;
+}
+
+function toNumber(value) {
+  if (value === undefined || value === null) return null;
+  const n = Number(value); // INT64 columns can come back as BigInt-like values
+  return Number.isFinite(n) ? n : null;
+}
+
+/**
+ * Parquet row (any version) → StoredBar
+ * @param {Object} row
+ * @param {number} [version]
+ * @returns {StoredBar}
+ */
+function fromRow(row, version = BAR_SCHEMA_VERSION) {
+  const r = migrateRow(row, version);
+  const bar = { time: r.time instanceof Date ? r.time.getTime() : Number(r.time) };
+  for (const col of PRICE_COLUMNS) bar[col] = toNumber(r[col]);
+  for (const col of BASE_INDICATOR_COLUMNS) bar[col] = toNumber(r[col]);
+  for (const col of OPTIONAL_INDICATOR_COLUMNS) {
+    const value = toNumber(r[col]);
+    if (value !== null) bar[col] = value;
+  }
+  return bar;
+}
+
+/**
+ * Bar (provider or stored) → parquet row for the current schema
+ * @param {Object} bar
+ * @returns {Object}
+ */
+function toRow(bar) {
+  const row = { time: new Date(bar.time) };
+  for (const col of PRICE_COLUMNS) {
+    const value = toNumber(bar[col]);
+    if (value !== null) row[col] = value;
+  }
+  for (const col of INDICATOR_COLUMNS) {
+    const value = toNumber(bar[col]);
+    if (value !== null) row[col] = value;
+  }
+  return row;
+}
+
+module.exports = {
+  BAR_SCHEMA_VERSION,
+  VERSION_KEY,
+  INDICATOR_COLUMNS,
+  BASE_INDICATOR_COLUMNS,
+  OPTIONAL_INDICATOR_GROUPS,
+  PRICE_COLUMNS,
+  schema,
+  detectVersion,
+  migrateRow,
+  fromRow,
+  toRow,
+};
@@ -0,0 +1,196 @@
+// backend/data/barStore.js
+const fs = require("fs");
+const path = require("path");
+const parquet = require("parquets");
+const { normalizeTimeframe } = require("../utils/timeframes");
+const { BAR_SCHEMA_VERSION, VERSION_KEY, schema, detectVersion, fromRow, toRow } = require("./barSchema");
+
+/**
+ * Single entry point for the local Parquet bar store. Scripts never open a
+ * ParquetReader/Writer on bar files directly; they go through these helpers so
+ * every consumer sees the same StoredBar shape (see barSchema.js).
+ *
+ * Layout:
+ *   Historical/data/<timeframe>/<SYMBOL>.parquet   (store: 'historical')
+ *   Historical/today_15min/<SYMBOL>.parquet        (store: 'today')
+ */
+const HISTORICAL_ROOT = path.resolve(__dirname, "..", "..", "Historical");
+const STORES = {
+  historical: process.env.BAR_STORE_DIR || path.join(HISTORICAL_ROOT, "data"),
+  today: process.env.BAR_STORE_TODAY_DIR || path.join(HISTORICAL_ROOT, "today_15min"),
+};
+
+/**
+ * Resolve a bar file path
+ * @param {string} symbol
+ * @param {string} timeframe - any spelling accepted by normalizeTimeframe
+ * @param {Object} [options] - { store: 'historical' | 'today' }
+ * @returns {string}
+ */
+function barPath(symbol, timeframe, { store = "historical" } = {}) {
+  if (!STORES[store]) throw new Error(`Unknown bar store "${store}"`);
+  if (store === "today") return path.join(STORES.today, `${symbol}.parquet`);
+  return path.join(STORES.historical, normalizeTimeframe(timeframe), `${symbol}.parquet`);
+}
+
+// Date | epoch ms | ISO string → epoch ms. A bare YYYY-MM-DD used as an upper
+// bound covers the whole day.
+function toMs(value, endOfDay = false) {
+  if (value === undefined || value === null) return endOfDay ? Infinity : -Infinity;
+  if (value instanceof Date) return value.getTime();
+  if (typeof value === "number") return value;
+  const ms = Date.parse(value);
+  if (Number.isNaN(ms)) throw new Error(`Invalid date: ${value}`);
+  return endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(value) ? ms + 24 * 60 * 60 * 1000 - 1 : ms;
+}
+
+/**
+ * Read every row of a bar file, migrating older schema versions on the fly
+ * @param {string} file
+ * @returns {Promise<Object>} { version, bars }
+ */
+async function readFile(file) {
+  if (!fs.existsSync(file)) return { version: BAR_SCHEMA_VERSION, bars: [] };
+  const reader = await parquet.ParquetReader.openFile(file);
+  const metadata = reader.getMetadata();
+  const cursor = reader.getCursor();
+  const rows = [];
+  let row = null;
+  while ((row = await cursor.next())) rows.push(row);
+  await reader.close();
+
+  const version = detectVersion(metadata, rows[0]);
+  return { version, bars: rows.map(r => fromRow(r, version)) };
+}
+
+/**
+ * Write a full bar file (atomic: temp file + rename)
+ * @param {string} file
+ * @param {Array} bars
+ */
+async function writeFile(file, bars) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const tmp = `${file}.${process.pid}.tmp`;
+  const writer = await parquet.ParquetWriter.openFile(schema, tmp);
+  writer.setMetadata(VERSION_KEY, String(BAR_SCHEMA_VERSION));
+  for (const bar of bars) await writer.appendRow(toRow(bar));
+  await writer.close();
+  fs.renameSync(tmp, file);
+}
+
+// Sort by time and drop duplicate timestamps (later entries win)
+function mergeBars(existing, incoming) {
+  const byTime = new Map();
+  for (const bar of existing) byTime.set(bar.time, bar);
+  for (const bar of incoming) byTime.set(bar.time, { ...byTime.get(bar.time), ...bar });
+  return [...byTime.values()].sort((a, b) => a.time - b.time);
+}
+
+/**
+ * Range query for one symbol
+ * @param {string} symbol
+ * @param {string} timeframe
+ * @param {Object} [options] - { from, to, limit, store } from/to as Date, epoch ms or ISO/YYYY-MM-DD (inclusive)
+ * @returns {Promise<Array<import('./barSchema').StoredBar>>} oldest first
+ */
+async function readBars(symbol, timeframe, options = {}) {
+  const { bars } = await readFile(barPath(symbol, timeframe, options));
+  const fromMs = toMs(options.from);
+  const toMsEnd = toMs(options.to, true);
+  const inRange = bars.filter(b => b.time >= fromMs && b.time <= toMsEnd).sort((a, b) => a.time - b.time);
+  return options.limit ? inRange.slice(-options.limit) : inRange;
+}
+
+/**
+ * Range query for several symbols
+ * @param {Array<string>} symbols
+ * @param {string} timeframe
+ * @param {Object} [options] - same as readBars
+ * @returns {Promise<Object>} { SYMBOL: StoredBar[] } (symbols without a file are omitted)
+ */
+async function readBarsMulti(symbols, timeframe, options = {}) {
+  const results = {};
+  for (const symbol of symbols) {
+    if (!fs.existsSync(barPath(symbol, timeframe, options))) continue;
+    results[symbol] = await readBars(symbol, timeframe, options);
+  }
+  return results;
+}
+
+/**
+ * Replace a symbol's bars entirely
+ * @param {string} symbol
+ * @param {string} timeframe
+ * @param {Array} bars - provider or stored bars
+ * @param {Object} [options] - { store }
+ */
+async function writeBars(symbol, timeframe, bars, options = {}) {
+  await writeFile(barPath(symbol, timeframe, options), mergeBars([], bars));
+}
+
+/**
+ * Merge new bars into a symbol's file. Parquet files cannot be appended to in
+ * place, so the file is rewritten with existing + new rows (deduped by time).
+ * @param {string} symbol
+ * @param {string} timeframe
+ * @param {Array} bars - provider or stored bars
+ * @param {Object} [options] - { store }
+ * @returns {Promise<number>} number of bars whose timestamp was not already stored
+ */
+async function appendBars(symbol, timeframe, bars, options = {}) {
+  if (!bars || !bars.length) return 0;
+  const file = barPath(symbol, timeframe, options);
+  const { bars: existing } = await readFile(file);
+  const known = new Set(existing.map(b => b.time));
+  await writeFile(file, mergeBars(existing, bars));
+  return bars.filter(b => !known.has(b.time)).length;
+}
+
+/**
+ * Timestamp of the last stored bar
+ * @param {string} symbol
+ * @param {string} timeframe
+ * @param {Object} [options] - { store }
+ * @returns {Promise<number|null>} epoch ms
+ */
+async function lastBarTime(symbol, timeframe, options = {}) {
+  const bars = await readBars(symbol, timeframe, options);
+  return bars.length ? bars[bars.length - 1].time : null;
+}
+
+/**
+ * Symbols stored for a timeframe
+ * @param {string} timeframe
+ * @param {Object} [options] - { store }
+ * @returns {Array<string>}
+ */
+function listSymbols(timeframe, { store = "historical" } = {}) {
+  const dir = store === "today" ? STORES.today : path.join(STORES.historical, normalizeTimeframe(timeframe));
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir).filter(f => f.endsWith(".parquet")).map(f => path.basename(f, ".parquet"));
+}
+
+/**
+ * Rewrite a file in the current schema version if it is older
+ * @param {string} file
+ * @returns {Promise<Object>} { file, from, to, rows, migrated }
+ */
+async function migrateFile(file) {
+  const { version, bars } = await readFile(file);
+  if (version >= BAR_SCHEMA_VERSION) return { file, from: version, to: version, rows: bars.length, migrated: false };
+  await writeFile(file, mergeBars([], bars));
+  return { file, from: version, to: BAR_SCHEMA_VERSION, rows: bars.length, migrated: true };
+}
+
+module.exports = {
+  STORES,
+  barPath,
+  readBarFile: readFile,
+  readBars,
+  readBarsMulti,
+  writeBars,
+  appendBars,
+  lastBarTime,
+  listSymbols,
+  migrateFile,
+};
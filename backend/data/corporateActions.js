@@ -0,0 +1,278 @@
+// backend/data/corporateActions.js
+const fs = require("fs");
+const path = require("path");
+const { parse } = require("csv-parse/sync");
+const barStore = require("./barStore");
+const indicatorPipeline = require("./indicatorPipeline");
+const resampler = require("./resampler");
+const calendar = require("../utils/tradingCalendar");
+const { TIMEFRAMES } = require("../utils/timeframes");
+
+/**
+ * Corporate-action store (splits and cash dividends) and split back-adjustment
+ * of the local bar history.
+ *
+ * Vendors return split-adjusted bars, but the bar store only appends, so after
+ * a split the history on disk is still in pre-split prices. For every known
+ * split this module compares the last close before the ex-date with the first
+ * open on/after it; if the gap matches the split ratio the older rows are
+ * divided by the ratio (volume multiplied), indicators are recomputed and the
+ * adjustment is logged. Files whose history is already adjusted are left alone.
+ * When 15-minute history exists, only it (and today's file) is adjusted and the
+ * higher timeframes are rebuilt from it by the resampler, so no weekly or daily
+ * bucket ends up mixing pre- and post-split prices.
+ *
+ * Store (Historical/corporate_actions.json):
+ *   { splits: [...], dividends: [...], adjustments: [...], lastSync: { SYMBOL: 'YYYY-MM-DD' } }
+ */
+const STORE_PATH = process.env.CORPORATE_ACTIONS_FILE || path.resolve(__dirname, "..", "..", "Historical", "corporate_actions.json");
+
+const splitKey = s => `${s.symbol}:${s.exDate}:${s.ratio}`;
+const dividendKey = d => `${d.symbol}:${d.exDate}:${d.amount}`;
+
+function emptyStore() {
+  return { splits: [], dividends: [], adjustments: [], lastSync: {} };
+}
+
+/**
+ * @returns {Object} { splits, dividends, adjustments, lastSync }
+ */
+function loadStore() {
+  try {
+    if (fs.existsSync(STORE_PATH)) return { ...emptyStore(), ...JSON.parse(fs.readFileSync(STORE_PATH, "utf-8")) };
+  } catch (err) {
+    console.warn(`⚠️ Could not read ${STORE_PATH}: ${err.message}`);
+  }
+  return emptyStore();
+}
+
+function saveStore(store) {
+  fs.mkdirSync(path.dirname(STORE_PATH), { recursive: true });
+  fs.writeFileSync(STORE_PATH, JSON.stringify(store, null, 2));
+}
+
+/**
+ * Parse a local corporate-actions file
+ *   .json: { splits: [{ symbol, exDate, ratio }], dividends: [{ symbol, exDate, amount, payDate }] }
+ *   .csv:  type,symbol,exDate,ratio,amount,payDate  (type = split | dividend)
+ * @param {string} file
+ * @returns {Object} { splits, dividends }
+ */
+function parseActionsFile(file) {
+  const text = fs.readFileSync(file, "utf-8");
+  if (file.endsWith(".json")) {
+    const json = JSON.parse(text);
+    return { splits: json.splits || [], dividends: json.dividends || [] };
+  }
+  const rows = parse(text, { columns: true, skip_empty_lines: true, trim: true });
+  return {
+    splits: rows.filter(r => r.type === "split").map(r => ({ symbol: r.symbol, exDate: r.exDate, ratio: Number(r.ratio) })),
+    dividends: rows
+      .filter(r => r.type === "dividend")
+      .map(r => ({ symbol: r.symbol, exDate: r.exDate, amount: Number(r.amount), payDate: r.payDate || null })),
+  };
+}
+
+/**
+ * Add actions to the store, ignoring ones already recorded
+ * @param {Object} actions - { splits, dividends }
+ * @param {string} source - provider name or file path, kept with each record
+ * @returns {Object} newly recorded { splits, dividends }
+ */
+function recordActions({ splits = [], dividends = [] }, source) {
+  const store = loadStore();
+  const knownSplits = new Set(store.splits.map(splitKey));
+  const knownDividends = new Set(store.dividends.map(dividendKey));
+  const added = { splits: [], dividends: [] };
+
+  for (const s of splits) {
+    if (!s.ratio || s.ratio === 1 || knownSplits.has(splitKey(s))) continue;
+    const record = { ...s, source, status: "pending" };
+    store.splits.push(record);
+    knownSplits.add(splitKey(s));
+    added.splits.push(record);
+  }
+  for (const d of dividends) {
+    if (!d.amount || knownDividends.has(dividendKey(d))) continue;
+    const record = { ...d, source };
+    store.dividends.push(record);
+    knownDividends.add(dividendKey(d));
+    added.dividends.push(record);
+  }
+  saveStore(store);
+  return added;
+}
+
+// Bar files to adjust directly for a symbol: the resampler source (plus
+// today's intraday file) when it exists, otherwise every stored timeframe
+function symbolFiles(symbol) {
+  const source = resampler.SOURCE_TIMEFRAME;
+  const hasSource = fs.existsSync(barStore.barPath(symbol, source));
+  const files = (hasSource ? [source] : Object.keys(TIMEFRAMES))
+    .filter(tf => fs.existsSync(barStore.barPath(symbol, tf)))
+    .map(tf => ({ timeframe: tf, options: {} }));
+  if (fs.existsSync(barStore.barPath(symbol, source, { store: "today" }))) files.push({ timeframe: source, options: { store: "today" } });
+  return { files, resample: hasSource };
+}
+
+/**
+ * Decide whether a series still holds pre-split prices before the ex-date
+ * @param {Array} bars - sorted bars
+ * @param {number} exStart - epoch ms of the ex-date (New York midnight)
+ * @param {number} ratio
+ * @returns {string} 'adjust' | 'already-adjusted' | 'pending' (no bars after the ex-date yet) | 'not-needed'
+ */
+function splitStatus(bars, exStart, ratio) {
+  const before = bars.filter(b => b.time < exStart);
+  const after = bars.filter(b => b.time >= exStart);
+  if (!before.length) return "not-needed";
+  if (!after.length) return "pending";
+  const gap = before[before.length - 1].close / after[0].open;
+  // Closer (in log terms) to the split ratio than to no change → unadjusted
+  return Math.abs(Math.log(gap / ratio)) < Math.abs(Math.log(gap)) ? "adjust" : "already-adjusted";
+}
+
+/**
+ * Back-adjust every stored file of a split's symbol
+ * @param {Object} split - { symbol, exDate, ratio }
+ * @param {Array<string>} [split.adjusted] - files adjusted on earlier runs (skipped)
+ * @returns {Promise<Object>} { status, adjustments } status 'pending' while some file has no post-split bars yet, else 'done'
+ */
+async function applySplit(split) {
+  const exStart = calendar.nyTime(split.exDate, 0);
+  const adjustments = [];
+  let pending = false;
+  const { files, resample } = symbolFiles(split.symbol);
+
+  const done = new Set(split.adjusted || []); // files already adjusted on an earlier run
+
+  for (const { timeframe, options } of files) {
+    const label = options.store === "today" ? "today_15min" : timeframe;
+    if (done.has(label)) continue;
+    const bars = await barStore.readBars(split.symbol, timeframe, options);
+    // The intraday file only holds today; judge it against the historical series
+    const status = options.store === "today"
+      ? (bars.some(b => b.time < exStart) ? "adjust" : "not-needed")
+      : splitStatus(bars, exStart, split.ratio);
+    if (status === "pending") pending = true;
+    if (status !== "adjust") continue;
+
+    let rows = 0;
+    const adjusted = bars.map(b => {
+      if (b.time >= exStart) return b;
+      rows++;
+      return {
+        ...b,
+        open: b.open / split.ratio,
+        high: b.high / split.ratio,
+        low: b.low / split.ratio,
+        close: b.close / split.ratio,
+        vwap: b.vwap == null ? b.vwap : b.vwap / split.ratio,
+        volume: b.volume * split.ratio,
+      };
+    });
+    await indicatorPipeline.writeBars(split.symbol, timeframe, adjusted, options);
+    adjustments.push({
+      symbol: split.symbol,
+      exDate: split.exDate,
+      ratio: split.ratio,
+      timeframe: label,
+      rows,
+      appliedAt: new Date().toISOString(),
+    });
+  }
+
+  if (adjustments.length && resample) {
+    const written = await resampler.resampleSymbol(split.symbol);
+    for (const [timeframe, rows] of Object.entries(written)) {
+      adjustments.push({ symbol: split.symbol, exDate: split.exDate, ratio: split.ratio, timeframe, rows, resampled: true, appliedAt: new Date().toISOString() });
+    }
+  }
+
+  return { status: pending ? "pending" : "done", adjustments };
+}
+
+/**
+ * Apply every recorded split that has not been fully handled yet
+ * @param {Array<string>} [symbols] - restrict to these symbols
+ * @returns {Promise<Array>} adjustments made (also appended to the store)
+ */
+async function applyPendingSplits(symbols) {
+  const store = loadStore();
+  const made = [];
+
+  for (const split of store.splits) {
+    if (split.status === "done" || (symbols && !symbols.includes(split.symbol))) continue;
+    try {
+      const { status, adjustments } = await applySplit(split);
+      split.status = status;
+      split.adjusted = [...(split.adjusted || []), ...adjustments.filter(a => !a.resampled).map(a => a.timeframe)];
+      for (const a of adjustments) {
+        console.log(a.resampled
+          ? `🔀 ${a.symbol} ${a.timeframe}: rebuilt ${a.rows} bars from adjusted ${resampler.SOURCE_TIMEFRAME} history`
+          : `🔀 ${a.symbol} ${a.timeframe}: ${a.rows} bars before ${a.exDate} divided by ${a.ratio}`);
+      }
+      store.adjustments.push(...adjustments);
+      made.push(...adjustments);
+    } catch (err) {
+      console.warn(`⚠️ Could not apply split ${splitKey(split)}: ${err.message}`);
+    }
+  }
+
+  saveStore(store);
+  return made;
+}
+
+/**
+ * Fetch a symbol's actions from a provider (since its last sync), record them
+ * and back-adjust any split
+ * @param {Object} provider - MarketDataProvider with fetchCorporateActions
+ * @param {string} symbol
+ * @param {Object} [options] - { from } first ex-date to ask for when the symbol was never synced
+ * @returns {Promise<Object>} { splits, dividends, adjustments }
+ */
+async function syncSymbol(provider, symbol, { from } = {}) {
+  if (typeof provider.fetchCorporateActions !== "function") {
+    throw new Error(`Provider ${provider.name} does not supply corporate actions`);
+  }
+  const today = calendar.sessionDate(Date.now());
+  const since = loadStore().lastSync[symbol] || from;
+  const actions = await provider.fetchCorporateActions(symbol, { from: since, to: today });
+  const added = recordActions(actions, provider.name);
+
+  const store = loadStore();
+  store.lastSync[symbol] = today;
+  saveStore(store);
+
+  const adjustments = await applyPendingSplits([symbol]);
+  return { ...added, adjustments };
+}
+
+/**
+ * Recorded cash dividends for a symbol
+ * @param {string} symbol
+ * @returns {Array} [{ symbol, exDate, amount, payDate }] oldest first
+ */
+function dividendsFor(symbol) {
+  return loadStore().dividends.filter(d => d.symbol === symbol).sort((a, b) => a.exDate.localeCompare(b.exDate));
+}
+
+/**
+ * Recorded splits for a symbol
+ * @param {string} symbol
+ * @returns {Array} [{ symbol, exDate, ratio, status }] oldest first
+ */
+function splitsFor(symbol) {
+  return loadStore().splits.filter(s => s.symbol === symbol).sort((a, b) => a.exDate.localeCompare(b.exDate));
+}
+
+module.exports = {
+  STORE_PATH,
+  parseActionsFile,
+  recordActions,
+  applySplit,
+  applyPendingSplits,
+  syncSymbol,
+  dividendsFor,
+  splitsFor,
+};
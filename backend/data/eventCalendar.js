@@ -0,0 +1,329 @@
+// backend/data/eventCalendar.js
+const fs = require("fs");
+const path = require("path");
+const { parse } = require("csv-parse/sync");
+const config = require("../config/events");
+const calendar = require("../utils/tradingCalendar");
+const clock = require("../utils/clock");
+
+/**
+ * Earnings and macro-event calendar, and the rules that suppress, downgrade
+ * or annotate alerts whose holding period crosses an event.
+ *
+ * Store (Historical/events.json):
+ *   { updatedAt, events: [{ type, symbol, date, time, description, source }] }
+ *   type   earnings | fomc | cpi | nfp | pce | gdp | any other label from the CSV
+ *   symbol ticker for company events, null for macro releases
+ *   time   bmo | amc | dmh | HH:MM (New York) | null when unknown
+ *
+ * Distances are counted in trading sessions: 0 = later today, 1 = next session.
+ */
+const SEVERITY = { off: 0, annotate: 1, downgrade: 2, suppress: 3 };
+const EVENT_MINUTES = { bmo: 8 * 60, dmh: 12 * 60, amc: 16 * 60 + 5 };
+const IMPORTANCE = ["Low", "Medium", "High"];
+const RISK = ["Low", "Medium", "High"];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const eventKey = e => `${e.type}:${e.symbol || ""}:${e.date}`;
+
+function emptyStore() {
+  return { updatedAt: null, events: [] };
+}
+
+// Parsed store, reused while the file is unchanged
+let cached = { mtimeMs: null, store: null };
+
+/**
+ * @returns {Object} { updatedAt, events }
+ */
+function loadStore() {
+  try {
+    if (!fs.existsSync(config.file)) return emptyStore();
+    const { mtimeMs } = fs.statSync(config.file);
+    if (cached.mtimeMs !== mtimeMs) cached = { mtimeMs, store: { ...emptyStore(), ...JSON.parse(fs.readFileSync(config.file, "utf-8")) } };
+    return cached.store;
+  } catch (err) {
+    console.warn(`⚠️ Could not read ${config.file}: ${err.message}`);
+    return emptyStore();
+  }
+}
+
+function saveStore(store) {
+  store.events.sort((a, b) => a.date.localeCompare(b.date) || eventKey(a).localeCompare(eventKey(b)));
+  fs.mkdirSync(path.dirname(config.file), { recursive: true });
+  fs.writeFileSync(config.file, JSON.stringify(store, null, 2));
+  cached = { mtimeMs: null, store: null };
+}
+
+/**
+ * @param {Object} [store]
+ * @returns {boolean} true when the provider data is older than EVENT_REFRESH_HOURS
+ */
+function isStale(store = loadStore()) {
+  return !store.updatedAt || Date.now() - Date.parse(store.updatedAt) > config.refreshHours * 60 * 60 * 1000;
+}
+
+/**
+ * Parse a local event file
+ *   date,type,symbol,time,description
+ *   2025-10-29,fomc,,14:00,FOMC rate decision
+ *   2025-10-30,earnings,AAPL,amc,Q4 earnings
+ * @param {string} file
+ * @returns {Array<Object>} events
+ */
+function parseEventsCsv(file) {
+  const rows = parse(fs.readFileSync(file, "utf-8"), { columns: true, skip_empty_lines: true, trim: true, comment: "#" });
+  const events = [];
+  for (const row of rows) {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(row.date || "") || !row.type) {
+      console.warn(`⚠️ Skipping event row without a valid date/type in ${file}: ${JSON.stringify(row)}`);
+      continue;
+    }
+    events.push({
+      type: row.type.toLowerCase(),
+      symbol: row.symbol ? row.symbol.toUpperCase() : null,
+      date: row.date,
+      time: row.time ? row.time.toLowerCase() : null,
+      description: row.description || null,
+    });
+  }
+  return events;
+}
+
+/**
+ * Replace the events a source reported for a range, keeping everything else
+ * @param {Object} store
+ * @param {Array<Object>} events
+ * @param {Object} scope - { source, from, to, types } what the source was asked for
+ * @returns {number} events now recorded from this source in the range
+ */
+function replaceEvents(store, events, { source, from = null, to = null, types = null }) {
+  const inScope = e => e.source === source && (!from || e.date >= from) && (!to || e.date <= to) && (!types || types.includes(e.type));
+  const kept = store.events.filter(e => !inScope(e));
+  const byKey = new Map(kept.map(e => [eventKey(e), e]));
+  for (const event of events) byKey.set(eventKey(event), { ...event, source });
+  store.events = [...byKey.values()];
+  return events.length;
+}
+
+function loadProvider(name) {
+  if (name === "finnhub") return require("../providers/finnhubProvider");
+  const provider = require("../providers").getProvider(name);
+  if (typeof provider.fetchEarnings !== "function") throw new Error(`${name} does not supply earnings dates`);
+  return provider;
+}
+
+/**
+ * Fetch earnings (and macro releases where the provider has them) for the
+ * coming EVENT_LOOKAHEAD_DAYS and re-import the local CSV
+ * @param {Object} [options]
+ * @param {Array<string>} [options.symbols] - symbols to keep earnings for
+ * @param {string} [options.provider] - finnhub | yahoo
+ * @param {string} [options.csvFile] - local event file (skipped when missing)
+ * @returns {Promise<Object>} { from, to, earnings, macro, csv, total }
+ */
+async function refreshEvents({ symbols = null, provider = config.provider, csvFile = config.csvFile } = {}) {
+  const from = clock.today();
+  const to = new Date(Date.parse(`${from}T00:00:00Z`) + config.lookaheadDays * DAY_MS).toISOString().slice(0, 10);
+  const current = loadStore();
+  const store = { ...current, events: [...current.events] };
+  const summary = { from, to, earnings: 0, macro: 0, csv: 0 };
+
+  if (provider) {
+    const source = loadProvider(provider);
+    try {
+      const earnings = await source.fetchEarnings({ from, to, symbols });
+      summary.earnings = replaceEvents(store, earnings, { source: source.name, from, to, types: ["earnings"] });
+    } catch (err) {
+      console.warn(`⚠️ Earnings calendar from ${source.name} failed: ${err.message}`);
+    }
+    if (typeof source.fetchEconomicEvents === "function") {
+      try {
+        const macro = await source.fetchEconomicEvents({ from, to });
+        summary.macro = replaceEvents(store, macro, { source: source.name, from, to, types: [...new Set(macro.map(e => e.type))] });
+      } catch (err) {
+        console.warn(`⚠️ Economic calendar from ${source.name} unavailable (${err.message}); macro events come from ${csvFile} only.`);
+      }
+    }
+  }
+
+  if (csvFile && fs.existsSync(csvFile)) summary.csv = replaceEvents(store, parseEventsCsv(csvFile), { source: "csv" });
+
+  store.updatedAt = new Date().toISOString();
+  saveStore(store);
+  return { ...summary, total: store.events.length };
+}
+
+/**
+ * When an event happens: bmo 08:00, dmh 12:00, amc 16:05, HH:MM as given.
+ * An unknown time counts as after the close, so the event stays ahead all day.
+ * @param {Object} event
+ * @returns {number} epoch ms
+ */
+function eventTime(event) {
+  const clockTime = /^(\d{1,2}):(\d{2})$/.exec(event.time || "");
+  const minutes = clockTime ? Number(clockTime[1]) * 60 + Number(clockTime[2]) : EVENT_MINUTES[event.time] ?? EVENT_MINUTES.amc;
+  return calendar.nyTime(event.date, minutes);
+}
+
+/**
+ * Trading sessions from a time to a date (0 = the same day)
+ * @param {string} date - YYYY-MM-DD
+ * @param {number|Date} [now]
+ * @returns {number}
+ */
+function sessionsUntil(date, now = clock.now()) {
+  const today = calendar.sessionDate(now);
+  if (date <= today) return 0;
+  return calendar.tradingDaysBetween(calendar.nextTradingDay(today), date).length;
+}
+
+/**
+ * Events still ahead of `now` up to a horizon, for a symbol plus all macro releases
+ * @param {string|null} symbol - null for macro releases only
+ * @param {Object} [options]
+ * @param {number|Date} [options.now]
+ * @param {number} [options.sessions] - horizon in trading sessions (0 = rest of today)
+ * @param {string} [options.until] - horizon as a date (YYYY-MM-DD), e.g. an option expiration
+ * @param {Array<Object>} [options.events] - event list to search (default: the store)
+ * @returns {Array<Object>} events with sessionsAway, soonest first
+ */
+function upcomingEvents(symbol, { now = clock.now(), sessions = config.defaultHorizonSessions, until = null, events = loadStore().events } = {}) {
+  const nowMs = now instanceof Date ? now.getTime() : now;
+  const end = until || calendar.nextTradingDay(calendar.sessionDate(nowMs), sessions);
+  const today = calendar.sessionDate(nowMs);
+  return events
+    .filter(e => (e.symbol === null || e.symbol === symbol) && e.date >= today && e.date <= end && eventTime(e) > nowMs)
+    .map(e => ({ ...e, sessionsAway: sessionsUntil(e.date, nowMs) }))
+    .sort((a, b) => eventTime(a) - eventTime(b));
+}
+
+/**
+ * Next earnings report of a symbol
+ * @param {string} symbol
+ * @param {number|Date} [now]
+ * @returns {Object|null} event with sessionsAway
+ */
+function nextEarnings(symbol, now = clock.now()) {
+  const nowMs = now instanceof Date ? now.getTime() : now;
+  const next = loadStore().events
+    .filter(e => e.type === "earnings" && e.symbol === symbol && eventTime(e) > nowMs)
+    .sort((a, b) => eventTime(a) - eventTime(b))[0];
+  return next ? { ...next, sessionsAway: sessionsUntil(next.date, nowMs) } : null;
+}
+
+/**
+ * @param {string} symbol
+ * @param {number|Date} [now]
+ * @returns {number|null} trading sessions to the next earnings report, null when none is known
+ */
+function daysToNextEarnings(symbol, now = clock.now()) {
+  return nextEarnings(symbol, now)?.sessionsAway ?? null;
+}
+
+/**
+ * Macro releases within a number of sessions
+ * @param {number} sessions
+ * @param {number|Date} [now]
+ * @returns {Array<Object>} events with sessionsAway
+ */
+function macroEventsWithin(sessions, now = clock.now()) {
+  return upcomingEvents(null, { now, sessions });
+}
+
+/**
+ * @param {number} sessions
+ * @param {number|Date} [now]
+ * @returns {boolean} true when a macro release falls within the window
+ */
+function macroEventWithin(sessions, now = clock.now()) {
+  return macroEventsWithin(sessions, now).length > 0;
+}
+
+/**
+ * Configured action for an event type
+ * @param {string} type
+ * @returns {string} suppress | downgrade | annotate | off
+ */
+function actionFor(type) {
+  return config.actions[type] || config.defaultAction;
+}
+
+/**
+ * Events an alert's holding period crosses and the strongest configured action
+ * @param {string} symbol
+ * @param {Object} [options] - { now, sessions, until } as in upcomingEvents
+ * @returns {Object} { action: suppress | downgrade | annotate | null, events, note }
+ */
+function checkAlert(symbol, options = {}) {
+  const events = upcomingEvents(symbol, options)
+    .map(e => ({ type: e.type, symbol: e.symbol, date: e.date, time: e.time, description: e.description, sessionsAway: e.sessionsAway, action: actionFor(e.type) }))
+    .filter(e => e.action !== "off");
+  if (!events.length) return { action: null, events: [], note: null };
+
+  const action = events.reduce((worst, e) => (SEVERITY[e.action] > SEVERITY[worst] ? e.action : worst), "annotate");
+  const note = events
+    .map(e => `${e.symbol ? `${e.symbol} ` : ""}${e.type.toUpperCase()} ${e.date}${e.time ? ` ${e.time}` : ""} (${e.sessionsAway === 0 ? "today" : `in ${e.sessionsAway} session${e.sessionsAway === 1 ? "" : "s"}`})`)
+    .join("; ");
+  return { action, events, note };
+}
+
+/**
+ * Apply a checkAlert() result to a strat_test-style alert ({ importance, riskLevel })
+ * @param {Object} alert
+ * @param {Object} check - checkAlert() result
+ * @returns {Object|null} annotated (and possibly downgraded) alert, null when suppressed
+ */
+function applyToAlert(alert, check) {
+  if (!check.action) return alert;
+  if (check.action === "suppress") return null;
+  const result = { ...alert, events: check.events, eventNote: check.note };
+  if (check.action === "downgrade") {
+    if (result.importance) result.importance = IMPORTANCE[Math.max(0, IMPORTANCE.indexOf(result.importance) - 1)];
+    if (result.riskLevel) result.riskLevel = RISK[Math.min(RISK.length - 1, RISK.indexOf(result.riskLevel) + 1)];
+    result.eventDowngraded = true;
+  }
+  return result;
+}
+
+/**
+ * Point-in-time event lookups for one symbol, for strategies and backtests
+ * @param {string} symbol
+ * @returns {Object} { daysToEarnings(time), nextEarnings(time), macroEventWithin(time, sessions), eventsWithin(time, sessions) }
+ */
+function view(symbol) {
+  const events = loadStore().events.filter(e => e.symbol === null || e.symbol === symbol);
+  const earnings = events.filter(e => e.type === "earnings" && e.symbol === symbol).map(e => ({ ...e, at: eventTime(e) })).sort((a, b) => a.at - b.at);
+
+  const next = time => earnings.find(e => e.at > time) || null;
+  return {
+    nextEarnings: time => {
+      const e = next(time);
+      return e ? { ...e, sessionsAway: sessionsUntil(e.date, time) } : null;
+    },
+    daysToEarnings: time => {
+      const e = next(time);
+      return e ? sessionsUntil(e.date, time) : null;
+    },
+    macroEventWithin: (time, sessions = 1) => upcomingEvents(null, { now: time, sessions, events }).length > 0,
+    eventsWithin: (time, sessions = config.defaultHorizonSessions) => upcomingEvents(symbol, { now: time, sessions, events }),
+  };
+}
+
+module.exports = {
+  loadStore,
+  isStale,
+  parseEventsCsv,
+  refreshEvents,
+  eventTime,
+  sessionsUntil,
+  upcomingEvents,
+  nextEarnings,
+  daysToNextEarnings,
+  macroEventsWithin,
+  macroEventWithin,
+  actionFor,
+  checkAlert,
+  applyToAlert,
+  view,
+};
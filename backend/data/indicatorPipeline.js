@@ -0,0 +1,251 @@
+// backend/data/indicatorPipeline.js
+const fs = require("fs");
+const barStore = require("./barStore");
+const { INDICATOR_COLUMNS, OPTIONAL_INDICATOR_GROUPS } = require("./barSchema");
+const { createIndicatorSet } = require("../utils/indicatorState");
+const config = require("../config/indicators");
+
+/**
+ * Keeps the stored indicator columns (barSchema INDICATOR_COLUMNS) equal to a
+ * calculation over the symbol's full history. Recursive indicators (EMA,
+ * Wilder RSI/ATR/ADX) therefore never restart from an empty warmup.
+ *
+ * The indicators are incremental (backend/utils/indicatorState.js) and their
+ * state after the last stored bar is saved next to the bar file
+ * (<SYMBOL>.indicators.json). An append that only adds bars, or revises the
+ * last one, continues from that state instead of recomputing the history, so
+ * live updates cost O(new bars) and survive a restart. Anything else (older
+ * bars changed, different BAR_INDICATORS, missing state) recomputes the file.
+ *
+ * The intraday store only holds the current session, so a full recompute of it
+ * is warmed up with the trailing WARMUP_BARS bars of the historical file for
+ * the same timeframe.
+ */
+const WARMUP_BARS = 500; // Wilder smoothing decays by (13/14)^500 ≈ 1e-16
+
+// Stored columns ← indicator; columns(value) maps its value to the columns
+const BASE_COLUMNS = {
+  sma20: { type: "sma", params: { period: 20 }, columns: v => ({ sma20: v }) },
+  sma50: { type: "sma", params: { period: 50 }, columns: v => ({ sma50: v }) },
+  ema20: { type: "ema", params: { period: 20 }, columns: v => ({ ema20: v }) },
+  rsi14: { type: "rsi", params: { period: 14 }, columns: v => ({ rsi14: v }) },
+  atr14: { type: "atr", params: { period: 14 }, columns: v => ({ atr14: v }) },
+  bollinger: { type: "bollinger", params: { period: 20, mult: 2 }, columns: v => ({ bollingerUpper: v.upper, bollingerLower: v.lower }) },
+};
+
+// Optional column groups (BAR_INDICATORS), same keys as barSchema OPTIONAL_INDICATOR_GROUPS
+const OPTIONAL_COLUMNS = {
+  dmi: { type: "dmi", params: { period: 14 }, columns: v => ({ plusDI14: v.plusDI, minusDI14: v.minusDI, adx14: v.adx }) },
+  macd: { type: "macd", params: {}, columns: v => ({ macd: v.macd, macdSignal: v.signal, macdHistogram: v.histogram }) },
+  stochastic: { type: "stochastic", params: {}, columns: v => ({ stochK: v.k, stochD: v.d }) },
+  williamsR: { type: "williamsR", params: { period: 14 }, columns: v => ({ williamsR14: v }) },
+  obv: { type: "obv", params: {}, columns: v => ({ obv: v }) },
+  vwap: { type: "vwap", params: {}, columns: v => ({ sessionVwap: v.vwap, sessionVwapUpper: v.upper, sessionVwapLower: v.lower }) },
+  keltner: { type: "keltner", params: {}, columns: v => ({ keltnerUpper: v.upper, keltnerLower: v.lower }) },
+  donchian: { type: "donchian", params: {}, columns: v => ({ donchianUpper: v.upper, donchianLower: v.lower }) },
+  supertrend: { type: "supertrend", params: {}, columns: v => ({ supertrend: v.supertrend, supertrendDirection: v.direction }) },
+  ichimoku: { type: "ichimoku", params: {}, columns: v => ({ ichimokuConversion: v.conversion, ichimokuBase: v.base, ichimokuSpanA: v.spanA, ichimokuSpanB: v.spanB }) },
+};
+
+const warnedGroups = new Set();
+
+function enabledGroups(groups) {
+  const names = groups || Object.keys(OPTIONAL_INDICATOR_GROUPS);
+  for (const name of names) {
+    if (OPTIONAL_COLUMNS[name] || warnedGroups.has(name)) continue;
+    warnedGroups.add(name);
+    console.warn(`⚠️ Unknown indicator group "${name}" in BAR_INDICATORS (known: ${Object.keys(OPTIONAL_COLUMNS).join(", ")})`);
+  }
+  return names.filter(name => OPTIONAL_COLUMNS[name]).sort();
+}
+
+function columnSpec(groups) {
+  const spec = { ...BASE_COLUMNS };
+  for (const name of enabledGroups(groups)) spec[`group:${name}`] = OPTIONAL_COLUMNS[name];
+  return spec;
+}
+
+// Run bars through an indicator set; also returns the set state before the last bar
+function runBars(set, spec, bars) {
+  let prevState = null;
+  const computed = bars.map((bar, i) => {
+    if (i === bars.length - 1) prevState = JSON.parse(JSON.stringify(set.toJSON()));
+    const values = set.update(bar);
+    const row = { ...bar };
+    for (const [name, { columns }] of Object.entries(spec)) Object.assign(row, columns(values[name]));
+    return row;
+  });
+  return { computed, prevState, state: set.toJSON() };
+}
+
+/**
+ * Compute every stored indicator column over a full series
+ * @param {Array} bars - bars sorted oldest first
+ * @param {Array<string>|null} [groups] - optional column groups to add (default BAR_INDICATORS, null = all)
+ * @returns {Array} copies of the bars with the indicator columns filled (null during warmup)
+ */
+function computeIndicators(bars, groups = config.groups) {
+  const spec = columnSpec(groups);
+  return runBars(createIndicatorSet(spec), spec, bars).computed;
+}
+
+// ---- Saved indicator state ----
+function statePath(symbol, timeframe, options) {
+  return barStore.barPath(symbol, timeframe, options).replace(/\.parquet$/, ".indicators.json");
+}
+
+function loadState(symbol, timeframe, options) {
+  const file = statePath(symbol, timeframe, options);
+  try {
+    return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, "utf-8")) : null;
+  } catch (err) {
+    console.warn(`⚠️ Ignoring unreadable indicator state ${file}: ${err.message}`);
+    return null;
+  }
+}
+
+function saveState(symbol, timeframe, options, bars, run) {
+  const file = statePath(symbol, timeframe, options);
+  const saved = {
+    groups: enabledGroups(config.groups),
+    rows: bars.length,
+    lastTime: bars[bars.length - 1].time,
+    prevTime: bars.length > 1 ? bars[bars.length - 2].time : null,
+    state: run.state,
+    prevState: run.prevState,
+  };
+  const tmp = `${file}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(saved));
+  fs.renameSync(tmp, file);
+}
+
+/**
+ * Delete the saved indicator state of a bar file (call when the file is removed)
+ * @param {string} symbol
+ * @param {string} timeframe
+ * @param {Object} [options] - { store }
+ */
+function clearState(symbol, timeframe, options = {}) {
+  fs.rmSync(statePath(symbol, timeframe, options), { force: true });
+}
+
+// Drop any indicator values carried on incoming bars; they are always recomputed
+function stripIndicators(bar) {
+  const copy = { ...bar };
+  for (const col of INDICATOR_COLUMNS) delete copy[col];
+  return copy;
+}
+
+function mergeByTime(existing, incoming) {
+  const byTime = new Map();
+  for (const bar of existing) byTime.set(bar.time, stripIndicators(bar));
+  for (const bar of incoming) byTime.set(bar.time, { ...byTime.get(bar.time), ...stripIndicators(bar) });
+  return [...byTime.values()].sort((a, b) => a.time - b.time);
+}
+
+// Trailing history used to warm up the intraday store
+async function warmupBars(symbol, timeframe, bars, store) {
+  if (store !== "today" || !bars.length) return [];
+  const history = await barStore.readBars(symbol, timeframe, { to: bars[0].time - 1 });
+  return history.slice(-WARMUP_BARS).map(stripIndicators);
+}
+
+// Recompute indicators over [warmup + bars], write `bars` back and save the state
+async function writeWithIndicators(symbol, timeframe, bars, options) {
+  const warmup = await warmupBars(symbol, timeframe, bars, options.store);
+  const spec = columnSpec(config.groups);
+  const run = runBars(createIndicatorSet(spec), spec, [...warmup, ...bars]);
+  const computed = run.computed.slice(warmup.length);
+  await barStore.writeBars(symbol, timeframe, computed, options);
+  if (computed.length) saveState(symbol, timeframe, options, computed, run);
+  return computed;
+}
+
+const PRICE_FIELDS = ["open", "high", "low", "close", "volume", "trades", "vwap"];
+
+// Incoming bar that adds a timestamp or changes a stored one
+function changes(stored, bar) {
+  return !stored || PRICE_FIELDS.some(f => bar[f] !== undefined && bar[f] !== null && bar[f] !== stored[f]);
+}
+
+/**
+ * Where an append can continue from the saved state
+ * @returns {Object|null} { index, state } - recompute merged[index..] from state; null = full recompute
+ */
+function resumePoint(saved, existing, firstChanged) {
+  if (!saved || !existing.length || saved.rows !== existing.length) return null;
+  if (JSON.stringify(saved.groups) !== JSON.stringify(enabledGroups(config.groups))) return null;
+  if (saved.lastTime !== existing[existing.length - 1].time) return null;
+
+  if (firstChanged > saved.lastTime) return { index: existing.length, state: saved.state };
+  const prevTime = existing.length > 1 ? existing[existing.length - 2].time : null;
+  if (firstChanged === saved.lastTime && saved.prevState && saved.prevTime === prevTime) {
+    return { index: existing.length - 1, state: saved.prevState };
+  }
+  return null;
+}
+
+/**
+ * Merge new bars into a symbol's file and bring its indicator columns up to
+ * date (drop-in replacement for barStore.appendBars)
+ * @param {string} symbol
+ * @param {string} timeframe
+ * @param {Array} bars - provider or stored bars
+ * @param {Object} [options] - { store }
+ * @returns {Promise<number>} number of bars whose timestamp was not already stored
+ */
+async function appendBars(symbol, timeframe, bars, options = {}) {
+  if (!bars || !bars.length) return 0;
+  const existing = await barStore.readBars(symbol, timeframe, options);
+  const byTime = new Map(existing.map(b => [b.time, b]));
+  const changed = bars.filter(b => changes(byTime.get(b.time), b));
+  if (!changed.length) return 0;
+
+  const merged = mergeByTime(existing, bars);
+  const firstChanged = Math.min(...changed.map(b => b.time));
+  const resume = resumePoint(loadState(symbol, timeframe, options), existing, firstChanged);
+  if (!resume) {
+    await writeWithIndicators(symbol, timeframe, merged, options);
+  } else {
+    const spec = columnSpec(config.groups);
+    const run = runBars(createIndicatorSet(spec, resume.state), spec, merged.slice(resume.index));
+    const computed = [...existing.slice(0, resume.index), ...run.computed];
+    await barStore.writeBars(symbol, timeframe, computed, options);
+    saveState(symbol, timeframe, options, computed, run);
+  }
+  return bars.filter(b => !byTime.has(b.time)).length;
+}
+
+/**
+ * Replace a symbol's bars entirely, with indicators computed over them
+ * @param {string} symbol
+ * @param {string} timeframe
+ * @param {Array} bars
+ * @param {Object} [options] - { store }
+ */
+async function writeBars(symbol, timeframe, bars, options = {}) {
+  await writeWithIndicators(symbol, timeframe, mergeByTime([], bars), options);
+}
+
+/**
+ * Recompute the indicator columns of an existing file in place
+ * @param {string} symbol
+ * @param {string} timeframe
+ * @param {Object} [options] - { store }
+ * @returns {Promise<number>} rows rewritten
+ */
+async function recomputeFile(symbol, timeframe, options = {}) {
+  const existing = await barStore.readBars(symbol, timeframe, options);
+  if (!existing.length) return 0;
+  await writeWithIndicators(symbol, timeframe, mergeByTime([], existing), options);
+  return existing.length;
+}
+
+module.exports = {
+  WARMUP_BARS,
+  computeIndicators,
+  appendBars,
+  writeBars,
+  recomputeFile,
+  clearState,
+};
@@ -0,0 +1,145 @@
+// backend/data/optionAnalytics.js
+const optionStore = require("./optionStore");
+const calendar = require("../utils/tradingCalendar");
+const clock = require("../utils/clock");
+
+/**
+ * Implied-volatility history from the option-chain snapshot store.
+ *
+ * Per snapshot:
+ *   atmIv - IV at the strike nearest spot (call/put average), interpolated
+ *           between the expirations around TARGET_DAYS calendar days out
+ *   skew  - put IV at spot × (1 − SKEW_WIDTH) minus call IV at spot × (1 + SKEW_WIDTH),
+ *           same expirations; positive when downside protection is bid up
+ * IV rank compares the latest session's closing atmIv with the range of the
+ * previous LOOKBACK sessions.
+ */
+const TARGET_DAYS = 30;
+const SKEW_WIDTH = 0.05;
+const LOOKBACK_SESSIONS = 252;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const average = values => (values.length ? values.reduce((a, b) => a + b, 0) / values.length : null);
+
+// IV of the contract(s) whose strike is nearest the target
+function ivNear(contracts, target, type = null) {
+  const candidates = contracts.filter(c => c.iv > 0 && (!type || c.type === type));
+  if (!candidates.length) return null;
+  let best = Infinity;
+  for (const c of candidates) best = Math.min(best, Math.abs(c.strike - target));
+  return average(candidates.filter(c => Math.abs(c.strike - target) === best).map(c => c.iv));
+}
+
+/**
+ * ATM IV and skew of one expiration
+ * @param {Array<Object>} contracts - rows of a single expiration
+ * @param {number} spot
+ * @param {number} [width] - skew strike distance as a fraction of spot
+ * @returns {Object} { atmIv, skew } (null when not enough quotes)
+ */
+function expirationSurface(contracts, spot, width = SKEW_WIDTH) {
+  const putWing = ivNear(contracts, spot * (1 - width), "put");
+  const callWing = ivNear(contracts, spot * (1 + width), "call");
+  return {
+    atmIv: ivNear(contracts, spot),
+    skew: putWing !== null && callWing !== null ? putWing - callWing : null,
+  };
+}
+
+// Linear interpolation of a field between the expirations around the target
+function interpolate(points, field, targetDays) {
+  const usable = points.filter(p => p[field] !== null);
+  if (!usable.length) return null;
+  const below = usable.filter(p => p.days <= targetDays).pop();
+  const above = usable.find(p => p.days >= targetDays);
+  if (!below || !above || below === above) return (below || above)[field];
+  const weight = (targetDays - below.days) / (above.days - below.days);
+  return below[field] + (above[field] - below[field]) * weight;
+}
+
+/**
+ * Constant-maturity ATM IV and skew of one snapshot
+ * @param {Object} snapshot - { time, spot, contracts } (optionStore.groupSnapshots)
+ * @param {Object} [options] - { targetDays, width }
+ * @returns {Object|null} { time, date, spot, atmIv, skew, expirations }
+ */
+function summarizeSnapshot({ time, spot, contracts }, { targetDays = TARGET_DAYS, width = SKEW_WIDTH } = {}) {
+  if (!spot) return null;
+  const byExpiration = new Map();
+  for (const c of contracts) {
+    if (!byExpiration.has(c.expiration)) byExpiration.set(c.expiration, []);
+    byExpiration.get(c.expiration).push(c);
+  }
+
+  const points = [];
+  for (const [expiration, rows] of byExpiration) {
+    const close = calendar.sessionClose(expiration) ?? calendar.nyTime(expiration, 16 * 60);
+    const days = (close - time) / DAY_MS;
+    if (days <= 0) continue;
+    points.push({ days, ...expirationSurface(rows, spot, width) });
+  }
+  points.sort((a, b) => a.days - b.days);
+
+  const atmIv = interpolate(points, "atmIv", targetDays);
+  if (atmIv === null) return null;
+  return { time, date: calendar.sessionDate(time), spot, atmIv, skew: interpolate(points, "skew", targetDays), expirations: points.length };
+}
+
+/**
+ * ATM IV and skew for every stored snapshot
+ * @param {string} underlying
+ * @param {Object} [options] - { from, to } YYYY-MM-DD, { targetDays, width }
+ * @returns {Promise<Array<Object>>} [{ time, date, spot, atmIv, skew, expirations }] oldest first
+ */
+async function ivHistory(underlying, options = {}) {
+  const rows = await optionStore.readChains(underlying, { from: options.from, to: options.to });
+  return optionStore.groupSnapshots(rows).map(s => summarizeSnapshot(s, options)).filter(Boolean);
+}
+
+/**
+ * Last snapshot of each session
+ * @param {Array<Object>} history - ivHistory() output
+ * @returns {Array<Object>} one entry per date, oldest first
+ */
+function dailyCloses(history) {
+  const byDate = new Map();
+  for (const point of history) byDate.set(point.date, point);
+  return [...byDate.values()];
+}
+
+/**
+ * IV rank and percentile of the latest session against the lookback window
+ * @param {string} underlying
+ * @param {Object} [options] - { date (YYYY-MM-DD, default today), lookback (sessions), targetDays, width }
+ * @returns {Promise<Object|null>} { date, atmIv, skew, ivRank, ivPercentile, low, high, sessions }
+ */
+async function ivRank(underlying, { date = clock.today(), lookback = LOOKBACK_SESSIONS, ...options } = {}) {
+  const from = calendar.sessionDate(Date.parse(`${date}T12:00:00Z`) - Math.ceil(lookback * 7 / 5 + 10) * DAY_MS);
+  const closes = dailyCloses(await ivHistory(underlying, { ...options, from, to: date })).slice(-(lookback + 1));
+  if (!closes.length) return null;
+
+  const current = closes[closes.length - 1];
+  const past = closes.slice(0, -1).map(p => p.atmIv);
+  const low = Math.min(current.atmIv, ...past);
+  const high = Math.max(current.atmIv, ...past);
+  return {
+    date: current.date,
+    atmIv: current.atmIv,
+    skew: current.skew,
+    ivRank: past.length && high > low ? ((current.atmIv - low) / (high - low)) * 100 : null,
+    ivPercentile: past.length ? (past.filter(v => v < current.atmIv).length / past.length) * 100 : null,
+    low,
+    high,
+    sessions: closes.length,
+  };
+}
+
+module.exports = {
+  TARGET_DAYS,
+  SKEW_WIDTH,
+  expirationSurface,
+  summarizeSnapshot,
+  ivHistory,
+  dailyCloses,
+  ivRank,
+};
@@ -0,0 +1,252 @@
+// backend/data/optionStore.js
+const fs = require("fs");
+const path = require("path");
+const parquet = require("parquets");
+const calendar = require("../utils/tradingCalendar");
+
+/**
+ * Historical option-chain snapshots, one row per contract per snapshot.
+ *
+ * Layout (partitioned by underlying and session date):
+ *   Historical/options/<UNDERLYING>/<YYYY-MM-DD>.parquet   (OPTION_STORE_DIR)
+ *
+ * A row is keyed by (snapshotTime, expiration, type, strike). Like the bar
+ * store, a day file is rewritten with existing + new rows on every save.
+ */
+const OPTION_STORE_DIR = process.env.OPTION_STORE_DIR || path.resolve(__dirname, "..", "..", "Historical", "options");
+const OPTION_SCHEMA_VERSION = 1;
+const VERSION_KEY = "optionSchemaVersion";
+
+const schema = new parquet.ParquetSchema({
+  underlying: { type: "UTF8" },
+  snapshotTime: { type: "TIMESTAMP_MILLIS" },
+  expiration: { type: "UTF8" },
+  type: { type: "UTF8" },
+  strike: { type: "DOUBLE" },
+  contract: { type: "UTF8" },
+  bid: { type: "DOUBLE", optional: true },
+  ask: { type: "DOUBLE", optional: true },
+  last: { type: "DOUBLE", optional: true },
+  iv: { type: "DOUBLE", optional: true },
+  openInterest: { type: "DOUBLE", optional: true },
+  volume: { type: "DOUBLE", optional: true },
+  spot: { type: "DOUBLE", optional: true },
+  source: { type: "UTF8", optional: true },
+});
+
+const NUMERIC = ["bid", "ask", "last", "iv", "openInterest", "volume", "spot"];
+
+/**
+ * Stored option contract
+ * @typedef {Object} OptionRow
+ * @property {string} underlying
+ * @property {number} snapshotTime - epoch ms
+ * @property {string} expiration - YYYY-MM-DD
+ * @property {string} type - call | put
+ * @property {number} strike
+ * @property {string} contract - OCC symbol without the "O:" prefix
+ * @property {number|null} bid
+ * @property {number|null} ask
+ * @property {number|null} last
+ * @property {number|null} iv - implied volatility as reported by the feed
+ * @property {number|null} openInterest
+ * @property {number|null} volume
+ * @property {number|null} spot - underlying price at the snapshot
+ * @property {string|null} source - finnhub | polygon
+ */
+
+/**
+ * OCC option symbol → its parts
+ * @param {string} symbol - e.g. AAPL251017C00150000 (an "O:" prefix is allowed)
+ * @returns {Object|null} { underlying, expiration, type, strike }
+ */
+function parseOptionSymbol(symbol) {
+  const m = String(symbol || "").replace(/^O:/, "").match(/^([A-Z.]+)(\d{2})(\d{2})(\d{2})([CP])(\d+)$/);
+  if (!m) return null;
+  const [, underlying, yy, mm, dd, typeChar, strikeRaw] = m;
+  return { underlying, expiration: `20${yy}-${mm}-${dd}`, type: typeChar === "C" ? "call" : "put", strike: parseInt(strikeRaw, 10) / 1000 };
+}
+
+const num = value => {
+  if (value === undefined || value === null || value === "") return null;
+  const n = Number(value);
+  return Number.isFinite(n) ? n : null;
+};
+
+/**
+ * Finnhub or Polygon chain entry → normalized contract
+ * @param {Object} raw - Finnhub option-chain entry or Polygon options snapshot result
+ * @returns {Object|null} { contract, expiration, type, strike, bid, ask, last, iv, openInterest, volume }
+ */
+function normalizeContract(raw) {
+  if (!raw) return null;
+  if (raw.details) {
+    // Polygon /v3/snapshot/options
+    const parsed = parseOptionSymbol(raw.details.ticker);
+    if (!parsed) return null;
+    return {
+      contract: raw.details.ticker.replace(/^O:/, ""),
+      expiration: raw.details.expiration_date || parsed.expiration,
+      type: raw.details.contract_type || parsed.type,
+      strike: num(raw.details.strike_price) ?? parsed.strike,
+      bid: num(raw.last_quote?.bid),
+      ask: num(raw.last_quote?.ask),
+      last: num(raw.last_trade?.price ?? raw.day?.close),
+      iv: num(raw.implied_volatility),
+      openInterest: num(raw.open_interest),
+      volume: num(raw.day?.volume),
+    };
+  }
+  // Finnhub /option-chain
+  const symbol = raw.instrument?.symbol || raw.symbol || raw.contractName;
+  const parsed = parseOptionSymbol(symbol);
+  if (!parsed) return null;
+  return {
+    contract: symbol,
+    expiration: raw.expirationDate || parsed.expiration,
+    type: parsed.type,
+    strike: parsed.strike,
+    bid: num(raw.bid),
+    ask: num(raw.ask),
+    last: num(raw.lastPrice ?? raw.last),
+    iv: num(raw.impliedVolatility ?? raw.iv),
+    openInterest: num(raw.openInterest),
+    volume: num(raw.volume),
+  };
+}
+
+const dayPath = (underlying, date) => path.join(OPTION_STORE_DIR, underlying, `${date}.parquet`);
+const rowKey = r => `${r.snapshotTime}|${r.expiration}|${r.type}|${r.strike}`;
+
+function fromRow(row) {
+  const result = { ...row, snapshotTime: row.snapshotTime instanceof Date ? row.snapshotTime.getTime() : Number(row.snapshotTime) };
+  for (const col of [...NUMERIC, "source"]) if (result[col] === undefined) result[col] = null;
+  return result;
+}
+
+async function readFile(file) {
+  if (!fs.existsSync(file)) return [];
+  const reader = await parquet.ParquetReader.openFile(file);
+  const cursor = reader.getCursor();
+  const rows = [];
+  let row = null;
+  while ((row = await cursor.next())) rows.push(fromRow(row));
+  await reader.close();
+  return rows;
+}
+
+async function writeFile(file, rows) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const tmp = `${file}.${process.pid}.tmp`;
+  const writer = await parquet.ParquetWriter.openFile(schema, tmp);
+  writer.setMetadata(VERSION_KEY, String(OPTION_SCHEMA_VERSION));
+  for (const row of rows) {
+    const out = { ...row, snapshotTime: new Date(row.snapshotTime) };
+    for (const col of [...NUMERIC, "source"]) if (out[col] === null || out[col] === undefined) delete out[col];
+    await writer.appendRow(out);
+  }
+  await writer.close();
+  fs.renameSync(tmp, file);
+}
+
+const compareRows = (a, b) => a.snapshotTime - b.snapshotTime || a.expiration.localeCompare(b.expiration) ||
+  a.type.localeCompare(b.type) || a.strike - b.strike;
+
+/**
+ * Store one chain snapshot (contracts of any number of expirations). Rows with
+ * the same snapshot time and contract replace the stored ones.
+ * @param {string} underlying
+ * @param {Array<Object>} contracts - normalized contracts (normalizeContract)
+ * @param {Object} meta - { time (epoch ms), spot, source }
+ * @returns {Promise<number>} rows written
+ */
+async function saveChain(underlying, contracts, { time, spot = null, source = null }) {
+  const rows = contracts.filter(Boolean).map(c => ({
+    underlying,
+    snapshotTime: time,
+    expiration: c.expiration,
+    type: c.type,
+    strike: c.strike,
+    contract: c.contract,
+    bid: c.bid ?? null,
+    ask: c.ask ?? null,
+    last: c.last ?? null,
+    iv: c.iv ?? null,
+    openInterest: c.openInterest ?? null,
+    volume: c.volume ?? null,
+    spot,
+    source: c.source || source,
+  }));
+  if (!rows.length) return 0;
+
+  const file = dayPath(underlying, calendar.sessionDate(time));
+  const byKey = new Map((await readFile(file)).map(r => [rowKey(r), r]));
+  for (const row of rows) byKey.set(rowKey(row), row);
+  await writeFile(file, [...byKey.values()].sort(compareRows));
+  return rows.length;
+}
+
+/**
+ * Session dates stored for an underlying, oldest first
+ * @param {string} underlying
+ * @returns {Array<string>} YYYY-MM-DD
+ */
+function listDates(underlying) {
+  const dir = path.join(OPTION_STORE_DIR, underlying);
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir).filter(f => /^\d{4}-\d{2}-\d{2}\.parquet$/.test(f)).map(f => f.slice(0, 10)).sort();
+}
+
+/**
+ * Underlyings with at least one stored snapshot
+ * @returns {Array<string>}
+ */
+function listUnderlyings() {
+  if (!fs.existsSync(OPTION_STORE_DIR)) return [];
+  return fs.readdirSync(OPTION_STORE_DIR).filter(name => listDates(name).length).sort();
+}
+
+/**
+ * Range query for one underlying
+ * @param {string} underlying
+ * @param {Object} [options] - { from, to } session dates YYYY-MM-DD (inclusive), { expiration, type }
+ * @returns {Promise<Array<OptionRow>>} sorted by snapshot time, expiration, type, strike
+ */
+async function readChains(underlying, { from, to, expiration, type } = {}) {
+  const rows = [];
+  for (const date of listDates(underlying)) {
+    if ((from && date < from) || (to && date > to)) continue;
+    for (const row of await readFile(dayPath(underlying, date))) {
+      if (expiration && row.expiration !== expiration) continue;
+      if (type && row.type !== type) continue;
+      rows.push(row);
+    }
+  }
+  return rows.sort(compareRows);
+}
+
+/**
+ * Rows grouped by snapshot
+ * @param {Array<OptionRow>} rows
+ * @returns {Array<Object>} [{ time, spot, contracts }] oldest first
+ */
+function groupSnapshots(rows) {
+  const byTime = new Map();
+  for (const row of rows) {
+    if (!byTime.has(row.snapshotTime)) byTime.set(row.snapshotTime, { time: row.snapshotTime, spot: row.spot, contracts: [] });
+    byTime.get(row.snapshotTime).contracts.push(row);
+  }
+  return [...byTime.values()].sort((a, b) => a.time - b.time);
+}
+
+module.exports = {
+  OPTION_STORE_DIR,
+  OPTION_SCHEMA_VERSION,
+  parseOptionSymbol,
+  normalizeContract,
+  saveChain,
+  listDates,
+  listUnderlyings,
+  readChains,
+  groupSnapshots,
+};
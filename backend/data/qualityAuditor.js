@@ -0,0 +1,203 @@
+// backend/data/qualityAuditor.js
+const fs = require("fs");
+const path = require("path");
+const barStore = require("./barStore");
+const indicatorPipeline = require("./indicatorPipeline");
+const { normalizeTimeframe } = require("../utils/timeframes");
+const calendar = require("../utils/tradingCalendar");
+const clock = require("../utils/clock");
+
+/**
+ * Data quality checks for the historical bar store. Each file gets a report
+ * and a 0–100 score; scores are kept in Historical/quality.json so the
+ * backtesters can skip symbols whose data cannot be trusted.
+ */
+const HISTORICAL_ROOT = path.resolve(__dirname, "..", "..", "Historical");
+const QUALITY_PATH = process.env.BAR_QUALITY_FILE || path.join(HISTORICAL_ROOT, "quality.json");
+const QUARANTINE_DIR = process.env.BAR_QUARANTINE_DIR || path.join(HISTORICAL_ROOT, "quarantine");
+const SPIKE_SIGMA = Number(process.env.AUDIT_SPIKE_SIGMA || 6);
+
+const INTRADAY_AND_DAILY = ["1min", "5min", "15min", "1hour", "4hour", "1day"];
+
+const isPrice = v => typeof v === "number" && Number.isFinite(v) && v > 0;
+
+/**
+ * Audit one series of bars in file order
+ * @param {Array} bars - rows as stored (not re-sorted)
+ * @param {string} timeframe
+ * @param {Object} [options] - { spikeSigma }
+ * @returns {Object} { rows, score, issues: { missingSessions, duplicates, outOfOrder, zeroVolume, zeroRange, ohlcInconsistent, spikes } }
+ *   every issue list holds bar timestamps (missingSessions holds YYYY-MM-DD dates)
+ */
+function auditBars(bars, timeframe, { spikeSigma = SPIKE_SIGMA } = {}) {
+  const issues = {
+    missingSessions: [],
+    duplicates: [],
+    outOfOrder: [],
+    zeroVolume: [],
+    zeroRange: [],
+    ohlcInconsistent: [],
+    spikes: [],
+  };
+  if (!bars.length) return { rows: 0, score: 0, issues };
+
+  const seen = new Set();
+  bars.forEach((bar, i) => {
+    if (seen.has(bar.time)) issues.duplicates.push(bar.time);
+    seen.add(bar.time);
+    if (i > 0 && bar.time < bars[i - 1].time) issues.outOfOrder.push(bar.time);
+
+    const { open, high, low, close } = bar;
+    if (![open, high, low, close].every(isPrice) || high < Math.max(open, close, low) || low > Math.min(open, close, high)) {
+      issues.ohlcInconsistent.push(bar.time);
+    } else if (high === low) {
+      issues.zeroRange.push(bar.time);
+    }
+    if (!bar.volume) issues.zeroVolume.push(bar.time);
+  });
+
+  // Close-to-close log returns beyond N standard deviations. Intraday, the
+  // first bar of a session is skipped so overnight gaps do not count as spikes.
+  const key = normalizeTimeframe(timeframe);
+  const intraday = key !== "1day" && key !== "1week";
+  const sorted = [...new Map(bars.map(b => [b.time, b])).values()].sort((a, b) => a.time - b.time).filter(b => isPrice(b.close));
+  const returns = sorted.slice(1)
+    .map((b, i) => ({ time: b.time, r: Math.log(b.close / sorted[i].close), gap: intraday && calendar.sessionDate(b.time) !== calendar.sessionDate(sorted[i].time) }))
+    .filter(x => !x.gap);
+  if (returns.length > 2) {
+    const mean = returns.reduce((s, x) => s + x.r, 0) / returns.length;
+    const sigma = Math.sqrt(returns.reduce((s, x) => s + (x.r - mean) ** 2, 0) / returns.length);
+    if (sigma > 0) issues.spikes = returns.filter(x => Math.abs(x.r - mean) > spikeSigma * sigma).map(x => x.time);
+  }
+
+  let expected = 0;
+  if (INTRADAY_AND_DAILY.includes(key) && sorted.length) {
+    const present = new Set(sorted.map(b => calendar.sessionDate(b.time)));
+    const sessions = calendar.tradingDaysBetween(calendar.sessionDate(sorted[0].time), calendar.sessionDate(sorted[sorted.length - 1].time));
+    expected = sessions.length;
+    issues.missingSessions = sessions.filter(d => !present.has(d));
+  }
+
+  return { rows: bars.length, score: scoreReport(bars.length, expected, issues), issues };
+}
+
+// Structural problems weigh 5x, suspicious-but-possible bars 1x, missing sessions by share
+function scoreReport(rows, expectedSessionCount, issues) {
+  const severe = new Set([...issues.duplicates, ...issues.outOfOrder, ...issues.ohlcInconsistent, ...issues.spikes]).size;
+  const mild = new Set([...issues.zeroVolume, ...issues.zeroRange]).size;
+  const missingShare = expectedSessionCount ? issues.missingSessions.length / expectedSessionCount : 0;
+  const penalty = (5 * severe + mild) / rows + missingShare;
+  return Math.round(Math.max(0, 100 * (1 - penalty)) * 10) / 10;
+}
+
+/**
+ * Audit a stored file
+ * @param {string} symbol
+ * @param {string} timeframe
+ * @returns {Promise<Object|null>} report from auditBars plus { symbol, timeframe, file }, or null if the file is missing
+ */
+async function auditFile(symbol, timeframe) {
+  const file = barStore.barPath(symbol, timeframe);
+  if (!fs.existsSync(file)) return null;
+  const { bars } = await barStore.readBarFile(file);
+  return { symbol, timeframe: normalizeTimeframe(timeframe), file, ...auditBars(bars, timeframe) };
+}
+
+/**
+ * Rewrite a file sorted, de-duplicated (last row wins), with the high/low
+ * envelope fixed and rows without usable prices dropped. Indicators are
+ * recomputed. Missing sessions, zero-volume bars and spikes are left as is.
+ * @param {string} symbol
+ * @param {string} timeframe
+ * @returns {Promise<Object>} { before, after } row counts
+ */
+async function repairFile(symbol, timeframe) {
+  const { bars } = await barStore.readBarFile(barStore.barPath(symbol, timeframe));
+  const repaired = [...new Map(bars.map(b => [b.time, b])).values()]
+    .filter(b => [b.open, b.close].every(isPrice))
+    .map(b => ({
+      ...b,
+      high: Math.max(b.open, b.close, isPrice(b.high) ? b.high : 0, isPrice(b.low) ? b.low : 0),
+      low: Math.min(b.open, b.close, isPrice(b.low) ? b.low : Infinity, isPrice(b.high) ? b.high : Infinity),
+    }));
+  await indicatorPipeline.writeBars(symbol, timeframe, repaired);
+  return { before: bars.length, after: repaired.length };
+}
+
+/**
+ * Move a file out of the store into Historical/quarantine/<tf>/
+ * (today files into Historical/quarantine/today/<date>/)
+ * @param {string} symbol
+ * @param {string} timeframe
+ * @param {Object} [options] - { store: 'historical' | 'today', date: YYYY-MM-DD for today files, default today }
+ * @returns {string} new location
+ */
+function quarantineFile(symbol, timeframe, { store = "historical", date = clock.today() } = {}) {
+  const file = barStore.barPath(symbol, timeframe, { store });
+  const dir = store === "today" ? path.join(QUARANTINE_DIR, "today", date) : path.join(QUARANTINE_DIR, normalizeTimeframe(timeframe));
+  const target = path.join(dir, path.basename(file));
+  fs.mkdirSync(path.dirname(target), { recursive: true });
+  fs.renameSync(file, target);
+  return target;
+}
+
+/**
+ * Stored quality reports
+ * @returns {Object} { SYMBOL: { timeframe: { score, rows, counts, auditedAt, quarantined } } }
+ */
+function loadQualityScores() {
+  try {
+    return fs.existsSync(QUALITY_PATH) ? JSON.parse(fs.readFileSync(QUALITY_PATH, "utf-8")) : {};
+  } catch (err) {
+    console.warn(`⚠️ Could not read ${QUALITY_PATH}: ${err.message}`);
+    return {};
+  }
+}
+
+/**
+ * Persist audit reports (merged into the existing file)
+ * @param {Array<Object>} reports - auditFile results, optionally with `quarantined: true`
+ */
+function saveQualityScores(reports) {
+  const scores = loadQualityScores();
+  const auditedAt = new Date().toISOString();
+  for (const r of reports) {
+    scores[r.symbol] = scores[r.symbol] || {};
+    scores[r.symbol][r.timeframe] = {
+      score: r.score,
+      rows: r.rows,
+      counts: Object.fromEntries(Object.entries(r.issues).map(([k, v]) => [k, v.length])),
+      auditedAt,
+      quarantined: Boolean(r.quarantined),
+    };
+  }
+  fs.mkdirSync(path.dirname(QUALITY_PATH), { recursive: true });
+  fs.writeFileSync(QUALITY_PATH, JSON.stringify(scores, null, 2));
+}
+
+/**
+ * Lowest score across a symbol's audited timeframes
+ * @param {Object} scores - from loadQualityScores
+ * @param {string} symbol
+ * @param {Array<string>} [timeframes] - restrict to these timeframes
+ * @returns {number|null} null when the symbol was never audited
+ */
+function symbolScore(scores, symbol, timeframes) {
+  const entry = scores[symbol];
+  if (!entry) return null;
+  const keys = timeframes ? timeframes.map(normalizeTimeframe) : Object.keys(entry);
+  const values = keys.filter(tf => entry[tf]).map(tf => (entry[tf].quarantined ? 0 : entry[tf].score));
+  return values.length ? Math.min(...values) : null;
+}
+
+module.exports = {
+  QUALITY_PATH,
+  QUARANTINE_DIR,
+  auditBars,
+  auditFile,
+  repairFile,
+  quarantineFile,
+  loadQualityScores,
+  saveQualityScores,
+  symbolScore,
+};
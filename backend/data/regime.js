@@ -0,0 +1,255 @@
+// backend/data/regime.js
+const fs = require("fs");
+const path = require("path");
+const barStore = require("./barStore");
+const universe = require("./universe");
+const calendar = require("../utils/tradingCalendar");
+const { smaSeries } = require("../utils/indicators");
+const { REGIMES, regimeSeries } = require("../utils/regime");
+const config = require("../config/regime");
+const universeConfig = require("../config/universe");
+
+/**
+ * Market regime history and regime-aware strategy selection.
+ *
+ * Store (Historical/regime.json), rebuilt once a day from the local daily bars:
+ *   { updatedAt, benchmark, date, current,
+ *     sessions: { 'YYYY-MM-DD': { regime, adx, volRatio, slope, breadth } } }
+ *   A session's label uses its own close, so intraday bars of that session
+ *   see the previous session's label (marketView).
+ *
+ * Backtest results carry, per timeframe, the win rate of the winning strategy
+ * per regime (`regimes`) and the best strategy per market regime (`byRegime`):
+ *   byRegime: { trendUp: { strategy, winRate, trades }, ... }
+ */
+// Fewer symbols than this with a full SMA on a date: no breadth for it
+const MIN_BREADTH_SYMBOLS = 5;
+
+// Share of symbols above their daily SMA, per session date
+async function breadthByDate(symbols) {
+  const counts = {};
+  for (const symbol of symbols) {
+    let bars;
+    try {
+      bars = await barStore.readBars(symbol, "1day");
+    } catch (err) {
+      console.warn(`⚠️ ${symbol}: daily bars unreadable (${err.message})`);
+      continue;
+    }
+    const sma = smaSeries(bars.map(b => b.close), config.breadthPeriod);
+    bars.forEach((bar, i) => {
+      if (sma[i] === null) return;
+      const date = calendar.sessionDate(bar.time);
+      const c = counts[date] || (counts[date] = { above: 0, total: 0 });
+      c.total++;
+      if (bar.close > sma[i]) c.above++;
+    });
+  }
+  const breadth = {};
+  for (const [date, { above, total }] of Object.entries(counts)) {
+    if (total >= MIN_BREADTH_SYMBOLS) breadth[date] = above / total;
+  }
+  return breadth;
+}
+
+/**
+ * Label every session of the benchmark's daily history
+ * @param {Object} [options]
+ * @param {Array<string>} [options.symbols] - breadth universe, default the eligible symbols
+ * @returns {Promise<Object>} history (see store layout above)
+ */
+async function buildMarketHistory({ symbols = universe.eligibleSymbols() } = {}) {
+  const bars = await barStore.readBars(config.benchmark, "1day");
+  if (!bars.length) throw new Error(`No daily bars for ${config.benchmark}; run the historical DB builder first`);
+  const benchmarks = new Set([config.benchmark, ...universeConfig.benchmarks]);
+  const breadth = await breadthByDate(symbols.filter(s => !benchmarks.has(s)));
+
+  const series = regimeSeries(bars, { ...config.thresholds, breadth: bar => breadth[calendar.sessionDate(bar.time)] ?? null });
+  const sessions = {};
+  bars.forEach((bar, i) => {
+    if (series[i]) sessions[calendar.sessionDate(bar.time)] = series[i];
+  });
+
+  const dates = Object.keys(sessions);
+  const date = dates.length ? dates[dates.length - 1] : null;
+  return {
+    updatedAt: new Date().toISOString(),
+    benchmark: config.benchmark,
+    date,
+    current: date ? sessions[date] : null,
+    sessions,
+  };
+}
+
+// ---- Store ----
+let cached = { mtimeMs: null, history: null };
+
+/**
+ * @returns {Object|null} last saved market regime history
+ */
+function loadMarketHistory() {
+  try {
+    if (!fs.existsSync(config.file)) return null;
+    const { mtimeMs } = fs.statSync(config.file);
+    if (cached.mtimeMs !== mtimeMs) cached = { mtimeMs, history: JSON.parse(fs.readFileSync(config.file, "utf-8")) };
+    return cached.history;
+  } catch (err) {
+    console.warn(`⚠️ Could not read ${config.file}: ${err.message}`);
+    return null;
+  }
+}
+
+/**
+ * Rebuild and save the market regime history
+ * @param {Object} [options] - as for buildMarketHistory
+ * @returns {Promise<Object>} history
+ */
+async function updateMarketHistory(options) {
+  const history = await buildMarketHistory(options);
+  fs.mkdirSync(path.dirname(config.file), { recursive: true });
+  fs.writeFileSync(config.file, JSON.stringify(history, null, 2));
+  cached = { mtimeMs: null, history: null };
+  return history;
+}
+
+/**
+ * @param {Object} [history] - default the saved history
+ * @returns {Object|null} { date, regime, adx, volRatio, slope, breadth } of the last labeled session
+ */
+function currentMarketRegime(history = loadMarketHistory()) {
+  return history?.current ? { date: history.date, ...history.current } : null;
+}
+
+/**
+ * Point-in-time lookup for bar-by-bar loops
+ * @param {Object} [history] - default the saved history
+ * @returns {Object} { at(time) → { date, regime, ... } | null }: label of the last session closed at `time`
+ */
+function marketView(history = loadMarketHistory()) {
+  const dates = Object.keys(history?.sessions || {}).sort();
+  const closes = dates.map(date => calendar.sessionClose(date) ?? calendar.nyTime(date, 24 * 60));
+  return {
+    at: time => {
+      const t = time instanceof Date ? time.getTime() : time;
+      let lo = 0;
+      let hi = closes.length;
+      while (lo < hi) {
+        const mid = (lo + hi) >> 1;
+        if (closes[mid] <= t) lo = mid + 1;
+        else hi = mid;
+      }
+      return lo ? { date: dates[lo - 1], ...history.sessions[dates[lo - 1]] } : null;
+    },
+  };
+}
+
+/**
+ * Regime of every bar of one symbol (no breadth), with the configured thresholds
+ * @param {Array<Object>} bars - oldest first
+ * @returns {Array<Object|null>} as for utils/regime.regimeSeries
+ */
+function symbolRegimes(bars) {
+  return regimeSeries(bars, config.thresholds);
+}
+
+// ---- Backtest statistics ----
+
+/**
+ * Win/loss tally per regime for one backtest run; trades without a label
+ * (regime warm-up, no market history yet) are counted as unclassified
+ * @returns {Object} { record({ market, symbol }, won), summary() → { market: { regime: { trades, wins, winRate } }, symbol: {...},
+ *   unclassified: { market: { trades, share }, symbol: {...} } } }, share in % of the trades
+ */
+function createRegimeStats() {
+  const stats = { market: {}, symbol: {} };
+  const unclassified = { market: 0, symbol: 0 };
+  let trades = 0;
+  return {
+    record(regimes, won) {
+      trades++;
+      for (const scope of Object.keys(stats)) {
+        const regime = regimes[scope];
+        if (!regime) {
+          unclassified[scope]++;
+          continue;
+        }
+        const s = stats[scope][regime] || (stats[scope][regime] = { trades: 0, wins: 0 });
+        s.trades++;
+        if (won) s.wins++;
+      }
+    },
+    summary() {
+      const out = {};
+      for (const [scope, byRegime] of Object.entries(stats)) {
+        out[scope] = {};
+        for (const regime of REGIMES) {
+          const s = byRegime[regime];
+          if (s) out[scope][regime] = { ...s, winRate: parseFloat((s.wins / s.trades * 100).toFixed(2)) };
+        }
+      }
+      out.unclassified = {};
+      for (const [scope, count] of Object.entries(unclassified)) {
+        out.unclassified[scope] = { trades: count, share: trades ? parseFloat((count / trades * 100).toFixed(2)) : 0 };
+      }
+      return out;
+    },
+  };
+}
+
+/**
+ * Best strategy per market regime
+ * @param {Object} resultsByStrategy - { strategyName: backtest result with `regimes` and the strategy's `version` }
+ * @param {number} [minTrades]
+ * @returns {Object} { regime: { strategy, version, winRate, trades } }
+ */
+function bestByRegime(resultsByStrategy, minTrades = config.minTrades) {
+  const best = {};
+  for (const [strategy, result] of Object.entries(resultsByStrategy)) {
+    for (const [regime, s] of Object.entries(result.regimes?.market || {})) {
+      if (s.trades < minTrades) continue;
+      if (!best[regime] || s.winRate > best[regime].winRate) best[regime] = { strategy, version: result.version ?? null, winRate: s.winRate, trades: s.trades };
+    }
+  }
+  return best;
+}
+
+/**
+ * Strategy to run for a symbol in the current market regime: the highest
+ * win rate for that regime over the backtested timeframes, else the symbol's
+ * overall best
+ * @param {Object} result - the symbol's entry in backtesters/log/results.json
+ * @param {string|null} regime
+ * @returns {Object|null} { strategy, version, timeframe, winRate, trades, regime, source: 'regime' | 'overall' },
+ *   version null for results written before versions were recorded
+ */
+function selectStrategy(result, regime) {
+  if (!result) return null;
+  const timeframes = Object.entries(result.timeframes || {});
+
+  let pick = null;
+  for (const [timeframe, tf] of timeframes) {
+    const r = regime && tf.byRegime?.[regime];
+    if (r && (!pick || r.winRate > pick.winRate)) pick = { ...r, version: r.version ?? null, timeframe, regime, source: "regime" };
+  }
+  if (pick) return pick;
+
+  for (const [timeframe, tf] of timeframes) {
+    if (tf.strategy && (!pick || tf.winRate > pick.winRate)) pick = { strategy: tf.strategy, version: tf.version ?? null, timeframe, winRate: tf.winRate, trades: tf.trades ?? null, regime, source: "overall" };
+  }
+  if (pick) return pick;
+  // Results written before per-timeframe entries
+  return result.strategy ? { strategy: result.strategy, version: result.version ?? null, timeframe: null, winRate: result.winRate ?? null, trades: result.trades ?? null, regime, source: "overall" } : null;
+}
+
+module.exports = {
+  REGIMES,
+  buildMarketHistory,
+  updateMarketHistory,
+  loadMarketHistory,
+  currentMarketRegime,
+  marketView,
+  symbolRegimes,
+  createRegimeStats,
+  bestByRegime,
+  selectStrategy,
+};
@@ -0,0 +1,240 @@
+// backend/data/relativeStrength.js
+const fs = require("fs");
+const path = require("path");
+const barStore = require("./barStore");
+const universe = require("./universe");
+const calendar = require("../utils/tradingCalendar");
+const { SECTOR_ETFS, sectorEtf } = require("../utils/sectors");
+const config = require("../config/relativeStrength");
+
+/**
+ * Relative strength of every universe symbol against the market (SPY) and
+ * its sector ETF, from the local daily bars, ranked into a leaderboard.
+ *
+ * Store (Historical/relative_strength.json), rebuilt once a day:
+ *   { date, updatedAt, benchmark, lookbacks,
+ *     symbols: { SYMBOL: { sector, sectorEtf, returns, vsMarket, vsSector,
+ *                          score, sectorScore, rank, percentile, group } },
+ *     sectors: [{ sector, etf, returns, vsMarket, score, rank }] }
+ *   returns / vsMarket / vsSector are keyed by lookback (sessions);
+ *   vsX = (1 + symbol return) / (1 + benchmark return) - 1.
+ *   score = average vsMarket, sectorScore = average vsSector,
+ *   percentile 1–99 (99 = strongest), group leader | laggard | neutral.
+ */
+const IMPORTANCE = ["Low", "Medium", "High"];
+
+const mean = values => (values.length ? values.reduce((a, b) => a + b, 0) / values.length : null);
+
+// Daily closes as [{ date, close }], oldest first
+async function loadCloses(symbol) {
+  const bars = await barStore.readBars(symbol, "1day");
+  return bars.map(b => ({ date: calendar.sessionDate(b.time), close: b.close }));
+}
+
+// Close of the last bar on or before a date
+function closeOn(closes, date) {
+  let lo = 0;
+  let hi = closes.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (closes[mid].date <= date) lo = mid + 1;
+    else hi = mid;
+  }
+  return lo ? closes[lo - 1].close : null;
+}
+
+/**
+ * Returns over each lookback, measured on the benchmark's sessions
+ * @param {Array} closes - [{ date, close }]
+ * @param {Array<string>} sessions - benchmark session dates, oldest first, ending at the as-of date
+ * @param {Array<number>} lookbacks
+ * @returns {Object} { lookback: return } (lookbacks without enough history are left out)
+ */
+function lookbackReturns(closes, sessions, lookbacks) {
+  const end = closeOn(closes, sessions[sessions.length - 1]);
+  const returns = {};
+  if (!end) return returns;
+  for (const n of lookbacks) {
+    if (sessions.length <= n || closes[0].date > sessions[sessions.length - 1 - n]) continue;
+    const start = closeOn(closes, sessions[sessions.length - 1 - n]);
+    if (start) returns[n] = end / start - 1;
+  }
+  return returns;
+}
+
+function relativeTo(returns, benchmarkReturns) {
+  const result = {};
+  for (const [n, r] of Object.entries(returns)) {
+    if (benchmarkReturns[n] !== undefined) result[n] = (1 + r) / (1 + benchmarkReturns[n]) - 1;
+  }
+  return result;
+}
+
+function percentileOf(rank, count) {
+  return count > 1 ? Math.round(1 + 98 * (count - rank) / (count - 1)) : 99;
+}
+
+/**
+ * Rank the universe by relative strength
+ * @param {Object} [options]
+ * @param {Array<string>} [options.symbols] - default eligible universe
+ * @param {string} [options.asOf] - YYYY-MM-DD, default the benchmark's last session
+ * @returns {Promise<Object>} leaderboard (see store layout above)
+ */
+async function buildLeaderboard({ symbols = universe.eligibleSymbols(), asOf = null } = {}) {
+  const benchmarkCloses = (await loadCloses(config.benchmark)).filter(c => !asOf || c.date <= asOf);
+  if (!benchmarkCloses.length) throw new Error(`No daily bars for ${config.benchmark}; run the historical DB builder first`);
+  const sessions = benchmarkCloses.map(c => c.date);
+  const date = sessions[sessions.length - 1];
+  const benchmarkReturns = lookbackReturns(benchmarkCloses, sessions, config.lookbacks);
+
+  const isFresh = closes => closes.length && calendar.tradingDaysBetween(closes[closes.length - 1].date, date).length - 1 <= config.maxStaleSessions;
+
+  // ---- Sector ETFs ----
+  const etfReturns = {};
+  const sectors = [];
+  for (const [sector, etf] of Object.entries(SECTOR_ETFS)) {
+    const closes = await loadCloses(etf);
+    if (!isFresh(closes)) continue;
+    const returns = lookbackReturns(closes, sessions, config.lookbacks);
+    const vsMarket = relativeTo(returns, benchmarkReturns);
+    etfReturns[etf] = returns;
+    sectors.push({ sector, etf, returns, vsMarket, score: mean(Object.values(vsMarket)) });
+  }
+  sectors.filter(s => s.score !== null).sort((a, b) => b.score - a.score).forEach((s, i) => { s.rank = i + 1; });
+
+  // ---- Symbols ----
+  const skip = new Set([config.benchmark, ...Object.values(SECTOR_ETFS)]);
+  const info = universe.loadUniverse();
+  const rows = [];
+  for (const symbol of symbols) {
+    if (skip.has(symbol)) continue;
+    let closes;
+    try {
+      closes = await loadCloses(symbol);
+    } catch (err) {
+      console.warn(`⚠️ ${symbol}: daily bars unreadable (${err.message})`);
+      continue;
+    }
+    if (!isFresh(closes)) continue;
+    const returns = lookbackReturns(closes, sessions, config.lookbacks);
+    const vsMarket = relativeTo(returns, benchmarkReturns);
+    if (!Object.keys(vsMarket).length) continue;
+
+    const sector = universe.symbolInfo(symbol, info)?.sector || null;
+    const etf = sectorEtf(sector);
+    const vsSector = etf && etfReturns[etf] ? relativeTo(returns, etfReturns[etf]) : {};
+    rows.push({
+      symbol,
+      sector,
+      sectorEtf: etf,
+      returns,
+      vsMarket,
+      vsSector,
+      score: mean(Object.values(vsMarket)),
+      sectorScore: mean(Object.values(vsSector)),
+    });
+  }
+
+  rows.sort((a, b) => b.score - a.score);
+  const board = {};
+  rows.forEach(({ symbol, ...row }, i) => {
+    const rank = i + 1;
+    const percentile = percentileOf(rank, rows.length);
+    let group = "neutral";
+    if (percentile >= config.leaderPercentile && (row.sectorScore === null || row.sectorScore > 0)) group = "leader";
+    else if (percentile <= config.laggardPercentile && (row.sectorScore === null || row.sectorScore < 0)) group = "laggard";
+    board[symbol] = { ...row, rank, percentile, group };
+  });
+
+  return {
+    date,
+    updatedAt: new Date().toISOString(),
+    benchmark: config.benchmark,
+    lookbacks: config.lookbacks,
+    count: rows.length,
+    symbols: board,
+    sectors,
+  };
+}
+
+// ---- Store ----
+let cached = { mtimeMs: null, board: null };
+
+/**
+ * @returns {Object|null} last saved leaderboard
+ */
+function loadLeaderboard() {
+  try {
+    if (!fs.existsSync(config.file)) return null;
+    const { mtimeMs } = fs.statSync(config.file);
+    if (cached.mtimeMs !== mtimeMs) cached = { mtimeMs, board: JSON.parse(fs.readFileSync(config.file, "utf-8")) };
+    return cached.board;
+  } catch (err) {
+    console.warn(`⚠️ Could not read ${config.file}: ${err.message}`);
+    return null;
+  }
+}
+
+function saveLeaderboard(board) {
+  fs.mkdirSync(path.dirname(config.file), { recursive: true });
+  fs.writeFileSync(config.file, JSON.stringify(board, null, 2));
+  cached = { mtimeMs: null, board: null };
+}
+
+/**
+ * Rebuild and save the leaderboard
+ * @param {Object} [options] - as for buildLeaderboard
+ * @returns {Promise<Object>} leaderboard
+ */
+async function updateLeaderboard(options) {
+  const board = await buildLeaderboard(options);
+  saveLeaderboard(board);
+  return board;
+}
+
+/**
+ * Leaderboard entry for one symbol
+ * @param {string} symbol
+ * @param {Object} [board] - default the saved leaderboard
+ * @returns {Object|null} { rank, percentile, group, score, sectorScore, ... }
+ */
+function rankOf(symbol, board = loadLeaderboard()) {
+  const entry = board?.symbols?.[symbol];
+  return entry ? { symbol, date: board.date, count: board.count, ...entry } : null;
+}
+
+/**
+ * Favor LONG alerts in leaders and SHORT alerts in laggards (strat_test alerts:
+ * { signal: 'LONG' | 'SHORT', importance })
+ * @param {Object} alert
+ * @param {Object|null} rs - rankOf() result
+ * @param {string} [bias] - adjust | filter | annotate | off (default RS_ALERT_BIAS)
+ * @returns {Object|null} alert with `relativeStrength`, null when filtered out
+ */
+function applyToAlert(alert, rs, bias = config.alertBias) {
+  if (!rs || bias === "off") return alert;
+  const result = {
+    ...alert,
+    relativeStrength: { rank: rs.rank, of: rs.count, percentile: rs.percentile, group: rs.group, score: rs.score, sectorScore: rs.sectorScore, date: rs.date },
+  };
+  if (rs.group === "neutral" || bias === "annotate") return result;
+
+  const favored = (alert.signal === "LONG" && rs.group === "leader") || (alert.signal === "SHORT" && rs.group === "laggard");
+  if (!favored && bias === "filter") return null;
+  if (bias === "adjust" && result.importance) {
+    const step = favored ? 1 : -1;
+    result.importance = IMPORTANCE[Math.max(0, Math.min(IMPORTANCE.length - 1, IMPORTANCE.indexOf(result.importance) + step))];
+  }
+  result.relativeStrength.favored = favored;
+  return result;
+}
+
+module.exports = {
+  lookbackReturns,
+  buildLeaderboard,
+  updateLeaderboard,
+  loadLeaderboard,
+  rankOf,
+  applyToAlert,
+};
@@ -0,0 +1,131 @@
+// backend/data/resampler.js
+const barStore = require("./barStore");
+const indicatorPipeline = require("./indicatorPipeline");
+const { normalizeTimeframe } = require("../utils/timeframes");
+const calendar = require("../utils/tradingCalendar");
+
+/**
+ * Builds the higher timeframes from stored 15-minute bars so only one
+ * timeframe has to be downloaded and every timeframe agrees with the others.
+ *
+ * Buckets (all in America/New_York, regular session only, per tradingCalendar
+ * so holidays are skipped and early-close days end at 13:00):
+ *   1hour  09:30, 10:30, ... 15:30 (last bucket is 30 minutes)
+ *   4hour  09:30–13:30, 13:30–close
+ *   1day   one bar per session, stamped at midnight New York time
+ *   1week  Monday–Friday, stamped at Monday midnight New York time
+ * Extended-hours 15-minute bars are ignored.
+ */
+const SOURCE_TIMEFRAME = "15min";
+const TARGET_TIMEFRAMES = ["1hour", "4hour", "1day", "1week"];
+
+const INTRADAY_BUCKET_MINUTES = { "5min": 5, "15min": 15, "1hour": 60, "4hour": 240 };
+
+function mondayOf(date) {
+  const weekday = new Date(`${date}T00:00:00Z`).getUTCDay(); // 0 = Sunday
+  return new Date(Date.parse(`${date}T00:00:00Z`) - ((weekday + 6) % 7) * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+}
+
+/**
+ * Start of the bucket a bar belongs to
+ * @param {number} time - epoch ms of a bar start (15-minute, or 1-minute for the live aggregator)
+ * @param {string} timeframe - one of TARGET_TIMEFRAMES, or 5min / 15min
+ * @returns {number|null} epoch ms, or null when the bar is outside the regular session
+ */
+function bucketStart(time, timeframe) {
+  if (!calendar.isMarketOpen(time)) return null;
+  const date = calendar.sessionDate(time);
+
+  const key = normalizeTimeframe(timeframe);
+  if (key === "1day") return calendar.nyTime(date, 0);
+  if (key === "1week") return calendar.nyTime(mondayOf(date), 0);
+  const size = INTRADAY_BUCKET_MINUTES[key];
+  if (!size) throw new Error(`Cannot resample into ${timeframe}`);
+  const open = calendar.sessionOpen(date);
+  return open + Math.floor((time - open) / (size * 60 * 1000)) * size * 60 * 1000;
+}
+
+/**
+ * Fold an ordered list of bars into one bar (volume and trades summed, vwap volume-weighted)
+ * @param {number} time - bucket start
+ * @param {Array} bars - oldest first
+ * @returns {Object} bar
+ */
+function aggregate(time, bars) {
+  const volume = bars.reduce((sum, b) => sum + (b.volume || 0), 0);
+  const withTrades = bars.filter(b => b.trades != null);
+  const withVwap = bars.filter(b => b.vwap != null && b.volume);
+  const vwapVolume = withVwap.reduce((sum, b) => sum + b.volume, 0);
+  return {
+    time,
+    open: bars[0].open,
+    high: Math.max(...bars.map(b => b.high)),
+    low: Math.min(...bars.map(b => b.low)),
+    close: bars[bars.length - 1].close,
+    volume,
+    trades: withTrades.length ? withTrades.reduce((sum, b) => sum + b.trades, 0) : null,
+    vwap: vwapVolume ? withVwap.reduce((sum, b) => sum + b.vwap * b.volume, 0) / vwapVolume : null,
+  };
+}
+
+/**
+ * Resample 15-minute bars into a higher timeframe
+ * @param {Array} bars - 15-minute bars (any order)
+ * @param {string} timeframe - '1hour' | '4hour' | '1day' | '1week'
+ * @returns {Array} aggregated bars, oldest first (the last bucket may be partial)
+ */
+function resample(bars, timeframe) {
+  const buckets = new Map();
+  for (const bar of [...bars].sort((a, b) => a.time - b.time)) {
+    const start = bucketStart(bar.time, timeframe);
+    if (start === null) continue;
+    if (!buckets.has(start)) buckets.set(start, []);
+    buckets.get(start).push(bar);
+  }
+  return [...buckets.entries()].map(([time, group]) => aggregate(time, group));
+}
+
+/**
+ * Rebuild a symbol's higher timeframes from its stored 15-minute bars
+ * (historical store plus today's intraday file). Only buckets touched by bars
+ * at or after `since` are rewritten, so it is cheap to call after every
+ * intraday update.
+ * @param {string} symbol
+ * @param {Object} [options] - { since, timeframes }
+ *   since: epoch ms of the earliest new 15-minute bar (omit to rebuild and replace the whole file)
+ * @returns {Promise<Object>} { timeframe: number of bars written }
+ */
+async function resampleSymbol(symbol, { since, timeframes = TARGET_TIMEFRAMES } = {}) {
+  // Every bucket touching `since` starts no earlier than the Monday of that week
+  const from = since ? calendar.nyTime(mondayOf(calendar.sessionDate(since)), 0) : undefined;
+  const [history, today] = await Promise.all([
+    barStore.readBars(symbol, SOURCE_TIMEFRAME, { from }),
+    barStore.readBars(symbol, SOURCE_TIMEFRAME, { from, store: "today" }),
+  ]);
+  const byTime = new Map();
+  for (const bar of [...history, ...today]) byTime.set(bar.time, bar);
+  const source = [...byTime.values()];
+
+  const written = {};
+  for (const timeframe of timeframes) {
+    let bars = resample(source, timeframe);
+    if (since) {
+      const touched = new Set(source.filter(b => b.time >= since).map(b => bucketStart(b.time, timeframe)));
+      bars = bars.filter(b => touched.has(b.time));
+    }
+    // A full rebuild replaces the file so vendor-downloaded bars on other bucket boundaries disappear
+    if (since) await indicatorPipeline.appendBars(symbol, timeframe, bars);
+    else await indicatorPipeline.writeBars(symbol, timeframe, bars);
+    written[timeframe] = bars.length;
+  }
+  return written;
+}
+
+module.exports = {
+  SOURCE_TIMEFRAME,
+  TARGET_TIMEFRAMES,
+  bucketStart,
+  aggregate,
+  resample,
+  resampleSymbol,
+};
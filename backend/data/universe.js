@@ -0,0 +1,323 @@
+// backend/data/universe.js
+const fs = require("fs");
+const path = require("path");
+const barStore = require("./barStore");
+const { getProvider } = require("../providers");
+const clock = require("../utils/clock");
+const config = require("../config/universe");
+
+/**
+ * Symbol universe: per-symbol metadata and the eligibility rules that decide
+ * which symbols the builder downloads and the backtester, monitors and strategy
+ * scanner look at.
+ *
+ * Store (Historical/universe.json):
+ *   { updatedAt, source, symbols: { SYMBOL: {
+ *       id, symbol, name, exchange, assetClass, optionable, active, firstSeen, lastSeen,
+ *       renamedFrom, renamedTo,
+ *       sector, sectorUpdatedAt, price, avgDollarVolume, liquidityAsOf } } }
+ *
+ * Asset list and listed options come from UNIVERSE_PROVIDER, sectors from
+ * UNIVERSE_DETAILS_PROVIDER, price and average dollar volume from the local
+ * daily bars. Symbols missing from a refresh are kept with active: false.
+ */
+const ASSET_CLASSES = ["common", "etf", "preferred", "warrant", "unit", "right", "other"];
+
+// Polygon ticker types → asset class
+const VENDOR_TYPES = {
+  CS: "common", ADRC: "common", OS: "common", NYRS: "common",
+  ETF: "etf", ETN: "etf", ETV: "etf", ETS: "etf", FUND: "etf",
+  PFD: "preferred", ADRP: "preferred",
+  WARRANT: "warrant", ADRW: "warrant",
+  RIGHT: "right", ADRR: "right",
+  UNIT: "unit",
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Asset class from the vendor type, or from the symbol suffix and name when the
+ * vendor has none (Alpaca lists preferreds as REXR.PRB, warrants as XYZ.WS, ...)
+ * @param {Object} asset - { symbol, name, type }
+ * @returns {string} one of ASSET_CLASSES
+ */
+function classifyAsset({ symbol, name = "", type = null }) {
+  if (type) return VENDOR_TYPES[type] || "other";
+  const n = name.toLowerCase();
+  if (/[.-]P(R)?[A-Z]?$/.test(symbol) || /\bpreferred\b|\bpfd\b/.test(n)) return "preferred";
+  if (/[.-]WS([.-]?[A-Z])?$/.test(symbol) || /\bwarrants?\b/.test(n)) return "warrant";
+  // MLPs trade as "Common Units"
+  if (/[.-]U$/.test(symbol) || (/\bunits?\b/.test(n) && !/\b(common|partnership) units?\b/.test(n))) return "unit";
+  if (/[.-]RTW?$/.test(symbol) || /\brights?\b/.test(n)) return "right";
+  if (/\bnotes? due\b|\bdebentures?\b|\bsenior notes?\b/.test(n)) return "other";
+  if (/\b(etf|etn|ishares|spdr|proshares|direxion|qqq)\b|\bindex fund\b/.test(n)) return "etf";
+  return "common";
+}
+
+// ---- Store ----
+function emptyStore() {
+  return { updatedAt: null, source: null, symbols: {} };
+}
+
+/**
+ * @returns {Object} { updatedAt, source, symbols }
+ */
+function loadUniverse() {
+  try {
+    if (fs.existsSync(config.file)) return { ...emptyStore(), ...JSON.parse(fs.readFileSync(config.file, "utf-8")) };
+  } catch (err) {
+    console.warn(`⚠️ Could not read ${config.file}: ${err.message}`);
+  }
+  return emptyStore();
+}
+
+function saveUniverse(universe) {
+  fs.mkdirSync(path.dirname(config.file), { recursive: true });
+  fs.writeFileSync(config.file, JSON.stringify(universe, null, 2));
+}
+
+/**
+ * Metadata for one symbol
+ * @param {string} symbol
+ * @param {Object} [universe] - loaded store (read from disk when omitted)
+ * @returns {Object|null}
+ */
+function symbolInfo(symbol, universe = loadUniverse()) {
+  return universe.symbols[symbol] || null;
+}
+
+/**
+ * True when the store is missing or older than UNIVERSE_REFRESH_HOURS
+ * @param {Object} [universe]
+ * @returns {boolean}
+ */
+function isStale(universe = loadUniverse()) {
+  return !universe.updatedAt || Date.now() - Date.parse(universe.updatedAt) > config.refreshHours * 60 * 60 * 1000;
+}
+
+// ---- Eligibility ----
+/**
+ * Reasons a symbol fails the rules; an empty array means eligible
+ * @param {Object} entry - universe entry
+ * @param {Object} [rules] - default from backend/config/universe.js
+ * @param {Object} [options]
+ * @param {boolean} [options.liquidity=true] - apply the price and dollar-volume rules (missing history fails them)
+ * @returns {Array<string>}
+ */
+function evaluate(entry, rules = config.rules, { liquidity = true } = {}) {
+  if (rules.exclude.includes(entry.symbol)) return ["excluded"];
+  if (rules.include.includes(entry.symbol)) return [];
+
+  const reasons = [];
+  if (!entry.active) reasons.push("inactive");
+  if (rules.exchanges.length && !rules.exchanges.includes(entry.exchange)) reasons.push(`exchange ${entry.exchange}`);
+  if (rules.assetClasses.length && !rules.assetClasses.includes(entry.assetClass)) reasons.push(`asset class ${entry.assetClass}`);
+  if (rules.requireOptions && entry.optionable !== true) reasons.push(entry.optionable === false ? "no listed options" : "options unknown");
+  if (rules.sectors.length && !rules.sectors.includes(entry.sector)) reasons.push(`sector ${entry.sector || "unknown"}`);
+  if (entry.sector && rules.excludeSectors.includes(entry.sector)) reasons.push(`sector ${entry.sector} excluded`);
+
+  if (liquidity) {
+    if (entry.price == null) reasons.push("no daily history");
+    else {
+      if (entry.price < rules.minPrice) reasons.push(`price ${entry.price} < ${rules.minPrice}`);
+      if (entry.price > rules.maxPrice) reasons.push(`price ${entry.price} > ${rules.maxPrice}`);
+      if ((entry.avgDollarVolume || 0) < rules.minDollarVolume) {
+        reasons.push(`dollar volume ${Math.round(entry.avgDollarVolume || 0)} < ${rules.minDollarVolume}`);
+      }
+    }
+  }
+  return reasons;
+}
+
+function readLegacyList() {
+  if (!fs.existsSync(config.legacyFile)) return [];
+  return fs.readFileSync(config.legacyFile, "utf-8").split(/\r?\n/).map(s => s.trim()).filter(Boolean);
+}
+
+/**
+ * Symbols passing the eligibility rules, sorted. Falls back to the legacy
+ * optionable_stocks.csv while no universe has been built.
+ * @param {Object} [options]
+ * @param {boolean} [options.liquidity=true] - false for the download list, whose history is what liquidity is measured on
+ * @param {Object} [options.rules]
+ * @returns {Array<string>}
+ */
+function eligibleSymbols({ liquidity = true, rules = config.rules } = {}) {
+  const universe = loadUniverse();
+  const entries = Object.values(universe.symbols);
+  if (!entries.length) {
+    const legacy = readLegacyList();
+    console.warn(`⚠️ No symbol universe at ${config.file}; using ${legacy.length} symbols from ${path.basename(config.legacyFile)}`);
+    return legacy;
+  }
+
+  const symbols = new Set(entries.filter(e => !evaluate(e, rules, { liquidity }).length).map(e => e.symbol));
+  for (const symbol of rules.include) if (!rules.exclude.includes(symbol)) symbols.add(symbol);
+  return [...symbols].sort();
+}
+
+// ---- Refresh ----
+/**
+ * Last close and average dollar volume from the local daily bars
+ * @param {string} symbol
+ * @param {number} [days]
+ * @returns {Promise<Object|null>} { price, avgDollarVolume, liquidityAsOf } or null without history
+ */
+async function measureLiquidity(symbol, days = config.liquidityDays) {
+  if (!fs.existsSync(barStore.barPath(symbol, "1day"))) return null;
+  const bars = await barStore.readBars(symbol, "1day", { limit: days });
+  if (!bars.length) return null;
+  const last = bars[bars.length - 1];
+  return {
+    price: last.close,
+    avgDollarVolume: Math.round(bars.reduce((sum, b) => sum + b.close * b.volume, 0) / bars.length),
+    liquidityAsOf: new Date(last.time).toISOString().slice(0, 10),
+  };
+}
+
+async function measureAll(universe, symbols) {
+  let measured = 0;
+  for (const symbol of symbols) {
+    if (!universe.symbols[symbol]) continue;
+    try {
+      const liquidity = await measureLiquidity(symbol);
+      if (!liquidity) continue;
+      Object.assign(universe.symbols[symbol], liquidity);
+      measured++;
+    } catch (err) {
+      console.warn(`⚠️ ${symbol}: could not measure liquidity (${err.message})`);
+    }
+  }
+  return measured;
+}
+
+/**
+ * Re-measure price and dollar volume after new daily bars were stored
+ * @param {Array<string>} [symbols] - default every active symbol
+ * @returns {Promise<number>} symbols measured
+ */
+async function updateLiquidity(symbols) {
+  const universe = loadUniverse();
+  if (!Object.keys(universe.symbols).length) return 0;
+  const measured = await measureAll(universe, symbols || Object.values(universe.symbols).filter(e => e.active).map(e => e.symbol));
+  saveUniverse(universe);
+  return measured;
+}
+
+async function fillSectors(universe, detailsProvider, limit) {
+  if (!detailsProvider.fetchTickerDetails || limit <= 0) return 0;
+  const staleBefore = Date.now() - config.sectorMaxAgeDays * DAY_MS;
+  // Only symbols the sector-independent rules keep are worth a request
+  const rules = { ...config.rules, sectors: [], excludeSectors: [] };
+  const pending = Object.values(universe.symbols)
+    .filter(e => !evaluate(e, rules, { liquidity: false }).length)
+    .filter(e => !e.sectorUpdatedAt || Date.parse(e.sectorUpdatedAt) < staleBefore)
+    .sort((a, b) => (a.sectorUpdatedAt ? 1 : 0) - (b.sectorUpdatedAt ? 1 : 0))
+    .slice(0, limit);
+
+  let filled = 0;
+  for (const entry of pending) {
+    try {
+      const details = await detailsProvider.fetchTickerDetails(entry.symbol);
+      // ETFs have no sector of their own
+      entry.sector = entry.assetClass === "etf" ? null : details.sector;
+      entry.sectorUpdatedAt = new Date().toISOString();
+      filled++;
+    } catch (err) {
+      console.warn(`⚠️ ${entry.symbol}: sector lookup failed (${err.message})`);
+    }
+  }
+  return filled;
+}
+
+/**
+ * Re-list the assets, update metadata, measure liquidity and look up missing sectors.
+ * A new symbol carrying the id of one that disappeared is recorded as a rename
+ * (renamedFrom / renamedTo) and keeps the old entry's metadata.
+ * @param {Object} [options]
+ * @param {Object} [options.provider] - asset list source (default UNIVERSE_PROVIDER)
+ * @param {Object} [options.detailsProvider] - sector source (default UNIVERSE_DETAILS_PROVIDER)
+ * @param {number} [options.sectorBatch] - sector lookups this run (UNIVERSE_SECTOR_BATCH)
+ * @returns {Promise<Object>} { date, total, active, added, delisted, renamed, measured, sectors, eligible }
+ *   added/delisted are symbol lists, renamed is [{ from, to }]
+ */
+async function refreshUniverse({
+  provider = getProvider(config.provider),
+  detailsProvider = getProvider(config.detailsProvider),
+  sectorBatch = config.sectorBatch,
+} = {}) {
+  if (!provider.fetchAssets) throw new Error(`${provider.name} provider cannot list assets; set UNIVERSE_PROVIDER`);
+  const assets = (await provider.fetchAssets()).filter(a => a.tradable);
+  if (!assets.length) throw new Error(`${provider.name} returned no assets`);
+
+  const universe = loadUniverse();
+  const today = clock.today();
+  const listed = new Set(assets.map(a => a.symbol));
+  // Entries that vanished from the listing, by vendor id, to spot ticker changes
+  const vanished = new Map(Object.values(universe.symbols)
+    .filter(e => e.active && e.id && !listed.has(e.symbol))
+    .map(e => [e.id, e]));
+  const added = [];
+  const renamed = [];
+
+  for (const asset of assets) {
+    let previous = universe.symbols[asset.symbol];
+    const renamedEntry = !previous && asset.id ? vanished.get(asset.id) : null;
+    if (renamedEntry) {
+      previous = { ...renamedEntry, renamedFrom: renamedEntry.symbol };
+      renamedEntry.renamedTo = asset.symbol;
+      renamed.push({ from: renamedEntry.symbol, to: asset.symbol });
+    } else if (!previous) {
+      added.push(asset.symbol);
+    }
+    universe.symbols[asset.symbol] = {
+      sector: null,
+      sectorUpdatedAt: null,
+      price: null,
+      avgDollarVolume: null,
+      liquidityAsOf: null,
+      firstSeen: today,
+      ...previous,
+      id: asset.id ?? previous?.id ?? null,
+      symbol: asset.symbol,
+      name: asset.name,
+      exchange: asset.exchange,
+      assetClass: classifyAsset(asset),
+      // Polygon does not report options; keep what an earlier source said
+      optionable: asset.optionable ?? previous?.optionable ?? null,
+      active: true,
+      lastSeen: today,
+    };
+  }
+
+  const delisted = [];
+  for (const entry of Object.values(universe.symbols)) {
+    if (entry.active && !listed.has(entry.symbol)) {
+      entry.active = false;
+      if (!entry.renamedTo) delisted.push(entry.symbol);
+    }
+  }
+
+  const measured = await measureAll(universe, [...listed]);
+  const sectors = await fillSectors(universe, detailsProvider, sectorBatch);
+
+  universe.updatedAt = new Date().toISOString();
+  universe.source = provider.name;
+  saveUniverse(universe);
+
+  const eligible = Object.values(universe.symbols).filter(e => !evaluate(e).length).length;
+  return { date: today, total: Object.keys(universe.symbols).length, active: listed.size, added, delisted, renamed, measured, sectors, eligible };
+}
+
+module.exports = {
+  ASSET_CLASSES,
+  classifyAsset,
+  loadUniverse,
+  symbolInfo,
+  isStale,
+  evaluate,
+  eligibleSymbols,
+  measureLiquidity,
+  updateLiquidity,
+  refreshUniverse,
+};
@@ -0,0 +1,250 @@
+// backend/data/universeSnapshots.js
+const fs = require("fs");
+const path = require("path");
+const barStore = require("./barStore");
+const universe = require("./universe");
+const calendar = require("../utils/tradingCalendar");
+const clock = require("../utils/clock");
+const config = require("../config/universe");
+
+/**
+ * Point-in-time universe: one file per trading day with the symbols that were
+ * eligible that morning, so backtests can trade each symbol only on the dates
+ * it was actually in the universe, delisted and renamed symbols included.
+ *
+ * Snapshot (Historical/universe_snapshots/YYYY-MM-DD.json):
+ *   { date, createdAt, reconstructed, rules, eligible: [...], delisted: [...], renamed: [{ from, to }] }
+ *
+ * The morning refresh writes today's snapshot from liquidity measured on the
+ * bars up to the previous session. reconstructSnapshots() fills in earlier
+ * dates from the local daily bars (price and dollar volume as of each date,
+ * today's asset class and options metadata).
+ */
+const SNAPSHOT_DIR = config.snapshotDir;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const snapshotPath = date => path.join(SNAPSHOT_DIR, `${date}.json`);
+
+/**
+ * Dates with a snapshot, oldest first
+ * @returns {Array<string>} YYYY-MM-DD
+ */
+function listSnapshots() {
+  if (!fs.existsSync(SNAPSHOT_DIR)) return [];
+  return fs.readdirSync(SNAPSHOT_DIR)
+    .filter(f => /^\d{4}-\d{2}-\d{2}\.json$/.test(f))
+    .map(f => f.slice(0, 10))
+    .sort();
+}
+
+/**
+ * @param {string} date - YYYY-MM-DD
+ * @returns {Object|null} snapshot
+ */
+function loadSnapshot(date) {
+  const file = snapshotPath(date);
+  if (!fs.existsSync(file)) return null;
+  try {
+    return JSON.parse(fs.readFileSync(file, "utf-8"));
+  } catch (err) {
+    console.warn(`⚠️ Could not read ${file}: ${err.message}`);
+    return null;
+  }
+}
+
+/**
+ * Write the snapshot for one date (replaces an existing one)
+ * @param {string} date - YYYY-MM-DD
+ * @param {Object} contents - { eligible, delisted, renamed, reconstructed }
+ * @returns {Object} snapshot written
+ */
+function saveSnapshot(date, { eligible, delisted = [], renamed = [], reconstructed = false }) {
+  const snapshot = {
+    date,
+    createdAt: new Date().toISOString(),
+    reconstructed,
+    rules: config.rules,
+    eligible: [...new Set(eligible)].sort(),
+    delisted,
+    renamed,
+  };
+  fs.mkdirSync(SNAPSHOT_DIR, { recursive: true });
+  fs.writeFileSync(snapshotPath(date), JSON.stringify(snapshot, null, 2));
+  return snapshot;
+}
+
+/**
+ * Snapshot of the universe as it stands now, for the refresh's date
+ * @param {Object} summary - result of universe.refreshUniverse()
+ * @returns {Object} snapshot written
+ */
+function recordSnapshot({ date, delisted, renamed }) {
+  return saveSnapshot(date, { eligible: universe.eligibleSymbols(), delisted, renamed });
+}
+
+/**
+ * Rebuild snapshots for past trading days from the local daily bars. A symbol
+ * is eligible on a date when its metadata passes the listing rules and the
+ * price and dollar volume of the sessions before that date pass the liquidity
+ * rules; delisted symbols still in the universe store are included.
+ * @param {Object} options
+ * @param {string} options.from - YYYY-MM-DD
+ * @param {string} [options.to] - YYYY-MM-DD, default today
+ * @param {boolean} [options.force=false] - also replace snapshots recorded by the morning refresh
+ * @returns {Promise<Object>} { written, symbols } snapshots written, symbols examined
+ */
+async function reconstructSnapshots({ from, to = clock.today(), force = false }) {
+  const store = universe.loadUniverse();
+  const existing = new Set(listSnapshots());
+  const targets = calendar.tradingDaysBetween(from, to).filter(d => force || !existing.has(d));
+  if (!targets.length) return { written: 0, symbols: 0 };
+
+  const eligibleByDate = new Map(targets.map(d => [d, new Set()]));
+  const { rules, liquidityDays } = config;
+  let symbols = 0;
+
+  for (const entry of Object.values(store.symbols)) {
+    // Listing is judged by the bars themselves: a symbol with a bar that day was trading
+    const listedEntry = { ...entry, active: true };
+    if (universe.evaluate(listedEntry, rules, { liquidity: false }).length) continue;
+    if (!fs.existsSync(barStore.barPath(entry.symbol, "1day"))) continue;
+    symbols++;
+
+    const bars = await barStore.readBars(entry.symbol, "1day");
+    for (let k = 1; k < bars.length; k++) {
+      const eligible = eligibleByDate.get(calendar.sessionDate(bars[k].time));
+      if (!eligible) continue;
+      const window = bars.slice(Math.max(0, k - liquidityDays), k);
+      const price = window[window.length - 1].close;
+      const avgDollarVolume = window.reduce((sum, b) => sum + b.close * b.volume, 0) / window.length;
+      if (!universe.evaluate({ ...listedEntry, price, avgDollarVolume }, rules).length) eligible.add(entry.symbol);
+    }
+  }
+
+  const always = rules.include.filter(s => !rules.exclude.includes(s));
+  for (const date of targets) {
+    saveSnapshot(date, { eligible: [...eligibleByDate.get(date), ...always], reconstructed: true });
+  }
+  return { written: targets.length, symbols };
+}
+
+/**
+ * Eligibility over time, for backtests. A snapshot covers its own date and the
+ * following days up to the next one (at most UNIVERSE_SNAPSHOT_MAX_GAP_DAYS);
+ * dates before the first snapshot use the first one (backfill older snapshots
+ * with reconstructSnapshots to avoid that survivorship bias), later gaps count
+ * as not eligible. Renamed symbols are
+ * reported under their current ticker and match snapshots taken under any
+ * earlier one.
+ * @param {Object} [options] - { from, to } YYYY-MM-DD bounds on the snapshots loaded
+ * @returns {Object} { dates, symbols(), eligibleOn(symbol, date), predicate(symbol), eligibleSessions(symbol), isListed(symbol) }
+ */
+function loadHistory({ from, to } = {}) {
+  const dates = listSnapshots().filter(d => (!from || d >= from) && (!to || d <= to));
+  const members = new Map(); // date → Set of symbols
+  for (const date of dates) members.set(date, new Set(loadSnapshot(date)?.eligible || []));
+
+  const store = universe.loadUniverse();
+  const renamedTo = new Map();
+  for (const entry of Object.values(store.symbols)) if (entry.renamedTo) renamedTo.set(entry.symbol, entry.renamedTo);
+  for (const date of dates) {
+    for (const { from: oldSymbol, to: newSymbol } of loadSnapshot(date)?.renamed || []) renamedTo.set(oldSymbol, newSymbol);
+  }
+
+  const current = symbol => {
+    const seen = new Set();
+    while (renamedTo.has(symbol) && !seen.has(symbol)) {
+      seen.add(symbol);
+      symbol = renamedTo.get(symbol);
+    }
+    return symbol;
+  };
+  const aliases = symbol => {
+    const names = [symbol];
+    for (const [oldSymbol] of renamedTo) if (oldSymbol !== symbol && current(oldSymbol) === symbol) names.push(oldSymbol);
+    return names;
+  };
+
+  // Latest snapshot date on or before `date` that still covers it; the first one before it
+  const coveringDate = date => {
+    let lo = 0;
+    let hi = dates.length - 1;
+    let found = null;
+    while (lo <= hi) {
+      const mid = (lo + hi) >> 1;
+      if (dates[mid] <= date) {
+        found = dates[mid];
+        lo = mid + 1;
+      } else {
+        hi = mid - 1;
+      }
+    }
+    if (!found) return dates.length ? dates[0] : null;
+    return Date.parse(date) - Date.parse(found) <= config.snapshotMaxGapDays * DAY_MS ? found : null;
+  };
+
+  function eligibleOn(symbol, date, names = aliases(current(symbol))) {
+    const snapshotDate = coveringDate(date);
+    if (!snapshotDate) return false;
+    const set = members.get(snapshotDate);
+    return names.some(name => set.has(name));
+  }
+
+  return {
+    dates,
+
+    /**
+     * Every symbol eligible on at least one snapshot date, under its current ticker
+     * @returns {Array<string>}
+     */
+    symbols() {
+      const all = new Set();
+      for (const set of members.values()) for (const symbol of set) all.add(current(symbol));
+      return [...all].sort();
+    },
+
+    eligibleOn,
+
+    /**
+     * Cached bar-time test for one symbol
+     * @param {string} symbol
+     * @returns {Function} time (epoch ms) → boolean
+     */
+    predicate(symbol) {
+      const names = aliases(current(symbol));
+      const cache = new Map();
+      return time => {
+        const date = calendar.sessionDate(time);
+        if (!cache.has(date)) cache.set(date, eligibleOn(symbol, date, names));
+        return cache.get(date);
+      };
+    },
+
+    /**
+     * @param {string} symbol
+     * @returns {number} snapshot dates the symbol was eligible on
+     */
+    eligibleSessions(symbol) {
+      const names = aliases(current(symbol));
+      return dates.filter(d => names.some(name => members.get(d).has(name))).length;
+    },
+
+    /**
+     * @param {string} symbol
+     * @returns {boolean} still listed according to the universe store
+     */
+    isListed(symbol) {
+      return Boolean(store.symbols[current(symbol)]?.active);
+    },
+  };
+}
+
+module.exports = {
+  SNAPSHOT_DIR,
+  listSnapshots,
+  loadSnapshot,
+  saveSnapshot,
+  recordSnapshot,
+  reconstructSnapshots,
+  loadHistory,
+};
@@ -0,0 +1,135 @@
+// backend/providers/alpacaProvider.js
+const { alpaca } = require("../config/marketData");
+const { getClient, hasKeys } = require("../utils/httpClient");
+const { getTimeframe, defaultRange } = require("../utils/timeframes");
+
+const TIMEFRAME_UNITS = { minute: "Min", hour: "Hour", day: "Day", week: "Week" };
+
+// The shared client adds the key headers (rotating through ALPACA_API_KEYS) and keeps to the rate budget
+function client() {
+  if (!hasKeys("alpaca")) throw new Error("ALPACA_API_KEY / ALPACA_SECRET_KEY missing in .env");
+  return getClient("alpaca");
+}
+
+// '15min' → '15Min', '1day' → '1Day'
+function toAlpacaTimeframe(timeframe) {
+  const { multiplier, unit } = getTimeframe(timeframe);
+  return `${multiplier}${TIMEFRAME_UNITS[unit]}`;
+}
+
+// Alpaca bar → normalized bar
+function toBar(b) {
+  return {
+    time: new Date(b.t).getTime(),
+    open: b.o,
+    high: b.h,
+    low: b.l,
+    close: b.c,
+    volume: b.v,
+    trades: b.n ?? null,
+    vwap: b.vw ?? null,
+  };
+}
+
+/**
+ * Fetch historical bars from the Alpaca data API, following page tokens
+ * @param {string} symbol
+ * @param {string} timeframe - '5min', '15min', '1hour', '1day', ...
+ * @param {Object} options - { from, to, limit }
+ * @returns {Promise<Array>} normalized bars, oldest first
+ */
+async function fetchBars(symbol, timeframe, options = {}) {
+  const range = options.from ? { from: options.from, to: options.to } : defaultRange(timeframe, options.limit);
+  const params = {
+    timeframe: toAlpacaTimeframe(timeframe),
+    start: range.from,
+    end: range.to,
+    adjustment: "split",
+    feed: alpaca.feed,
+    limit: 10000,
+  };
+
+  let bars = [];
+  let pageToken = null;
+  do {
+    const response = await client().get(`${alpaca.dataBaseUrl}/v2/stocks/${encodeURIComponent(symbol)}/bars`, {
+      params: pageToken ? { ...params, page_token: pageToken } : params,
+    });
+    bars = bars.concat((response.data.bars || []).map(toBar));
+    pageToken = response.data.next_page_token;
+  } while (pageToken);
+
+  return options.limit ? bars.slice(-options.limit) : bars;
+}
+
+/**
+ * Most recent bar for a symbol
+ * @param {string} symbol
+ * @param {string} timeframe
+ * @returns {Promise<Object|null>} normalized bar
+ */
+async function fetchLatestBar(symbol, timeframe) {
+  const bars = await fetchBars(symbol, timeframe, { limit: 1 });
+  return bars[bars.length - 1] || null;
+}
+
+/**
+ * Active, tradable US equities
+ * @returns {Promise<Array<string>>}
+ */
+async function listSymbols() {
+  // Imported lazily so data-only users don't need trading credentials
+  const { alpaca: client } = require("../config/alpaca");
+  const assets = await client.getAssets({ status: "active" });
+  return assets
+    .filter(a => a.tradable && ["NASDAQ", "NYSE", "AMEX"].includes(a.exchange))
+    .map(a => a.symbol);
+}
+
+/**
+ * Splits and cash dividends with an ex-date in a range
+ * @param {string} symbol
+ * @param {Object} options - { from, to } dates as YYYY-MM-DD
+ * @returns {Promise<Object>} { splits: [{ symbol, exDate, ratio }], dividends: [{ symbol, exDate, amount, payDate }] }
+ */
+async function fetchCorporateActions(symbol, { from, to } = {}) {
+  const params = { symbols: symbol, types: "forward_split,reverse_split,cash_dividend", start: from, end: to, limit: 1000 };
+  const splits = [];
+  const dividends = [];
+  let pageToken = null;
+  do {
+    const response = await client().get(`${alpaca.dataBaseUrl}/v1/corporate-actions`, {
+      params: pageToken ? { ...params, page_token: pageToken } : params,
+    });
+    const actions = response.data.corporate_actions || {};
+    for (const s of [...(actions.forward_splits || []), ...(actions.reverse_splits || [])]) {
+      splits.push({ symbol, exDate: s.ex_date, ratio: s.new_rate / s.old_rate });
+    }
+    for (const d of actions.cash_dividends || []) {
+      dividends.push({ symbol, exDate: d.ex_date, amount: d.rate, payDate: d.payable_date || null });
+    }
+    pageToken = response.data.next_page_token;
+  } while (pageToken);
+  return { splits, dividends };
+}
+
+/**
+ * Active US equities with the metadata the universe service classifies
+ * @returns {Promise<Array>} [{ id, symbol, name, exchange, type, optionable, tradable }], type is always null (Alpaca has no asset type)
+ */
+async function fetchAssets() {
+  const response = await client().get(`${alpaca.tradingBaseUrl}/v2/assets`, {
+    params: { status: "active", asset_class: "us_equity" },
+  });
+  return (response.data || []).map(a => ({
+    id: a.id,
+    symbol: a.symbol,
+    name: a.name || "",
+    exchange: a.exchange,
+    type: null,
+    optionable: (a.attributes || []).includes("has_options"),
+    tradable: a.tradable !== false,
+  }));
+}
+
+module.exports = { name: "alpaca", fetchBars, fetchLatestBar, listSymbols, fetchCorporateActions, fetchAssets, toAlpacaTimeframe };
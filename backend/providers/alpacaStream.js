@@ -0,0 +1,48 @@
+// backend/providers/alpacaStream.js
+const { alpaca } = require("../config/marketData");
+const { createBarStream } = require("./barStream");
+
+// Errors after which reconnecting cannot help: auth failed, connection limit exceeded
+const FATAL_CODES = new Set([402, 406]);
+
+// Alpaca minute bar ("b", or "u" for a late correction) → normalized bar
+function toBar(m) {
+  return {
+    symbol: m.S,
+    time: new Date(m.t).getTime(),
+    open: m.o,
+    high: m.h,
+    low: m.l,
+    close: m.c,
+    volume: m.v,
+    trades: m.n ?? null,
+    vwap: m.vw ?? null,
+  };
+}
+
+function parse(m) {
+  if (m.T === "b" || m.T === "u") return { type: "bar", bar: toBar(m) };
+  if (m.T === "success" && m.msg === "connected") return { type: "welcome" };
+  if (m.T === "success" && m.msg === "authenticated") return { type: "authenticated" };
+  if (m.T === "error") return { type: "error", message: `${m.code} ${m.msg}`, fatal: FATAL_CODES.has(m.code) };
+  return null;
+}
+
+/**
+ * Alpaca minute bars (and updated bars) over WebSocket
+ * (ALPACA_STREAM_URL, default wss://stream.data.alpaca.markets/v2/<ALPACA_DATA_FEED>)
+ * @returns {EventEmitter} bar stream, see barStream.js
+ */
+function createStream() {
+  if (!alpaca.keyId || !alpaca.secretKey) throw new Error("ALPACA_API_KEY / ALPACA_SECRET_KEY missing in .env");
+  return createBarStream({
+    name: "alpaca",
+    url: alpaca.streamUrl,
+    auth: () => ({ action: "auth", key: alpaca.keyId, secret: alpaca.secretKey }),
+    subscribe: symbols => ({ action: "subscribe", bars: symbols, updatedBars: symbols }),
+    unsubscribe: symbols => ({ action: "unsubscribe", bars: symbols, updatedBars: symbols }),
+    parse,
+  });
+}
+
+module.exports = { name: "alpaca", createStream };
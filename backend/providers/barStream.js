@@ -0,0 +1,149 @@
+// backend/providers/barStream.js
+const EventEmitter = require("events");
+const WebSocket = require("ws");
+
+const RECONNECT_BASE_MS = 1000;
+const RECONNECT_MAX_MS = 30 * 1000;
+const PING_INTERVAL_MS = 30 * 1000;
+
+/**
+ * Minute-bar WebSocket client shared by the vendor stream adapters
+ * (polygonStream, alpacaStream). Runs connect → authenticate → subscribe,
+ * pings to detect dead connections, reconnects with exponential backoff and
+ * re-subscribes after every reconnect. Authentication failures are fatal.
+ *
+ * Events:
+ *   'bar'          normalized 1-minute Bar plus { symbol }
+ *   'connected'    authenticated (again, after a reconnect)
+ *   'disconnected' connection lost, a reconnect is scheduled
+ *   'error'        Error (fatal errors also stop the stream)
+ *
+ * @param {Object} protocol - vendor message format
+ * @param {string} protocol.name
+ * @param {string} protocol.url
+ * @param {function(): Object} protocol.auth - auth message
+ * @param {function(Array<string>): Object} protocol.subscribe
+ * @param {function(Array<string>): Object} protocol.unsubscribe
+ * @param {function(Object): Object|null} protocol.parse - one decoded message →
+ *   { type: 'bar', bar } | { type: 'welcome' } | { type: 'authenticated' } | { type: 'error', message, fatal } | null
+ * @returns {EventEmitter} with connect(), subscribe(symbols), unsubscribe(symbols), close()
+ */
+function createBarStream(protocol) {
+  const stream = new EventEmitter();
+  const symbols = new Set();
+  let socket = null;
+  let authenticated = false;
+  let closing = false;
+  let attempts = 0;
+  let reconnectTimer = null;
+  let pingTimer = null;
+  let alive = true;
+  let ready = null; // { resolve, reject } of the pending connect() promise
+
+  function send(message) {
+    if (socket && socket.readyState === WebSocket.OPEN) socket.send(JSON.stringify(message));
+  }
+
+  function fail(message, fatal) {
+    const err = new Error(`${protocol.name} stream: ${message}`);
+    if (fatal) {
+      if (ready) ready.reject(err);
+      ready = null;
+      stream.close();
+    }
+    if (stream.listenerCount("error")) stream.emit("error", err);
+    else console.warn(`⚠️ ${err.message}`);
+  }
+
+  function handle(raw) {
+    let messages;
+    try {
+      messages = JSON.parse(raw);
+    } catch (err) {
+      return fail(`invalid JSON (${err.message})`, false);
+    }
+    for (const message of [].concat(messages)) {
+      const event = protocol.parse(message);
+      if (!event) continue;
+      if (event.type === "bar") {
+        stream.emit("bar", event.bar);
+      } else if (event.type === "welcome") {
+        send(protocol.auth());
+      } else if (event.type === "authenticated") {
+        authenticated = true;
+        attempts = 0;
+        if (symbols.size) send(protocol.subscribe([...symbols]));
+        if (ready) ready.resolve();
+        ready = null;
+        stream.emit("connected");
+      } else if (event.type === "error") {
+        fail(event.message, event.fatal);
+      }
+    }
+  }
+
+  function open() {
+    authenticated = false;
+    socket = new WebSocket(protocol.url);
+    socket.on("message", data => handle(data.toString()));
+    socket.on("pong", () => { alive = true; });
+    socket.on("error", err => fail(err.message, false));
+    socket.on("close", () => {
+      clearInterval(pingTimer);
+      socket = null;
+      if (closing) return;
+      const delay = Math.min(RECONNECT_MAX_MS, RECONNECT_BASE_MS * 2 ** attempts++);
+      stream.emit("disconnected", { delay });
+      reconnectTimer = setTimeout(open, delay);
+    });
+    socket.on("open", () => {
+      alive = true;
+      pingTimer = setInterval(() => {
+        if (!alive) return socket && socket.terminate(); // no pong since the last ping
+        alive = false;
+        socket.ping();
+      }, PING_INTERVAL_MS);
+    });
+  }
+
+  /**
+   * Open the connection
+   * @returns {Promise<void>} resolves once authenticated, rejects on a fatal error
+   */
+  stream.connect = () => {
+    closing = false;
+    return new Promise((resolve, reject) => {
+      ready = { resolve, reject };
+      open();
+    });
+  };
+
+  /**
+   * @param {Array<string>} list - symbols to add (sent now if connected, else on connect)
+   */
+  stream.subscribe = list => {
+    const added = list.filter(s => !symbols.has(s));
+    added.forEach(s => symbols.add(s));
+    if (authenticated && added.length) send(protocol.subscribe(added));
+  };
+
+  /**
+   * @param {Array<string>} list - symbols to drop
+   */
+  stream.unsubscribe = list => {
+    const removed = list.filter(s => symbols.delete(s));
+    if (authenticated && removed.length) send(protocol.unsubscribe(removed));
+  };
+
+  // Close for good (no reconnect)
+  stream.close = () => {
+    closing = true;
+    clearTimeout(reconnectTimer);
+    clearInterval(pingTimer);
+    if (socket) socket.close();
+  };
+
+  return stream;
+}
+
+module.exports = { createBarStream };
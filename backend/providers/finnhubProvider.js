@@ -0,0 +1,65 @@
+// backend/providers/finnhubProvider.js
+const { finnhub } = require("../config/marketData");
+const { getClient, hasKeys } = require("../utils/httpClient");
+const calendar = require("../utils/tradingCalendar");
+
+/**
+ * Finnhub calendars (earnings and US economic releases) for the event
+ * calendar. Not a bar provider: Finnhub is only used for events and option
+ * chains in this project.
+ */
+
+// Economic-calendar event name → event type (first match wins)
+const MACRO_EVENTS = [
+  [/fed interest rate decision|fomc/i, "fomc"],
+  [/\bcpi\b|consumer price index/i, "cpi"],
+  [/non.?farm payrolls/i, "nfp"],
+  [/\bpce\b/i, "pce"],
+  [/\bgdp\b/i, "gdp"],
+];
+
+function client() {
+  if (!hasKeys("finnhub")) throw new Error("FINNHUB_API_KEY is missing in .env");
+  return getClient("finnhub");
+}
+
+/**
+ * Earnings dates in a range
+ * @param {Object} options - { from, to } YYYY-MM-DD, { symbols } to keep (default all)
+ * @returns {Promise<Array<Object>>} [{ type: 'earnings', symbol, date, time, description }]
+ */
+async function fetchEarnings({ from, to, symbols = null }) {
+  const res = await client().get(`${finnhub.baseUrl}/calendar/earnings`, { params: { from, to } });
+  const wanted = symbols ? new Set(symbols) : null;
+  return (res.data.earningsCalendar || [])
+    .filter(e => e.symbol && e.date && (!wanted || wanted.has(e.symbol)))
+    .map(e => ({
+      type: "earnings",
+      symbol: e.symbol,
+      date: e.date,
+      time: ["bmo", "amc", "dmh"].includes(e.hour) ? e.hour : null,
+      description: e.quarter && e.year ? `Q${e.quarter} ${e.year} earnings` : "Earnings",
+    }));
+}
+
+/**
+ * US macro releases in a range (FOMC, CPI, payrolls, PCE, GDP). Needs a paid
+ * Finnhub plan; callers fall back to the local CSV when this fails.
+ * @param {Object} options - { from, to } YYYY-MM-DD
+ * @returns {Promise<Array<Object>>} [{ type, symbol: null, date, time: 'HH:MM' (New York), description }]
+ */
+async function fetchEconomicEvents({ from, to }) {
+  const res = await client().get(`${finnhub.baseUrl}/calendar/economic`, { params: { from, to } });
+  const events = [];
+  for (const e of res.data.economicCalendar || []) {
+    if (e.country !== "US" || !e.time) continue;
+    const type = MACRO_EVENTS.find(([pattern]) => pattern.test(e.event))?.[1];
+    if (!type) continue;
+    const { date, minutes } = calendar.nyParts(Date.parse(`${e.time.replace(" ", "T")}Z`)); // Finnhub times are UTC
+    const time = `${String(Math.floor(minutes / 60)).padStart(2, "0")}:${String(minutes % 60).padStart(2, "0")}`;
+    events.push({ type, symbol: null, date, time, description: e.event });
+  }
+  return events;
+}
+
+module.exports = { name: "finnhub", fetchEarnings, fetchEconomicEvents };
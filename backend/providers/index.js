@@ -0,0 +1,66 @@
+// backend/providers/index.js
+const config = require("../config/marketData");
+
+/**
+ * Normalized bar returned by every provider
+ * @typedef {Object} Bar
+ * @property {number} time - bar start, epoch milliseconds (UTC)
+ * @property {number} open
+ * @property {number} high
+ * @property {number} low
+ * @property {number} close
+ * @property {number} volume
+ * @property {number|null} trades - number of trades, if the vendor reports it
+ * @property {number|null} vwap - volume-weighted average price, if reported
+ */
+
+/**
+ * Provider interface implemented by each adapter
+ * @typedef {Object} MarketDataProvider
+ * @property {string} name
+ * @property {function(string, string, Object): Promise<Array<Bar>>} fetchBars - (symbol, timeframe, { from, to, limit })
+ * @property {function(string, string): Promise<Bar|null>} fetchLatestBar - (symbol, timeframe)
+ * @property {function(): Promise<Array<string>>} listSymbols
+ * @property {function(string, Object): Promise<Object>} [fetchCorporateActions] - (symbol, { from, to }) →
+ *   { splits: [{ symbol, exDate, ratio }], dividends: [{ symbol, exDate, amount, payDate }] }; ratio = new shares / old shares
+ * @property {function(Object): Promise<Array<Object>>} [fetchEarnings] - ({ from, to, symbols }) →
+ *   [{ type: 'earnings', symbol, date, time: 'bmo' | 'amc' | 'dmh' | null, description }] (also backend/providers/finnhubProvider.js)
+ */
+
+// Adapters are loaded on demand so an unused vendor SDK never has to load
+const PROVIDERS = {
+  polygon: () => require("./polygonProvider"),
+  alpaca: () => require("./alpacaProvider"),
+  yahoo: () => require("./yahooProvider"),
+  replay: () => require("./replayProvider"),
+};
+
+// Live minute-bar feeds (WebSocket), see barStream.js
+const STREAMS = {
+  polygon: () => require("./polygonStream"),
+  alpaca: () => require("./alpacaStream"),
+};
+
+/**
+ * Get a market-data provider by name
+ * @param {string} [name] - defaults to MARKET_DATA_PROVIDER (polygon)
+ * @returns {MarketDataProvider}
+ */
+function getProvider(name = config.provider) {
+  const load = PROVIDERS[String(name).toLowerCase()];
+  if (!load) throw new Error(`Unknown market data provider "${name}". Options: ${Object.keys(PROVIDERS).join(", ")}`);
+  return load();
+}
+
+/**
+ * Create a live minute-bar stream
+ * @param {string} [name] - defaults to MARKET_DATA_STREAM
+ * @returns {EventEmitter} bar stream with connect(), subscribe(), unsubscribe(), close()
+ */
+function getStream(name = config.stream) {
+  const load = STREAMS[String(name).toLowerCase()];
+  if (!load) throw new Error(`Unknown market data stream "${name}". Options: ${Object.keys(STREAMS).join(", ")}`);
+  return load().createStream();
+}
+
+module.exports = { getProvider, getStream, PROVIDERS: Object.keys(PROVIDERS), STREAMS: Object.keys(STREAMS) };
@@ -0,0 +1,142 @@
+// backend/providers/polygonProvider.js
+const { polygon } = require("../config/marketData");
+const { getClient, hasKeys } = require("../utils/httpClient");
+const { getTimeframe, defaultRange } = require("../utils/timeframes");
+const { sectorFromSic } = require("../utils/sectors");
+const clock = require("../utils/clock");
+
+// The shared client adds the API key (rotating through POLYGON_API_KEYS) and keeps to the rate budget
+function client() {
+  if (!hasKeys("polygon")) throw new Error("POLYGON_API_KEY is missing in .env");
+  return getClient("polygon");
+}
+
+// Polygon aggregate → normalized bar
+function toBar(r) {
+  return {
+    time: r.t,
+    open: r.o,
+    high: r.h,
+    low: r.l,
+    close: r.c,
+    volume: r.v,
+    trades: r.n ?? null,
+    vwap: r.vw ?? null,
+  };
+}
+
+/**
+ * Fetch aggregates between two dates, following next_url pagination
+ * @param {string} symbol
+ * @param {string} timeframe - '15min', '1hour', '1day', ...
+ * @param {Object} options - { from, to, limit } dates as YYYY-MM-DD
+ * @returns {Promise<Array>} normalized bars, oldest first
+ */
+async function fetchBars(symbol, timeframe, options = {}) {
+  const http = client();
+  const { multiplier, unit } = getTimeframe(timeframe);
+  const range = options.from ? { from: options.from, to: options.to } : defaultRange(timeframe, options.limit);
+  const to = range.to || clock.now().toISOString().slice(0, 10); // SIM_NOW keeps replayed requests identical
+
+  let bars = [];
+  let nextUrl = `${polygon.baseUrl}/v2/aggs/ticker/${encodeURIComponent(symbol)}/range/${multiplier}/${unit}/${range.from}/${to}?adjusted=true&sort=asc&limit=50000`;
+
+  while (nextUrl) {
+    const response = await http.get(nextUrl);
+    bars = bars.concat((response.data.results || []).map(toBar));
+    nextUrl = response.data.next_url || null;
+  }
+
+  return options.limit ? bars.slice(-options.limit) : bars;
+}
+
+/**
+ * Most recent bar for a symbol
+ * @param {string} symbol
+ * @param {string} timeframe
+ * @returns {Promise<Object|null>} normalized bar
+ */
+async function fetchLatestBar(symbol, timeframe) {
+  const bars = await fetchBars(symbol, timeframe, { limit: 1 });
+  return bars[bars.length - 1] || null;
+}
+
+/**
+ * Active US stock tickers
+ * @returns {Promise<Array<string>>}
+ */
+async function listSymbols() {
+  const tickers = await fetchAllResults(`${polygon.baseUrl}/v3/reference/tickers?market=stocks&active=true&limit=1000`);
+  return tickers.map(t => t.ticker);
+}
+
+// Follow next_url pagination of a v3 reference endpoint
+async function fetchAllResults(url) {
+  const http = client();
+  let results = [];
+  let nextUrl = url;
+  while (nextUrl) {
+    const response = await http.get(nextUrl);
+    results = results.concat(response.data.results || []);
+    nextUrl = response.data.next_url || null;
+  }
+  return results;
+}
+
+/**
+ * Splits and cash dividends with an ex-date in a range
+ * @param {string} symbol
+ * @param {Object} options - { from, to } dates as YYYY-MM-DD
+ * @returns {Promise<Object>} { splits: [{ symbol, exDate, ratio }], dividends: [{ symbol, exDate, amount, payDate }] }
+ */
+async function fetchCorporateActions(symbol, { from, to } = {}) {
+  const range = `${from ? `&execution_date.gte=${from}` : ""}${to ? `&execution_date.lte=${to}` : ""}`;
+  const splits = await fetchAllResults(`${polygon.baseUrl}/v3/reference/splits?ticker=${encodeURIComponent(symbol)}${range}&limit=1000`);
+  const dividends = await fetchAllResults(
+    `${polygon.baseUrl}/v3/reference/dividends?ticker=${encodeURIComponent(symbol)}${range.replace(/execution_date/g, "ex_dividend_date")}&limit=1000`
+  );
+  return {
+    splits: splits.map(s => ({ symbol, exDate: s.execution_date, ratio: s.split_to / s.split_from })),
+    dividends: dividends
+      .filter(d => d.dividend_type !== "SD") // stock dividends are not cash
+      .map(d => ({ symbol, exDate: d.ex_dividend_date, amount: d.cash_amount, payDate: d.pay_date || null })),
+  };
+}
+
+// Polygon primary_exchange (MIC) → exchange name used by Alpaca and the universe rules
+const EXCHANGES = { XNAS: "NASDAQ", XNYS: "NYSE", XASE: "AMEX", ARCX: "ARCA", BATS: "BATS" };
+
+/**
+ * Active US stock tickers with their Polygon type (CS, ETF, PFD, WARRANT, ...)
+ * @returns {Promise<Array>} [{ id, symbol, name, exchange, type, optionable, tradable }], optionable is null (not reported)
+ */
+async function fetchAssets() {
+  const tickers = await fetchAllResults(`${polygon.baseUrl}/v3/reference/tickers?market=stocks&active=true&limit=1000`);
+  return tickers.map(t => ({
+    // The FIGI survives ticker changes
+    id: t.composite_figi || t.share_class_figi || null,
+    symbol: t.ticker,
+    name: t.name || "",
+    exchange: EXCHANGES[t.primary_exchange] || t.primary_exchange || null,
+    type: t.type || null,
+    optionable: null,
+    tradable: true,
+  }));
+}
+
+/**
+ * Sector and size for one ticker
+ * @param {string} symbol
+ * @returns {Promise<Object>} { sector, sicCode, marketCap }
+ */
+async function fetchTickerDetails(symbol) {
+  const response = await client().get(`${polygon.baseUrl}/v3/reference/tickers/${encodeURIComponent(symbol)}`);
+  const details = response.data.results || {};
+  return {
+    sector: sectorFromSic(details.sic_code),
+    sicCode: details.sic_code || null,
+    marketCap: details.market_cap ?? null,
+  };
+}
+
+module.exports = { name: "polygon", fetchBars, fetchLatestBar, listSymbols, fetchCorporateActions, fetchAssets, fetchTickerDetails };
@@ -0,0 +1,48 @@
+// backend/providers/polygonStream.js
+const { polygon } = require("../config/marketData");
+const { createBarStream } = require("./barStream");
+
+// Polygon minute aggregate ("AM") → normalized bar. AM messages carry no
+// trade count, and "vw" is the VWAP of the minute ("a" is the day's VWAP).
+function toBar(m) {
+  return {
+    symbol: m.sym,
+    time: m.s,
+    open: m.o,
+    high: m.h,
+    low: m.l,
+    close: m.c,
+    volume: m.v,
+    trades: null,
+    vwap: m.vw ?? null,
+  };
+}
+
+function parse(m) {
+  if (m.ev === "AM") return { type: "bar", bar: toBar(m) };
+  if (m.ev !== "status") return null;
+  if (m.status === "connected") return { type: "welcome" };
+  if (m.status === "auth_success") return { type: "authenticated" };
+  if (m.status === "auth_failed") return { type: "error", message: m.message || "authentication failed", fatal: true };
+  if (m.status === "error") return { type: "error", message: m.message, fatal: false };
+  return null;
+}
+
+/**
+ * Polygon minute aggregates (AM.<symbol>) over WebSocket
+ * (POLYGON_STREAM_URL, default wss://socket.polygon.io/stocks)
+ * @returns {EventEmitter} bar stream, see barStream.js
+ */
+function createStream() {
+  if (!polygon.apiKey) throw new Error("POLYGON_API_KEY is missing in .env");
+  return createBarStream({
+    name: "polygon",
+    url: polygon.streamUrl,
+    auth: () => ({ action: "auth", params: polygon.apiKey }),
+    subscribe: symbols => ({ action: "subscribe", params: symbols.map(s => `AM.${s}`).join(",") }),
+    unsubscribe: symbols => ({ action: "unsubscribe", params: symbols.map(s => `AM.${s}`).join(",") }),
+    parse,
+  });
+}
+
+module.exports = { name: "polygon", createStream };
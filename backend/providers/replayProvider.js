@@ -0,0 +1,116 @@
+// backend/providers/replayProvider.js
+const fs = require("fs");
+const path = require("path");
+const { parse } = require("csv-parse/sync");
+const { replay } = require("../config/marketData");
+const { getTimeframe } = require("../utils/timeframes");
+const { readBarFile } = require("../data/barStore");
+const { parseActionsFile } = require("../data/corporateActions");
+
+// Column aliases accepted in replay CSV files
+const COLUMNS = {
+  time: ["time", "ts", "t", "timestamp", "date"],
+  open: ["open", "o"],
+  high: ["high", "h"],
+  low: ["low", "l"],
+  close: ["close", "c"],
+  volume: ["volume", "v"],
+  trades: ["trades", "n"],
+  vwap: ["vwap", "vw"],
+};
+
+function pick(row, aliases) {
+  for (const a of aliases) if (row[a] !== undefined && row[a] !== null && row[a] !== "") return row[a];
+  return null;
+}
+
+// Local file row → normalized bar
+function toBar(row) {
+  const bar = {};
+  for (const [field, aliases] of Object.entries(COLUMNS)) {
+    const value = pick(row, aliases);
+    if (field === "time") bar.time = value instanceof Date || isNaN(value) ? new Date(value).getTime() : Number(value);
+    else bar[field] = value === null ? null : Number(value);
+  }
+  return bar;
+}
+
+function findFile(symbol, timeframe) {
+  const dir = path.join(replay.dir, getTimeframe(timeframe).key);
+  for (const ext of [".parquet", ".csv"]) {
+    const file = path.join(dir, `${symbol}${ext}`);
+    if (fs.existsSync(file)) return file;
+  }
+  return null;
+}
+
+// Parquet files go through the bar store so every schema version is understood
+async function readFileBars(file) {
+  if (file.endsWith(".csv")) {
+    return parse(fs.readFileSync(file, "utf-8"), { columns: true, skip_empty_lines: true, trim: true }).map(toBar);
+  }
+  const { bars } = await readBarFile(file);
+  return bars.map(({ time, open, high, low, close, volume, trades, vwap }) => ({ time, open, high, low, close, volume, trades, vwap }));
+}
+
+/**
+ * Replay bars from local CSV/Parquet files
+ * @param {string} symbol
+ * @param {string} timeframe
+ * @param {Object} options - { from, to, limit } dates as YYYY-MM-DD (inclusive)
+ * @returns {Promise<Array>} normalized bars, oldest first
+ */
+async function fetchBars(symbol, timeframe, options = {}) {
+  const file = findFile(symbol, timeframe);
+  if (!file) throw new Error(`No replay file for ${symbol} ${timeframe} in ${replay.dir}`);
+
+  const fromMs = options.from ? new Date(options.from).getTime() : -Infinity;
+  const toMs = options.to ? new Date(options.to).getTime() + 24 * 60 * 60 * 1000 : Infinity;
+
+  const bars = (await readFileBars(file))
+    .filter(b => b.time >= fromMs && b.time < toMs)
+    .sort((a, b) => a.time - b.time);
+
+  return options.limit ? bars.slice(-options.limit) : bars;
+}
+
+/**
+ * Last bar stored for a symbol
+ * @param {string} symbol
+ * @param {string} timeframe
+ * @returns {Promise<Object|null>} normalized bar
+ */
+async function fetchLatestBar(symbol, timeframe) {
+  const bars = await fetchBars(symbol, timeframe, { limit: 1 });
+  return bars[bars.length - 1] || null;
+}
+
+/**
+ * Symbols that have a replay file for the given timeframe
+ * @param {string} [timeframe='1day']
+ * @returns {Promise<Array<string>>}
+ */
+async function listSymbols(timeframe = "1day") {
+  const dir = path.join(replay.dir, getTimeframe(timeframe).key);
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir)
+    .filter(f => f.endsWith(".parquet") || f.endsWith(".csv"))
+    .map(f => path.basename(f, path.extname(f)));
+}
+
+/**
+ * Splits and dividends from <dir>/corporate_actions.json or .csv
+ * (format described in backend/data/corporateActions.js)
+ * @param {string} symbol
+ * @param {Object} options - { from, to } dates as YYYY-MM-DD (inclusive)
+ * @returns {Promise<Object>} { splits, dividends }
+ */
+async function fetchCorporateActions(symbol, { from, to } = {}) {
+  const file = [".json", ".csv"].map(ext => path.join(replay.dir, `corporate_actions${ext}`)).find(f => fs.existsSync(f));
+  if (!file) return { splits: [], dividends: [] };
+  const inRange = a => a.symbol === symbol && (!from || a.exDate >= from) && (!to || a.exDate <= to);
+  const { splits, dividends } = parseActionsFile(file);
+  return { splits: splits.filter(inRange), dividends: dividends.filter(inRange) };
+}
+
+module.exports = { name: "replay", fetchBars, fetchLatestBar, listSymbols, fetchCorporateActions };
@@ -0,0 +1,122 @@
+// backend/providers/yahooProvider.js
+const YahooFinance = require("yahoo-finance2").default;
+const { getTimeframe, defaultRange } = require("../utils/timeframes");
+const { normalizeSector } = require("../utils/sectors");
+const calendar = require("../utils/tradingCalendar");
+
+const yahooFinance = new YahooFinance({ suppressNotices: ["yahooSurvey"] });
+
+// Yahoo has no 4-hour interval; ask for 1hour and resample instead
+const INTERVALS = { "1min": "1m", "5min": "5m", "15min": "15m", "1hour": "1h", "1day": "1d", "1week": "1wk" };
+
+function toInterval(timeframe) {
+  const { key } = getTimeframe(timeframe);
+  if (!INTERVALS[key]) throw new Error(`Yahoo provider does not support timeframe ${key}`);
+  return INTERVALS[key];
+}
+
+// Yahoo chart quote → normalized bar
+function toBar(q) {
+  return {
+    time: new Date(q.date).getTime(),
+    open: q.open,
+    high: q.high,
+    low: q.low,
+    close: q.close,
+    volume: q.volume,
+    trades: null,
+    vwap: null,
+  };
+}
+
+/**
+ * Fetch bars from the Yahoo chart endpoint
+ * @param {string} symbol
+ * @param {string} timeframe
+ * @param {Object} options - { from, to, limit }
+ * @returns {Promise<Array>} normalized bars, oldest first
+ */
+async function fetchBars(symbol, timeframe, options = {}) {
+  const interval = toInterval(timeframe);
+  const range = options.from ? { from: options.from, to: options.to } : defaultRange(timeframe, options.limit);
+  const period2 = range.to ? new Date(new Date(range.to).getTime() + 24 * 60 * 60 * 1000) : new Date();
+
+  const chart = await yahooFinance.chart(symbol, { period1: range.from, period2, interval });
+  const bars = (chart.quotes || [])
+    .filter(q => q.open != null && q.close != null) // Yahoo pads partial intervals with nulls
+    .map(toBar);
+
+  return options.limit ? bars.slice(-options.limit) : bars;
+}
+
+/**
+ * Most recent bar for a symbol
+ * @param {string} symbol
+ * @param {string} timeframe
+ * @returns {Promise<Object|null>} normalized bar
+ */
+async function fetchLatestBar(symbol, timeframe) {
+  const bars = await fetchBars(symbol, timeframe, { limit: 1 });
+  return bars[bars.length - 1] || null;
+}
+
+async function listSymbols() {
+  throw new Error("Yahoo provider cannot list symbols; use the polygon or alpaca provider");
+}
+
+/**
+ * Splits and cash dividends from the chart endpoint's event stream
+ * @param {string} symbol
+ * @param {Object} options - { from, to } dates as YYYY-MM-DD
+ * @returns {Promise<Object>} { splits: [{ symbol, exDate, ratio }], dividends: [{ symbol, exDate, amount, payDate }] }
+ */
+async function fetchCorporateActions(symbol, { from, to } = {}) {
+  const period2 = to ? new Date(new Date(to).getTime() + 24 * 60 * 60 * 1000) : new Date();
+  const chart = await yahooFinance.chart(symbol, { period1: from || "1970-01-01", period2, interval: "1d", events: "div|split" });
+  const events = chart.events || {};
+  const isoDate = d => new Date(d).toISOString().slice(0, 10);
+  return {
+    splits: (events.splits || []).map(s => ({ symbol, exDate: isoDate(s.date), ratio: s.numerator / s.denominator })),
+    dividends: (events.dividends || []).map(d => ({ symbol, exDate: isoDate(d.date), amount: d.amount, payDate: null })),
+  };
+}
+
+/**
+ * Sector and size for one ticker from the quote summary profile
+ * @param {string} symbol
+ * @returns {Promise<Object>} { sector, sicCode, marketCap }
+ */
+async function fetchTickerDetails(symbol) {
+  const summary = await yahooFinance.quoteSummary(symbol, { modules: ["assetProfile", "price"] });
+  return {
+    sector: normalizeSector(summary.assetProfile?.sector),
+    sicCode: null,
+    marketCap: summary.price?.marketCap ?? null,
+  };
+}
+
+/**
+ * Next earnings date of each symbol from the quote summary calendar (one
+ * request per symbol; Yahoo gives no time of day)
+ * @param {Object} options - { from, to } YYYY-MM-DD, { symbols }
+ * @returns {Promise<Array<Object>>} [{ type: 'earnings', symbol, date, time: null, description }]
+ */
+async function fetchEarnings({ from, to, symbols = null }) {
+  const events = [];
+  for (const symbol of symbols || []) {
+    try {
+      const summary = await yahooFinance.quoteSummary(symbol, { modules: ["calendarEvents"] });
+      const earnings = summary.calendarEvents?.earnings;
+      const dates = earnings?.earningsDate || [];
+      if (!dates.length) continue;
+      const date = calendar.sessionDate(new Date(dates[0]).getTime());
+      if ((from && date < from) || (to && date > to)) continue;
+      events.push({ type: "earnings", symbol, date, time: null, description: dates.length > 1 || earnings.isEarningsDateEstimate ? "Earnings (estimated)" : "Earnings" });
+    } catch (err) {
+      console.warn(`⚠️ Yahoo earnings lookup failed for ${symbol}: ${err.message}`);
+    }
+  }
+  return events;
+}
+
+module.exports = { name: "yahoo", fetchBars, fetchLatestBar, listSymbols, fetchCorporateActions, fetchTickerDetails, fetchEarnings };
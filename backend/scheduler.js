@@ -3,6 +3,9 @@ const { getPriceData } = require("./services/dataService");
 const { strategyCheck } = require("./services/strategyService");
 const { riskManagement } = require("./services/riskService");
 const { formatAlert } = require("./services/alertService");
+const { barClose, closedBars } = require("./utils/timeframeAlignment");
+const { findLevels } = require("./utils/levels");
+const clock = require("./utils/clock");
 
 // Symbols to monitor (added NVDA)
 const symbols = ["AAPL", "MSFT", "NVDA"];
@@ -20,15 +23,18 @@ async function runChecks() {
   console.log(`📊 Running strategy checks at ${timestamp}...`);
 
   try {
-    // Fetch both 5-min and 1-hour data
-    const data = await getPriceData(symbols, 100, ["5Min", "1Hour"]);
+    // Fetch 5-min, 1-hour and daily data (daily for support/resistance and floor pivots)
+    const data = await getPriceData(symbols, 100, ["5Min", "1Hour", "1Day"]);
 
     const cycleResults = [];
 
     for (const sym of symbols) {
       const lowerCandles = data[sym]["5Min"].candles;
       const lowerPrices = data[sym]["5Min"].prices;
-      const higherCandles = data[sym]["1Hour"].candles;
+      // The provider also returns the 1-hour bar still forming; keep only closed ones
+      const lastLower = lowerCandles[lowerCandles.length - 1];
+      const asOf = lastLower ? Math.min(clock.now().getTime(), barClose(lastLower, "5Min")) : clock.now();
+      const higherCandles = closedBars(data[sym]["1Hour"].candles, "1Hour", asOf);
 
       lastTradeIndices[sym] = lastTradeIndices[sym] || -999;
 
@@ -49,8 +55,9 @@ async function runChecks() {
 
       if (signal) lastTradeIndices[sym] = lowerCandles.length - 1;
 
-      // Risk management
-      const risk = riskManagement(sym, signal);
+      // Risk management, with stops and targets snapped to support/resistance
+      const levels = findLevels({ "5min": lowerCandles, "1hour": higherCandles, "1day": data[sym]["1Day"].candles }, { asOf });
+      const risk = riskManagement(sym, signal, { levels });
       if (risk && signal) {
         // Attach reasons and ATR for richer alert
         risk.reasons = signal.reasons;
@@ -1,6 +1,6 @@
 /**
  * Format risk object into alert for frontend
- * @param {Object} riskObj - { stock, setup, entry, stop, target, riskReward, optionSuggestion, reasons, atr }
+ * @param {Object} riskObj - { stock, setup, entry, stop, target, riskReward, optionSuggestion, reasons, atr, levels }
  * @returns {Object|null} formatted alert
  */
 function formatAlert(riskObj) {
@@ -14,6 +14,8 @@ function formatAlert(riskObj) {
   advice.push(`Option suggestion: ${riskObj.optionSuggestion}`);
   if (riskObj.reasons) advice.push(`Reason(s): ${riskObj.reasons}`);
   if (riskObj.atr) advice.push(`ATR used: ${riskObj.atr.toFixed(2)}`);
+  if (riskObj.levels?.support) advice.push(`Nearest support: $${riskObj.levels.support.price.toFixed(2)}`);
+  if (riskObj.levels?.resistance) advice.push(`Nearest resistance: $${riskObj.levels.resistance.price.toFixed(2)}`);
 
   return {
     stock: riskObj.stock,
@@ -23,6 +25,7 @@ function formatAlert(riskObj) {
     target: riskObj.target,
     riskReward: riskObj.riskReward,
     optionSuggestion: riskObj.optionSuggestion,
+    levels: riskObj.levels || null,
     message: `${riskObj.stock} ${riskObj.setup.toUpperCase()} → Entry $${riskObj.entry}, Stop $${riskObj.stop}, Target $${riskObj.target}, R:R ${riskObj.riskReward}, Option: ${riskObj.optionSuggestion}${riskObj.reasons ? `, Reason(s): ${riskObj.reasons}` : ''}`,
     adviceTips: advice
   };
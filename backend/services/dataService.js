@@ -1,8 +1,10 @@
 // backend/services/dataService.js
-const { getBars } = require("../config/alpaca");
+const { getProvider } = require("../providers");
+const { backendProvider } = require("../config/marketData");
 
 /**
- * Fetch price data and OHLC candles from Alpaca
+ * Fetch price data and OHLC candles from the configured market-data provider
+ * (BACKEND_DATA_PROVIDER, see backend/config/marketData.js)
  * Supports multiple timeframes for the same symbol
  * @param {Array<string>} symbols
  * @param {number} length - number of historical bars
@@ -11,6 +13,7 @@ const { getBars } = require("../config/alpaca");
  */
 async function getPriceData(symbols, length = 50, timeframe = "1Min") {
   const results = {};
+  const provider = getProvider(backendProvider);
 
   // Ensure timeframe is array
   const timeframes = Array.isArray(timeframe) ? timeframe : [timeframe];
@@ -20,17 +23,17 @@ async function getPriceData(symbols, length = 50, timeframe = "1Min") {
 
     for (const tf of timeframes) {
       try {
-        const bars = await getBars(tf, sym, { limit: length });
+        const bars = await provider.fetchBars(sym, tf, { limit: length });
 
         // Build prices array and OHLC candles array
-        const prices = bars.map(bar => bar.closePrice);
+        const prices = bars.map(bar => bar.close);
         const candles = bars.map(bar => ({
-          open: bar.openPrice,
-          high: bar.highPrice,
-          low: bar.lowPrice,
-          close: bar.closePrice,
+          open: bar.open,
+          high: bar.high,
+          low: bar.low,
+          close: bar.close,
           volume: bar.volume,
-          time: bar.startTime || bar.time, // keep timestamp if available
+          time: bar.time,
         }));
 
         results[sym][tf] = { prices, candles };
@@ -0,0 +1,186 @@
+// backend/services/liveIngestion.js
+const EventEmitter = require("events");
+const { getProvider, getStream } = require("../providers");
+const barStore = require("../data/barStore");
+const indicatorPipeline = require("../data/indicatorPipeline");
+const resampler = require("../data/resampler");
+const { createBarAggregator } = require("../data/barAggregator");
+const clock = require("../utils/clock");
+const calendar = require("../utils/tradingCalendar");
+
+const TIMEFRAME = resampler.SOURCE_TIMEFRAME;
+const GRACE_MS = Number(process.env.LIVE_BAR_GRACE_MS || 5000);
+const SWEEP_INTERVAL_MS = 1000;
+const BACKFILL_CONCURRENCY = 10;
+
+/**
+ * Streaming replacement for polling 15-minute aggregates: subscribes to minute
+ * bars over WebSocket (MARKET_DATA_STREAM), builds 15-minute bars in memory,
+ * appends each closed bar to the today_15min store through the indicator
+ * pipeline, rolls it into the higher timeframes and emits an event.
+ *
+ * Events:
+ *   'barClosed'     { symbol, bar, partial } bar = stored row with indicators
+ *   'barRevised'    { symbol, bar } a late minute changed an already closed bar
+ *   'slotClosed'    { time, symbols } every bar of one 15-minute slot is stored
+ *   'sessionClosed' { date } the session's last slot is done
+ *
+ * Time comes from the feed (end of the newest minute received, advanced by
+ * wall-clock time since), so a simulator running in the past or faster than
+ * real time closes buckets on its own clock. Buckets already under way when the
+ * feed (re)connects are fetched from the REST provider once they close, and
+ * the bars completed earlier in the session are backfilled from it at start.
+ * Writes are serialized through one queue because Parquet files are rewritten
+ * on every append.
+ *
+ * @param {Object} options
+ * @param {Array<string>} options.symbols
+ * @param {string} [options.stream] - stream adapter name (default MARKET_DATA_STREAM)
+ * @param {Object} [options.provider] - REST provider (default MARKET_DATA_PROVIDER)
+ * @param {boolean} [options.backfill=true]
+ * @param {number} [options.graceMs] - LIVE_BAR_GRACE_MS, default 5000
+ * @returns {EventEmitter} with start(), stop(), stats()
+ */
+function createLiveIngestion({ symbols, stream: streamName, provider = getProvider(), backfill = true, graceMs = GRACE_MS }) {
+  const service = new EventEmitter();
+  const aggregator = createBarAggregator({ timeframe: TIMEFRAME, graceMs, connectedAt: clock.now().getTime() });
+  const slots = new Map(); // slot start → Set of symbols stored
+  const counts = { stored: 0, revised: 0, restored: 0, failed: 0, backfilled: 0 };
+  let stream = null;
+  let sweepTimer = null;
+  let queue = Promise.resolve();
+  let feed = null; // { time, at } newest minute end seen and when it arrived
+  let sessionDate = clock.today();
+  let sessionDone = false;
+
+  const feedNow = () => (feed ? feed.time + (Date.now() - feed.at) : clock.now().getTime());
+
+  function enqueue(task) {
+    queue = queue.then(task).catch(err => {
+      counts.failed++;
+      console.warn(`⚠️ Live ingestion write failed: ${err.message}`);
+    });
+    return queue;
+  }
+
+  // REST bar for a bucket the stream only saw part of
+  async function restBar(symbol, time) {
+    const date = calendar.sessionDate(time);
+    const bars = await provider.fetchBars(symbol, TIMEFRAME, { from: date, to: date });
+    return bars.find(b => b.time === time) || null;
+  }
+
+  async function store({ symbol, bar, partial, revised }, slot) {
+    let final = bar;
+    if (partial) {
+      final = await restBar(symbol, bar.time).catch(err => {
+        console.warn(`⚠️ ${symbol}: REST fetch for partial bar failed (${err.message}), storing streamed minutes`);
+        return null;
+      }) || bar;
+      if (final !== bar) counts.restored++;
+    }
+
+    await indicatorPipeline.appendBars(symbol, TIMEFRAME, [final], { store: "today" });
+    await resampler.resampleSymbol(symbol, { since: final.time });
+    const [stored] = await barStore.readBars(symbol, TIMEFRAME, { store: "today", from: final.time, to: final.time });
+
+    if (revised) {
+      counts.revised++;
+      service.emit("barRevised", { symbol, bar: stored });
+      return;
+    }
+    counts.stored++;
+    slot.add(symbol);
+    service.emit("barClosed", { symbol, bar: stored, partial });
+  }
+
+  function handleClosed(closed) {
+    for (const item of closed) {
+      if (!item.revised && !slots.has(item.bar.time)) slots.set(item.bar.time, new Set());
+      const slot = slots.get(item.bar.time);
+      enqueue(() => store(item, slot));
+    }
+  }
+
+  function sweep() {
+    const now = feedNow();
+    handleClosed(aggregator.closeDue(now));
+
+    for (const [time, stored] of slots) {
+      if (aggregator.bucketEnd(time) + graceMs > now) continue;
+      slots.delete(time);
+      enqueue(() => service.emit("slotClosed", { time, symbols: [...stored] }));
+    }
+
+    const close = calendar.sessionClose(sessionDate);
+    if (!sessionDone && close !== null && now >= close + graceMs) {
+      sessionDone = true;
+      enqueue(() => service.emit("sessionClosed", { date: sessionDate }));
+    }
+  }
+
+  // Bars completed before the stream connected, from the REST provider
+  async function runBackfill(connectedAt) {
+    const date = sessionDate;
+    for (let i = 0; i < symbols.length; i += BACKFILL_CONCURRENCY) {
+      const batch = symbols.slice(i, i + BACKFILL_CONCURRENCY);
+      await Promise.all(batch.map(async symbol => {
+        try {
+          const bars = (await provider.fetchBars(symbol, TIMEFRAME, { from: date, to: date }))
+            .filter(b => calendar.isMarketOpen(b.time) && aggregator.bucketEnd(b.time) <= connectedAt);
+          if (!bars.length) return;
+          await enqueue(async () => {
+            await indicatorPipeline.appendBars(symbol, TIMEFRAME, bars, { store: "today" });
+            await resampler.resampleSymbol(symbol, { since: bars[0].time });
+            counts.backfilled += bars.length;
+          });
+        } catch (err) {
+          console.warn(`⚠️ Backfill failed for ${symbol}: ${err.message}`);
+        }
+      }));
+    }
+  }
+
+  /**
+   * Connect, subscribe and start building bars
+   * @returns {Promise<void>} resolves once the feed is authenticated
+   */
+  service.start = async () => {
+    stream = getStream(streamName);
+    stream.on("bar", minute => {
+      const end = minute.time + 60 * 1000;
+      if (!feed || end > feed.time) feed = { time: end, at: Date.now() };
+      handleClosed(aggregator.add(minute));
+    });
+    stream.on("connected", () => aggregator.markConnected(feedNow()));
+    stream.on("disconnected", ({ delay }) => console.warn(`⚠️ Stream disconnected, reconnecting in ${delay / 1000}s`));
+    stream.on("error", err => console.warn(`⚠️ ${err.message}`));
+
+    stream.subscribe(symbols);
+    await stream.connect();
+    const connectedAt = feedNow();
+    sessionDate = calendar.sessionDate(connectedAt);
+    aggregator.markConnected(connectedAt);
+    sweepTimer = setInterval(sweep, SWEEP_INTERVAL_MS);
+    if (backfill) runBackfill(connectedAt);
+  };
+
+  /**
+   * Close the feed and wait for queued writes; buckets still open are dropped
+   * @returns {Promise<void>}
+   */
+  service.stop = async () => {
+    clearInterval(sweepTimer);
+    if (stream) stream.close();
+    await queue;
+  };
+
+  /**
+   * @returns {Object} aggregator counters plus { stored, revised, restored, failed, backfilled }
+   */
+  service.stats = () => ({ ...aggregator.stats(), ...counts });
+
+  return service;
+}
+
+module.exports = { createLiveIngestion };
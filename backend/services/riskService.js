@@ -2,11 +2,26 @@
  * Advanced Dynamic Risk Management Service
  * Adapts risk levels based on strategy, ATR, and signal direction.
  * Provides contextual trade guidance for each strategy type.
+ * Trades whose holding period crosses an earnings report or macro release
+ * are dropped, flagged for reduced size or annotated (see config/events.js).
+ * When support/resistance levels are given (utils/levels.findLevels), the
+ * ATR-based stop and target are snapped to the nearest meaningful ones.
  */
+const eventCalendar = require("../data/eventCalendar");
+const { snapToLevels } = require("../utils/levels");
 
-function riskManagement(symbol, signal) {
+/**
+ * @param {string} symbol
+ * @param {Object} signal - { direction | signal, entry | price, atr, strategy }
+ * @param {Object} [options] - { levels: result of findLevels }
+ * @returns {Object|null} trade plan
+ */
+function riskManagement(symbol, signal, { levels = null } = {}) {
   if (!signal) return null;
 
+  const events = eventCalendar.checkAlert(symbol);
+  if (events.action === "suppress") return null;
+
   const atr = signal.atr || 1;
   const direction = signal.direction || signal.signal;
   const entry = signal.entry || signal.price || 0;
@@ -76,21 +91,25 @@ function riskManagement(symbol, signal) {
   }
 
   // === CALCULATE PRICE LEVELS ===
-  let stop, target, rr, option;
+  let stop, target, option;
   if (direction === "long") {
     stop = entry - atr * stopMultiplier;
     target = entry + atr * targetMultiplier;
-    rr = ((target - entry) / (entry - stop)).toFixed(2);
     option = `${Math.round(entry + atr)}C`;
   } else if (direction === "short") {
     stop = entry + atr * stopMultiplier;
     target = entry - atr * targetMultiplier;
-    rr = ((entry - target) / (stop - entry)).toFixed(2);
     option = `${Math.round(entry - atr)}P`;
   } else {
     return null;
   }
 
+  // === SNAP TO SUPPORT / RESISTANCE ===
+  const snapped = levels ? snapToLevels(levels, { entry, direction, stop, target, atr }) : null;
+  if (snapped) ({ stop, target } = snapped);
+  const rr = (Math.abs(target - entry) / Math.abs(entry - stop)).toFixed(2);
+  const levelName = level => (level.source === "swing" ? `${level.kind} zone ${level.price.toFixed(2)}` : `${level.source} pivot ${level.price.toFixed(2)}`);
+
   return {
     stock: symbol,
     strategy,
@@ -105,13 +124,34 @@ function riskManagement(symbol, signal) {
     guidance: {
       timingTip,
       scalingTip,
-      stopTip: `Stop placed ${stopMultiplier}× ATR away for volatility buffering.`,
-      targetTip: `Target ${targetMultiplier}× ATR — expected RR ${rr}:1.`,
+      stopTip: snapped?.stopLevel
+        ? `Stop placed just beyond ${levelName(snapped.stopLevel)} (ATR stop ${stopMultiplier}×).`
+        : `Stop placed ${stopMultiplier}× ATR away for volatility buffering.`,
+      targetTip: snapped?.targetLevel
+        ? `Target set in front of ${levelName(snapped.targetLevel)} — expected RR ${rr}:1.`
+        : `Target ${targetMultiplier}× ATR — expected RR ${rr}:1.`,
       generalTip:
         direction === "long"
           ? "Focus on strong uptrend or RSI recovery zones."
           : "Favor weak trend continuation or breakdown setups.",
+      ...(events.action && {
+        eventTip: events.action === "downgrade"
+          ? `Event risk: ${events.note}. Reduce size or wait until after the release.`
+          : `Upcoming: ${events.note}.`,
+      }),
     },
+    daysToEarnings: eventCalendar.daysToNextEarnings(symbol),
+    events: events.events,
+    ...(levels && {
+      levels: {
+        support: levels.support,
+        resistance: levels.resistance,
+        stopLevel: snapped.stopLevel,
+        targetLevel: snapped.targetLevel,
+        zones: [...levels.zones].sort((a, b) => b.strength - a.strength).slice(0, 5),
+        pivots: levels.pivots,
+      },
+    }),
   };
 }
 
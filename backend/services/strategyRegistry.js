@@ -0,0 +1,221 @@
+// backend/services/strategyRegistry.js
+const fs = require("fs");
+const path = require("path");
+const { normalizeTimeframe } = require("../utils/timeframes");
+const config = require("../config/strategies");
+
+/**
+ * Parameter of a strategy
+ * @typedef {Object} StrategyParam
+ * @property {string} [type] - 'number' (default) | 'integer'
+ * @property {number} default
+ * @property {number} min
+ * @property {number} max
+ * @property {string} [description]
+ */
+
+/**
+ * Module exported by each file in STRATEGY_DIR
+ * @typedef {Object} StrategyModule
+ * @property {string} name - same as the file name; backtest results refer to it
+ * @property {string} version - semver, bumped when the rules change
+ * @property {string} [description]
+ * @property {Object<string, StrategyParam>} params - tunable parameters (may be empty)
+ * @property {number|function(Object): number} lookback - lower-timeframe bars the window must hold, or params → bars
+ * @property {Array<string>} timeframes - timeframes it may run on
+ * @property {string|Object|null} higherTimeframe - higher timeframe it reads: one timeframe, a map by
+ *   timeframe with an optional `default` ({ '15min': '1hour', default: '1day' }), or null when unused
+ * @property {string} sides - 'long' | 'short' | 'both'
+ * @property {function} evaluate - (prices, candles, volumes, higherCandles, i, lastTradeIndex, cooldownBars, context)
+ *   → { signal: 'long' | 'short', reasons, levels? } | null; context.params holds the resolved parameters
+ */
+
+const SIDES = ["long", "short", "both"];
+const PARAM_TYPES = ["number", "integer"];
+
+function checkTimeframe(timeframe, where, errors) {
+  try {
+    return normalizeTimeframe(timeframe);
+  } catch {
+    errors.push(`${where}: unsupported timeframe "${timeframe}"`);
+    return null;
+  }
+}
+
+function checkParams(params, errors) {
+  if (!params || typeof params !== "object" || Array.isArray(params)) {
+    errors.push("params must be an object");
+    return;
+  }
+  for (const [name, p] of Object.entries(params)) {
+    const type = p?.type || "number";
+    if (!PARAM_TYPES.includes(type)) errors.push(`params.${name}.type must be one of ${PARAM_TYPES.join(", ")}`);
+    if (![p?.default, p?.min, p?.max].every(Number.isFinite)) {
+      errors.push(`params.${name} needs numeric default, min and max`);
+      continue;
+    }
+    if (p.min > p.max) errors.push(`params.${name}: min ${p.min} > max ${p.max}`);
+    else if (p.default < p.min || p.default > p.max) errors.push(`params.${name}: default ${p.default} outside ${p.min}–${p.max}`);
+    if (type === "integer" && ![p.default, p.min, p.max].every(Number.isInteger)) errors.push(`params.${name}: integer bounds and default expected`);
+  }
+}
+
+/**
+ * Resolve parameter values: defaults, overridden and range-checked
+ * @param {Object<string, StrategyParam>} schema
+ * @param {Object} [overrides] - { name: value }
+ * @param {string} [strategyName] - for error messages
+ * @returns {Object} frozen { name: value }
+ */
+function resolveParams(schema, overrides = {}, strategyName = "strategy") {
+  const unknown = Object.keys(overrides).filter(name => !schema[name]);
+  if (unknown.length) throw new Error(`${strategyName}: unknown parameter(s) ${unknown.join(", ")}. Options: ${Object.keys(schema).join(", ") || "none"}`);
+  const values = {};
+  for (const [name, p] of Object.entries(schema)) {
+    const value = overrides[name] ?? p.default;
+    if (!Number.isFinite(value) || value < p.min || value > p.max || (p.type === "integer" && !Number.isInteger(value))) {
+      throw new Error(`${strategyName}: ${name} = ${value} outside ${p.min}–${p.max}${p.type === "integer" ? " (integer)" : ""}`);
+    }
+    values[name] = value;
+  }
+  return Object.freeze(values);
+}
+
+// Strategy object handed out by the registry, bound to one set of parameter values
+function bind(module, source, values) {
+  const timeframes = module.timeframes.map(normalizeTimeframe);
+  const lookback = typeof module.lookback === "function" ? module.lookback(values) : module.lookback;
+  if (!Number.isInteger(lookback) || lookback < 1) throw new Error(`${module.name}: lookback must be a positive integer (got ${lookback})`);
+  const higher = module.higherTimeframe;
+
+  const strategy = {
+    name: module.name,
+    version: module.version,
+    description: module.description || "",
+    source,
+    params: module.params,
+    values,
+    lookback,
+    timeframes,
+    sides: module.sides,
+    supports: timeframe => timeframes.includes(normalizeTimeframe(timeframe)),
+    /**
+     * @param {string} timeframe - lower timeframe
+     * @returns {string|null} higher timeframe to load, null when unused
+     */
+    higherTimeframe(timeframe) {
+      if (higher === null || higher === undefined) return null;
+      if (typeof higher === "string") return normalizeTimeframe(higher);
+      const key = normalizeTimeframe(timeframe);
+      const found = Object.entries(higher).find(([tf]) => tf !== "default" && normalizeTimeframe(tf) === key);
+      return found ? normalizeTimeframe(found[1]) : higher.default ? normalizeTimeframe(higher.default) : null;
+    },
+    /**
+     * Run the strategy on one bar: null until the window holds `lookback`
+     * bars; a signal on a side the strategy does not declare throws
+     */
+    evaluate(prices, candles, volumes, higherCandles, i, lastTradeIndex, cooldownBars, context = {}) {
+      if (!candles || candles.length < lookback) return null;
+      const result = module.evaluate(prices, candles, volumes, higherCandles, i, lastTradeIndex, cooldownBars, { ...context, params: values });
+      if (result && module.sides !== "both" && result.signal !== module.sides) {
+        throw new Error(`${module.name} returned a ${result.signal} signal but only trades ${module.sides}`);
+      }
+      return result;
+    },
+    /**
+     * @param {Object} overrides - { param: value }
+     * @returns {Object} the same strategy with other parameter values
+     */
+    withParams: overrides => bind(module, source, resolveParams(module.params, { ...values, ...overrides }, module.name)),
+  };
+  return Object.freeze(strategy);
+}
+
+/**
+ * Check a module against the strategy contract
+ * @param {StrategyModule} module
+ * @param {string} [source] - file it came from; the name must match its base name
+ * @returns {Object} registry strategy (see bind)
+ */
+function validateStrategy(module, source = null) {
+  const label = source ? path.basename(source) : module?.name || "strategy";
+  if (typeof module === "function") {
+    throw new Error(`Invalid strategy ${label}: exports a bare function; export { name, version, params, lookback, timeframes, higherTimeframe, sides, evaluate }`);
+  }
+  const errors = [];
+  if (!module || typeof module !== "object") throw new Error(`Invalid strategy ${label}: module must export an object`);
+
+  if (typeof module.name !== "string" || !module.name) errors.push("name must be a non-empty string");
+  else if (source && module.name !== path.basename(source, ".js")) errors.push(`name "${module.name}" must match the file name`);
+  if (typeof module.version !== "string" || !/^\d+\.\d+\.\d+/.test(module.version)) errors.push("version must be semver (e.g. 1.0.0)");
+  checkParams(module.params, errors);
+  if (typeof module.lookback !== "function" && !(Number.isInteger(module.lookback) && module.lookback > 0)) errors.push("lookback must be a positive integer or a function of the params");
+  if (!Array.isArray(module.timeframes) || !module.timeframes.length) errors.push("timeframes must be a non-empty array");
+  else module.timeframes.forEach(tf => checkTimeframe(tf, "timeframes", errors));
+  const higher = module.higherTimeframe;
+  if (typeof higher === "string") checkTimeframe(higher, "higherTimeframe", errors);
+  else if (higher && typeof higher === "object") {
+    for (const [tf, value] of Object.entries(higher)) {
+      if (tf !== "default") checkTimeframe(tf, "higherTimeframe key", errors);
+      checkTimeframe(value, `higherTimeframe.${tf}`, errors);
+    }
+  } else if (higher !== null) errors.push("higherTimeframe must be a timeframe, a map by timeframe or null");
+  if (!SIDES.includes(module.sides)) errors.push(`sides must be one of ${SIDES.join(", ")}`);
+  if (typeof module.evaluate !== "function") errors.push("evaluate must be a function");
+
+  if (errors.length) throw new Error(`Invalid strategy ${label}: ${errors.join("; ")}`);
+  return bind(module, source, resolveParams(module.params, {}, module.name));
+}
+
+// ---- Registry ----
+const registries = new Map();
+
+/**
+ * Load and validate every strategy in a directory (cached per directory)
+ * @param {Object} [options] - { dir = STRATEGY_DIR }
+ * @returns {Object} { name: strategy }, sorted by name
+ */
+function loadStrategies({ dir = config.dir } = {}) {
+  if (registries.has(dir)) return registries.get(dir);
+  if (!fs.existsSync(dir)) throw new Error(`Strategy directory not found: ${dir}`);
+
+  const strategies = {};
+  for (const file of fs.readdirSync(dir).filter(f => f.endsWith(".js")).sort()) {
+    const source = path.join(dir, file);
+    const strategy = validateStrategy(require(source), source);
+    if (strategies[strategy.name]) throw new Error(`Duplicate strategy name "${strategy.name}" (${file})`);
+    strategies[strategy.name] = strategy;
+  }
+  if (!Object.keys(strategies).length) throw new Error(`No strategies in ${dir}`);
+  registries.set(dir, Object.freeze(strategies));
+  return registries.get(dir);
+}
+
+/**
+ * @param {string} name
+ * @param {Object} [options] - { dir, params: overrides }
+ * @returns {Object} strategy
+ */
+function getStrategy(name, { dir, params } = {}) {
+  const strategies = loadStrategies({ dir });
+  const strategy = strategies[name];
+  if (!strategy) throw new Error(`Unknown strategy "${name}". Options: ${Object.keys(strategies).join(", ")}`);
+  return params ? strategy.withParams(params) : strategy;
+}
+
+/**
+ * @param {Object} [options] - { dir, timeframe: only strategies supporting it }
+ * @returns {Array<Object>} strategies
+ */
+function listStrategies({ dir, timeframe } = {}) {
+  return Object.values(loadStrategies({ dir })).filter(s => !timeframe || s.supports(timeframe));
+}
+
+module.exports = {
+  SIDES,
+  validateStrategy,
+  resolveParams,
+  loadStrategies,
+  getStrategy,
+  listStrategies,
+};
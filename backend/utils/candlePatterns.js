@@ -0,0 +1,245 @@
+// backend/utils/candlePatterns.js
+
+/**
+ * Candlestick pattern detection over candle series ({ open, high, low, close, volume }).
+ *
+ * Every hit is reported on the candle that completes the pattern:
+ *   { pattern, label, direction: 'bullish' | 'bearish' | 'neutral', index, time, bars, strength }
+ * strength (0–1) = 0.5 × shape quality + 0.3 × trend context + 0.2 × volume context:
+ *   shape   how cleanly the candles fit the definition (body/shadow ratios)
+ *   trend   reversal patterns score higher after a move in the opposite
+ *           direction over the TREND_BARS candles before them; continuation
+ *           patterns and neutral ones get 0.5
+ *   volume  completing candle's volume against the average of the previous
+ *           AVERAGE_BARS candles (0.5 when volume is missing)
+ * Body sizes are compared with the average body of the previous AVERAGE_BARS
+ * candles so "long" and "small" scale with the symbol's volatility.
+ */
+const TREND_BARS = 5;
+const AVERAGE_BARS = 10;
+
+const LABELS = {
+  doji: "Doji",
+  hammer: "Hammer",
+  shootingStar: "Shooting star",
+  bullishEngulfing: "Bullish engulfing",
+  bearishEngulfing: "Bearish engulfing",
+  morningStar: "Morning star",
+  eveningStar: "Evening star",
+  insideBar: "Inside bar",
+  outsideBar: "Outside bar",
+  threeWhiteSoldiers: "Three white soldiers",
+  threeBlackCrows: "Three black crows",
+};
+
+const clamp = x => Math.max(0, Math.min(1, x));
+const body = c => Math.abs(c.close - c.open);
+const range = c => c.high - c.low;
+const upperShadow = c => c.high - Math.max(c.open, c.close);
+const lowerShadow = c => Math.min(c.open, c.close) - c.low;
+const bullish = c => c.close > c.open;
+const bearish = c => c.close < c.open;
+
+// Average body of the candles before index i (falls back to the candle's own range)
+function averageBody(candles, i) {
+  const prior = candles.slice(Math.max(0, i - AVERAGE_BARS), i);
+  const avg = prior.length ? prior.reduce((sum, c) => sum + body(c), 0) / prior.length : 0;
+  return avg || range(candles[i]) || 1e-9;
+}
+
+// Net move over the TREND_BARS candles before `start`: -1 (down) .. 1 (up), relative to the average body
+function priorTrend(candles, start) {
+  if (start < TREND_BARS) return 0;
+  const move = candles[start - 1].close - candles[start - TREND_BARS].close;
+  return Math.max(-1, Math.min(1, move / (averageBody(candles, start) * TREND_BARS * 0.5)));
+}
+
+function volumeScore(candles, i) {
+  const prior = candles.slice(Math.max(0, i - AVERAGE_BARS), i).filter(c => c.volume);
+  if (!candles[i].volume || !prior.length) return 0.5;
+  const avg = prior.reduce((sum, c) => sum + c.volume, 0) / prior.length;
+  return clamp(candles[i].volume / avg / 2);
+}
+
+// Trend context for a pattern starting at `start`: reversals want the opposite prior trend
+function trendScore(candles, start, direction, reversal) {
+  if (!reversal || direction === "neutral") return 0.5;
+  const trend = priorTrend(candles, start);
+  return clamp(direction === "bullish" ? -trend : trend);
+}
+
+// ---- Single-candle patterns ----
+function doji(candles, i) {
+  const c = candles[i];
+  if (!range(c) || body(c) > 0.1 * range(c)) return null;
+  return { pattern: "doji", direction: "neutral", bars: 1, shape: 1 - body(c) / (0.1 * range(c)) };
+}
+
+function hammer(candles, i) {
+  const c = candles[i];
+  const b = Math.max(body(c), 1e-9);
+  if (!range(c) || lowerShadow(c) < 2 * b || upperShadow(c) > b || body(c) < 0.05 * range(c)) return null;
+  if (priorTrend(candles, i) >= 0) return null; // only after a decline
+  return { pattern: "hammer", direction: "bullish", bars: 1, reversal: true, shape: clamp(lowerShadow(c) / range(c)) };
+}
+
+function shootingStar(candles, i) {
+  const c = candles[i];
+  const b = Math.max(body(c), 1e-9);
+  if (!range(c) || upperShadow(c) < 2 * b || lowerShadow(c) > b || body(c) < 0.05 * range(c)) return null;
+  if (priorTrend(candles, i) <= 0) return null; // only after an advance
+  return { pattern: "shootingStar", direction: "bearish", bars: 1, reversal: true, shape: clamp(upperShadow(c) / range(c)) };
+}
+
+// ---- Two-candle patterns ----
+function engulfing(candles, i) {
+  if (i < 1) return null;
+  const prev = candles[i - 1];
+  const c = candles[i];
+  if (!body(prev) || body(c) <= body(prev)) return null;
+  const shape = clamp(1 - body(prev) / body(c) + 0.3);
+  if (bearish(prev) && bullish(c) && c.open <= prev.close && c.close >= prev.open) {
+    return { pattern: "bullishEngulfing", direction: "bullish", bars: 2, reversal: true, shape };
+  }
+  if (bullish(prev) && bearish(c) && c.open >= prev.close && c.close <= prev.open) {
+    return { pattern: "bearishEngulfing", direction: "bearish", bars: 2, reversal: true, shape };
+  }
+  return null;
+}
+
+function insideBar(candles, i) {
+  if (i < 1) return null;
+  const prev = candles[i - 1];
+  const c = candles[i];
+  if (!range(prev) || c.high >= prev.high || c.low <= prev.low) return null;
+  return { pattern: "insideBar", direction: "neutral", bars: 2, shape: clamp(1 - range(c) / range(prev)) };
+}
+
+function outsideBar(candles, i) {
+  if (i < 1) return null;
+  const prev = candles[i - 1];
+  const c = candles[i];
+  if (c.high <= prev.high || c.low >= prev.low) return null;
+  const direction = bullish(c) ? "bullish" : bearish(c) ? "bearish" : "neutral";
+  return { pattern: "outsideBar", direction, bars: 2, shape: clamp(body(c) / range(c)) };
+}
+
+// ---- Three-candle patterns ----
+function star(candles, i) {
+  if (i < 2) return null;
+  const [first, middle, last] = candles.slice(i - 2, i + 1);
+  const avg = averageBody(candles, i - 2);
+  if (body(first) < avg || body(middle) > 0.3 * body(first)) return null;
+  const midpoint = (first.open + first.close) / 2;
+  if (bearish(first) && bullish(last) && Math.max(middle.open, middle.close) <= first.close && last.close > midpoint) {
+    return { pattern: "morningStar", direction: "bullish", bars: 3, reversal: true, shape: clamp((last.close - midpoint) / (first.open - midpoint) * 0.5 + 0.5) };
+  }
+  if (bullish(first) && bearish(last) && Math.min(middle.open, middle.close) >= first.close && last.close < midpoint) {
+    return { pattern: "eveningStar", direction: "bearish", bars: 3, reversal: true, shape: clamp((midpoint - last.close) / (midpoint - first.open) * 0.5 + 0.5) };
+  }
+  return null;
+}
+
+function threeCandles(candles, i) {
+  if (i < 2) return null;
+  const three = candles.slice(i - 2, i + 1);
+  const avg = averageBody(candles, i - 2);
+  const longBodies = three.every(c => body(c) >= 0.5 * avg);
+  if (!longBodies) return null;
+
+  const opensInside = (prev, c) => c.open >= Math.min(prev.open, prev.close) && c.open <= Math.max(prev.open, prev.close);
+  const steps = [[three[0], three[1]], [three[1], three[2]]];
+  if (three.every(bullish) && steps.every(([p, c]) => c.close > p.close && opensInside(p, c))) {
+    const shadows = three.reduce((sum, c) => sum + upperShadow(c) / range(c), 0) / 3;
+    return { pattern: "threeWhiteSoldiers", direction: "bullish", bars: 3, reversal: true, shape: clamp(1 - shadows) };
+  }
+  if (three.every(bearish) && steps.every(([p, c]) => c.close < p.close && opensInside(p, c))) {
+    const shadows = three.reduce((sum, c) => sum + lowerShadow(c) / range(c), 0) / 3;
+    return { pattern: "threeBlackCrows", direction: "bearish", bars: 3, reversal: true, shape: clamp(1 - shadows) };
+  }
+  return null;
+}
+
+const DETECTORS = [doji, hammer, shootingStar, engulfing, insideBar, outsideBar, star, threeCandles];
+
+/**
+ * Patterns completed by one candle
+ * @param {Array} candles - oldest first
+ * @param {number} i - index of the completing candle
+ * @returns {Array<Object>} hits
+ */
+function patternsAt(candles, i) {
+  const hits = [];
+  for (const detect of DETECTORS) {
+    const found = detect(candles, i);
+    if (!found) continue;
+    const start = i - found.bars + 1;
+    const strength = 0.5 * found.shape + 0.3 * trendScore(candles, start, found.direction, found.reversal) + 0.2 * volumeScore(candles, i);
+    hits.push({
+      pattern: found.pattern,
+      label: LABELS[found.pattern],
+      direction: found.direction,
+      index: i,
+      time: candles[i].time ?? null,
+      bars: found.bars,
+      strength: Number(strength.toFixed(2)),
+    });
+  }
+  return hits;
+}
+
+/**
+ * Every pattern over a candle series
+ * @param {Array} candles - oldest first
+ * @param {Object} [options] - { from, to } index range of completing candles (default all)
+ * @returns {Array<Object>} hits, oldest first
+ */
+function detectPatterns(candles, { from = 0, to = candles.length - 1 } = {}) {
+  const hits = [];
+  for (let i = Math.max(0, from); i <= to && i < candles.length; i++) hits.push(...patternsAt(candles, i));
+  return hits;
+}
+
+/**
+ * Patterns completed by the last `lookback` candles
+ * @param {Array} candles - oldest first
+ * @param {Object} [options] - { lookback = 1 }
+ * @returns {Array<Object>} hits, strongest first
+ */
+function latestPatterns(candles, { lookback = 1 } = {}) {
+  if (!candles || !candles.length) return [];
+  return detectPatterns(candles, { from: candles.length - lookback }).sort((a, b) => b.strength - a.strength);
+}
+
+/**
+ * Strongest hit that confirms a trade direction
+ * @param {Array<Object>} hits
+ * @param {string} side - 'long' | 'short' (any case; BUY/SELL and bullish/bearish also accepted)
+ * @returns {Object|null} hit
+ */
+function confirmation(hits, side) {
+  const s = String(side || "").toLowerCase();
+  const direction = ["long", "buy", "bullish", "call"].includes(s) ? "bullish" : ["short", "sell", "bearish", "put"].includes(s) ? "bearish" : null;
+  if (!direction) return null;
+  return hits.filter(h => h.direction === direction).sort((a, b) => b.strength - a.strength)[0] || null;
+}
+
+/**
+ * Human-readable reason for an alert
+ * @param {Object} hit
+ * @param {string} [side] - trade direction; opposing patterns are marked
+ * @returns {string} e.g. 'Bullish engulfing (0.72)'
+ */
+function describePattern(hit, side) {
+  const opposing = side && hit.direction !== "neutral" && !confirmation([hit], side);
+  return `${hit.label} (${hit.strength.toFixed(2)})${opposing ? " against signal" : ""}`;
+}
+
+module.exports = {
+  PATTERNS: Object.keys(LABELS),
+  patternsAt,
+  detectPatterns,
+  latestPatterns,
+  confirmation,
+  describePattern,
+};
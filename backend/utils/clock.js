@@ -0,0 +1,22 @@
+// backend/utils/clock.js
+const { sessionDate } = require("./tradingCalendar");
+
+/**
+ * Current time for the pipeline scripts.
+ * SIM_NOW (ISO timestamp) pins "now" so a past trading day can be replayed
+ * against the offline simulator; otherwise this is the real wall clock.
+ * @returns {Date}
+ */
+function now() {
+  return process.env.SIM_NOW ? new Date(process.env.SIM_NOW) : new Date();
+}
+
+/**
+ * Today's exchange (America/New_York) date as YYYY-MM-DD, honouring SIM_NOW
+ * @returns {string}
+ */
+function today() {
+  return sessionDate(now());
+}
+
+module.exports = { now, today };
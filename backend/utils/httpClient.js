@@ -0,0 +1,341 @@
+// backend/utils/httpClient.js
+const axios = require("axios");
+const rateLimit = require("axios-rate-limit");
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const settings = require("../config/http");
+const marketData = require("../config/marketData");
+const responseCache = require("./responseCache");
+
+/**
+ * Rate-limited HTTP clients shared by every script that calls a vendor API.
+ *
+ *   const http = require("../utils/httpClient");
+ *   const res = await http.getClient("polygon").get(url, { params });
+ *
+ * - Budget: <PROVIDER>_MAX_REQUESTS per <PROVIDER>_RATE_WINDOW_MS for each API
+ *   key, counted across processes in HTTP_BUDGET_DIR. axios-rate-limit queues
+ *   requests in-process so concurrent callers wait instead of racing for slots.
+ * - Keys: the client attaches the key itself and rotates through the provider's
+ *   pool (POLYGON_API_KEYS, FINNHUB_API_KEYS, ALPACA_API_KEYS); callers never
+ *   pass one.
+ * - Retries: 429, 5xx and dropped connections are retried up to HTTP_MAX_RETRIES
+ *   times with exponential backoff, or after Retry-After when the server sends
+ *   one. A 429 also parks that key (for every process) until then.
+ * - Cache: HTTP_CACHE=record stores every response on disk, HTTP_CACHE=replay
+ *   answers from those recordings without touching the network (no key, no
+ *   budget). See responseCache.js.
+ * - Metrics: per-provider counters for the run, see metrics() / reportMetrics().
+ */
+const LOCK_STALE_MS = 2000;
+const RETRY_CODES = new Set(["ECONNRESET", "ECONNABORTED", "ETIMEDOUT", "EAI_AGAIN", "EPIPE", "ECONNREFUSED"]);
+
+// How each provider's key pool is read and attached to a request
+const KEY_STYLES = {
+  polygon: {
+    keys: () => marketData.polygon.apiKeys,
+    apply: (config, key) => { config.params = { ...config.params, apiKey: key }; },
+  },
+  finnhub: {
+    keys: () => marketData.finnhub.apiKeys,
+    apply: (config, key) => { config.params = { ...config.params, token: key }; },
+  },
+  alpaca: {
+    keys: () => marketData.alpaca.keys,
+    apply: (config, key) => {
+      config.headers["APCA-API-KEY-ID"] = key.keyId;
+      config.headers["APCA-API-SECRET-KEY"] = key.secretKey;
+    },
+    id: key => key.keyId,
+  },
+};
+
+const clients = new Map();
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+const hash = value => crypto.createHash("sha1").update(String(value)).digest("hex").slice(0, 10);
+
+// ---- Shared budget (one small JSON file per provider key) ----
+async function withLock(file, fn) {
+  const lock = `${file}.lock`;
+  for (;;) {
+    try {
+      fs.closeSync(fs.openSync(lock, "wx"));
+      break;
+    } catch (err) {
+      if (err.code !== "EEXIST") throw err;
+      try {
+        if (Date.now() - fs.statSync(lock).mtimeMs > LOCK_STALE_MS) fs.unlinkSync(lock); // holder died
+      } catch {
+        // released meanwhile
+      }
+      await sleep(5);
+    }
+  }
+  try {
+    return fn();
+  } finally {
+    try { fs.unlinkSync(lock); } catch { /* already gone */ }
+  }
+}
+
+function readBudget(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, "utf-8"));
+  } catch {
+    return { times: [], blockedUntil: 0 };
+  }
+}
+
+/**
+ * Take a request slot in a key's window
+ * @returns {Promise<number>} 0 when taken, otherwise ms until one may be free
+ */
+function takeSlot(file, { maxRequests, perMilliseconds }) {
+  return withLock(file, () => {
+    const now = Date.now();
+    const state = readBudget(file);
+    if (state.blockedUntil > now) return state.blockedUntil - now;
+    const times = state.times.filter(t => t > now - perMilliseconds);
+    if (times.length >= maxRequests) return Math.max(1, times[0] + perMilliseconds - now);
+    times.push(now);
+    fs.writeFileSync(file, JSON.stringify({ times, blockedUntil: state.blockedUntil }));
+    return 0;
+  });
+}
+
+function blockKey(file, until) {
+  return withLock(file, () => {
+    const state = readBudget(file);
+    state.blockedUntil = Math.max(state.blockedUntil || 0, until);
+    fs.writeFileSync(file, JSON.stringify(state));
+  });
+}
+
+// ---- Retry timing ----
+/**
+ * Retry-After header → ms (delta-seconds or HTTP date)
+ * @param {string|undefined} value
+ * @returns {number|null}
+ */
+function parseRetryAfter(value) {
+  if (value === undefined || value === null || value === "") return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+function backoff(attempt) {
+  const delay = settings.backoffBaseMs * 2 ** (attempt - 1);
+  return Math.min(settings.backoffMaxMs, delay) * (0.75 + Math.random() * 0.5);
+}
+
+function emptyMetrics() {
+  return {
+    requests: 0, ok: 0, failed: 0, retries: 0,
+    rateLimited: 0, serverErrors: 0, networkErrors: 0,
+    budgetWaitMs: 0, latencyMs: 0, replayed: 0, recorded: 0, keys: {},
+  };
+}
+
+/**
+ * Rate-limited axios instance for a provider or an ad-hoc API
+ * @param {string} name - budget and metrics name (polygon, finnhub, alpaca or any other)
+ * @param {Object} [options]
+ * @param {Array} [options.keys] - key pool (default: the provider's keys from .env)
+ * @param {Function} [options.apply] - (config, key) attaches a key to a request
+ * @param {Function} [options.id] - key → stable identifier for the shared budget
+ * @param {Object} [options.budget] - { maxRequests, perMilliseconds } per key
+ * @returns {Object} axios instance
+ */
+function createClient(name, options = {}) {
+  const style = { id: key => String(key), ...KEY_STYLES[name], ...options };
+  const keys = (typeof style.keys === "function" ? style.keys() : style.keys) || [];
+  const budget = options.budget || settings.budgets[name] || settings.budgets.default;
+  const stats = emptyMetrics();
+
+  fs.mkdirSync(settings.budgetDir, { recursive: true });
+  const pool = keys.map(key => ({ key, label: `…${String(style.id(key)).slice(-4)}`, file: path.join(settings.budgetDir, `${name}-${hash(style.id(key))}.json`) }));
+  if (!pool.length) pool.push({ key: null, label: "none", file: path.join(settings.budgetDir, `${name}.json`) });
+  let next = 0;
+
+  // First key (in rotation order) with a free slot; otherwise wait for the earliest
+  async function acquire() {
+    for (;;) {
+      let wait = Infinity;
+      for (let i = 0; i < pool.length; i++) {
+        const entry = pool[(next + i) % pool.length];
+        const ms = await takeSlot(entry.file, budget);
+        if (ms === 0) {
+          next = (next + i + 1) % pool.length;
+          return entry;
+        }
+        wait = Math.min(wait, ms);
+      }
+      await sleep(Math.min(wait, budget.perMilliseconds));
+    }
+  }
+
+  function record(config, outcome) {
+    const entry = config.rateLimit?.entry;
+    stats.requests++;
+    stats.latencyMs += Date.now() - (config.rateLimit?.sentAt || Date.now());
+    if (entry) {
+      stats.keys[entry.label] = stats.keys[entry.label] || { requests: 0, rateLimited: 0 };
+      stats.keys[entry.label].requests++;
+      if (outcome === 429) stats.keys[entry.label].rateLimited++;
+    }
+    if (outcome === 429) stats.rateLimited++;
+    else if (outcome >= 500) stats.serverErrors++;
+    else if (outcome === "network") stats.networkErrors++;
+  }
+
+  // Recorded response → what the network adapter would have produced
+  function replay(config) {
+    const stored = responseCache.read(name, config.cache.fingerprint);
+    if (!stored) {
+      const { method, path: urlPath } = config.cache.request;
+      return Promise.reject(new axios.AxiosError(`Not in the response cache (HTTP_CACHE=replay): ${name} ${method} ${urlPath}`, "ERR_CACHE_MISS", config));
+    }
+    const response = { data: stored.data, status: stored.status, statusText: "", headers: stored.headers, config, request: null };
+    if (config.validateStatus(response.status)) return Promise.resolve(response);
+    const code = response.status >= 500 ? "ERR_BAD_RESPONSE" : "ERR_BAD_REQUEST";
+    return Promise.reject(new axios.AxiosError(`Request failed with status code ${response.status}`, code, config, null, response));
+  }
+
+  // Final answers only: retried failures are not worth replaying
+  function store(response) {
+    if (cacheMode !== "record" || !response.config.cache) return;
+    if (response.status === 429 || response.status >= 500) return;
+    responseCache.write(name, response.config.cache, response);
+    stats.recorded++;
+  }
+
+  const cacheMode = responseCache.mode();
+  const instance = axios.create({ timeout: settings.timeoutMs });
+
+  // Request interceptors run last-registered first: fingerprint → stamp → in-process queue → shared budget + key
+  if (cacheMode === "replay") {
+    instance.defaults.adapter = replay;
+  } else {
+    instance.interceptors.request.use(async config => {
+      const entry = await acquire();
+      config.rateLimit = { ...config.rateLimit, entry, sentAt: Date.now() };
+      stats.budgetWaitMs += config.rateLimit.sentAt - config.rateLimit.queuedAt;
+      if (entry.key !== null) style.apply(config, entry.key);
+      return config;
+    });
+    rateLimit(instance, { maxRequests: budget.maxRequests * pool.length, perMilliseconds: budget.perMilliseconds });
+  }
+  instance.interceptors.request.use(config => {
+    config.rateLimit = { ...config.rateLimit, queuedAt: Date.now() };
+    return config;
+  });
+  // Taken before the key is attached; a retry keeps the first attempt's fingerprint
+  instance.interceptors.request.use(config => {
+    if (cacheMode !== "off" && !config.cache) config.cache = responseCache.describe(name, config);
+    return config;
+  });
+
+  instance.interceptors.response.use(
+    response => {
+      record(response.config, response.status);
+      stats.ok++;
+      if (cacheMode === "replay") stats.replayed++;
+      store(response);
+      return response;
+    },
+    async error => {
+      const config = error.config;
+      if (!config) throw error;
+      const status = error.response?.status;
+      record(config, status ?? (RETRY_CODES.has(error.code) ? "network" : "error"));
+      if (error.response) store(error.response);
+      if (cacheMode === "replay") {
+        if (error.response) stats.replayed++;
+        stats.failed++;
+        throw error;
+      }
+
+      const retryable = status === 429 || status >= 500 || (!error.response && RETRY_CODES.has(error.code));
+      const attempt = (config.rateLimit?.attempt || 0) + 1;
+      if (!retryable || attempt > settings.maxRetries) {
+        stats.failed++;
+        throw error;
+      }
+
+      const delay = parseRetryAfter(error.response?.headers?.["retry-after"]) ?? backoff(attempt);
+      stats.retries++;
+      if (status === 429 && config.rateLimit?.entry) {
+        // Park the key everywhere; with a pool the retry goes out on another one
+        await blockKey(config.rateLimit.entry.file, Date.now() + delay);
+      } else {
+        await sleep(delay);
+      }
+      config.rateLimit = { attempt };
+      return instance.request(config);
+    }
+  );
+
+  instance.metrics = () => ({ ...stats, keys: { ...stats.keys }, budget, keyCount: keys.length });
+  clients.set(name, instance);
+  return instance;
+}
+
+/**
+ * Whether requests can be made for a provider: it has API keys, or responses
+ * come from the replay cache
+ * @param {string} name - polygon | finnhub | alpaca
+ * @returns {boolean}
+ */
+function hasKeys(name) {
+  return KEY_STYLES[name].keys().length > 0 || responseCache.mode() === "replay";
+}
+
+/**
+ * Shared client for a provider (created on first use)
+ * @param {string} name - polygon | finnhub | alpaca | any other name (default budget, no key)
+ * @returns {Object} axios instance
+ */
+function getClient(name) {
+  return clients.get(name) || createClient(name);
+}
+
+/**
+ * Request counters for this run, by client name
+ * @returns {Object} { name: { requests, ok, failed, retries, rateLimited, serverErrors, networkErrors, budgetWaitMs, latencyMs, replayed, recorded, keys } }
+ */
+function metrics() {
+  const result = {};
+  for (const [name, client] of clients) result[name] = client.metrics();
+  return result;
+}
+
+/**
+ * Print this run's request metrics and append them to Archive/logs/http_metrics_<date>.jsonl
+ * @param {string} label - script name
+ * @returns {Object} metrics()
+ */
+function reportMetrics(label) {
+  const current = metrics();
+  const used = Object.entries(current).filter(([, m]) => m.requests > 0);
+  if (!used.length) return current;
+
+  for (const [name, m] of used) {
+    const avg = m.requests ? Math.round(m.latencyMs / m.requests) : 0;
+    console.log(`🌐 ${label} ${name}: ${m.requests} requests (${m.ok} ok, ${m.failed} failed, ${m.retries} retries, ` +
+      `${m.rateLimited}×429, ${m.serverErrors}×5xx), avg ${avg}ms, waited ${(m.budgetWaitMs / 1000).toFixed(1)}s for budget` +
+      (m.replayed ? `, ${m.replayed} replayed from cache` : "") + (m.recorded ? `, ${m.recorded} recorded` : ""));
+  }
+  try {
+    fs.mkdirSync(settings.metricsDir, { recursive: true });
+    const file = path.join(settings.metricsDir, `http_metrics_${new Date().toISOString().slice(0, 10)}.jsonl`);
+    fs.appendFileSync(file, JSON.stringify({ time: new Date().toISOString(), script: label, pid: process.pid, providers: Object.fromEntries(used) }) + "\n");
+  } catch (err) {
+    console.warn(`⚠️ Could not save HTTP metrics: ${err.message}`);
+  }
+  return current;
+}
+
+module.exports = { getClient, createClient, hasKeys, metrics, reportMetrics, parseRetryAfter };
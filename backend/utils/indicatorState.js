@@ -0,0 +1,410 @@
+// backend/utils/indicatorState.js
+const calendar = require("./tradingCalendar");
+
+/**
+ * Incremental indicators: each one takes a bar at a time and returns the
+ * same values as the matching xxxSeries function in indicators.js, without
+ * looking at the history again. Their state is plain JSON, so a live process
+ * can persist it and carry on after a restart.
+ *
+ *   const rsi = createIndicator("rsi", { period: 14 });
+ *   for (const bar of bars) rsi.update(bar);          // latest value, null during warmup
+ *   const saved = JSON.stringify(rsi);
+ *   const again = restoreIndicator(JSON.parse(saved)); // continues where rsi stopped
+ *
+ * Close-based indicators accept a bar or a plain number; params.source picks
+ * another bar field (e.g. "volume").
+ */
+
+const input = (bar, source = "close") => (typeof bar === "number" ? bar : bar[source]);
+
+// Rolling window of the last `size` entries (kept in the state)
+function push(window, value, size) {
+  window.push(value);
+  if (window.length > size) window.shift();
+}
+
+// Highest high / lowest low of the last `period` entries of a [high, low] window
+function range(window, period) {
+  if (window.length < period) return null;
+  let hi = -Infinity, lo = Infinity;
+  for (let j = window.length - period; j < window.length; j++) {
+    if (window[j][0] > hi) hi = window[j][0];
+    if (window[j][1] < lo) lo = window[j][1];
+  }
+  return { hi, lo };
+}
+
+function trueRange(s, bar) {
+  return Math.max(bar.high - bar.low, Math.abs(bar.high - s.prevClose), Math.abs(bar.low - s.prevClose));
+}
+
+// ---- Indicator definitions: defaults, init(params) → state, step(state, params, bar) → value ----
+const TYPES = {
+  sma: {
+    defaults: { period: 20, source: "close" },
+    init: () => ({ window: [], sum: 0 }),
+    step(s, p, bar) {
+      const x = input(bar, p.source);
+      s.sum += x;
+      s.window.push(x);
+      if (s.window.length > p.period) s.sum -= s.window.shift();
+      return s.window.length === p.period ? s.sum / p.period : null;
+    },
+  },
+
+  ema: {
+    defaults: { period: 20, source: "close" },
+    init: () => ({ count: 0, seed: 0, ema: null }),
+    step(s, p, bar) {
+      const x = input(bar, p.source);
+      if (s.ema === null) {
+        s.seed += x;
+        if (++s.count === p.period) s.ema = s.seed / p.period;
+        return s.ema;
+      }
+      const k = 2 / (p.period + 1);
+      s.ema = x * k + s.ema * (1 - k);
+      return s.ema;
+    },
+  },
+
+  rsi: {
+    defaults: { period: 14, source: "close" },
+    init: () => ({ prev: null, count: 0, avgGain: 0, avgLoss: 0 }),
+    step(s, p, bar) {
+      const x = input(bar, p.source);
+      if (s.prev === null) {
+        s.prev = x;
+        return null;
+      }
+      const diff = x - s.prev;
+      s.prev = x;
+      if (++s.count <= p.period) {
+        s.avgGain += Math.max(diff, 0) / p.period;
+        s.avgLoss += Math.max(-diff, 0) / p.period;
+        if (s.count < p.period) return null;
+      } else {
+        s.avgGain = (s.avgGain * (p.period - 1) + Math.max(diff, 0)) / p.period;
+        s.avgLoss = (s.avgLoss * (p.period - 1) + Math.max(-diff, 0)) / p.period;
+      }
+      return s.avgLoss === 0 ? 100 : 100 - 100 / (1 + s.avgGain / s.avgLoss);
+    },
+  },
+
+  atr: {
+    defaults: { period: 14 },
+    init: () => ({ prevClose: null, count: 0, atr: 0 }),
+    step(s, p, bar) {
+      if (s.prevClose === null) {
+        s.prevClose = bar.close;
+        return null;
+      }
+      const tr = trueRange(s, bar);
+      s.prevClose = bar.close;
+      if (++s.count <= p.period) {
+        s.atr += tr / p.period;
+        return s.count === p.period ? s.atr : null;
+      }
+      s.atr = (s.atr * (p.period - 1) + tr) / p.period;
+      return s.atr;
+    },
+  },
+
+  dmi: {
+    defaults: { period: 14 },
+    init: () => ({ prev: null, count: 0, smTR: 0, smPlus: 0, smMinus: 0, dxSum: 0, adx: null }),
+    step(s, p, bar) {
+      const empty = { plusDI: null, minusDI: null, adx: null };
+      if (s.prev === null) {
+        s.prev = { high: bar.high, low: bar.low, close: bar.close };
+        return empty;
+      }
+      const upMove = bar.high - s.prev.high;
+      const downMove = s.prev.low - bar.low;
+      const plusDM = upMove > downMove && upMove > 0 ? upMove : 0;
+      const minusDM = downMove > upMove && downMove > 0 ? downMove : 0;
+      const tr = Math.max(bar.high - bar.low, Math.abs(bar.high - s.prev.close), Math.abs(bar.low - s.prev.close));
+      s.prev = { high: bar.high, low: bar.low, close: bar.close };
+
+      const n = ++s.count;
+      if (n <= p.period) {
+        s.smTR += tr; s.smPlus += plusDM; s.smMinus += minusDM;
+        if (n < p.period) return empty;
+      } else {
+        s.smTR += tr - s.smTR / p.period;
+        s.smPlus += plusDM - s.smPlus / p.period;
+        s.smMinus += minusDM - s.smMinus / p.period;
+      }
+      const plusDI = s.smTR ? (s.smPlus / s.smTR) * 100 : 0;
+      const minusDI = s.smTR ? (s.smMinus / s.smTR) * 100 : 0;
+      const diSum = plusDI + minusDI;
+      const dx = diSum ? (Math.abs(plusDI - minusDI) / diSum) * 100 : 0;
+
+      if (n < 2 * p.period - 1) s.dxSum += dx;
+      else if (n === 2 * p.period - 1) s.adx = (s.dxSum + dx) / p.period;
+      else s.adx = (s.adx * (p.period - 1) + dx) / p.period;
+      return { plusDI, minusDI, adx: s.adx };
+    },
+  },
+
+  bollinger: {
+    defaults: { period: 20, mult: 2, source: "close" },
+    init: () => ({ window: [], sum: 0 }),
+    step(s, p, bar) {
+      const mid = TYPES.sma.step(s, p, bar);
+      if (mid === null) return { upper: null, middle: null, lower: null };
+      let variance = 0;
+      for (const v of s.window) variance += (v - mid) ** 2;
+      const stdDev = Math.sqrt(variance / p.period);
+      return { upper: mid + p.mult * stdDev, middle: mid, lower: mid - p.mult * stdDev };
+    },
+  },
+
+  macd: {
+    defaults: { fast: 12, slow: 26, signal: 9, source: "close" },
+    init: () => ({ fast: TYPES.ema.init(), slow: TYPES.ema.init(), signal: TYPES.ema.init() }),
+    step(s, p, bar) {
+      const x = input(bar, p.source);
+      const fast = TYPES.ema.step(s.fast, { period: p.fast }, x);
+      const slow = TYPES.ema.step(s.slow, { period: p.slow }, x);
+      if (slow === null) return { macd: null, signal: null, histogram: null };
+      const macd = fast - slow;
+      const signal = TYPES.ema.step(s.signal, { period: p.signal }, macd);
+      return { macd, signal, histogram: signal === null ? null : macd - signal };
+    },
+  },
+
+  stochastic: {
+    defaults: { kPeriod: 14, dPeriod: 3, smooth: 1 },
+    init: () => ({ window: [], k: TYPES.sma.init(), d: TYPES.sma.init() }),
+    step(s, p, bar) {
+      push(s.window, [bar.high, bar.low], p.kPeriod);
+      const r = range(s.window, p.kPeriod);
+      if (!r) return { k: null, d: null };
+      const raw = r.hi - r.lo ? ((bar.close - r.lo) / (r.hi - r.lo)) * 100 : 50;
+      const k = p.smooth > 1 ? TYPES.sma.step(s.k, { period: p.smooth }, raw) : raw;
+      const d = k === null ? null : TYPES.sma.step(s.d, { period: p.dPeriod }, k);
+      return { k, d };
+    },
+  },
+
+  williamsR: {
+    defaults: { period: 14 },
+    init: () => ({ window: [] }),
+    step(s, p, bar) {
+      push(s.window, [bar.high, bar.low], p.period);
+      const r = range(s.window, p.period);
+      if (!r) return null;
+      return r.hi - r.lo ? ((r.hi - bar.close) / (r.hi - r.lo)) * -100 : -50;
+    },
+  },
+
+  obv: {
+    defaults: {},
+    init: () => ({ prevClose: null, obv: 0 }),
+    step(s, p, bar) {
+      if (s.prevClose !== null && bar.close > s.prevClose) s.obv += bar.volume || 0;
+      else if (s.prevClose !== null && bar.close < s.prevClose) s.obv -= bar.volume || 0;
+      s.prevClose = bar.close;
+      return s.obv;
+    },
+  },
+
+  vwap: {
+    defaults: { mult: 2 },
+    init: () => ({ started: false, session: null, sumV: 0, sumPV: 0, sumP2V: 0 }),
+    step(s, p, bar) {
+      const date = bar.time === undefined ? null : calendar.sessionDate(bar.time);
+      if (!s.started || date !== s.session) {
+        Object.assign(s, { started: true, session: date, sumV: 0, sumPV: 0, sumP2V: 0 });
+      }
+      const typical = (bar.high + bar.low + bar.close) / 3;
+      const volume = bar.volume || 0;
+      s.sumV += volume;
+      s.sumPV += typical * volume;
+      s.sumP2V += typical * typical * volume;
+      if (!s.sumV) return { vwap: null, upper: null, lower: null };
+      const vwap = s.sumPV / s.sumV;
+      const stdDev = Math.sqrt(Math.max(s.sumP2V / s.sumV - vwap ** 2, 0));
+      return { vwap, upper: vwap + p.mult * stdDev, lower: vwap - p.mult * stdDev };
+    },
+  },
+
+  keltner: {
+    defaults: { period: 20, mult: 2, atrPeriod: 10 },
+    init: () => ({ ema: TYPES.ema.init(), atr: TYPES.atr.init() }),
+    step(s, p, bar) {
+      const middle = TYPES.ema.step(s.ema, { period: p.period }, bar.close);
+      const atr = TYPES.atr.step(s.atr, { period: p.atrPeriod }, bar);
+      if (middle === null || atr === null) return { upper: null, middle, lower: null };
+      return { upper: middle + p.mult * atr, middle, lower: middle - p.mult * atr };
+    },
+  },
+
+  donchian: {
+    defaults: { period: 20 },
+    init: () => ({ window: [] }),
+    step(s, p, bar) {
+      push(s.window, [bar.high, bar.low], p.period);
+      const r = range(s.window, p.period);
+      return r ? { upper: r.hi, middle: (r.hi + r.lo) / 2, lower: r.lo } : { upper: null, middle: null, lower: null };
+    },
+  },
+
+  supertrend: {
+    defaults: { period: 10, mult: 3 },
+    init: () => ({ atr: TYPES.atr.init(), prevClose: null, upperBand: null, lowerBand: null, direction: null }),
+    step(s, p, bar) {
+      const prevClose = s.prevClose;
+      s.prevClose = bar.close;
+      const atr = TYPES.atr.step(s.atr, { period: p.period }, bar);
+      if (atr === null) return { supertrend: null, direction: null };
+
+      const mid = (bar.high + bar.low) / 2;
+      const basicUpper = mid + p.mult * atr;
+      const basicLower = mid - p.mult * atr;
+      if (s.upperBand === null) {
+        s.upperBand = basicUpper;
+        s.lowerBand = basicLower;
+        s.direction = bar.close > basicUpper ? 1 : -1;
+      } else {
+        s.upperBand = basicUpper < s.upperBand || prevClose > s.upperBand ? basicUpper : s.upperBand;
+        s.lowerBand = basicLower > s.lowerBand || prevClose < s.lowerBand ? basicLower : s.lowerBand;
+        if (s.direction === -1) s.direction = bar.close > s.upperBand ? 1 : -1;
+        else s.direction = bar.close < s.lowerBand ? -1 : 1;
+      }
+      return { supertrend: s.direction === 1 ? s.lowerBand : s.upperBand, direction: s.direction };
+    },
+  },
+
+  ichimoku: {
+    defaults: { conversion: 9, base: 26, spanB: 52, displacement: 26 },
+    init: () => ({ window: [], pending: [] }),
+    step(s, p, bar) {
+      push(s.window, [bar.high, bar.low], Math.max(p.conversion, p.base, p.spanB));
+      const midpoint = period => {
+        const r = range(s.window, period);
+        return r ? (r.hi + r.lo) / 2 : null;
+      };
+      const conversion = midpoint(p.conversion);
+      const base = midpoint(p.base);
+      const rawSpanA = conversion === null || base === null ? null : (conversion + base) / 2;
+      s.pending.push([rawSpanA, midpoint(p.spanB)]);
+      const [spanA, spanB] = s.pending.length > p.displacement ? s.pending.shift() : [null, null];
+      return { conversion, base, spanA, spanB };
+    },
+  },
+
+  slope: {
+    defaults: { period: 3, source: "close" },
+    init: () => ({ window: [] }),
+    step(s, p, bar) {
+      push(s.window, input(bar, p.source), p.period + 1);
+      return s.window.length > p.period ? s.window[p.period] - s.window[0] : null;
+    },
+  },
+
+  // 'up' when SMA(fast) of the close is above SMA(slow), as trendDirection
+  trend: {
+    defaults: { fast: 9, slow: 21 },
+    init: () => ({ fast: TYPES.sma.init(), slow: TYPES.sma.init() }),
+    step(s, p, bar) {
+      const fast = TYPES.sma.step(s.fast, { period: p.fast }, input(bar));
+      const slow = TYPES.sma.step(s.slow, { period: p.slow }, input(bar));
+      return slow === null ? null : fast > slow ? "up" : "down";
+    },
+  },
+};
+
+/**
+ * Create an incremental indicator
+ * @param {string} type - sma | ema | rsi | atr | dmi | bollinger | macd | stochastic | williamsR | obv | vwap | keltner | donchian | supertrend | ichimoku | slope | trend
+ * @param {Object} [params] - overrides of the type's defaults
+ * @param {Object} [state] - state from toJSON() to continue from
+ * @returns {Object} { type, params, value, update(bar) → value, toJSON() }
+ */
+function createIndicator(type, params = {}, state = null) {
+  const def = TYPES[type];
+  if (!def) throw new Error(`Unknown indicator "${type}" (known: ${Object.keys(TYPES).join(", ")})`);
+  const p = { ...def.defaults, ...params };
+  const s = state ? JSON.parse(JSON.stringify(state)) : { ...def.init(p), value: null, bars: 0 };
+  return {
+    type,
+    params: p,
+    get value() {
+      return s.value;
+    },
+    get bars() {
+      return s.bars;
+    },
+    update(bar) {
+      s.value = def.step(s, p, bar);
+      s.bars++;
+      return s.value;
+    },
+    toJSON: () => ({ type, params: p, state: s }),
+  };
+}
+
+/**
+ * @param {Object} json - toJSON() of an indicator
+ * @returns {Object} indicator continuing from that state
+ */
+function restoreIndicator(json) {
+  return createIndicator(json.type, json.params, json.state);
+}
+
+/**
+ * A named group of indicators updated together
+ * @param {Object} spec - { name: { type, params } }
+ * @param {Object} [saved] - toJSON() of a set with the same names, to continue from
+ * @returns {Object} { values, bars, update(bar) → { name: value }, toJSON() }
+ */
+function createIndicatorSet(spec, saved = null) {
+  const members = Object.entries(spec).map(([name, { type, params }]) => {
+    const previous = saved?.indicators?.[name];
+    const matches = previous && previous.type === type && JSON.stringify(previous.params) === JSON.stringify({ ...TYPES[type]?.defaults, ...params });
+    return [name, matches ? restoreIndicator(previous) : createIndicator(type, params)];
+  });
+  const values = () => Object.fromEntries(members.map(([name, ind]) => [name, ind.value]));
+  return {
+    get values() {
+      return values();
+    },
+    get bars() {
+      return members.length ? members[0][1].bars : 0;
+    },
+    update(bar) {
+      for (const [, ind] of members) ind.update(bar);
+      return values();
+    },
+    toJSON: () => ({ indicators: Object.fromEntries(members.map(([name, ind]) => [name, ind.toJSON()])) }),
+  };
+}
+
+// Indicators the backtest engine updates bar by bar and hands to strategies
+// as context.indicators
+const STRATEGY_INDICATORS = {
+  sma5: { type: "sma", params: { period: 5 } },
+  sma9: { type: "sma", params: { period: 9 } },
+  sma20: { type: "sma", params: { period: 20 } },
+  sma21: { type: "sma", params: { period: 21 } },
+  volumeSma10: { type: "sma", params: { period: 10, source: "volume" } },
+  volumeSma20: { type: "sma", params: { period: 20, source: "volume" } },
+  rsi5: { type: "rsi", params: { period: 5 } },
+  rsi14: { type: "rsi", params: { period: 14 } },
+  atr14: { type: "atr", params: { period: 14 } },
+  dmi14: { type: "dmi", params: { period: 14 } },
+  bollinger20: { type: "bollinger", params: { period: 20, mult: 2 } },
+  slope3: { type: "slope", params: { period: 3 } },
+  trend: { type: "trend", params: {} },
+};
+
+module.exports = {
+  TYPES: Object.keys(TYPES),
+  STRATEGY_INDICATORS,
+  createIndicator,
+  restoreIndicator,
+  createIndicatorSet,
+};
@@ -1,156 +1,647 @@
+// backend/utils/indicators.js
+
 /**
- * Calculate Simple Moving Average (SMA)
- * @param {Array<number>} prices - array of closing prices
- * @param {number} period - number of periods for SMA
- * @returns {number} SMA value
+ * Technical indicators, one formula each, in two modes:
+ * - xxxSeries(...) returns arrays aligned with the input, null during warmup
+ * - SMA(...), RSI(...) etc. return the latest value only (null without enough data)
+ *
+ * Used by the strategy service, the backtesters and their strategies,
+ * stockmonitor and the indicator pipeline that fills the stored Parquet
+ * columns, so a value computed live matches the stored and backtested one.
+ * Bars are { open, high, low, close, volume } objects, oldest first.
  */
-function SMA(prices, period) {
-  if (prices.length < period) return null;
-  const slice = prices.slice(-period);
-  const sum = slice.reduce((acc, val) => acc + val, 0);
-  return sum / period;
-}
+
+const calendar = require("./tradingCalendar");
+
+const last = series => (series.length ? series[series.length - 1] : null);
+
+// { a: [...], b: [...] } → { a: lastA, b: lastB }
+const lastValues = seriesByName => Object.fromEntries(Object.entries(seriesByName).map(([name, series]) => [name, last(series)]));
+
+// ---- Full series ----
 
 /**
- * Calculate Exponential Moving Average (EMA)
- * @param {Array<number>} prices - array of closing prices
- * @param {number} period - number of periods for EMA
- * @returns {number} EMA value
+ * Simple moving average
+ * @param {Array<number>} values
+ * @param {number} period
+ * @returns {Array<number|null>} first value at index period - 1
  */
-function EMA(prices, period) {
-  if (prices.length < period) return null;
+function smaSeries(values, period) {
+  const out = new Array(values.length).fill(null);
+  let sum = 0;
+  for (let i = 0; i < values.length; i++) {
+    sum += values[i];
+    if (i >= period) sum -= values[i - period];
+    if (i >= period - 1) out[i] = sum / period;
+  }
+  return out;
+}
 
+/**
+ * Exponential moving average, seeded with the SMA of the first `period` values
+ * @param {Array<number>} values
+ * @param {number} period
+ * @returns {Array<number|null>} first value at index period - 1
+ */
+function emaSeries(values, period) {
+  const out = new Array(values.length).fill(null);
+  if (values.length < period) return out;
   const k = 2 / (period + 1);
-  let ema = SMA(prices.slice(0, period), period); // start with SMA
-  for (let i = period; i < prices.length; i++) {
-    ema = prices[i] * k + ema * (1 - k);
+  let ema = values.slice(0, period).reduce((a, b) => a + b, 0) / period;
+  out[period - 1] = ema;
+  for (let i = period; i < values.length; i++) {
+    ema = values[i] * k + ema * (1 - k);
+    out[i] = ema;
+  }
+  return out;
+}
+
+/**
+ * Wilder RSI
+ * @param {Array<number>} closes
+ * @param {number} [period]
+ * @returns {Array<number|null>} first value at index period
+ */
+function rsiSeries(closes, period = 14) {
+  const out = new Array(closes.length).fill(null);
+  if (closes.length <= period) return out;
+  let avgGain = 0, avgLoss = 0;
+  for (let i = 1; i <= period; i++) {
+    const diff = closes[i] - closes[i - 1];
+    avgGain += Math.max(diff, 0) / period;
+    avgLoss += Math.max(-diff, 0) / period;
+  }
+  const rsi = () => (avgLoss === 0 ? 100 : 100 - 100 / (1 + avgGain / avgLoss));
+  out[period] = rsi();
+  for (let i = period + 1; i < closes.length; i++) {
+    const diff = closes[i] - closes[i - 1];
+    avgGain = (avgGain * (period - 1) + Math.max(diff, 0)) / period;
+    avgLoss = (avgLoss * (period - 1) + Math.max(-diff, 0)) / period;
+    out[i] = rsi();
   }
-  return ema;
+  return out;
 }
 
 /**
- * Calculate Relative Strength Index (RSI)
- * @param {Array<number>} prices - array of closing prices
- * @param {number} period - number of periods for RSI
- * @returns {number} RSI value
+ * True range (null for the first bar, which has no previous close)
+ * @param {Array<Object>} bars
+ * @returns {Array<number|null>}
  */
-function RSI(prices, period = 14) {
-  if (prices.length <= period) return null;
+function trueRangeSeries(bars) {
+  return bars.map((bar, i) => (i === 0 ? null : Math.max(
+    bar.high - bar.low,
+    Math.abs(bar.high - bars[i - 1].close),
+    Math.abs(bar.low - bars[i - 1].close)
+  )));
+}
 
-  let gains = 0;
-  let losses = 0;
+/**
+ * Wilder ATR
+ * @param {Array<Object>} bars
+ * @param {number} [period]
+ * @returns {Array<number|null>} first value at index period
+ */
+function atrSeries(bars, period = 14) {
+  const out = new Array(bars.length).fill(null);
+  if (bars.length <= period) return out;
+  const tr = trueRangeSeries(bars);
+  let atr = 0;
+  for (let i = 1; i <= period; i++) atr += tr[i] / period;
+  out[period] = atr;
+  for (let i = period + 1; i < bars.length; i++) {
+    atr = (atr * (period - 1) + tr[i]) / period;
+    out[i] = atr;
+  }
+  return out;
+}
 
-  for (let i = 1; i <= period; i++) {
-    const diff = prices[i] - prices[i - 1];
-    if (diff >= 0) gains += diff;
-    else losses -= diff;
+/**
+ * Wilder directional movement: +DI, -DI and ADX
+ * @param {Array<Object>} bars
+ * @param {number} [period]
+ * @returns {Object} { plusDI, minusDI, adx } arrays; DIs start at index period, ADX at 2 * period - 1
+ */
+function dmiSeries(bars, period = 14) {
+  const plusDI = new Array(bars.length).fill(null);
+  const minusDI = new Array(bars.length).fill(null);
+  const adx = new Array(bars.length).fill(null);
+  if (bars.length <= period) return { plusDI, minusDI, adx };
+
+  const tr = trueRangeSeries(bars);
+  const plusDM = [null], minusDM = [null];
+  for (let i = 1; i < bars.length; i++) {
+    const upMove = bars[i].high - bars[i - 1].high;
+    const downMove = bars[i - 1].low - bars[i].low;
+    plusDM.push(upMove > downMove && upMove > 0 ? upMove : 0);
+    minusDM.push(downMove > upMove && downMove > 0 ? downMove : 0);
   }
 
-  let avgGain = gains / period;
-  let avgLoss = losses / period;
+  // Wilder sums: seeded with the first `period` values, then S - S / period + x
+  let smTR = 0, smPlus = 0, smMinus = 0, dxSum = 0;
+  for (let i = 1; i < bars.length; i++) {
+    if (i <= period) {
+      smTR += tr[i]; smPlus += plusDM[i]; smMinus += minusDM[i];
+      if (i < period) continue;
+    } else {
+      smTR += tr[i] - smTR / period;
+      smPlus += plusDM[i] - smPlus / period;
+      smMinus += minusDM[i] - smMinus / period;
+    }
+    plusDI[i] = smTR ? (smPlus / smTR) * 100 : 0;
+    minusDI[i] = smTR ? (smMinus / smTR) * 100 : 0;
+    const diSum = plusDI[i] + minusDI[i];
+    const dx = diSum ? (Math.abs(plusDI[i] - minusDI[i]) / diSum) * 100 : 0;
 
-  for (let i = period + 1; i < prices.length; i++) {
-    const diff = prices[i] - prices[i - 1];
-    avgGain = (avgGain * (period - 1) + Math.max(diff, 0)) / period;
-    avgLoss = (avgLoss * (period - 1) + Math.max(-diff, 0)) / period;
+    if (i < 2 * period - 1) dxSum += dx;
+    else if (i === 2 * period - 1) adx[i] = (dxSum + dx) / period;
+    else adx[i] = (adx[i - 1] * (period - 1) + dx) / period;
   }
+  return { plusDI, minusDI, adx };
+}
 
-  if (avgLoss === 0) return 100;
-  const rs = avgGain / avgLoss;
-  return 100 - 100 / (1 + rs);
+/**
+ * Wilder ADX
+ * @param {Array<Object>} bars
+ * @param {number} [period]
+ * @returns {Array<number|null>} first value at index 2 * period - 1
+ */
+function adxSeries(bars, period = 14) {
+  return dmiSeries(bars, period).adx;
 }
 
 /**
- * Calculate Average True Range (ATR)
- * @param {Array<Object>} candles - array of OHLC objects {high, low, close}
- * @param {number} period - number of periods for ATR
- * @returns {number} ATR value
+ * Bollinger Bands (population standard deviation)
+ * @param {Array<number>} closes
+ * @param {number} [period]
+ * @param {number} [mult] - number of standard deviations
+ * @returns {Object} { upper, middle, lower } arrays, first values at index period - 1
  */
-function ATR(candles, period = 14) {
-  if (candles.length < period + 1) return null;
+function bollingerSeries(closes, period = 20, mult = 2) {
+  const middle = smaSeries(closes, period);
+  const upper = new Array(closes.length).fill(null);
+  const lower = new Array(closes.length).fill(null);
+  middle.forEach((mid, i) => {
+    if (mid === null) return;
+    let variance = 0;
+    for (let j = i - period + 1; j <= i; j++) variance += (closes[j] - mid) ** 2;
+    const stdDev = Math.sqrt(variance / period);
+    upper[i] = mid + mult * stdDev;
+    lower[i] = mid - mult * stdDev;
+  });
+  return { upper, middle, lower };
+}
 
-  let trs = [];
-  for (let i = 1; i < candles.length; i++) {
-    const high = candles[i].high;
-    const low = candles[i].low;
-    const prevClose = candles[i - 1].close;
-    const tr = Math.max(high - low, Math.abs(high - prevClose), Math.abs(low - prevClose));
-    trs.push(tr);
+// Apply a series function to the part of `series` after its leading nulls
+function afterWarmup(series, fn) {
+  const first = series.findIndex(v => v !== null);
+  if (first < 0) return series.map(() => null);
+  return [...new Array(first).fill(null), ...fn(series.slice(first))];
+}
+
+// Highest high / lowest low of the `period` bars ending at i
+function rollingRange(bars, period) {
+  const highest = new Array(bars.length).fill(null);
+  const lowest = new Array(bars.length).fill(null);
+  for (let i = period - 1; i < bars.length; i++) {
+    let hi = -Infinity, lo = Infinity;
+    for (let j = i - period + 1; j <= i; j++) {
+      if (bars[j].high > hi) hi = bars[j].high;
+      if (bars[j].low < lo) lo = bars[j].low;
+    }
+    highest[i] = hi;
+    lowest[i] = lo;
   }
+  return { highest, lowest };
+}
 
-  // Simple moving average of TRs
-  const slice = trs.slice(-period);
-  const sum = slice.reduce((acc, val) => acc + val, 0);
-  return sum / period;
+/**
+ * MACD
+ * @param {Array<number>} closes
+ * @param {number} [fast]
+ * @param {number} [slow]
+ * @param {number} [signalPeriod]
+ * @returns {Object} { macd, signal, histogram } arrays; MACD starts at index slow - 1, signal and histogram signalPeriod - 1 later
+ */
+function macdSeries(closes, fast = 12, slow = 26, signalPeriod = 9) {
+  const fastEma = emaSeries(closes, fast);
+  const slowEma = emaSeries(closes, slow);
+  const macd = closes.map((_, i) => (slowEma[i] === null ? null : fastEma[i] - slowEma[i]));
+  const signal = afterWarmup(macd, values => emaSeries(values, signalPeriod));
+  const histogram = macd.map((m, i) => (signal[i] === null ? null : m - signal[i]));
+  return { macd, signal, histogram };
+}
+
+/**
+ * Stochastic oscillator
+ * @param {Array<Object>} bars
+ * @param {number} [kPeriod]
+ * @param {number} [dPeriod] - SMA of %K
+ * @param {number} [smooth] - SMA applied to the raw %K (1 = fast stochastic)
+ * @returns {Object} { k, d } arrays in 0-100
+ */
+function stochasticSeries(bars, kPeriod = 14, dPeriod = 3, smooth = 1) {
+  const { highest, lowest } = rollingRange(bars, kPeriod);
+  const raw = bars.map((bar, i) => {
+    if (highest[i] === null) return null;
+    const range = highest[i] - lowest[i];
+    return range ? ((bar.close - lowest[i]) / range) * 100 : 50;
+  });
+  const k = smooth > 1 ? afterWarmup(raw, values => smaSeries(values, smooth)) : raw;
+  const d = afterWarmup(k, values => smaSeries(values, dPeriod));
+  return { k, d };
 }
 
 /**
- * Calculate ADX (Average Directional Index)
- * @param {Array<Object>} candles - array of OHLC objects
- * @param {number} period - number of periods for ADX
- * @returns {number} ADX value
+ * Williams %R
+ * @param {Array<Object>} bars
+ * @param {number} [period]
+ * @returns {Array<number|null>} -100 (at the low) to 0 (at the high), first value at index period - 1
  */
-function ADX(candles, period = 14) {
-  if (candles.length < period + 1) return null;
+function williamsRSeries(bars, period = 14) {
+  const { highest, lowest } = rollingRange(bars, period);
+  return bars.map((bar, i) => {
+    if (highest[i] === null) return null;
+    const range = highest[i] - lowest[i];
+    return range ? ((highest[i] - bar.close) / range) * -100 : -50;
+  });
+}
 
-  let plusDM = [];
-  let minusDM = [];
-  let TRs = [];
+/**
+ * On-balance volume, starting at 0 on the first bar
+ * @param {Array<Object>} bars
+ * @returns {Array<number>}
+ */
+function obvSeries(bars) {
+  const out = new Array(bars.length).fill(null);
+  let obv = 0;
+  bars.forEach((bar, i) => {
+    if (i > 0 && bar.close > bars[i - 1].close) obv += bar.volume || 0;
+    else if (i > 0 && bar.close < bars[i - 1].close) obv -= bar.volume || 0;
+    out[i] = obv;
+  });
+  return out;
+}
 
-  for (let i = 1; i < candles.length; i++) {
-    const upMove = candles[i].high - candles[i - 1].high;
-    const downMove = candles[i - 1].low - candles[i].low;
+/**
+ * Session VWAP of the typical price with volume-weighted standard deviation
+ * bands. Resets at each New York session (bars without `time` form one session).
+ * @param {Array<Object>} bars
+ * @param {number} [mult] - band width in standard deviations
+ * @returns {Object} { vwap, upper, lower } arrays, null until the session has volume
+ */
+function vwapSeries(bars, mult = 2) {
+  const vwap = new Array(bars.length).fill(null);
+  const upper = new Array(bars.length).fill(null);
+  const lower = new Array(bars.length).fill(null);
+  let session = null, sumV = 0, sumPV = 0, sumP2V = 0;
+  bars.forEach((bar, i) => {
+    const date = bar.time === undefined ? null : calendar.sessionDate(bar.time);
+    if (i === 0 || date !== session) {
+      session = date;
+      sumV = sumPV = sumP2V = 0;
+    }
+    const typical = (bar.high + bar.low + bar.close) / 3;
+    const volume = bar.volume || 0;
+    sumV += volume;
+    sumPV += typical * volume;
+    sumP2V += typical * typical * volume;
+    if (!sumV) return;
+    vwap[i] = sumPV / sumV;
+    const stdDev = Math.sqrt(Math.max(sumP2V / sumV - vwap[i] ** 2, 0));
+    upper[i] = vwap[i] + mult * stdDev;
+    lower[i] = vwap[i] - mult * stdDev;
+  });
+  return { vwap, upper, lower };
+}
 
-    plusDM.push(upMove > downMove && upMove > 0 ? upMove : 0);
-    minusDM.push(downMove > upMove && downMove > 0 ? downMove : 0);
+/**
+ * Keltner Channels: EMA of the close ± mult × Wilder ATR
+ * @param {Array<Object>} bars
+ * @param {number} [period] - EMA period
+ * @param {number} [mult]
+ * @param {number} [atrPeriod]
+ * @returns {Object} { upper, middle, lower } arrays
+ */
+function keltnerSeries(bars, period = 20, mult = 2, atrPeriod = 10) {
+  const middle = emaSeries(bars.map(b => b.close), period);
+  const atr = atrSeries(bars, atrPeriod);
+  const band = sign => middle.map((m, i) => (m === null || atr[i] === null ? null : m + sign * mult * atr[i]));
+  return { upper: band(1), middle, lower: band(-1) };
+}
+
+/**
+ * Donchian Channels: highest high and lowest low of the last `period` bars (current bar included)
+ * @param {Array<Object>} bars
+ * @param {number} [period]
+ * @returns {Object} { upper, middle, lower } arrays, first values at index period - 1
+ */
+function donchianSeries(bars, period = 20) {
+  const { highest, lowest } = rollingRange(bars, period);
+  return { upper: highest, middle: highest.map((h, i) => (h === null ? null : (h + lowest[i]) / 2)), lower: lowest };
+}
+
+/**
+ * Supertrend on Wilder ATR
+ * @param {Array<Object>} bars
+ * @param {number} [period]
+ * @param {number} [mult]
+ * @returns {Object} { supertrend, direction } arrays; direction 1 = up (line below price), -1 = down
+ */
+function supertrendSeries(bars, period = 10, mult = 3) {
+  const supertrend = new Array(bars.length).fill(null);
+  const direction = new Array(bars.length).fill(null);
+  const atr = atrSeries(bars, period);
+  let upperBand = null, lowerBand = null;
+  for (let i = 0; i < bars.length; i++) {
+    if (atr[i] === null) continue;
+    const mid = (bars[i].high + bars[i].low) / 2;
+    const basicUpper = mid + mult * atr[i];
+    const basicLower = mid - mult * atr[i];
+    const prevClose = bars[i - 1].close;
 
-    const tr = Math.max(
-      candles[i].high - candles[i].low,
-      Math.abs(candles[i].high - candles[i - 1].close),
-      Math.abs(candles[i].low - candles[i - 1].close)
-    );
-    TRs.push(tr);
+    if (upperBand === null) {
+      upperBand = basicUpper;
+      lowerBand = basicLower;
+      direction[i] = bars[i].close > basicUpper ? 1 : -1;
+    } else {
+      upperBand = basicUpper < upperBand || prevClose > upperBand ? basicUpper : upperBand;
+      lowerBand = basicLower > lowerBand || prevClose < lowerBand ? basicLower : lowerBand;
+      if (direction[i - 1] === -1) direction[i] = bars[i].close > upperBand ? 1 : -1;
+      else direction[i] = bars[i].close < lowerBand ? -1 : 1;
+    }
+    supertrend[i] = direction[i] === 1 ? lowerBand : upperBand;
   }
+  return { supertrend, direction };
+}
 
-  const smoothPlusDM = SMA(plusDM.slice(-period), period);
-  const smoothMinusDM = SMA(minusDM.slice(-period), period);
-  const smoothTR = SMA(TRs.slice(-period), period);
+/**
+ * Ichimoku cloud. spanA / spanB at bar i are the cloud plotted at i, i.e.
+ * computed `displacement` bars earlier. The lagging span (close plotted
+ * backwards) would need future bars and is left out.
+ * @param {Array<Object>} bars
+ * @param {Object} [periods] - { conversion, base, spanB, displacement }
+ * @returns {Object} { conversion, base, spanA, spanB } arrays
+ */
+function ichimokuSeries(bars, { conversion = 9, base = 26, spanB = 52, displacement = 26 } = {}) {
+  const midpoint = period => {
+    const { highest, lowest } = rollingRange(bars, period);
+    return highest.map((h, i) => (h === null ? null : (h + lowest[i]) / 2));
+  };
+  const conversionLine = midpoint(conversion);
+  const baseLine = midpoint(base);
+  const rawSpanA = conversionLine.map((c, i) => (c === null || baseLine[i] === null ? null : (c + baseLine[i]) / 2));
+  const rawSpanB = midpoint(spanB);
+  const shift = series => series.map((_, i) => (i < displacement ? null : series[i - displacement]));
+  return { conversion: conversionLine, base: baseLine, spanA: shift(rawSpanA), spanB: shift(rawSpanB) };
+}
 
-  const plusDI = (smoothPlusDM / smoothTR) * 100;
-  const minusDI = (smoothMinusDM / smoothTR) * 100;
+/**
+ * Change over the last `period` values (sum of the last `period` differences)
+ * @param {Array<number>} values
+ * @param {number} [period]
+ * @returns {Array<number|null>} first value at index period
+ */
+function slopeSeries(values, period = 3) {
+  return values.map((v, i) => (i < period ? null : v - values[i - period]));
+}
 
-  const dx = (Math.abs(plusDI - minusDI) / (plusDI + minusDI)) * 100;
-  return dx; // simplified ADX approximation for now
+/**
+ * 'up' when SMA(9) of the closes is above SMA(21), otherwise 'down'
+ * @param {Array<Object>} bars
+ * @returns {Array<string|null>} first value at index 20
+ */
+function trendSeries(bars) {
+  const closes = bars.map(b => b.close);
+  const fast = smaSeries(closes, 9);
+  const slow = smaSeries(closes, 21);
+  return closes.map((_, i) => (slow[i] === null ? null : fast[i] > slow[i] ? "up" : "down"));
 }
 
+// ---- Latest value ----
+
 /**
- * Calculate Bollinger Bands
- * @param {Array<number>} prices - array of closing prices
- * @param {number} period - SMA period
- * @param {number} stdDevMult - number of standard deviations
- * @returns {Object} { upper, middle, lower }
+ * @param {Array<number>} values
+ * @param {number} period
+ * @returns {number|null}
  */
-function BollingerBands(prices, period = 20, stdDevMult = 2) {
-  if (prices.length < period) return null;
+function SMA(values, period) {
+  if (!values || values.length < period) return null;
+  return last(smaSeries(values.slice(-period), period));
+}
 
-  const slice = prices.slice(-period);
-  const middle = SMA(slice, period);
-  const variance = slice.reduce((acc, val) => acc + (val - middle) ** 2, 0) / period;
-  const stdDev = Math.sqrt(variance);
+/**
+ * @param {Array<number>} values
+ * @param {number} period
+ * @returns {number|null}
+ */
+function EMA(values, period) {
+  if (!values || values.length < period) return null;
+  return last(emaSeries(values, period));
+}
 
-  return {
-    upper: middle + stdDevMult * stdDev,
-    middle,
-    lower: middle - stdDevMult * stdDev,
-  };
+/**
+ * @param {Array<number>} closes
+ * @param {number} [period]
+ * @returns {number|null}
+ */
+function RSI(closes, period = 14) {
+  if (!closes || closes.length <= period) return null;
+  return last(rsiSeries(closes, period));
+}
+
+/**
+ * @param {Array<Object>} bars
+ * @param {number} [period]
+ * @returns {number|null}
+ */
+function ATR(bars, period = 14) {
+  if (!bars || bars.length <= period) return null;
+  return last(atrSeries(bars, period));
+}
+
+/**
+ * @param {Array<Object>} bars
+ * @param {number} [period]
+ * @returns {number|null}
+ */
+function ADX(bars, period = 14) {
+  if (!bars || bars.length < 2 * period) return null;
+  return last(adxSeries(bars, period));
+}
+
+/**
+ * @param {Array<Object>} bars
+ * @param {number} [period]
+ * @returns {Object|null} { plusDI, minusDI, adx } (adx null until 2 * period bars)
+ */
+function DMI(bars, period = 14) {
+  if (!bars || bars.length <= period) return null;
+  return lastValues(dmiSeries(bars, period));
+}
+
+/**
+ * @param {Array<number>} closes
+ * @param {number} [period]
+ * @param {number} [mult]
+ * @returns {Object|null} { upper, middle, lower }
+ */
+function BollingerBands(closes, period = 20, mult = 2) {
+  if (!closes || closes.length < period) return null;
+  const bands = bollingerSeries(closes.slice(-period), period, mult);
+  return { upper: last(bands.upper), middle: last(bands.middle), lower: last(bands.lower) };
+}
+
+/**
+ * @param {Array<number>} closes
+ * @param {number} [fast]
+ * @param {number} [slow]
+ * @param {number} [signalPeriod]
+ * @returns {Object|null} { macd, signal, histogram }
+ */
+function MACD(closes, fast = 12, slow = 26, signalPeriod = 9) {
+  if (!closes || closes.length < slow) return null;
+  return lastValues(macdSeries(closes, fast, slow, signalPeriod));
+}
+
+/**
+ * @param {Array<Object>} bars
+ * @param {number} [kPeriod]
+ * @param {number} [dPeriod]
+ * @param {number} [smooth]
+ * @returns {Object|null} { k, d }
+ */
+function Stochastic(bars, kPeriod = 14, dPeriod = 3, smooth = 1) {
+  if (!bars || bars.length < kPeriod) return null;
+  return lastValues(stochasticSeries(bars, kPeriod, dPeriod, smooth));
+}
+
+/**
+ * @param {Array<Object>} bars
+ * @param {number} [period]
+ * @returns {number|null}
+ */
+function WilliamsR(bars, period = 14) {
+  if (!bars || bars.length < period) return null;
+  return last(williamsRSeries(bars.slice(-period), period));
+}
+
+/**
+ * @param {Array<Object>} bars
+ * @returns {number|null}
+ */
+function OBV(bars) {
+  if (!bars || !bars.length) return null;
+  return last(obvSeries(bars));
+}
+
+/**
+ * @param {Array<Object>} bars - bars of the current session (earlier sessions are ignored)
+ * @param {number} [mult]
+ * @returns {Object|null} { vwap, upper, lower }
+ */
+function VWAP(bars, mult = 2) {
+  if (!bars || !bars.length) return null;
+  return lastValues(vwapSeries(bars, mult));
+}
+
+/**
+ * @param {Array<Object>} bars
+ * @param {number} [period]
+ * @param {number} [mult]
+ * @param {number} [atrPeriod]
+ * @returns {Object|null} { upper, middle, lower }
+ */
+function KeltnerChannels(bars, period = 20, mult = 2, atrPeriod = 10) {
+  if (!bars || bars.length < Math.max(period, atrPeriod + 1)) return null;
+  return lastValues(keltnerSeries(bars, period, mult, atrPeriod));
+}
+
+/**
+ * @param {Array<Object>} bars
+ * @param {number} [period]
+ * @returns {Object|null} { upper, middle, lower }
+ */
+function DonchianChannels(bars, period = 20) {
+  if (!bars || bars.length < period) return null;
+  return lastValues(donchianSeries(bars.slice(-period), period));
+}
+
+/**
+ * @param {Array<Object>} bars
+ * @param {number} [period]
+ * @param {number} [mult]
+ * @returns {Object|null} { supertrend, direction }
+ */
+function Supertrend(bars, period = 10, mult = 3) {
+  if (!bars || bars.length <= period) return null;
+  return lastValues(supertrendSeries(bars, period, mult));
+}
+
+/**
+ * @param {Array<Object>} bars
+ * @param {Object} [periods] - { conversion, base, spanB, displacement }
+ * @returns {Object|null} { conversion, base, spanA, spanB }
+ */
+function Ichimoku(bars, periods = {}) {
+  if (!bars || !bars.length) return null;
+  return lastValues(ichimokuSeries(bars, periods));
+}
+
+/**
+ * @param {Array<number>} values
+ * @param {number} [period]
+ * @returns {number|null}
+ */
+function smaSlope(values, period = 3) {
+  if (!values || values.length <= period) return null;
+  return last(slopeSeries(values.slice(-(period + 1)), period));
+}
+
+/**
+ * @param {Array<Object>} bars
+ * @returns {string|null} 'up' | 'down'
+ */
+function trendDirection(bars) {
+  if (!bars || bars.length < 21) return null;
+  return last(trendSeries(bars.slice(-21)));
 }
 
 module.exports = {
+  smaSeries,
+  emaSeries,
+  rsiSeries,
+  trueRangeSeries,
+  atrSeries,
+  dmiSeries,
+  adxSeries,
+  bollingerSeries,
+  macdSeries,
+  stochasticSeries,
+  williamsRSeries,
+  obvSeries,
+  vwapSeries,
+  keltnerSeries,
+  donchianSeries,
+  supertrendSeries,
+  ichimokuSeries,
+  slopeSeries,
+  trendSeries,
   SMA,
   EMA,
   RSI,
   ATR,
   ADX,
+  DMI,
   BollingerBands,
+  MACD,
+  Stochastic,
+  WilliamsR,
+  OBV,
+  VWAP,
+  KeltnerChannels,
+  DonchianChannels,
+  Supertrend,
+  Ichimoku,
+  smaSlope,
+  trendDirection,
 };
-
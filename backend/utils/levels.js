@@ -0,0 +1,259 @@
+// backend/utils/levels.js
+const calendar = require("./tradingCalendar");
+const { getTimeframe } = require("./timeframes");
+const { ATR } = require("./indicators");
+
+/**
+ * Support/resistance detection.
+ *
+ * - Swing pivots: a bar whose high (low) is the highest (lowest) of the
+ *   `left` bars before and `right` bars after it. A pivot is only known
+ *   `right` bars later, so only confirmed pivots are returned.
+ * - Zones: swing pivots from every timeframe clustered by price; pivots
+ *   within `tolerance` (default 0.25 × ATR of the lowest timeframe) of a
+ *   zone's mean join it.
+ * - Floor pivots: classic and Fibonacci P/R1–R3/S1–S3 from the last
+ *   completed session's high, low and close.
+ *
+ * Zone strength (0–1):
+ *   0.4 × touches    (1 touch = 0, 5 or more = full)
+ *   0.3 × timeframe  (highest timeframe touching it; 1min ≈ 0 .. 1week = 1)
+ *   0.2 × recency    (last touch, across the span of the pivots found)
+ *   0.1 × flip       (acted as both support and resistance)
+ * Floor pivots get a fixed strength (FLOOR_PIVOT_STRENGTH).
+ */
+const DEFAULT_SWING = { left: 3, right: 3 };
+const FLOOR_PIVOT_STRENGTH = { P: 0.5, R1: 0.5, S1: 0.5, R2: 0.4, S2: 0.4, R3: 0.3, S3: 0.3 };
+const MIN_STRENGTH = 0.3;
+const WEEK_MINUTES = 10080;
+
+/**
+ * Confirmed swing highs and lows
+ * @param {Array} bars - oldest first
+ * @param {Object} [options] - { left, right }
+ * @returns {Array<Object>} [{ type: 'high' | 'low', price, index, time }]
+ */
+function swingPivots(bars, { left = DEFAULT_SWING.left, right = DEFAULT_SWING.right } = {}) {
+  const pivots = [];
+  for (let i = left; i < bars.length - right; i++) {
+    const window = bars.slice(i - left, i + right + 1);
+    const { high, low, time } = bars[i];
+    if (window.every((b, j) => j === left || b.high < high)) pivots.push({ type: "high", price: high, index: i, time });
+    if (window.every((b, j) => j === left || b.low > low)) pivots.push({ type: "low", price: low, index: i, time });
+  }
+  return pivots;
+}
+
+function timeframeWeight(timeframe) {
+  try {
+    return Math.max(0, Math.min(1, Math.log(getTimeframe(timeframe).minutes) / Math.log(WEEK_MINUTES)));
+  } catch {
+    return 0;
+  }
+}
+
+/**
+ * Cluster pivots into price zones
+ * @param {Array<Object>} pivots - swing pivots, each with a `timeframe`
+ * @param {number} tolerance - price distance joining a pivot to a zone
+ * @returns {Array<Object>} zones { price, low, high, touches, highs, lows, timeframes, firstTime, lastTime }, by price
+ */
+function clusterZones(pivots, tolerance) {
+  const zones = [];
+  for (const p of [...pivots].sort((a, b) => a.price - b.price)) {
+    const zone = zones[zones.length - 1];
+    if (zone && Math.abs(p.price - zone.price) <= tolerance) {
+      zone.members.push(p);
+      zone.price = zone.members.reduce((sum, m) => sum + m.price, 0) / zone.members.length;
+    } else {
+      zones.push({ price: p.price, members: [p] });
+    }
+  }
+  return zones.map(({ price, members }) => ({
+    price,
+    low: Math.min(...members.map(m => m.price)),
+    high: Math.max(...members.map(m => m.price)),
+    touches: members.length,
+    highs: members.filter(m => m.type === "high").length,
+    lows: members.filter(m => m.type === "low").length,
+    timeframes: [...new Set(members.map(m => m.timeframe))],
+    firstTime: Math.min(...members.map(m => m.time)),
+    lastTime: Math.max(...members.map(m => m.time)),
+  }));
+}
+
+/**
+ * Strength score of a zone
+ * @param {Object} zone - from clusterZones
+ * @param {Object} span - { from, to } epoch ms covered by the pivots
+ * @returns {number} 0–1
+ */
+function zoneStrength(zone, { from, to }) {
+  const touches = Math.min(1, (zone.touches - 1) / 4);
+  const timeframe = Math.max(...zone.timeframes.map(timeframeWeight));
+  const recency = to > from ? (zone.lastTime - from) / (to - from) : 1;
+  const flip = zone.highs && zone.lows ? 1 : 0;
+  return Number((0.4 * touches + 0.3 * timeframe + 0.2 * recency + 0.1 * flip).toFixed(2));
+}
+
+/**
+ * Classic and Fibonacci floor pivots
+ * @param {Object} bar - { high, low, close } of the previous session
+ * @returns {Object} { classic: { P, R1, R2, R3, S1, S2, S3 }, fibonacci: { ... } }
+ */
+function floorPivots({ high, low, close }) {
+  const P = (high + low + close) / 3;
+  const range = high - low;
+  return {
+    classic: {
+      P,
+      R1: 2 * P - low,
+      R2: P + range,
+      R3: high + 2 * (P - low),
+      S1: 2 * P - high,
+      S2: P - range,
+      S3: low - 2 * (high - P),
+    },
+    fibonacci: {
+      P,
+      R1: P + 0.382 * range,
+      R2: P + 0.618 * range,
+      R3: P + range,
+      S1: P - 0.382 * range,
+      S2: P - 0.618 * range,
+      S3: P - range,
+    },
+  };
+}
+
+// Last daily bar from a session before `asOf` (today's bar may still be forming)
+function previousSession(dailyBars, asOf) {
+  const today = calendar.sessionDate(asOf);
+  for (let i = dailyBars.length - 1; i >= 0; i--) {
+    if (calendar.sessionDate(dailyBars[i].time) < today) return dailyBars[i];
+  }
+  return null;
+}
+
+/**
+ * Support and resistance around the current price
+ * @param {Object} seriesByTimeframe - { '15min': bars, '1hour': bars, '1day': bars, ... } oldest first
+ * @param {Object} [options]
+ *   price     - reference price (default last close of the first series)
+ *   asOf      - epoch ms for the floor-pivot session (default time of the last bar)
+ *   atr       - ATR used for the zone tolerance (default ATR(14) of the first series)
+ *   tolerance - zone width (default 0.25 × atr)
+ *   swing     - { left, right } for swingPivots
+ * @returns {Object} { price, zones, pivots, levels, support, resistance }
+ *   levels: zones and floor pivots as { price, low, high, kind: 'support' | 'resistance', strength, source }, by price
+ */
+function findLevels(seriesByTimeframe, options = {}) {
+  const entries = Object.entries(seriesByTimeframe).filter(([, bars]) => bars && bars.length);
+  if (!entries.length) return { price: options.price ?? null, zones: [], pivots: null, levels: [], support: null, resistance: null };
+
+  const primary = entries[0][1];
+  const lastBar = primary[primary.length - 1];
+  const price = options.price ?? lastBar.close;
+  const asOf = options.asOf ?? Math.max(...entries.map(([, bars]) => bars[bars.length - 1].time));
+  const atr = options.atr ?? ATR(primary) ?? price * 0.01;
+  const tolerance = options.tolerance ?? atr * 0.25;
+
+  const pivots = entries.flatMap(([timeframe, bars]) => swingPivots(bars, options.swing).map(p => ({ ...p, timeframe })));
+  const span = { from: Math.min(...pivots.map(p => p.time)), to: Math.max(...pivots.map(p => p.time)) };
+  const zones = clusterZones(pivots, tolerance).map(z => ({
+    ...z,
+    kind: z.price < price ? "support" : "resistance",
+    strength: zoneStrength(z, span),
+  }));
+
+  const daily = seriesByTimeframe["1day"] || seriesByTimeframe["1Day"];
+  const session = daily ? previousSession(daily, asOf) : null;
+  const floor = session ? floorPivots(session) : null;
+
+  const levels = zones.map(z => ({ price: z.price, low: z.low, high: z.high, kind: z.kind, strength: z.strength, source: "swing" }));
+  if (floor) {
+    for (const [method, values] of Object.entries(floor)) {
+      for (const [name, value] of Object.entries(values)) {
+        levels.push({ price: value, low: value, high: value, kind: value < price ? "support" : "resistance", strength: FLOOR_PIVOT_STRENGTH[name], source: `${method}:${name}` });
+      }
+    }
+  }
+  levels.sort((a, b) => a.price - b.price);
+
+  return {
+    price,
+    zones,
+    pivots: floor,
+    levels,
+    support: nearestLevel({ levels }, "support", price),
+    resistance: nearestLevel({ levels }, "resistance", price),
+  };
+}
+
+/**
+ * Nearest level below (support) or above (resistance) a price
+ * @param {Object} found - result of findLevels
+ * @param {string} kind - 'support' | 'resistance'
+ * @param {number} price
+ * @param {Object} [options] - { minStrength }
+ * @returns {Object|null} level
+ */
+function nearestLevel(found, kind, price, { minStrength = MIN_STRENGTH } = {}) {
+  const candidates = (found.levels || []).filter(l => l.strength >= minStrength && (kind === "support" ? l.high < price : l.low > price));
+  if (!candidates.length) return null;
+  return kind === "support" ? candidates[candidates.length - 1] : candidates[0];
+}
+
+/**
+ * Move an ATR-based stop and target onto nearby levels: the stop goes just
+ * beyond the strongest support (long) / resistance (short) between it and the
+ * entry, the target just in front of the first level on the way. Each stays
+ * within 0.5×–1× its original distance plus `maxShift`, so levels never turn
+ * the trade into a different one.
+ * @param {Object} found - result of findLevels
+ * @param {Object} trade - { entry, direction: 'long' | 'short', stop, target, atr }
+ * @param {Object} [options] - { buffer = 0.1 × atr, maxShift = 0.5 × atr, minStrength }
+ * @returns {Object} { stop, target, stopLevel, targetLevel } (levels null when not snapped)
+ */
+function snapToLevels(found, { entry, direction, stop, target, atr }, options = {}) {
+  const buffer = options.buffer ?? 0.1 * atr;
+  const maxShift = options.maxShift ?? 0.5 * atr;
+  const minStrength = options.minStrength ?? MIN_STRENGTH;
+  const sign = direction === "short" ? -1 : 1;
+  const levels = (found?.levels || []).filter(l => l.strength >= minStrength);
+  const within = (distance, original) => distance >= 0.5 * original && distance <= original + maxShift;
+
+  const stopDistance = sign * (entry - stop);
+  let stopLevel = null;
+  for (const level of levels) {
+    const snapped = sign > 0 ? level.low - buffer : level.high + buffer;
+    if (sign * (entry - (sign > 0 ? level.high : level.low)) <= 0) continue; // not on the stop side
+    if (!within(sign * (entry - snapped), stopDistance)) continue;
+    if (!stopLevel || level.strength > stopLevel.level.strength) stopLevel = { level, price: snapped };
+  }
+
+  const targetDistance = sign * (target - entry);
+  let targetLevel = null;
+  for (const level of levels) {
+    const snapped = sign > 0 ? level.low - buffer : level.high + buffer;
+    if (!within(sign * (snapped - entry), targetDistance)) continue;
+    if (!targetLevel || sign * (snapped - targetLevel.price) < 0) targetLevel = { level, price: snapped };
+  }
+
+  return {
+    stop: stopLevel ? stopLevel.price : stop,
+    target: targetLevel ? targetLevel.price : target,
+    stopLevel: stopLevel?.level || null,
+    targetLevel: targetLevel?.level || null,
+  };
+}
+
+module.exports = {
+  swingPivots,
+  clusterZones,
+  zoneStrength,
+  floorPivots,
+  findLevels,
+  nearestLevel,
+  snapToLevels,
+};
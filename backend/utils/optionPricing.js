@@ -0,0 +1,87 @@
+// backend/utils/optionPricing.js
+
+/**
+ * Black-Scholes pricing and the mispricing rule used by optionchaintest.js
+ * and the option mispricing backtest, so both flag the same contracts.
+ */
+const YEAR_MS = 365 * 24 * 60 * 60 * 1000;
+
+// Settings of the mispricing signal
+const MISPRICING = {
+  riskFreeRate: 0.035,
+  defaultIv: 0.25,         // when the feed has no implied volatility
+  minPrice: 0.01,          // market price below this is ignored
+  maxMarketPrice: 0.5,
+  minBsPrice: 0.01,        // model price band the signal looks at
+  maxBsPrice: 0.5,
+  diffThresholdPct: 10,    // |market - model| / model
+};
+
+// Complementary error function (Numerical Recipes erfcc): relative error below
+// 1.2e-7 everywhere, so far out-of-the-money prices stay accurate
+function erfc(x) {
+  const z = Math.abs(x);
+  const t = 1 / (1 + 0.5 * z);
+  const r = t * Math.exp(-z * z - 1.26551223 + t * (1.00002368 + t * (0.37409196 + t * (0.09678418 +
+    t * (-0.18628806 + t * (0.27886807 + t * (-1.13520398 + t * (1.48851587 + t * (-0.82215223 + t * 0.17087277)))))))));
+  return x >= 0 ? r : 2 - r;
+}
+
+const normCdf = x => 0.5 * erfc(-x / Math.SQRT2);
+
+/**
+ * Black-Scholes price of a European option
+ * @param {Object} params - { S, K, T (years), r, sigma, type: 'call' | 'put' }
+ * @returns {number}
+ */
+function bsPrice({ S, K, T, r, sigma, type }) {
+  if (T <= 0 || sigma <= 0) return type === "call" ? Math.max(S - K, 0) : Math.max(K - S, 0);
+  const d1 = (Math.log(S / K) + (r + 0.5 * sigma ** 2) * T) / (sigma * Math.sqrt(T));
+  const d2 = d1 - sigma * Math.sqrt(T);
+  return type === "call"
+    ? S * normCdf(d1) - K * Math.exp(-r * T) * normCdf(d2)
+    : K * Math.exp(-r * T) * normCdf(-d2) - S * normCdf(-d1);
+}
+
+/**
+ * Years from a time to an expiration's close
+ * @param {number} expiryCloseMs - epoch ms of the expiration session close
+ * @param {number} nowMs
+ * @returns {number}
+ */
+function yearsToExpiry(expiryCloseMs, nowMs) {
+  return Math.max((expiryCloseMs - nowMs) / YEAR_MS, 0);
+}
+
+/**
+ * Market price used for a contract: bid/ask mid, otherwise the last trade
+ * @param {Object} contract - normalized contract (optionStore.normalizeContract)
+ * @returns {number|null}
+ */
+function marketPrice(contract) {
+  if (contract.bid && contract.ask) return (contract.bid + contract.ask) / 2;
+  return contract.last || null;
+}
+
+/**
+ * Compare a contract's market price with its Black-Scholes value
+ * @param {Object} contract - normalized contract
+ * @param {Object} context - { spot, T } T in years
+ * @param {Object} [settings] - overrides of MISPRICING
+ * @returns {Object|null} { marketPrice, bsPrice, diffPct, status } when flagged
+ */
+function evaluateMispricing(contract, { spot, T }, settings = {}) {
+  const s = { ...MISPRICING, ...settings };
+  const mid = marketPrice(contract);
+  if (!mid || mid < s.minPrice) return null;
+
+  const sigma = contract.iv || s.defaultIv;
+  const bs = bsPrice({ S: spot, K: contract.strike, T, r: s.riskFreeRate, sigma, type: contract.type });
+  if (bs < s.minBsPrice || bs > s.maxBsPrice) return null;
+
+  const diffPct = ((mid - bs) / bs) * 100;
+  if (Math.abs(diffPct) < s.diffThresholdPct || mid > s.maxMarketPrice) return null;
+  return { marketPrice: mid, bsPrice: bs, diffPct, status: mid > bs ? "Overpriced" : "Underpriced" };
+}
+
+module.exports = { MISPRICING, bsPrice, yearsToExpiry, marketPrice, evaluateMispricing };
@@ -0,0 +1,129 @@
+// backend/utils/regime.js
+const { smaSeries, atrSeries, adxSeries } = require("./indicators");
+
+/**
+ * Market regime per bar, from four inputs:
+ *   adx       Wilder ADX(adxPeriod): how directional the move is
+ *   volRatio  realized volatility (stdev of log returns over volWindow bars)
+ *             against its average over the previous volBaseline bars
+ *   slope     change of SMA(smaPeriod) over slopePeriod bars, in ATRs
+ *   breadth   share of the universe above its own SMA(50) (market only)
+ *
+ * Rules, first match wins:
+ *   volatile   volRatio >= volSpike
+ *   trendUp    adx >= adxTrend and slope >= minSlope, unless breadth < minBreadth
+ *   trendDown  adx >= adxTrend and slope <= -minSlope, unless breadth > 1 - minBreadth
+ *   chop       everything else (including trends the breadth does not confirm)
+ * Every input only uses bars up to the one being labeled.
+ */
+const REGIMES = ["trendUp", "trendDown", "chop", "volatile"];
+
+const DEFAULTS = {
+  adxPeriod: 14,
+  adxTrend: 25,
+  smaPeriod: 50,
+  slopePeriod: 10,
+  minSlope: 1,
+  volWindow: 20,
+  volBaseline: 50,
+  volSpike: 1.5,
+  minBreadth: 0.4,
+};
+
+/**
+ * Realized volatility (not annualized)
+ * @param {Array<number>} closes
+ * @param {number} window - returns per value
+ * @returns {Array<number|null>} first value at index window
+ */
+function realizedVolSeries(closes, window) {
+  const out = new Array(closes.length).fill(null);
+  const returns = closes.map((c, i) => (i && closes[i - 1] > 0 && c > 0 ? Math.log(c / closes[i - 1]) : 0));
+  let sum = 0, sumSq = 0;
+  for (let i = 1; i < closes.length; i++) {
+    sum += returns[i];
+    sumSq += returns[i] ** 2;
+    if (i > window) {
+      sum -= returns[i - window];
+      sumSq -= returns[i - window] ** 2;
+    }
+    if (i >= window) out[i] = Math.sqrt(Math.max(0, sumSq / window - (sum / window) ** 2));
+  }
+  return out;
+}
+
+/**
+ * Label one bar from its inputs
+ * @param {Object} values - { adx, volRatio, slope, breadth }
+ * @param {Object} [options] - thresholds (see DEFAULTS)
+ * @returns {string|null} regime, null without adx, volRatio or slope
+ */
+function classify({ adx, volRatio, slope, breadth = null }, options = {}) {
+  const o = { ...DEFAULTS, ...options };
+  if (adx === null || volRatio === null || slope === null) return null;
+  if (volRatio >= o.volSpike) return "volatile";
+  if (adx >= o.adxTrend && slope >= o.minSlope) return breadth !== null && breadth < o.minBreadth ? "chop" : "trendUp";
+  if (adx >= o.adxTrend && slope <= -o.minSlope) return breadth !== null && breadth > 1 - o.minBreadth ? "chop" : "trendDown";
+  return "chop";
+}
+
+/**
+ * Regime of every bar
+ * @param {Array<Object>} bars - oldest first
+ * @param {Object} [options] - thresholds (see DEFAULTS), plus
+ *   breadth - array aligned with the bars, or (bar, i) => share above SMA(50)
+ * @returns {Array<Object|null>} { regime, adx, volRatio, slope, breadth }, null during warmup
+ */
+function regimeSeries(bars, options = {}) {
+  const o = { ...DEFAULTS, ...options };
+  const closes = bars.map(b => b.close);
+  const adx = adxSeries(bars, o.adxPeriod);
+  const atr = atrSeries(bars, o.adxPeriod);
+  const sma = smaSeries(closes, o.smaPeriod);
+  const vol = realizedVolSeries(closes, o.volWindow);
+  const breadthAt = typeof o.breadth === "function" ? o.breadth : (bar, i) => (o.breadth ? o.breadth[i] ?? null : null);
+
+  const out = new Array(bars.length).fill(null);
+  let volSum = 0, volCount = 0;
+  for (let i = 0; i < bars.length; i++) {
+    // Baseline: average volatility of the volBaseline bars before this one
+    const j = i - 1;
+    if (j >= 0 && vol[j] !== null) { volSum += vol[j]; volCount++; }
+    const k = i - 1 - o.volBaseline;
+    if (k >= 0 && vol[k] !== null) { volSum -= vol[k]; volCount--; }
+    if (vol[i] === null || volCount < o.volBaseline || !volSum) continue;
+
+    const prevSma = sma[i - o.slopePeriod];
+    if (sma[i] === null || prevSma === null || prevSma === undefined || !atr[i] || adx[i] === null) continue;
+
+    const values = {
+      adx: adx[i],
+      volRatio: vol[i] / (volSum / volCount),
+      slope: (sma[i] - prevSma) / atr[i],
+      breadth: breadthAt(bars[i], i),
+    };
+    out[i] = { regime: classify(values, o), ...values };
+  }
+  return out;
+}
+
+/**
+ * Regime of the last bar
+ * @param {Array<Object>} bars - oldest first
+ * @param {Object} [options] - as for regimeSeries
+ * @returns {Object|null} { regime, adx, volRatio, slope, breadth }
+ */
+function currentRegime(bars, options = {}) {
+  if (!bars || !bars.length) return null;
+  const series = regimeSeries(bars, options);
+  return series[series.length - 1];
+}
+
+module.exports = {
+  REGIMES,
+  DEFAULTS,
+  realizedVolSeries,
+  classify,
+  regimeSeries,
+  currentRegime,
+};
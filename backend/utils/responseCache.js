@@ -0,0 +1,102 @@
+// backend/utils/responseCache.js
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const settings = require("../config/http");
+
+/**
+ * On-disk record/replay cache for the shared HTTP client (HTTP_CACHE):
+ *   off     - always go to the network (default)
+ *   record  - go to the network and store every final response
+ *   replay  - answer from the cache only; a request that was never recorded fails
+ *
+ * Entry: <HTTP_CACHE_DIR>/<client>/<ab>/<fingerprint>.json
+ *   { fingerprint, request: { method, path, query, data }, status, headers, data, recordedAt }
+ *
+ * The fingerprint covers the client name, method, URL path, query parameters
+ * (sorted) and body, taken before the API key is attached. The host is left
+ * out so recordings stay valid when a base URL points at a proxy or mirror.
+ */
+const MODES = ["off", "record", "replay"];
+
+/**
+ * @returns {string} off | record | replay
+ */
+function mode() {
+  if (!MODES.includes(settings.cacheMode)) {
+    throw new Error(`HTTP_CACHE must be one of ${MODES.join(", ")} (got "${settings.cacheMode}")`);
+  }
+  return settings.cacheMode;
+}
+
+// Query string and params → sorted [name, value] pairs
+function queryPairs(url, params = {}) {
+  const pairs = [...url.searchParams.entries()];
+  for (const [name, value] of Object.entries(params || {})) {
+    if (value === undefined || value === null) continue;
+    pairs.push([name, Array.isArray(value) ? value.join(",") : String(value)]);
+  }
+  return pairs.sort(([a, x], [b, y]) => (a === b ? x.localeCompare(y) : a.localeCompare(b)));
+}
+
+/**
+ * Request description and its fingerprint
+ * @param {string} name - client name (polygon, finnhub, alpaca, ...)
+ * @param {Object} config - axios request config, before the key is applied
+ * @returns {Object} { fingerprint, request }
+ */
+function describe(name, config) {
+  const url = new URL(config.url, config.baseURL || "http://localhost");
+  const request = {
+    method: (config.method || "get").toUpperCase(),
+    path: url.pathname,
+    query: queryPairs(url, config.params),
+    data: typeof config.data === "string" ? config.data : config.data === undefined ? null : JSON.stringify(config.data),
+  };
+  const fingerprint = crypto.createHash("sha256").update(JSON.stringify([name, request])).digest("hex");
+  return { fingerprint, request };
+}
+
+const entryPath = (name, fingerprint) => path.join(settings.cacheDir, name, fingerprint.slice(0, 2), `${fingerprint}.json`);
+
+/**
+ * @param {string} name - client name
+ * @param {string} fingerprint
+ * @returns {Object|null} stored entry
+ */
+function read(name, fingerprint) {
+  try {
+    return JSON.parse(fs.readFileSync(entryPath(name, fingerprint), "utf-8"));
+  } catch (err) {
+    if (err.code !== "ENOENT") console.warn(`⚠️ Unreadable cache entry ${name}/${fingerprint}: ${err.message}`);
+    return null;
+  }
+}
+
+/**
+ * Store a response (replaces an earlier recording of the same request)
+ * @param {string} name - client name
+ * @param {Object} cache - { fingerprint, request } from describe()
+ * @param {Object} response - axios response
+ */
+function write(name, { fingerprint, request }, response) {
+  const file = entryPath(name, fingerprint);
+  const entry = {
+    fingerprint,
+    request,
+    status: response.status,
+    headers: { "content-type": response.headers?.["content-type"] || null },
+    data: response.data,
+    recordedAt: new Date().toISOString(),
+  };
+  try {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const tmp = `${file}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(entry));
+    fs.renameSync(tmp, file);
+  } catch (err) {
+    console.warn(`⚠️ Could not record response for ${request.method} ${request.path}: ${err.message}`);
+  }
+}
+
+module.exports = { MODES, mode, describe, read, write };
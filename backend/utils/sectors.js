@@ -0,0 +1,130 @@
+// backend/utils/sectors.js
+
+/**
+ * The eleven GICS sectors. Every sector stored in the universe is one of these,
+ * whichever vendor it came from.
+ */
+const SECTORS = [
+  "Communication Services",
+  "Consumer Discretionary",
+  "Consumer Staples",
+  "Energy",
+  "Financials",
+  "Health Care",
+  "Industrials",
+  "Information Technology",
+  "Materials",
+  "Real Estate",
+  "Utilities",
+];
+
+// SPDR Select Sector ETF tracking each sector (relative-strength benchmarks)
+const SECTOR_ETFS = {
+  "Communication Services": "XLC",
+  "Consumer Discretionary": "XLY",
+  "Consumer Staples": "XLP",
+  "Energy": "XLE",
+  "Financials": "XLF",
+  "Health Care": "XLV",
+  "Industrials": "XLI",
+  "Information Technology": "XLK",
+  "Materials": "XLB",
+  "Real Estate": "XLRE",
+  "Utilities": "XLU",
+};
+
+// SIC code ranges (Polygon ticker details) → sector; the first matching range wins,
+// so narrow industries are listed before the division they belong to
+const SIC_RANGES = [
+  [1311, 1389, "Energy"],
+  [2830, 2836, "Health Care"],
+  [2840, 2844, "Consumer Staples"],
+  [2900, 2999, "Energy"],
+  [3570, 3579, "Information Technology"],
+  [3630, 3639, "Consumer Discretionary"],
+  [3600, 3699, "Information Technology"],
+  [3710, 3716, "Consumer Discretionary"],
+  [3840, 3851, "Health Care"],
+  [3800, 3899, "Information Technology"],
+  [4800, 4899, "Communication Services"],
+  [4900, 4999, "Utilities"],
+  [5400, 5499, "Consumer Staples"],
+  [6500, 6553, "Real Estate"],
+  [6798, 6798, "Real Estate"],
+  [7370, 7379, "Information Technology"],
+  [7800, 7899, "Communication Services"],
+  [100, 999, "Consumer Staples"],
+  [1000, 1499, "Materials"],
+  [1500, 1799, "Industrials"],
+  [2000, 2199, "Consumer Staples"],
+  [2200, 2399, "Consumer Discretionary"],
+  [2400, 2699, "Materials"],
+  [2700, 2799, "Communication Services"],
+  [2800, 2899, "Materials"],
+  [3000, 3399, "Materials"],
+  [3400, 3799, "Industrials"],
+  [3900, 3999, "Consumer Discretionary"],
+  [4000, 4799, "Industrials"],
+  [5000, 5199, "Industrials"],
+  [5200, 5999, "Consumer Discretionary"],
+  [6000, 6799, "Financials"],
+  [7000, 7999, "Consumer Discretionary"],
+  [8000, 8099, "Health Care"],
+  [8100, 8999, "Industrials"],
+];
+
+// Sector names used by Yahoo and other vendors → GICS
+const ALIASES = {
+  "technology": "Information Technology",
+  "information technology": "Information Technology",
+  "healthcare": "Health Care",
+  "health care": "Health Care",
+  "financial services": "Financials",
+  "financial": "Financials",
+  "financials": "Financials",
+  "consumer cyclical": "Consumer Discretionary",
+  "consumer discretionary": "Consumer Discretionary",
+  "consumer defensive": "Consumer Staples",
+  "consumer staples": "Consumer Staples",
+  "basic materials": "Materials",
+  "materials": "Materials",
+  "energy": "Energy",
+  "industrials": "Industrials",
+  "utilities": "Utilities",
+  "real estate": "Real Estate",
+  "communication services": "Communication Services",
+  "telecommunication services": "Communication Services",
+};
+
+/**
+ * Sector for a SIC code
+ * @param {number|string} sicCode
+ * @returns {string|null}
+ */
+function sectorFromSic(sicCode) {
+  const code = Number(sicCode);
+  if (!Number.isFinite(code)) return null;
+  const match = SIC_RANGES.find(([from, to]) => code >= from && code <= to);
+  return match ? match[2] : null;
+}
+
+/**
+ * Vendor sector name → GICS sector
+ * @param {string} name - e.g. 'Technology', 'Consumer Cyclical'
+ * @returns {string|null}
+ */
+function normalizeSector(name) {
+  if (!name) return null;
+  return ALIASES[String(name).trim().toLowerCase()] || null;
+}
+
+/**
+ * Sector ETF for a GICS sector
+ * @param {string} sector
+ * @returns {string|null} e.g. 'XLK'
+ */
+function sectorEtf(sector) {
+  return SECTOR_ETFS[sector] || null;
+}
+
+module.exports = { SECTORS, SECTOR_ETFS, sectorFromSic, normalizeSector, sectorEtf };
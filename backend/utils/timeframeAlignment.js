@@ -0,0 +1,128 @@
+// backend/utils/timeframeAlignment.js
+const calendar = require("./tradingCalendar");
+const { getTimeframe } = require("./timeframes");
+
+/**
+ * Multi-timeframe alignment without look-ahead. Bars are stamped with their
+ * start time, so a higher-timeframe bar may only be used once it has closed:
+ * as of a lower bar, the usable higher bars are those whose close is at or
+ * before the lower bar's close. Closes follow the resampler buckets (session
+ * aligned, cut at the session close, 13:00 on early-close days; daily bars
+ * close with their session, weekly bars with the week's last session).
+ *
+ * Strict mode hands out a guarded view instead of a copy: reading a bar that
+ * had not closed yet throws, so a strategy that indexes the full series
+ * (e.g. by a bar-count ratio) fails loudly instead of silently peeking ahead.
+ */
+const MINUTE = 60 * 1000;
+
+function toMs(time) {
+  return time instanceof Date ? time.getTime() : typeof time === "number" ? time : Date.parse(time);
+}
+
+/**
+ * Time at which a bar closes
+ * @param {Object|number|Date|string} bar - bar ({ time }) or its start time
+ * @param {string} timeframe - any spelling accepted by normalizeTimeframe
+ * @returns {number} epoch ms
+ */
+function barClose(bar, timeframe) {
+  const start = toMs(bar && bar.time !== undefined ? bar.time : bar);
+  const { key, minutes } = getTimeframe(timeframe);
+  const date = calendar.sessionDate(start);
+
+  if (key === "1day") return calendar.sessionClose(date) ?? calendar.nyTime(date, 24 * 60);
+  if (key === "1week") {
+    for (let d = 4; d >= 0; d--) {
+      const day = calendar.nyTime(date, d * 24 * 60 + 12 * 60); // noon avoids DST edges
+      const close = calendar.sessionClose(day);
+      if (close !== null) return close;
+    }
+    return calendar.nyTime(date, 5 * 24 * 60);
+  }
+  const end = start + minutes * MINUTE;
+  return calendar.isMarketOpen(start) ? Math.min(end, calendar.sessionClose(date)) : end;
+}
+
+// Bars 0..count-1 only; reading any later index throws
+function guardedView(bars, count, timeframe, asOf) {
+  return new Proxy(bars, {
+    get(target, prop, receiver) {
+      if (prop === "length") return count;
+      if (typeof prop === "string" && /^\d+$/.test(prop) && Number(prop) >= count && Number(prop) < target.length) {
+        throw new Error(`Look-ahead: ${timeframe} bar ${prop} (${new Date(target[prop].time).toISOString()}) has not closed as of ${new Date(asOf).toISOString()}`);
+      }
+      return Reflect.get(target, prop, receiver);
+    },
+    has(target, prop) {
+      if (typeof prop === "string" && /^\d+$/.test(prop)) return Number(prop) < count;
+      return Reflect.has(target, prop);
+    },
+  });
+}
+
+function view(bars, count, timeframe, asOf, { strict = false, limit = null } = {}) {
+  if (strict) return guardedView(bars, count, timeframe, asOf);
+  return bars.slice(limit ? Math.max(0, count - limit) : 0, count);
+}
+
+function checkSorted(bars, timeframe) {
+  for (let i = 1; i < bars.length; i++) {
+    if (!(toMs(bars[i].time) > toMs(bars[i - 1].time))) throw new Error(`${timeframe} bars are not sorted by time (index ${i})`);
+  }
+}
+
+/**
+ * Higher-timeframe bars fully closed at a point in time
+ * @param {Array} bars - higher-timeframe bars, oldest first
+ * @param {string} timeframe - timeframe of `bars`
+ * @param {number|Date} asOf - usually barClose(lowerBar, lowerTimeframe)
+ * @param {Object} [options] - { strict, limit }: limit keeps the last N closed bars (ignored in strict mode)
+ * @returns {Array} closed bars (a guarded view of `bars` in strict mode)
+ */
+function closedBars(bars, timeframe, asOf, options = {}) {
+  if (options.strict) checkSorted(bars, timeframe);
+  const t = toMs(asOf);
+  let lo = 0;
+  let hi = bars.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (barClose(bars[mid], timeframe) <= t) lo = mid + 1;
+    else hi = mid;
+  }
+  return view(bars, lo, timeframe, t, options);
+}
+
+/**
+ * Aligner for a bar-by-bar loop: close times are computed once and the
+ * closed-bar count only moves forward while `asOf` does
+ * @param {Array} bars - higher-timeframe bars, oldest first
+ * @param {string} timeframe - timeframe of `bars`
+ * @param {Object} [options] - { strict, limit } as for closedBars
+ * @returns {Object} { closedCount(asOf), at(asOf) → closed bars }
+ */
+function createAligner(bars, timeframe, options = {}) {
+  if (options.strict) checkSorted(bars, timeframe);
+  const closes = bars.map(b => barClose(b, timeframe));
+  let count = 0;
+  let lastAsOf = -Infinity;
+
+  function closedCount(asOf) {
+    const t = toMs(asOf);
+    if (t < lastAsOf) count = 0; // moved backwards: rescan
+    lastAsOf = t;
+    while (count < closes.length && closes[count] <= t) count++;
+    return count;
+  }
+
+  return {
+    closedCount,
+    at: asOf => view(bars, closedCount(asOf), timeframe, toMs(asOf), options),
+  };
+}
+
+module.exports = {
+  barClose,
+  closedBars,
+  createAligner,
+};
@@ -0,0 +1,72 @@
+// backend/utils/timeframes.js
+const clock = require("./clock");
+
+/**
+ * Canonical timeframe keys used across the project (same names as the
+ * Historical/data/<tf> folders). Every provider translates these into its own
+ * vendor-specific format.
+ */
+const TIMEFRAMES = {
+  "1min": { multiplier: 1, unit: "minute", minutes: 1 },
+  "5min": { multiplier: 5, unit: "minute", minutes: 5 },
+  "15min": { multiplier: 15, unit: "minute", minutes: 15 },
+  "1hour": { multiplier: 1, unit: "hour", minutes: 60 },
+  "4hour": { multiplier: 4, unit: "hour", minutes: 240 },
+  "1day": { multiplier: 1, unit: "day", minutes: 1440 },
+  "1week": { multiplier: 1, unit: "week", minutes: 10080 },
+};
+
+const UNIT_ALIASES = {
+  m: "min", min: "min", mins: "min", minute: "min", minutes: "min",
+  h: "hour", hr: "hour", hour: "hour", hours: "hour",
+  d: "day", day: "day", days: "day",
+  w: "week", wk: "week", week: "week", weeks: "week",
+};
+
+/**
+ * Normalize any timeframe spelling used in the repo ('15Min', '1Hour', '1day',
+ * '5m', '1wk', ...) into its canonical key.
+ * @param {string} timeframe
+ * @returns {string} canonical key, e.g. '15min'
+ */
+function normalizeTimeframe(timeframe) {
+  const match = String(timeframe || "").trim().toLowerCase().match(/^(\d+)\s*([a-z]+)$/);
+  const unit = match && UNIT_ALIASES[match[2]];
+  const key = unit ? `${match[1]}${unit}` : null;
+  if (!key || !TIMEFRAMES[key]) throw new Error(`Unsupported timeframe: ${timeframe}`);
+  return key;
+}
+
+/**
+ * Look up the definition of a timeframe
+ * @param {string} timeframe - any spelling accepted by normalizeTimeframe
+ * @returns {Object} { key, multiplier, unit, minutes }
+ */
+function getTimeframe(timeframe) {
+  const key = normalizeTimeframe(timeframe);
+  return { key, ...TIMEFRAMES[key] };
+}
+
+/**
+ * Calendar date range (YYYY-MM-DD) wide enough to contain `limit` bars,
+ * used when a caller asks for "the last N bars" without explicit dates.
+ * @param {string} timeframe
+ * @param {number} limit - number of bars wanted
+ * @param {Date} [now] - defaults to clock.now() (honours SIM_NOW)
+ * @returns {Object} { from, to }
+ */
+function defaultRange(timeframe, limit = 50, now = clock.now()) {
+  const { minutes } = getTimeframe(timeframe);
+  const sessionMinutes = 390; // regular US session
+  const tradingDays = minutes >= 1440 ? (limit * minutes) / 1440 : (limit * minutes) / sessionMinutes;
+  const calendarDays = Math.ceil(tradingDays * 7 / 5) + 4; // weekends + holidays buffer
+  const from = new Date(now.getTime() - calendarDays * 24 * 60 * 60 * 1000);
+  return { from: from.toISOString().slice(0, 10), to: now.toISOString().slice(0, 10) };
+}
+
+module.exports = {
+  TIMEFRAMES,
+  normalizeTimeframe,
+  getTimeframe,
+  defaultRange,
+};
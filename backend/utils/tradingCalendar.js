@@ -0,0 +1,330 @@
+// backend/utils/tradingCalendar.js
+
+/**
+ * US equity (NYSE) trading calendar. All session times are America/New_York
+ * wall-clock times converted to epoch ms, so DST is handled by the time zone
+ * database rather than by fixed UTC offsets.
+ *
+ * Holidays follow the NYSE rules (observed on the nearest weekday, except that
+ * a Saturday New Year's Day is not made up on Friday). Early closes at 13:00:
+ * July 3, the day after Thanksgiving and Christmas Eve when they are trading
+ * days. One-off closures are listed in SPECIAL_CLOSURES.
+ *
+ * Dates are 'YYYY-MM-DD' strings; any helper taking a date also accepts a Date
+ * or epoch ms, which is converted to its New York calendar date.
+ */
+const TIME_ZONE = "America/New_York";
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+
+const REGULAR_OPEN = 9 * 60 + 30; // minutes after midnight, New York
+const REGULAR_CLOSE = 16 * 60;
+const EARLY_CLOSE = 13 * 60;
+
+// Unscheduled closures (national days of mourning, weather, 9/11)
+const SPECIAL_CLOSURES = new Set([
+  "2001-09-11", "2001-09-12", "2001-09-13", "2001-09-14",
+  "2004-06-11", "2007-01-02", "2012-10-29", "2012-10-30",
+  "2018-12-05", "2025-01-09",
+]);
+
+const BAR_MINUTES = { "1min": 1, "5min": 5, "15min": 15, "1hour": 60, "4hour": 240 };
+
+// ---- New York time conversion ----
+const NY_PARTS = new Intl.DateTimeFormat("en-US", {
+  timeZone: TIME_ZONE,
+  hourCycle: "h23",
+  year: "numeric",
+  month: "2-digit",
+  day: "2-digit",
+  hour: "2-digit",
+  minute: "2-digit",
+});
+
+/**
+ * New York calendar date and time of an instant
+ * @param {number|Date} time
+ * @returns {Object} { date: 'YYYY-MM-DD', minutes: minutes after New York midnight }
+ */
+function nyParts(time) {
+  const p = Object.fromEntries(NY_PARTS.formatToParts(new Date(time)).map(x => [x.type, x.value]));
+  return { date: `${p.year}-${p.month}-${p.day}`, minutes: Number(p.hour) * 60 + Number(p.minute) };
+}
+
+/**
+ * Epoch ms of a New York wall-clock time
+ * @param {string} date - YYYY-MM-DD
+ * @param {number} minutes - minutes after midnight (e.g. 570 for 09:30)
+ * @returns {number}
+ */
+function nyTime(date, minutes) {
+  const wall = Date.parse(`${date}T00:00:00Z`) + minutes * MINUTE;
+  const offsetAt = t => {
+    const { date: d, minutes: m } = nyParts(t);
+    return Date.parse(`${d}T00:00:00Z`) + m * MINUTE - t;
+  };
+  const guess = wall - offsetAt(wall);
+  return wall - offsetAt(guess); // second pass settles days where the offset changes
+}
+
+function toDate(value) {
+  if (typeof value === "string" && /^\d{4}-\d{2}-\d{2}$/.test(value)) return value;
+  return nyParts(value instanceof Date ? value.getTime() : typeof value === "number" ? value : Date.parse(value)).date;
+}
+
+function addDays(date, days) {
+  return new Date(Date.parse(`${date}T00:00:00Z`) + days * DAY).toISOString().slice(0, 10);
+}
+
+function weekday(date) {
+  return new Date(`${date}T00:00:00Z`).getUTCDay(); // 0 = Sunday
+}
+
+// ---- Holiday rules ----
+const ymd = (year, month, day) => `${year}-${String(month).padStart(2, "0")}-${String(day).padStart(2, "0")}`;
+
+// n-th given weekday of a month (n = -1 for the last one)
+function nthWeekday(year, month, dow, n) {
+  if (n > 0) {
+    const first = weekday(ymd(year, month, 1));
+    return ymd(year, month, 1 + ((dow - first + 7) % 7) + (n - 1) * 7);
+  }
+  const lastDay = new Date(Date.UTC(year, month, 0)).getUTCDate();
+  const last = weekday(ymd(year, month, lastDay));
+  return ymd(year, month, lastDay - ((last - dow + 7) % 7));
+}
+
+// Anonymous Gregorian algorithm
+function easterSunday(year) {
+  const a = year % 19, b = Math.floor(year / 100), c = year % 100;
+  const d = Math.floor(b / 4), e = b % 4, f = Math.floor((b + 8) / 25);
+  const g = Math.floor((b - f + 1) / 3), h = (19 * a + b - d - g + 15) % 30;
+  const i = Math.floor(c / 4), k = c % 4, l = (32 + 2 * e + 2 * i - h - k) % 7;
+  const m = Math.floor((a + 11 * h + 22 * l) / 451);
+  const month = Math.floor((h + l - 7 * m + 114) / 31);
+  const day = ((h + l - 7 * m + 114) % 31) + 1;
+  return ymd(year, month, day);
+}
+
+// Saturday → Friday, Sunday → Monday
+function observed(date) {
+  const dow = weekday(date);
+  if (dow === 6) return addDays(date, -1);
+  if (dow === 0) return addDays(date, 1);
+  return date;
+}
+
+const holidayCache = new Map();
+
+/**
+ * NYSE full-day holidays of a year
+ * @param {number} year
+ * @returns {Object} { 'YYYY-MM-DD': name }
+ */
+function holidays(year) {
+  if (holidayCache.has(year)) return holidayCache.get(year);
+  const list = {};
+  const newYear = ymd(year, 1, 1);
+  if (weekday(newYear) !== 6) list[observed(newYear)] = "New Year's Day";
+  list[nthWeekday(year, 1, 1, 3)] = "Martin Luther King Jr. Day";
+  list[nthWeekday(year, 2, 1, 3)] = "Washington's Birthday";
+  list[addDays(easterSunday(year), -2)] = "Good Friday";
+  list[nthWeekday(year, 5, 1, -1)] = "Memorial Day";
+  if (year >= 2022) list[observed(ymd(year, 6, 19))] = "Juneteenth";
+  list[observed(ymd(year, 7, 4))] = "Independence Day";
+  list[nthWeekday(year, 9, 1, 1)] = "Labor Day";
+  list[nthWeekday(year, 11, 4, 4)] = "Thanksgiving Day";
+  list[observed(ymd(year, 12, 25))] = "Christmas Day";
+  holidayCache.set(year, list);
+  return list;
+}
+
+/**
+ * Name of the holiday on a date, if any
+ * @param {string|Date|number} date
+ * @returns {string|null}
+ */
+function holidayName(date) {
+  const d = toDate(date);
+  if (SPECIAL_CLOSURES.has(d)) return "Special closure";
+  return holidays(Number(d.slice(0, 4)))[d] || null;
+}
+
+/**
+ * @param {string|Date|number} date
+ * @returns {boolean} true on weekdays that are not exchange holidays
+ */
+function isTradingDay(date) {
+  const d = toDate(date);
+  const dow = weekday(d);
+  return dow !== 0 && dow !== 6 && !holidayName(d);
+}
+
+/**
+ * @param {string|Date|number} date
+ * @returns {boolean} true when the session closes at 13:00
+ */
+function isEarlyClose(date) {
+  const d = toDate(date);
+  if (!isTradingDay(d)) return false;
+  const year = Number(d.slice(0, 4));
+  return d === ymd(year, 7, 3)
+    || d === addDays(nthWeekday(year, 11, 4, 4), 1)
+    || d === ymd(year, 12, 24);
+}
+
+/**
+ * Regular session open
+ * @param {string|Date|number} date
+ * @returns {number|null} epoch ms, null when the market is closed that day
+ */
+function sessionOpen(date) {
+  const d = toDate(date);
+  return isTradingDay(d) ? nyTime(d, REGULAR_OPEN) : null;
+}
+
+/**
+ * Regular session close (13:00 on early-close days)
+ * @param {string|Date|number} date
+ * @returns {number|null} epoch ms, null when the market is closed that day
+ */
+function sessionClose(date) {
+  const d = toDate(date);
+  if (!isTradingDay(d)) return null;
+  return nyTime(d, isEarlyClose(d) ? EARLY_CLOSE : REGULAR_CLOSE);
+}
+
+/**
+ * @param {number|Date} [time] - defaults to now
+ * @returns {boolean} true during the regular session
+ */
+function isMarketOpen(time = Date.now()) {
+  const t = new Date(time).getTime();
+  const open = sessionOpen(t);
+  return open !== null && t >= open && t < sessionClose(t);
+}
+
+/**
+ * Trading day `n` sessions after a date (the date itself is not counted)
+ * @param {string|Date|number} date
+ * @param {number} [n]
+ * @returns {string} YYYY-MM-DD
+ */
+function nextTradingDay(date, n = 1) {
+  let d = toDate(date);
+  for (let found = 0; found < n;) {
+    d = addDays(d, 1);
+    if (isTradingDay(d)) found++;
+  }
+  return d;
+}
+
+/**
+ * Trading day `n` sessions before a date
+ * @param {string|Date|number} date
+ * @param {number} [n]
+ * @returns {string} YYYY-MM-DD
+ */
+function previousTradingDay(date, n = 1) {
+  let d = toDate(date);
+  for (let found = 0; found < n;) {
+    d = addDays(d, -1);
+    if (isTradingDay(d)) found++;
+  }
+  return d;
+}
+
+/**
+ * Trading days between two dates (inclusive)
+ * @param {string|Date|number} from
+ * @param {string|Date|number} to
+ * @returns {Array<string>} YYYY-MM-DD
+ */
+function tradingDaysBetween(from, to) {
+  const days = [];
+  for (let d = toDate(from), end = toDate(to); d <= end; d = addDays(d, 1)) {
+    if (isTradingDay(d)) days.push(d);
+  }
+  return days;
+}
+
+/**
+ * Number of complete regular-session bars between two instants. Intraday bars
+ * are aligned to the session open; the last bar of a session may be shorter
+ * (e.g. 15:30–16:00 for 1hour) and still counts.
+ * @param {number|Date} from
+ * @param {number|Date} to
+ * @param {string} timeframe - '1min' | '5min' | '15min' | '1hour' | '4hour' | '1day'
+ * @returns {number}
+ */
+function barsBetween(from, to, timeframe) {
+  const start = new Date(from).getTime();
+  const end = new Date(to).getTime();
+  let count = 0;
+
+  for (const d of tradingDaysBetween(start, end)) {
+    const open = sessionOpen(d);
+    const close = sessionClose(d);
+    if (timeframe === "1day") {
+      if (open >= start && close <= end) count++;
+      continue;
+    }
+    const size = BAR_MINUTES[timeframe] * MINUTE;
+    if (!size) throw new Error(`barsBetween does not support ${timeframe}`);
+    for (let t = open; t < close; t += size) {
+      if (t >= start && Math.min(t + size, close) <= end) count++;
+    }
+  }
+  return count;
+}
+
+/**
+ * Regular-session bars in one trading day (26 15-min bars, 14 on early closes)
+ * @param {string|Date|number} date
+ * @param {string} timeframe
+ * @returns {number}
+ */
+function sessionBars(date, timeframe) {
+  const d = toDate(date);
+  return isTradingDay(d) ? barsBetween(sessionOpen(d), sessionClose(d), timeframe) : 0;
+}
+
+/**
+ * Listed equity option expiration dates in a range: weekly expirations fall on
+ * Friday, or on the previous trading day when Friday is a holiday. Symbols
+ * with daily expirations (SPY, QQQ, ...) expire every trading day.
+ * @param {string|Date|number} from
+ * @param {string|Date|number} to
+ * @param {Object} [options] - { daily: boolean }
+ * @returns {Array<string>} YYYY-MM-DD
+ */
+function optionExpirations(from, to, { daily = false } = {}) {
+  if (daily) return tradingDaysBetween(from, to);
+  const dates = [];
+  const first = toDate(from), last = toDate(to);
+  for (let d = addDays(first, (5 - weekday(first) + 7) % 7); d <= addDays(last, 6); d = addDays(d, 7)) {
+    const expiry = isTradingDay(d) ? d : previousTradingDay(d);
+    if (expiry >= first && expiry <= last) dates.push(expiry);
+  }
+  return dates;
+}
+
+module.exports = {
+  TIME_ZONE,
+  nyParts,
+  nyTime,
+  sessionDate: toDate,
+  holidays,
+  holidayName,
+  isTradingDay,
+  isEarlyClose,
+  sessionOpen,
+  sessionClose,
+  isMarketOpen,
+  nextTradingDay,
+  previousTradingDay,
+  tradingDaysBetween,
+  barsBetween,
+  sessionBars,
+  optionExpirations,
+};
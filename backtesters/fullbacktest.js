@@ -3,9 +3,21 @@ const path = require('path');
 require('dotenv').config({ path: path.join(__dirname, '..', '.env') });
 
 const fs = require('fs');
-const parquet = require('parquets');
+const barStore = require('../backend/data/barStore');
+const calendar = require('../backend/utils/tradingCalendar');
+const clock = require('../backend/utils/clock');
+const { getTimeframe } = require('../backend/utils/timeframes');
+const { loadQualityScores, symbolScore } = require('../backend/data/qualityAuditor');
+const universe = require('../backend/data/universe');
+const universeSnapshots = require('../backend/data/universeSnapshots');
+const eventCalendar = require('../backend/data/eventCalendar');
 const { exec } = require('child_process');
-const { SMA, smaSlope, RSI, ATR, trendDirection, BollingerBands, ADX } = require('./helpers');
+const { SMA, smaSlope, RSI, ATR, trendDirection, BollingerBands, ADX } = require('../backend/utils/indicators');
+const { createIndicatorSet, STRATEGY_INDICATORS } = require('../backend/utils/indicatorState');
+const { barClose, createAligner } = require('../backend/utils/timeframeAlignment');
+const { snapToLevels } = require('../backend/utils/levels');
+const regime = require('../backend/data/regime');
+const strategyRegistry = require('../backend/services/strategyRegistry');
 
 // ---------------- Results File Setup ----------------
 let allResults = [];
@@ -17,9 +29,22 @@ if (fs.existsSync(resultsPath)) {
 } else { fs.writeFileSync(resultsPath, JSON.stringify([], null, 2)); }
 
 // ---------------- Create Set of Already Retested Symbols ----------------
-const alreadyRetestedSymbols = new Set(
-  allResults.filter(r => r.retested === "yes").map(r => r.symbol)
-);
+// Retested with the registered version of every strategy the result picks; results
+// without versions (written before them) or with a changed one are tested again
+function isUpToDate(result, strategies) {
+  if (result.retested !== "yes" || !result.timeframes) return false;
+  const picks = Object.values(result.timeframes).flatMap(tf => [tf, ...Object.values(tf.byRegime || {})]).filter(p => p.strategy);
+  return picks.every(p => p.version && p.version === strategies[p.strategy]?.version);
+}
+
+// ---------------- Regime Coverage ----------------
+// Every trade of the run, to report how many fell outside the regime labels
+const runRegimeStats = regime.createRegimeStats();
+
+function reportRegimeCoverage() {
+  const { market, symbol } = runRegimeStats.summary().unclassified;
+  console.log(`🏷 Trades without a regime: market ${market.share}% (${market.trades}), symbol ${symbol.share}% (${symbol.trades})`);
+}
 
 // ---------------- Delay Helper ----------------
 const sleep = (ms) => new Promise((res) => setTimeout(res, ms));
@@ -29,42 +54,51 @@ const dynamicDelay = 1200;
 const concurrency = 2;
 let retryQueue = [];
 
+// ---------------- Data Quality Gate ----------------
+// Scores come from Historical/auditBarStore.js; symbols never audited still run
+const MIN_QUALITY_SCORE = Number(process.env.BACKTEST_MIN_QUALITY || 80);
+
+function filterByDataQuality(stocks) {
+  const scores = loadQualityScores();
+  const unreliable = [];
+  const kept = stocks.filter(stock => {
+    const score = symbolScore(scores, stock.symbol);
+    if (score !== null && score < MIN_QUALITY_SCORE) {
+      unreliable.push(`${stock.symbol}(${score})`);
+      return false;
+    }
+    return true;
+  });
+  if (unreliable.length) console.log(`⚠️ Skipping ${unreliable.length} symbols with data quality < ${MIN_QUALITY_SCORE}: ${unreliable.join(', ')}`);
+  return kept;
+}
+
 // ---------------- Fetch Historical Data from Parquet ----------------
 async function fetchHistoricalDataFromParquet(symbol, timeframe) {
   try {
-    const basePath = path.join(__dirname, '..', 'Historical', 'data');
-    const tfMap = {
-      '1day': '1day',
-      '1week': '1week',
-      '1hour': '1hour',
-      '4hour': '4hour',
-      '15Min': '15min',
-    };
-    const parquetPath = path.join(basePath, tfMap[timeframe], `${symbol}.parquet`);
+    const parquetPath = barStore.barPath(symbol, timeframe);
     if (!fs.existsSync(parquetPath)) throw new Error(`Parquet not found: ${parquetPath}`);
-
-    const reader = await parquet.ParquetReader.openFile(parquetPath);
-    const cursor = reader.getCursor();
-    const rows = [];
-    let row = null;
-    while (row = await cursor.next()) {
-      rows.push({
-        time: row.time,
-        open: row.open,
-        high: row.high,
-        low: row.low,
-        close: row.close,
-        volume: row.volume
-      });
-    }
-    await reader.close();
-    return rows;
+    const bars = await barStore.readBars(symbol, timeframe);
+    // Intraday: regular-session bars only, so every timeframe sees the same sessions
+    if (getTimeframe(timeframe).minutes >= 1440) return bars;
+    return bars.filter(b => calendar.isMarketOpen(b.time));
   } catch (err) {
     console.error(`❌ Failed reading ${symbol} ${timeframe}: ${err.message}`);
     return [];
   }
 }
 
+// ---------------- Higher Timeframe Alignment ----------------
+// Strategies get only the higher bars closed as of the current bar; with
+// BACKTEST_STRICT_ALIGNMENT=1 reading a bar that had not closed throws instead
+const STRICT_ALIGNMENT = process.env.BACKTEST_STRICT_ALIGNMENT === '1';
+const HIGHER_WINDOW = 50;
+
+// ---------------- Market Regime ----------------
+// SPY's daily regime per session (Historical/updateRegime.js); each bar sees the last session closed by then
+const marketRegimes = regime.marketView();
+if (!regime.loadMarketHistory()) console.warn('⚠️ No market regime history; win rates per market regime will be empty. Run Historical/updateRegime.js.');
+
 // ---------------- Dynamic Risk Calculation ----------------
 function dynamicRisk(entry, setup, atr) {
   const stopLoss = atr * 0.7;
@@ -75,33 +109,64 @@ function dynamicRisk(entry, setup, atr) {
 }
 
 // ---------------- Run Backtest for Single Strategy ----------------
-async function runBacktestFromParquet(symbol, timeframe, strategyFunc) {
+// strategy: from the strategy registry (backend/services/strategyRegistry.js); its declared
+// lookback sizes the window and its higherTimeframe picks the higher bars (none when null).
+// isEligible(time): whether the symbol was in the universe on that bar's date;
+// bars outside it still feed the indicators but never open a trade
+async function runBacktestFromParquet(symbol, timeframe, strategy, isEligible = () => true) {
   try {
+    // Passed to strategies as their last argument: { symbol, time, timeframe, higherTimeframe, events, indicators, regime }, where
+    // events.daysToEarnings(time) / events.macroEventWithin(time, sessions) look up the event calendar,
+    // indicators holds the STRATEGY_INDICATORS values at this bar (updated once per bar over the full history),
+    // regime is { market, symbol } ('trendUp' | 'trendDown' | 'chop' | 'volatile' | null; trades are tallied per regime)
+    // and the registry adds the strategy's params.
+    // A signal may carry support/resistance `levels` (utils/levels.findLevels); its stop and target are then snapped to them
+    const events = eventCalendar.view(symbol);
     const lower = await fetchHistoricalDataFromParquet(symbol, timeframe);
-    const higherTimeframe = (timeframe === '15Min') ? '1hour' : '1day';
-    const higher = await fetchHistoricalDataFromParquet(symbol, higherTimeframe);
+    const higherTimeframe = strategy.higherTimeframe(timeframe);
+    const higher = higherTimeframe ? await fetchHistoricalDataFromParquet(symbol, higherTimeframe) : [];
+    const aligner = createAligner(higher, higherTimeframe, { strict: STRICT_ALIGNMENT, limit: HIGHER_WINDOW });
+    const symbolRegimes = regime.symbolRegimes(lower);
+    const regimeStats = regime.createRegimeStats();
 
     const prices = [], volumes = [], candles = [];
     let trades = 0, wins = 0, losses = 0, totalDuration = 0, totalRR = 0;
     let lastTradeIndex = -999;
     const COOLDOWN = 8;
+    const WINDOW = Math.max(30, strategy.lookback);
     let balance = 100, investmentGone = false;
 
-    for (let i = 25; i < lower.length; i++) {
+    // Warm-up: the strategy's declared lookback fills the window and the indicator state before its first evaluation
+    const indicatorSet = createIndicatorSet(STRATEGY_INDICATORS);
+    for (const bar of lower.slice(0, strategy.lookback)) {
+      prices.push(bar.close);
+      volumes.push(bar.volume);
+      candles.push(bar);
+      indicatorSet.update(bar);
+    }
+
+    for (let i = strategy.lookback; i < lower.length; i++) {
       prices.push(lower[i].close);
       volumes.push(lower[i].volume);
       candles.push(lower[i]);
+      const indicators = indicatorSet.update(lower[i]);
+
+      if (!isEligible(lower[i].time)) continue;
 
-      const subPrices = prices.slice(-30);
-      const subCandles = candles.slice(-30);
-      const subVolumes = volumes.slice(-30);
+      const subPrices = prices.slice(-WINDOW);
+      const subCandles = candles.slice(-WINDOW);
+      const subVolumes = volumes.slice(-WINDOW);
+      const closeTime = barClose(lower[i], timeframe);
+      const subHigher = aligner.at(closeTime);
+      const regimes = { market: marketRegimes.at(closeTime)?.regime ?? null, symbol: symbolRegimes[i]?.regime ?? null };
 
-      const tradeSignal = strategyFunc(subPrices, subCandles, subVolumes, higher, i, lastTradeIndex, COOLDOWN);
+      const tradeSignal = strategy.evaluate(subPrices, subCandles, subVolumes, subHigher, i, lastTradeIndex, COOLDOWN, { symbol, time: lower[i].time, timeframe, higherTimeframe, events, indicators, regime: regimes });
 
       if (tradeSignal && !investmentGone) {
         const entry = lower[i].close;
-        const atrNow = ATR(subCandles);
-        const { stop, target } = dynamicRisk(entry, tradeSignal.signal, atrNow);
+        const atrNow = indicators.atr14;
+        let { stop, target } = dynamicRisk(entry, tradeSignal.signal, atrNow);
+        if (tradeSignal.levels) ({ stop, target } = snapToLevels(tradeSignal.levels, { entry, direction: tradeSignal.signal, stop, target, atr: atrNow }));
 
         lastTradeIndex = i;
         trades++;
@@ -136,6 +201,8 @@ async function runBacktestFromParquet(symbol, timeframe, strategyFunc) {
         totalDuration += duration;
         if (tradeProfitLoss >= 0) wins++;
         else losses++;
+        regimeStats.record(regimes, tradeProfitLoss >= 0);
+        runRegimeStats.record(regimes, tradeProfitLoss >= 0);
         if (balance <= 0) { balance = 0; investmentGone = true; }
 
         let riskPct, rewardPct, rr;
@@ -161,7 +228,8 @@ async function runBacktestFromParquet(symbol, timeframe, strategyFunc) {
       losses,
       winRate: parseFloat(winRate.toFixed(2)),
       avgDuration: parseFloat(avgDuration),
-      avgRR
+      avgRR,
+      regimes: regimeStats.summary()
     };
   } catch (err) {
     console.error(`Error backtesting ${symbol} ${timeframe}: ${err.message}`);
@@ -177,6 +245,8 @@ function saveResult(symbol, result) {
     name: result.name || '',
     overallWinRate: result.overallWinRate || 0,
     timeframes: result.timeframes || {},
+    listed: result.listed !== false,
+    eligibleSessions: result.eligibleSessions ?? null,
     replaced: "new",
     retested: "yes"
   };
@@ -196,13 +266,11 @@ function saveResult(symbol, result) {
 }
 
 // ---------------- Update Optionable Stock List ----------------
-function updateOptionableList(optionablePath) {
+function updateOptionableList() {
   return new Promise((resolve, reject) => {
-    const updateNeeded = !fs.existsSync(optionablePath) ||
-      ((Date.now() - fs.statSync(optionablePath).mtimeMs) / (1000 * 60 * 60) > 24);
-    if (!updateNeeded) return resolve();
+    if (!universe.isStale()) return resolve();
 
-    console.log('Updating optionable stock list asynchronously...');
+    console.log('Refreshing symbol universe asynchronously...');
     exec(`node "${path.join(__dirname, 'update-optionable-list.js')}"`, (err, stdout, stderr) => {
       if (err) return reject(err);
       console.log(stdout);
@@ -212,6 +280,43 @@ function updateOptionableList(optionablePath) {
   });
 }
 
+// ---------------- Point-in-Time Universe ----------------
+// Bars before the first snapshot use its membership; warn when that is most of the history
+const SNAPSHOT_COVERAGE_DAYS = 365; // history kept by historicalDBBuilder.js
+
+function warnSnapshotCoverage(history) {
+  const wanted = new Date(Date.parse(clock.today()) - SNAPSHOT_COVERAGE_DAYS * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+  if (history.dates[0] > wanted) {
+    console.warn(`⚠️ Universe snapshots start ${history.dates[0]}; earlier bars use that day's eligibility (survivorship bias). Run Historical/backfillUniverseSnapshots.js --from=${wanted}.`);
+  }
+}
+
+// Every symbol that was eligible on some snapshot date, delisted ones included,
+// each traded only on the dates it was eligible (Historical/universe_snapshots).
+// Without snapshots: today's eligible symbols over their whole history.
+function loadPointInTimeStocks() {
+  const store = universe.loadUniverse();
+  const history = universeSnapshots.loadHistory();
+  const nameOf = symbol => universe.symbolInfo(symbol, store)?.name || symbol;
+
+  if (!history.dates.length) {
+    console.warn('⚠️ No universe snapshots; backtesting today\'s eligible symbols only (survivorship bias). Run Historical/backfillUniverseSnapshots.js.');
+    return universe.eligibleSymbols().map(symbol => ({ symbol, name: nameOf(symbol), listed: true }));
+  }
+
+  const stocks = history.symbols().map(symbol => ({
+    symbol,
+    name: nameOf(symbol),
+    listed: history.isListed(symbol),
+    eligibleSessions: history.eligibleSessions(symbol),
+    isEligible: history.predicate(symbol),
+  }));
+  warnSnapshotCoverage(history);
+  const delisted = stocks.filter(s => !s.listed).length;
+  console.log(`🗓 Point-in-time universe: ${history.dates.length} snapshots (${history.dates[0]} → ${history.dates[history.dates.length - 1]}), ${stocks.length} symbols, ${delisted} no longer listed`);
+  return stocks;
+}
+
 // ---------------- Run Single Stock with Multiple Strategies ----------------
 async function processStockConcurrent(stock, strategies) {
   const timeframes = ['15Min','1Hour','4Hour','1day','1week'];
@@ -219,13 +324,16 @@ async function processStockConcurrent(stock, strategies) {
 
   for (const tf of timeframes) {
     let bestForTF = { strategy: '', winRate: 0 };
-    for (const [strategyName, strategyFunc] of Object.entries(strategies)) {
-      const result = await runBacktestFromParquet(stock.symbol, tf, strategyFunc);
+    const byStrategy = {};
+    for (const [strategyName, strategy] of Object.entries(strategies)) {
+      if (!strategy.supports(tf)) continue;
+      const result = byStrategy[strategyName] = { ...await runBacktestFromParquet(stock.symbol, tf, strategy, stock.isEligible), version: strategy.version };
       if (result.winRate > bestForTF.winRate) {
         bestForTF = { ...result, strategy: strategyName };
       }
     }
-    timeframeResults[tf] = bestForTF;
+    // Best strategy per market regime, for live selection (backend/data/regime.selectStrategy)
+    timeframeResults[tf] = { ...bestForTF, byRegime: regime.bestByRegime(byStrategy) };
   }
 
   const allWinRates = Object.values(timeframeResults).map(r => r.winRate);
@@ -235,7 +343,9 @@ async function processStockConcurrent(stock, strategies) {
     symbol: stock.symbol,
     name: stock.name,
     overallWinRate: parseFloat(overallWinRate.toFixed(2)),
-    timeframes: timeframeResults
+    timeframes: timeframeResults,
+    listed: stock.listed,
+    eligibleSessions: stock.eligibleSessions
   };
 
   const replacedStatus = saveResult(stock.symbol, output);
@@ -246,8 +356,9 @@ async function processStockConcurrent(stock, strategies) {
 
 // ---------------- Concurrent Backtester ----------------
 async function runConcurrentBacktests(tradableStocks, strategies) {
+  const alreadyRetestedSymbols = new Set(allResults.filter(r => isUpToDate(r, strategies)).map(r => r.symbol));
   tradableStocks = tradableStocks.filter(s => !alreadyRetestedSymbols.has(s.symbol));
-  console.log(`Skipping ${alreadyRetestedSymbols.size} already-retested stocks`);
+  console.log(`Skipping ${alreadyRetestedSymbols.size} already-retested stocks (current strategy versions)`);
   console.log(`Stocks to run: ${tradableStocks.length}`);
 
   const totalStocks = tradableStocks.length + retryQueue.length;
@@ -289,32 +400,21 @@ async function runConcurrentBacktests(tradableStocks, strategies) {
 // ---------------- Main ----------------
 (async () => {
   try {
-    const strategyDir = path.join(__dirname, 'strategies');
-    const strategies = {};
-    for (const file of fs.readdirSync(strategyDir).filter((f) => f.endsWith('.js'))) {
-      strategies[path.basename(file, '.js')] = require(path.join(strategyDir, file));
-    }
-
-    const optionablePath = path.join(__dirname, 'optionable_stocks.csv');
-    await updateOptionableList(optionablePath);
+    // Every module in STRATEGY_DIR (backtesters/strategies), validated against the plugin contract
+    const strategies = strategyRegistry.loadStrategies();
 
-    if (!fs.existsSync(optionablePath)) throw new Error('Optionable CSV missing.');
+    await updateOptionableList();
 
-    // ---------------- CSV Parsing Fix ----------------
-    const csvData = fs.readFileSync(optionablePath, 'utf-8').trim();
-    const lines = csvData.split(/\r?\n/).filter(line => line);
-    const optionableSymbols = lines.slice(); // copy of symbols
-    const assets = lines.map(symbol => ({ symbol, name: symbol }));
-    let tradableStocks = assets.filter(a => optionableSymbols.includes(a.symbol));
+    let tradableStocks = loadPointInTimeStocks();
+    if (!tradableStocks.length) throw new Error('No eligible symbols in the universe.');
 
-    // Ensure SPY is included
-    const spyAsset = { symbol: 'SPY', name: 'SPY' };
-    if (!tradableStocks.some(s => s.symbol === 'SPY')) tradableStocks.push(spyAsset);
+    tradableStocks = filterByDataQuality(tradableStocks);
 
     console.log(`Tradable optionable stocks count: ${tradableStocks.length}`);
 
     await runConcurrentBacktests(tradableStocks, strategies);
 
+    reportRegimeCoverage();
     console.log(`Backtesting complete! Total results: ${allResults.length}`);
   } catch (err) {
     console.error('Fatal error:', err);
@@ -0,0 +1,135 @@
+// optionMispricingBacktest.js
+// Replays the stored option-chain snapshots (Historical/options) through the
+// same mispricing rule as optionchaintest.js and checks whether flagged
+// contracts moved toward their Black-Scholes value: overpriced contracts are
+// sold, underpriced ones bought, each at the bid/ask mid of the snapshot, and
+// closed at the first quote --horizon sessions later (at expiration at the latest).
+//
+// Usage: node backtesters/optionMispricingBacktest.js [SYMBOL...] [--from=YYYY-MM-DD] [--to=YYYY-MM-DD] [--horizon=1]
+const fs = require('fs');
+const path = require('path');
+require('dotenv').config({ path: path.join(__dirname, '..', '.env') });
+const optionStore = require('../backend/data/optionStore');
+const optionPricing = require('../backend/utils/optionPricing');
+const calendar = require('../backend/utils/tradingCalendar');
+
+const OUTPUT_FILE = path.join(__dirname, 'log', 'option_mispricing.json');
+
+const args = process.argv.slice(2);
+const option = name => args.find(a => a.startsWith(`--${name}=`))?.split('=')[1];
+
+// contract → [{ time, date, price }] oldest first
+function quoteIndex(snapshots) {
+  const quotes = new Map();
+  for (const { time, contracts } of snapshots) {
+    const date = calendar.sessionDate(time);
+    for (const c of contracts) {
+      const price = optionPricing.marketPrice(c);
+      if (!price) continue;
+      if (!quotes.has(c.contract)) quotes.set(c.contract, []);
+      quotes.get(c.contract).push({ time, date, price });
+    }
+  }
+  return quotes;
+}
+
+/**
+ * Flagged entries and their exits for one underlying
+ * @param {string} underlying
+ * @param {Object} options - { from, to, horizon }
+ * @returns {Promise<Array<Object>>} trades
+ */
+async function backtestUnderlying(underlying, { from, to, horizon }) {
+  const snapshots = optionStore.groupSnapshots(await optionStore.readChains(underlying, { from }));
+  const quotes = quoteIndex(snapshots);
+  const entered = new Set(); // one entry per contract per session
+  const trades = [];
+
+  for (const { time, spot, contracts } of snapshots) {
+    const date = calendar.sessionDate(time);
+    if (to && date > to) break;
+    if (!spot) continue;
+
+    for (const c of contracts) {
+      const key = `${c.contract}|${date}`;
+      if (entered.has(key)) continue;
+      const T = optionPricing.yearsToExpiry(calendar.sessionClose(c.expiration) ?? calendar.nyTime(c.expiration, 16 * 60), time);
+      const flagged = optionPricing.evaluateMispricing(c, { spot, T });
+      if (!flagged) continue;
+      entered.add(key);
+
+      const target = calendar.nextTradingDay(date, horizon);
+      const exitDate = target < c.expiration ? target : c.expiration;
+      const exit = (quotes.get(c.contract) || []).find(q => q.time > time && q.date >= exitDate);
+      const side = flagged.status === 'Overpriced' ? -1 : 1;
+      const trade = {
+        underlying,
+        contract: c.contract,
+        type: c.type,
+        strike: c.strike,
+        expiration: c.expiration,
+        status: flagged.status,
+        entryTime: new Date(time).toISOString(),
+        entryPrice: +flagged.marketPrice.toFixed(4),
+        bsPrice: +flagged.bsPrice.toFixed(4),
+        diffPct: +flagged.diffPct.toFixed(2),
+        exitTime: exit ? new Date(exit.time).toISOString() : null,
+        exitPrice: exit ? exit.price : null,
+      };
+      if (exit) {
+        trade.pnl = +(side * (exit.price - flagged.marketPrice) * 100).toFixed(2); // per contract
+        trade.returnPct = +((side * (exit.price - flagged.marketPrice) / flagged.marketPrice) * 100).toFixed(2);
+      }
+      trades.push(trade);
+    }
+  }
+  return trades;
+}
+
+function summarize(trades) {
+  const closed = trades.filter(t => t.exitPrice !== null);
+  const wins = closed.filter(t => t.pnl > 0).length;
+  return {
+    signals: trades.length,
+    closed: closed.length,
+    winRate: closed.length ? +((wins / closed.length) * 100).toFixed(2) : null,
+    avgReturnPct: closed.length ? +(closed.reduce((s, t) => s + t.returnPct, 0) / closed.length).toFixed(2) : null,
+    totalPnl: +closed.reduce((s, t) => s + t.pnl, 0).toFixed(2),
+  };
+}
+
+(async () => {
+  const horizon = Number(option('horizon') || 1);
+  const from = option('from');
+  const to = option('to');
+  const requested = args.filter(a => !a.startsWith('--')).map(s => s.toUpperCase());
+  const underlyings = requested.length ? requested : optionStore.listUnderlyings();
+  if (!underlyings.length) {
+    console.error('❌ No stored option chains. Run option-chain-test/optionchaintest.js during market hours first.');
+    process.exit(1);
+  }
+
+  console.log(`🧪 Backtesting the mispricing signal on ${underlyings.length} underlyings (exit after ${horizon} session${horizon === 1 ? '' : 's'})...`);
+  const trades = [];
+  for (const underlying of underlyings) {
+    try {
+      const result = await backtestUnderlying(underlying, { from, to, horizon });
+      const s = summarize(result);
+      console.log(`${underlying}: ${s.signals} signals, ${s.closed} closed, win rate ${s.winRate ?? '-'}%, avg return ${s.avgReturnPct ?? '-'}%`);
+      trades.push(...result);
+    } catch (err) {
+      console.error(`❌ ${underlying}: ${err.message}`);
+    }
+  }
+
+  const summary = {
+    all: summarize(trades),
+    Overpriced: summarize(trades.filter(t => t.status === 'Overpriced')),
+    Underpriced: summarize(trades.filter(t => t.status === 'Underpriced')),
+  };
+  fs.mkdirSync(path.dirname(OUTPUT_FILE), { recursive: true });
+  fs.writeFileSync(OUTPUT_FILE, JSON.stringify({ generatedAt: new Date().toISOString(), horizon, from: from || null, to: to || null,
+    settings: optionPricing.MISPRICING, summary, trades }, null, 2));
+  console.log(`\n✅ ${summary.all.signals} signals, ${summary.all.closed} closed, win rate ${summary.all.winRate ?? '-'}%, ` +
+    `total P&L $${summary.all.totalPnl} per contract. Saved to ${OUTPUT_FILE}`);
+})();
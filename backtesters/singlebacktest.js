@@ -3,9 +3,27 @@ const path = require('path');
 require('dotenv').config({ path: path.join(__dirname, '..', '.env') });
 
 const fs = require('fs');
-const parquet = require('parquets');
+const barStore = require('../backend/data/barStore');
+const calendar = require('../backend/utils/tradingCalendar');
+const { getTimeframe } = require('../backend/utils/timeframes');
+const universeSnapshots = require('../backend/data/universeSnapshots');
+const eventCalendar = require('../backend/data/eventCalendar');
 const readline = require('readline');
-const { SMA, smaSlope, RSI, ATR, trendDirection, BollingerBands, ADX } = require('./helpers');
+const { SMA, smaSlope, RSI, ATR, trendDirection, BollingerBands, ADX } = require('../backend/utils/indicators');
+const { createIndicatorSet, STRATEGY_INDICATORS } = require('../backend/utils/indicatorState');
+const { barClose, createAligner } = require('../backend/utils/timeframeAlignment');
+const { snapToLevels } = require('../backend/utils/levels');
+const regime = require('../backend/data/regime');
+const strategyRegistry = require('../backend/services/strategyRegistry');
+
+// ---------------- Regime Coverage ----------------
+// Every trade of the run, to report how many fell outside the regime labels
+const runRegimeStats = regime.createRegimeStats();
+
+function reportRegimeCoverage() {
+  const { market, symbol } = runRegimeStats.summary().unclassified;
+  console.log(`🏷 Trades without a regime: market ${market.share}% (${market.trades}), symbol ${symbol.share}% (${symbol.trades})`);
+}
 
 // ---------------- Delay Helper ----------------
 const sleep = (ms) => new Promise((res) => setTimeout(res, ms));
@@ -13,39 +31,29 @@ const sleep = (ms) => new Promise((res) => setTimeout(res, ms));
 // ---------------- Fetch Historical Data from Parquet ----------------
 async function fetchHistoricalDataFromParquet(symbol, timeframe) {
   try {
-    const basePath = path.join(__dirname, '..', 'Historical', 'data');
-    const tfMap = {
-      '1day': '1day',
-      '1week': '1week',
-      '1hour': '1hour',
-      '4hour': '4hour',
-      '15Min': '15min',
-    };
-    const parquetPath = path.join(basePath, tfMap[timeframe], `${symbol}.parquet`);
+    const parquetPath = barStore.barPath(symbol, timeframe);
     if (!fs.existsSync(parquetPath)) throw new Error(`Parquet not found: ${parquetPath}`);
-
-    const reader = await parquet.ParquetReader.openFile(parquetPath);
-    const cursor = reader.getCursor();
-    const rows = [];
-    let row = null;
-    while (row = await cursor.next()) {
-      rows.push({
-        time: row.time,
-        open: row.open,
-        high: row.high,
-        low: row.low,
-        close: row.close,
-        volume: row.volume
-      });
-    }
-    await reader.close();
-    return rows;
+    const bars = await barStore.readBars(symbol, timeframe);
+    // Intraday: regular-session bars only, so every timeframe sees the same sessions
+    if (getTimeframe(timeframe).minutes >= 1440) return bars;
+    return bars.filter(b => calendar.isMarketOpen(b.time));
   } catch (err) {
     console.error(`❌ Failed reading ${symbol} ${timeframe}: ${err.message}`);
     return [];
   }
 }
 
+// ---------------- Higher Timeframe Alignment ----------------
+// Strategies get only the higher bars closed as of the current bar; with
+// BACKTEST_STRICT_ALIGNMENT=1 reading a bar that had not closed throws instead
+const STRICT_ALIGNMENT = process.env.BACKTEST_STRICT_ALIGNMENT === '1';
+const HIGHER_WINDOW = 50;
+
+// ---------------- Market Regime ----------------
+// SPY's daily regime per session (Historical/updateRegime.js); each bar sees the last session closed by then
+const marketRegimes = regime.marketView();
+if (!regime.loadMarketHistory()) console.warn('⚠️ No market regime history; win rates per market regime will be empty. Run Historical/updateRegime.js.');
+
 // ---------------- Dynamic Risk Calculation ----------------
 function dynamicRisk(entry, setup, atr) {
   const stopLoss = atr * 0.7;
@@ -56,33 +64,64 @@ function dynamicRisk(entry, setup, atr) {
 }
 
 // ---------------- Run Backtest for Single Strategy ----------------
-async function runBacktestFromParquet(symbol, timeframe, strategyFunc) {
+// strategy: from the strategy registry (backend/services/strategyRegistry.js); its declared
+// lookback sizes the window and its higherTimeframe picks the higher bars (none when null).
+// isEligible(time): whether the symbol was in the universe on that bar's date;
+// bars outside it still feed the indicators but never open a trade
+async function runBacktestFromParquet(symbol, timeframe, strategy, isEligible = () => true) {
   try {
+    // Passed to strategies as their last argument: { symbol, time, timeframe, higherTimeframe, events, indicators, regime }, where
+    // events.daysToEarnings(time) / events.macroEventWithin(time, sessions) look up the event calendar,
+    // indicators holds the STRATEGY_INDICATORS values at this bar (updated once per bar over the full history),
+    // regime is { market, symbol } ('trendUp' | 'trendDown' | 'chop' | 'volatile' | null; trades are tallied per regime)
+    // and the registry adds the strategy's params.
+    // A signal may carry support/resistance `levels` (utils/levels.findLevels); its stop and target are then snapped to them
+    const events = eventCalendar.view(symbol);
     const lower = await fetchHistoricalDataFromParquet(symbol, timeframe);
-    const higherTimeframe = (timeframe === '15Min') ? '1hour' : '1day';
-    const higher = await fetchHistoricalDataFromParquet(symbol, higherTimeframe);
+    const higherTimeframe = strategy.higherTimeframe(timeframe);
+    const higher = higherTimeframe ? await fetchHistoricalDataFromParquet(symbol, higherTimeframe) : [];
+    const aligner = createAligner(higher, higherTimeframe, { strict: STRICT_ALIGNMENT, limit: HIGHER_WINDOW });
+    const symbolRegimes = regime.symbolRegimes(lower);
+    const regimeStats = regime.createRegimeStats();
 
     const prices = [], volumes = [], candles = [];
     let trades = 0, wins = 0, losses = 0, totalDuration = 0, totalRR = 0;
     let lastTradeIndex = -999;
     const COOLDOWN = 8;
+    const WINDOW = Math.max(30, strategy.lookback);
     let balance = 100, investmentGone = false;
 
-    for (let i = 25; i < lower.length; i++) {
+    // Warm-up: the strategy's declared lookback fills the window and the indicator state before its first evaluation
+    const indicatorSet = createIndicatorSet(STRATEGY_INDICATORS);
+    for (const bar of lower.slice(0, strategy.lookback)) {
+      prices.push(bar.close);
+      volumes.push(bar.volume);
+      candles.push(bar);
+      indicatorSet.update(bar);
+    }
+
+    for (let i = strategy.lookback; i < lower.length; i++) {
       prices.push(lower[i].close);
       volumes.push(lower[i].volume);
       candles.push(lower[i]);
+      const indicators = indicatorSet.update(lower[i]);
 
-      const subPrices = prices.slice(-30);
-      const subCandles = candles.slice(-30);
-      const subVolumes = volumes.slice(-30);
+      if (!isEligible(lower[i].time)) continue;
 
-      const tradeSignal = strategyFunc(subPrices, subCandles, subVolumes, higher, i, lastTradeIndex, COOLDOWN);
+      const subPrices = prices.slice(-WINDOW);
+      const subCandles = candles.slice(-WINDOW);
+      const subVolumes = volumes.slice(-WINDOW);
+      const closeTime = barClose(lower[i], timeframe);
+      const subHigher = aligner.at(closeTime);
+      const regimes = { market: marketRegimes.at(closeTime)?.regime ?? null, symbol: symbolRegimes[i]?.regime ?? null };
+
+      const tradeSignal = strategy.evaluate(subPrices, subCandles, subVolumes, subHigher, i, lastTradeIndex, COOLDOWN, { symbol, time: lower[i].time, timeframe, higherTimeframe, events, indicators, regime: regimes });
 
       if (tradeSignal && !investmentGone) {
         const entry = lower[i].close;
-        const atrNow = ATR(subCandles);
-        const { stop, target } = dynamicRisk(entry, tradeSignal.signal, atrNow);
+        const atrNow = indicators.atr14;
+        let { stop, target } = dynamicRisk(entry, tradeSignal.signal, atrNow);
+        if (tradeSignal.levels) ({ stop, target } = snapToLevels(tradeSignal.levels, { entry, direction: tradeSignal.signal, stop, target, atr: atrNow }));
 
         lastTradeIndex = i;
         trades++;
@@ -117,6 +156,8 @@ async function runBacktestFromParquet(symbol, timeframe, strategyFunc) {
         totalDuration += duration;
         if (tradeProfitLoss >= 0) wins++;
         else losses++;
+        regimeStats.record(regimes, tradeProfitLoss >= 0);
+        runRegimeStats.record(regimes, tradeProfitLoss >= 0);
         if (balance <= 0) { balance = 0; investmentGone = true; }
 
         let riskPct, rewardPct, rr;
@@ -142,7 +183,8 @@ async function runBacktestFromParquet(symbol, timeframe, strategyFunc) {
       losses,
       winRate: parseFloat(winRate.toFixed(2)),
       avgDuration: parseFloat(avgDuration),
-      avgRR
+      avgRR,
+      regimes: regimeStats.summary()
     };
   } catch (err) {
     console.error(`Error backtesting ${symbol} ${timeframe}: ${err.message}`);
@@ -156,15 +198,23 @@ async function runSingleBacktest(symbol, strategies, selectedTimeframes) {
   const timeframes = selectedTimeframes && selectedTimeframes.length ? selectedTimeframes : allTimeframes;
   const timeframeResults = {};
 
+  // Trade only on the dates the symbol was in the universe, when snapshots exist
+  const history = universeSnapshots.loadHistory();
+  const isEligible = history.dates.length ? history.predicate(symbol) : undefined;
+  if (isEligible) console.log(`🗓 ${symbol} eligible on ${history.eligibleSessions(symbol)} of ${history.dates.length} snapshot dates`);
+
   for (const tf of timeframes) {
     let bestForTF = { strategy: '', winRate: 0 };
-    for (const [strategyName, strategyFunc] of Object.entries(strategies)) {
-      const result = await runBacktestFromParquet(symbol, tf, strategyFunc);
+    const byStrategy = {};
+    for (const [strategyName, strategy] of Object.entries(strategies)) {
+      if (!strategy.supports(tf)) continue;
+      const result = byStrategy[strategyName] = { ...await runBacktestFromParquet(symbol, tf, strategy, isEligible), version: strategy.version };
       if (result.winRate > bestForTF.winRate) {
         bestForTF = { ...result, strategy: strategyName };
       }
     }
-    timeframeResults[tf] = bestForTF;
+    // Best strategy per market regime, for live selection (backend/data/regime.selectStrategy)
+    timeframeResults[tf] = { ...bestForTF, byRegime: regime.bestByRegime(byStrategy) };
   }
 
   const allWinRates = Object.values(timeframeResults).map(r => r.winRate);
@@ -178,16 +228,14 @@ async function runSingleBacktest(symbol, strategies, selectedTimeframes) {
 
   console.log('================ Single Backtest Result ================');
   console.log(JSON.stringify(output, null, 2));
+  reportRegimeCoverage();
 }
 
 // ---------------- Main ----------------
 (async () => {
   try {
-    const strategyDir = path.join(__dirname, 'strategies');
-    const strategies = {};
-    for (const file of fs.readdirSync(strategyDir).filter((f) => f.endsWith('.js'))) {
-      strategies[path.basename(file, '.js')] = require(path.join(strategyDir, file));
-    }
+    // Every module in STRATEGY_DIR (backtesters/strategies), validated against the plugin contract
+    const strategies = strategyRegistry.loadStrategies();
 
     const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
 
@@ -4,16 +4,18 @@ Captures breakouts from recent consolidation.
 - Confirms breakout by closing above/below the range
 - Uses volume spike to validate breakout
 - Works for stocks missing momentum entries in tight ranges
+- Returns support/resistance levels so the engine can snap stop and target to them
 */
-const { SMA, ATR, RSI } = require('../helpers');
+const { SMA, ATR, RSI } = require('../../backend/utils/indicators');
+const { findLevels } = require('../../backend/utils/levels');
+const { normalizeTimeframe } = require('../../backend/utils/timeframes');
 
-module.exports = function BreakoutRange(prices, candles, volumes, higherCandles, i, lastTradeIndex, cooldownBars) {
-  const RANGE_LOOKBACK = 20;
-  const VOL_MULT = 1.3;
+function evaluate(prices, candles, volumes, higherCandles, i, lastTradeIndex, cooldownBars, context) {
+  const { rangeLookback, volMult } = context.params;
 
-  if (i < RANGE_LOOKBACK) return null;
+  if (i < rangeLookback) return null;
 
-  const recent = candles.slice(-RANGE_LOOKBACK);
+  const recent = candles.slice(-rangeLookback);
   const highs = recent.map(c => c.high);
   const lows = recent.map(c => c.low);
 
@@ -22,17 +24,40 @@ module.exports = function BreakoutRange(prices, candles, volumes, higherCandles,
 
   const candle = candles.at(-1);
   const volNow = volumes.at(-1);
-  const avgVol = SMA(volumes, RANGE_LOOKBACK);
-  const volSpike = volNow > avgVol * VOL_MULT;
+  const avgVol = (rangeLookback === 20 ? context.indicators?.volumeSma20 : null) ?? SMA(volumes, rangeLookback);
+  const volSpike = volNow > avgVol * volMult;
   const cooled = i - lastTradeIndex >= cooldownBars;
 
   if (!cooled || !volSpike) return null;
 
+  // Levels from this window and the closed higher-timeframe bars (not read twice when both are the same timeframe)
+  const levels = () => {
+    if (!context.timeframe) return null;
+    const series = { [context.timeframe]: candles };
+    if (context.higherTimeframe && normalizeTimeframe(context.higherTimeframe) !== normalizeTimeframe(context.timeframe)) series[context.higherTimeframe] = higherCandles;
+    return findLevels(series, { asOf: context.time });
+  };
+
   // Long breakout
-  if (candle.close > rangeHigh) return { signal: 'long', reasons: `Breakout above ${rangeHigh}, Volume Spike` };
+  if (candle.close > rangeHigh) return { signal: 'long', reasons: `Breakout above ${rangeHigh}, Volume Spike`, levels: levels() };
 
   // Short breakout
-  if (candle.close < rangeLow) return { signal: 'short', reasons: `Breakdown below ${rangeLow}, Volume Spike` };
+  if (candle.close < rangeLow) return { signal: 'short', reasons: `Breakdown below ${rangeLow}, Volume Spike`, levels: levels() };
 
   return null;
+}
+
+module.exports = {
+  name: 'BreakoutRange',
+  version: '1.0.0',
+  description: 'Close outside the recent range on a volume spike',
+  params: {
+    rangeLookback: { type: 'integer', default: 20, min: 5, max: 100, description: 'Bars in the range' },
+    volMult: { default: 1.3, min: 1, max: 3, description: 'Volume vs its average over the range' },
+  },
+  lookback: params => params.rangeLookback,
+  timeframes: ['15min', '1hour', '4hour', '1day', '1week'],
+  higherTimeframe: { '15min': '1hour', default: '1day' },
+  sides: 'both',
+  evaluate,
 };
@@ -4,14 +4,17 @@ Captures breakout moves in low-volume / thinly traded stocks
 - Entry triggered by close outside the recent high/low
 - Volume requirement is minimal but looks for at least relative spike
 - Works for ETFs, warrants, rights that rarely move
+- Returns support/resistance levels so the engine can snap stop and target to them
 */
-const { SMA } = require('../helpers');
+const { SMA } = require('../../backend/utils/indicators');
+const { findLevels } = require('../../backend/utils/levels');
+const { normalizeTimeframe } = require('../../backend/utils/timeframes');
 
-module.exports = function LowVolumeBreakout(prices, candles, volumes, higherCandles, i, lastTradeIndex, cooldownBars) {
-  const RANGE_LOOKBACK = 10;
-  if (i < RANGE_LOOKBACK) return null;
+function evaluate(prices, candles, volumes, higherCandles, i, lastTradeIndex, cooldownBars, context) {
+  const { rangeLookback, volMult } = context.params;
+  if (i < rangeLookback) return null;
 
-  const recent = candles.slice(-RANGE_LOOKBACK);
+  const recent = candles.slice(-rangeLookback);
   const highs = recent.map(c => c.high);
   const lows = recent.map(c => c.low);
 
@@ -20,17 +23,40 @@ module.exports = function LowVolumeBreakout(prices, candles, volumes, higherCand
 
   const candle = candles.at(-1);
   const volNow = volumes.at(-1);
-  const avgVol = SMA(volumes, RANGE_LOOKBACK) || 1; // avoid division by zero
-  const volSpike = volNow > avgVol * 1.05; // small relative spike
+  const avgVol = ((rangeLookback === 10 ? context.indicators?.volumeSma10 : null) ?? SMA(volumes, rangeLookback)) || 1; // avoid division by zero
+  const volSpike = volNow > avgVol * volMult; // small relative spike
   const cooled = i - lastTradeIndex >= cooldownBars;
 
   if (!cooled || !volSpike) return null;
 
+  // Levels from this window and the closed higher-timeframe bars (not read twice when both are the same timeframe)
+  const levels = () => {
+    if (!context.timeframe) return null;
+    const series = { [context.timeframe]: candles };
+    if (context.higherTimeframe && normalizeTimeframe(context.higherTimeframe) !== normalizeTimeframe(context.timeframe)) series[context.higherTimeframe] = higherCandles;
+    return findLevels(series, { asOf: context.time });
+  };
+
   if (candle.close > rangeHigh)
-    return { signal: 'long', reasons: `Breakout above ${rangeHigh} in low-volume symbol` };
+    return { signal: 'long', reasons: `Breakout above ${rangeHigh} in low-volume symbol`, levels: levels() };
 
   if (candle.close < rangeLow)
-    return { signal: 'short', reasons: `Breakdown below ${rangeLow} in low-volume symbol` };
+    return { signal: 'short', reasons: `Breakdown below ${rangeLow} in low-volume symbol`, levels: levels() };
 
   return null;
+}
+
+module.exports = {
+  name: 'LowVolumeBreakout',
+  version: '1.0.0',
+  description: 'Close outside a short range with a small relative volume spike',
+  params: {
+    rangeLookback: { type: 'integer', default: 10, min: 5, max: 50, description: 'Bars in the range' },
+    volMult: { default: 1.05, min: 1, max: 2, description: 'Volume vs its average over the range' },
+  },
+  lookback: params => params.rangeLookback,
+  timeframes: ['15min', '1hour', '4hour', '1day', '1week'],
+  higherTimeframe: { '15min': '1hour', default: '1day' },
+  sides: 'both',
+  evaluate,
 };
@@ -5,12 +5,15 @@ Catches reversals from extreme RSI or Bollinger deviations.
 - Confirms with small ATR-based stop to limit risk
 - Allows multiple small trades that MomentumPullback/TrendSpike might miss
 */
-const { RSI, ATR, SMA } = require('../helpers');
+const { RSI, ATR, SMA } = require('../../backend/utils/indicators');
 
-module.exports = function MeanReversionRebound(prices, candles, volumes, higherCandles, i, lastTradeIndex, cooldownBars) {
+function evaluate(prices, candles, volumes, higherCandles, i, lastTradeIndex, cooldownBars, context) {
   if (i < 14) return null; // need RSI lookback
-  const rsiValue = RSI(prices, 14);
-  const atrNow = ATR(candles);
+  const { oversold, overbought } = context.params;
+  const ind = context.indicators || {};
+  const rsiValue = ind.rsi14 ?? RSI(prices, 14);
+  const atrNow = ind.atr14 ?? ATR(candles);
+  const sma20 = ind.sma20 ?? SMA(prices, 20);
   const cooled = i - lastTradeIndex >= cooldownBars;
 
   if (!rsiValue || !atrNow || !cooled) return null;
@@ -18,15 +21,30 @@ module.exports = function MeanReversionRebound(prices, candles, volumes, higherC
   const candle = candles.at(-1);
 
   // Oversold rebound → long
-  if (rsiValue < 30 && candle.close < candle.open && candle.close < SMA(prices, 20)) {
+  if (rsiValue < oversold && candle.close < candle.open && candle.close < sma20) {
     return { signal: 'long', reasons: `RSI ${rsiValue.toFixed(2)} oversold, potential rebound` };
   }
 
   // Overbought rebound → short
-  if (rsiValue > 70 && candle.close > candle.open && candle.close > SMA(prices, 20)) {
+  if (rsiValue > overbought && candle.close > candle.open && candle.close > sma20) {
     return { signal: 'short', reasons: `RSI ${rsiValue.toFixed(2)} overbought, potential reversal` };
   }
 
   return null;
+}
+
+module.exports = {
+  name: 'MeanReversalRebound',
+  version: '1.0.0',
+  description: 'RSI(14) extreme against the SMA(20), fading the last candle',
+  params: {
+    oversold: { default: 30, min: 10, max: 45, description: 'RSI below this: long' },
+    overbought: { default: 70, min: 55, max: 90, description: 'RSI above this: short' },
+  },
+  lookback: 20,
+  timeframes: ['15min', '1hour', '4hour', '1day', '1week'],
+  higherTimeframe: null,
+  sides: 'both',
+  evaluate,
 };
 
@@ -4,27 +4,44 @@ Targets small bounces or pullbacks in thinly traded stocks
 - Confirms with price vs short SMA (5-bar)
 - Allows small trades even in sideways or choppy conditions
 */
-const { RSI, SMA } = require('../helpers');
+const { RSI, SMA } = require('../../backend/utils/indicators');
 
-module.exports = function MicroReversion(prices, candles, volumes, higherCandles, i, lastTradeIndex, cooldownBars) {
+function evaluate(prices, candles, volumes, higherCandles, i, lastTradeIndex, cooldownBars, context) {
   if (i < 5) return null;
+  const { oversold, overbought } = context.params;
 
-  const rsiValue = RSI(prices, 5);
-  const sma5 = SMA(prices, 5);
+  const ind = context.indicators || {};
+  const rsiValue = ind.rsi5 ?? RSI(prices, 5);
+  const sma5 = ind.sma5 ?? SMA(prices, 5);
   const candle = candles.at(-1);
   const cooled = i - lastTradeIndex >= cooldownBars;
 
   if (!cooled || !rsiValue || !sma5) return null;
 
   // Small bounce long
-  if (rsiValue < 35 && candle.close < sma5) {
+  if (rsiValue < oversold && candle.close < sma5) {
     return { signal: 'long', reasons: `RSI ${rsiValue.toFixed(2)} oversold, potential micro-bounce` };
   }
 
   // Small pullback short
-  if (rsiValue > 65 && candle.close > sma5) {
+  if (rsiValue > overbought && candle.close > sma5) {
     return { signal: 'short', reasons: `RSI ${rsiValue.toFixed(2)} overbought, potential micro-pullback` };
   }
 
   return null;
+}
+
+module.exports = {
+  name: 'MicroReversion',
+  version: '1.0.0',
+  description: 'RSI(5) extreme against the SMA(5)',
+  params: {
+    oversold: { default: 35, min: 10, max: 50, description: 'RSI below this: long' },
+    overbought: { default: 65, min: 50, max: 90, description: 'RSI above this: short' },
+  },
+  lookback: 6,
+  timeframes: ['15min', '1hour', '4hour', '1day', '1week'],
+  higherTimeframe: null,
+  sides: 'both',
+  evaluate,
 };
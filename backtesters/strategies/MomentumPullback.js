@@ -8,23 +8,26 @@ Volumes & VolSpike: Ensures momentum recovery is supported by volume.
 Cooldown: Prevents overtrading by spacing trades.
 Candle & Prev Candle: Checks price action recovery after pullback.
 */
-const { SMA, smaSlope, RSI, ATR, trendDirection, BollingerBands, ADX } = require('../helpers');
+const { SMA, smaSlope, RSI, ATR, trendDirection, BollingerBands, ADX } = require('../../backend/utils/indicators');
 
-module.exports = function strategy(prices, candles, volumes, higherCandles, i, lastTradeIndex, cooldownBars) {
-  const lowerTrend = trendDirection(candles);
-  const higherTrend = trendDirection(higherCandles.slice(0, Math.floor(i / 12) + 1));
+function evaluate(prices, candles, volumes, higherCandles, i, lastTradeIndex, cooldownBars, context) {
+  const p = context.params;
+  // Values kept up to date by the backtest engine; recomputed from the window otherwise
+  const ind = context.indicators || {};
+  const lowerTrend = ind.trend ?? trendDirection(candles);
+  const higherTrend = trendDirection(higherCandles); // higher bars closed as of this bar
 
   // Ensure trend alignment
   if (!lowerTrend || !higherTrend || lowerTrend !== higherTrend) return null;
 
-  const fastSMA = SMA(prices, 9);
-  const slowSMA = SMA(prices, 21);
-  const rsiValue = RSI(prices);
-  const atrNow = ATR(candles);
+  const fastSMA = ind.sma9 ?? SMA(prices, 9);
+  const slowSMA = ind.sma21 ?? SMA(prices, 21);
+  const rsiValue = ind.rsi14 ?? RSI(prices);
+  const atrNow = ind.atr14 ?? ATR(candles);
   const volNow = volumes.at(-1);
   const prevVol = volumes.at(-2) || volNow;
-  const avgVol = SMA(volumes, 20);
-  const volSpike = volNow > avgVol * 1.2;
+  const avgVol = ind.volumeSma20 ?? SMA(volumes, 20);
+  const volSpike = volNow > avgVol * p.volMult;
   const cooled = i - lastTradeIndex >= cooldownBars;
 
   if (!fastSMA || !slowSMA || !rsiValue || !atrNow || !cooled) return null;
@@ -36,7 +39,7 @@ module.exports = function strategy(prices, candles, volumes, higherCandles, i, l
   if (lowerTrend === 'up' &&
       candle.close > slowSMA &&              // Price above long SMA
       candle.close > prev.close &&           // Momentum returning after pullback
-      rsiValue > 45 && rsiValue < 70 &&      // RSI within trend confirmation zone
+      rsiValue > p.longRsiMin && rsiValue < p.longRsiMax && // RSI within trend confirmation zone
       volSpike) {                             // Volume confirms move
     return { signal: 'long', reasons: 'Uptrend pullback recovered, RSI neutral, volume spike' };
   }
@@ -45,10 +48,28 @@ module.exports = function strategy(prices, candles, volumes, higherCandles, i, l
   if (lowerTrend === 'down' &&
       candle.close < slowSMA &&
       candle.close < prev.close &&
-      rsiValue > 30 && rsiValue < 55 &&
+      rsiValue > p.shortRsiMin && rsiValue < p.shortRsiMax &&
       volSpike) {
     return { signal: 'short', reasons: 'Downtrend pullback recovered, RSI neutral, volume spike' };
   }
 
   return null;
+}
+
+module.exports = {
+  name: 'MomentumPullback',
+  version: '1.0.0',
+  description: 'Pullback recovering in the direction of the lower and higher timeframe trend, on volume',
+  params: {
+    volMult: { default: 1.2, min: 1, max: 3, description: 'Volume vs its 20-bar average' },
+    longRsiMin: { default: 45, min: 20, max: 70 },
+    longRsiMax: { default: 70, min: 50, max: 90 },
+    shortRsiMin: { default: 30, min: 10, max: 50 },
+    shortRsiMax: { default: 55, min: 30, max: 80 },
+  },
+  lookback: 21,
+  timeframes: ['15min', '1hour', '4hour', '1day', '1week'],
+  higherTimeframe: { '15min': '1hour', default: '1day' },
+  sides: 'both',
+  evaluate,
 };
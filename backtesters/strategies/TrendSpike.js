@@ -8,30 +8,33 @@ Cooldown: Limits repeated signals by enforcing a minimum bar gap between trades.
 Long Entry: Uptrend alignment, RSI > 66, ADX > 30, price > BB upper, volume spike.
 Short Entry: Downtrend alignment, RSI < 34, ADX > 30, price < BB lower, volume spike.
 */
-// Exported as a function for backtester import
-
-const { SMA, smaSlope, RSI, ATR, trendDirection, BollingerBands, ADX } = require('../helpers');
-
-module.exports = function TrendSpike(prices, candles, volumes, higherCandles, i, lastTradeIndex, cooldownBars) {
-  const fast = SMA(prices, 9);
-  const slow = SMA(prices, 21);
-  const fastSlope = smaSlope(prices, 3);
-  const rsiValue = RSI(prices);
-  const atrNow = ATR(candles);
-  const bb = BollingerBands(prices);
-  const adxVal = ADX(candles);
+// Exported as a strategy module (backend/services/strategyRegistry.js)
+
+const { SMA, smaSlope, RSI, ATR, trendDirection, BollingerBands, ADX } = require('../../backend/utils/indicators');
+
+function evaluate(prices, candles, volumes, higherCandles, i, lastTradeIndex, cooldownBars, context) {
+  const p = context.params;
+  // Values kept up to date by the backtest engine; recomputed from the window otherwise
+  const ind = context.indicators || {};
+  const fast = ind.sma9 ?? SMA(prices, 9);
+  const slow = ind.sma21 ?? SMA(prices, 21);
+  const fastSlope = ind.slope3 ?? smaSlope(prices, 3);
+  const rsiValue = ind.rsi14 ?? RSI(prices);
+  const atrNow = ind.atr14 ?? ATR(candles);
+  const bb = ind.bollinger20 ?? BollingerBands(prices);
+  const adxVal = ind.dmi14?.adx ?? ADX(candles);
   const volNow = volumes.at(-1);
   const prevVol = volumes.at(-2) || volNow;
-  const avgVol = SMA(volumes, 20);
-  const volSpike = volNow > prevVol * 1.25 && volNow > avgVol;
+  const avgVol = ind.volumeSma20 ?? SMA(volumes, 20);
+  const volSpike = volNow > prevVol * p.volMult && volNow > avgVol;
   const cooled = i - lastTradeIndex >= cooldownBars;
 
-  const lowerTrend = trendDirection(candles);
-  const higherTrend = trendDirection(higherCandles.slice(0, Math.floor(i / 12) + 1));
+  const lowerTrend = ind.trend ?? trendDirection(candles);
+  const higherTrend = trendDirection(higherCandles); // higher bars closed as of this bar
 
   if (!fast || !slow || !rsiValue || !bb || !atrNow || !adxVal || !lowerTrend || !higherTrend || !cooled) return null;
-  if (lowerTrend === 'up' && fastSlope <= atrNow * 0.05) return null;
-  if (lowerTrend === 'down' && fastSlope >= -atrNow * 0.05) return null;
+  if (lowerTrend === 'up' && fastSlope <= atrNow * p.minSlope) return null;
+  if (lowerTrend === 'down' && fastSlope >= -atrNow * p.minSlope) return null;
 
   const candle = candles.at(-1);
   const prev = candles.at(-2);
@@ -43,19 +46,37 @@ module.exports = function TrendSpike(prices, candles, volumes, higherCandles, i,
   if (higherTrend === 'down') reasons.push('1-hr Trend Down');
   if (fast > slow) reasons.push('Fast SMA > Slow SMA');
   if (fast < slow) reasons.push('Fast SMA < Slow SMA');
-  if (rsiValue > 66) reasons.push('RSI > 66');
-  if (rsiValue < 34) reasons.push('RSI < 34');
-  if (adxVal > 30) reasons.push('ADX > 30');
+  if (rsiValue > p.rsiLong) reasons.push(`RSI > ${p.rsiLong}`);
+  if (rsiValue < p.rsiShort) reasons.push(`RSI < ${p.rsiShort}`);
+  if (adxVal > p.minAdx) reasons.push(`ADX > ${p.minAdx}`);
   if (candle.close > bb.upper) reasons.push('Price > BB Upper');
   if (candle.close < bb.lower) reasons.push('Price < BB Lower');
   if (volSpike) reasons.push('Volume Spike');
   if (cooled) reasons.push('Cooldown passed');
 
-  if (lowerTrend === 'up' && higherTrend === 'up' && fast > slow && candle.close > prev.high && rsiValue > 66 && adxVal > 30 && candle.close > bb.upper && volSpike)
+  if (lowerTrend === 'up' && higherTrend === 'up' && fast > slow && candle.close > prev.high && rsiValue > p.rsiLong && adxVal > p.minAdx && candle.close > bb.upper && volSpike)
     return { signal: 'long', reasons: reasons.join(', ') };
 
-  if (lowerTrend === 'down' && higherTrend === 'down' && fast < slow && candle.close < prev.low && rsiValue < 34 && adxVal > 30 && candle.close < bb.lower && volSpike)
+  if (lowerTrend === 'down' && higherTrend === 'down' && fast < slow && candle.close < prev.low && rsiValue < p.rsiShort && adxVal > p.minAdx && candle.close < bb.lower && volSpike)
     return { signal: 'short', reasons: reasons.join(', ') };
 
   return null;
+}
+
+module.exports = {
+  name: 'TrendSpike',
+  version: '1.0.0',
+  description: 'Aligned trend breaking out of the Bollinger Bands on a volume surge',
+  params: {
+    rsiLong: { default: 66, min: 50, max: 90, description: 'RSI above this for longs' },
+    rsiShort: { default: 34, min: 10, max: 50, description: 'RSI below this for shorts' },
+    minAdx: { default: 30, min: 15, max: 50 },
+    volMult: { default: 1.25, min: 1, max: 3, description: 'Volume vs the previous bar' },
+    minSlope: { default: 0.05, min: 0, max: 1, description: 'SMA(9) 3-bar slope in ATRs' },
+  },
+  lookback: 28, // ADX(14)
+  timeframes: ['15min', '1hour', '4hour', '1day', '1week'],
+  higherTimeframe: { '15min': '1hour', default: '1day' },
+  sides: 'both',
+  evaluate,
 };
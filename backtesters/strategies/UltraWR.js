@@ -0,0 +1,71 @@
+// UltraWR Strategy
+/*
+Live scheduler strategy (backend/services/strategyService.js, LIVE_STRATEGY), adapted from backtest_ultra_wr.js.
+Trend Alignment: SMA(9) vs SMA(21) on the lower timeframe, SMA(21) vs SMA(50) on the higher one (when it has 50 bars).
+Breakout: close beyond the previous candle and the Bollinger Band.
+Strength: RSI beyond its threshold and ADX above its minimum.
+Cooldown: Limits repeated signals by enforcing a minimum bar gap between trades.
+*/
+const { SMA, RSI, ADX, BollingerBands } = require('../../backend/utils/indicators');
+
+function evaluate(prices, candles, volumes, higherCandles, i, lastTradeIndex, cooldownBars, context) {
+  const p = context.params;
+  const ind = context.indicators || {};
+  const fastSMA = ind.sma9 ?? SMA(prices, 9);
+  const slowSMA = ind.sma21 ?? SMA(prices, 21);
+  const rsiVal = ind.rsi14 ?? RSI(prices, 14);
+  const adxVal = ind.dmi14?.adx ?? ADX(candles, 14) ?? 20;
+  const bb = ind.bollinger20 ?? BollingerBands(prices);
+
+  if (!fastSMA || !slowSMA || !rsiVal || !bb) return null;
+  if (i - lastTradeIndex < cooldownBars) return null;
+
+  const latestCandle = candles.at(-1);
+  const prevCandle = candles.at(-2);
+
+  const lowerTrend = fastSMA > slowSMA ? 'up' : 'down';
+  let higherTrend = lowerTrend;
+  if (higherCandles && higherCandles.length >= 50) {
+    const higherCloses = higherCandles.map(c => c.close);
+    const fastHTF = SMA(higherCloses, 21);
+    const slowHTF = SMA(higherCloses, 50);
+    if (fastHTF && slowHTF) higherTrend = fastHTF > slowHTF ? 'up' : 'down';
+  }
+
+  const reasons = [];
+  if (lowerTrend === 'up') reasons.push('5-min Trend Up');
+  if (lowerTrend === 'down') reasons.push('5-min Trend Down');
+  if (higherTrend === 'up') reasons.push('Higher TF Trend Up');
+  if (higherTrend === 'down') reasons.push('Higher TF Trend Down');
+  if (fastSMA > slowSMA) reasons.push('Fast SMA > Slow SMA');
+  if (fastSMA < slowSMA) reasons.push('Fast SMA < Slow SMA');
+  if (rsiVal > p.rsiLong) reasons.push(`RSI > ${p.rsiLong}`);
+  if (rsiVal < p.rsiShort) reasons.push(`RSI < ${p.rsiShort}`);
+  if (adxVal > p.minAdx) reasons.push(`ADX > ${p.minAdx}`);
+  if (latestCandle.close > bb.upper) reasons.push('Price > BB Upper');
+  if (latestCandle.close < bb.lower) reasons.push('Price < BB Lower');
+
+  if (lowerTrend === 'up' && higherTrend === 'up' && latestCandle.close > prevCandle.high && rsiVal > p.rsiLong && adxVal > p.minAdx && latestCandle.close > bb.upper)
+    return { signal: 'long', reasons: reasons.join(', ') };
+
+  if (lowerTrend === 'down' && higherTrend === 'down' && latestCandle.close < prevCandle.low && rsiVal < p.rsiShort && adxVal > p.minAdx && latestCandle.close < bb.lower)
+    return { signal: 'short', reasons: reasons.join(', ') };
+
+  return null;
+}
+
+module.exports = {
+  name: 'UltraWR',
+  version: '1.0.0',
+  description: 'Aligned trend closing beyond the previous candle and the Bollinger Band with strong RSI and ADX',
+  params: {
+    rsiLong: { default: 66, min: 50, max: 90, description: 'RSI above this for longs' },
+    rsiShort: { default: 34, min: 10, max: 50, description: 'RSI below this for shorts' },
+    minAdx: { default: 30, min: 15, max: 50 },
+  },
+  lookback: 28, // ADX(14)
+  timeframes: ['5min', '15min', '1hour', '4hour', '1day', '1week'],
+  higherTimeframe: { '5min': '1hour', '15min': '1hour', default: '1day' },
+  sides: 'both',
+  evaluate,
+};
@@ -1,55 +1,66 @@
 // update-optionable-list.js
+// Refreshes the symbol universe (Historical/universe.json), records today's
+// point-in-time snapshot and writes the eligible symbols to optionable_stocks.csv
+// for the simulator and older tools.
+//
+// Usage: node backtesters/update-optionable-list.js [--force] [--explain SYMBOL...]
 const fs = require('fs');
 const path = require('path');
-const Alpaca = require('@alpacahq/alpaca-trade-api');
-require('dotenv').config();
+require('dotenv').config({ path: path.join(__dirname, '..', '.env') });
+const universe = require('../backend/data/universe');
+const snapshots = require('../backend/data/universeSnapshots');
+const clock = require('../backend/utils/clock');
+const httpClient = require('../backend/utils/httpClient');
 
 const FILE_PATH = path.join(__dirname, 'optionable_stocks.csv');
 
-const alpaca = new Alpaca({
-  keyId: process.env.ALPACA_API_KEY,
-  secretKey: process.env.ALPACA_SECRET_KEY,
-  paper: true,
-  baseUrl: process.env.ALPACA_BASE_URL || 'https://paper-api.alpaca.markets',
-});
+// Why each symbol is in or out of the universe
+function explain(symbols) {
+  const store = universe.loadUniverse();
+  for (const symbol of symbols) {
+    const entry = universe.symbolInfo(symbol, store);
+    if (!entry) {
+      console.log(`${symbol}: not listed`);
+      continue;
+    }
+    const reasons = universe.evaluate(entry);
+    const details = `${entry.assetClass}, ${entry.exchange}, options ${entry.optionable}, sector ${entry.sector || '-'}, price ${entry.price ?? '-'}, $vol ${entry.avgDollarVolume ?? '-'}`;
+    console.log(`${symbol}: ${reasons.length ? `ineligible (${reasons.join('; ')})` : 'eligible'} [${details}]`);
+  }
+}
 
 (async () => {
-  try {
-    // Check last modified time
-    let downloadNeeded = true;
-    if (fs.existsSync(FILE_PATH)) {
-      const stats = fs.statSync(FILE_PATH);
-      const ageHours = (Date.now() - stats.mtimeMs) / (1000 * 60 * 60);
-      if (ageHours < 24) downloadNeeded = false;
-    }
+  const args = process.argv.slice(2);
+  if (args.includes('--explain')) return explain(args.filter(a => !a.startsWith('--')));
 
-    if (!downloadNeeded) {
-      console.log('Optionable stock list is up-to-date.');
+  try {
+    if (!args.includes('--force') && !universe.isStale() && snapshots.loadSnapshot(clock.today())) {
+      console.log('Symbol universe is up-to-date.');
       return;
     }
 
-    console.log('Updating optionable stock list...');
-
-    // Fetch all active assets
-    const assets = await alpaca.getAssets({ status: 'active' });
+    console.log('Refreshing symbol universe...');
+    const summary = await universe.refreshUniverse();
+    console.log(`Universe: ${summary.active} active (${summary.added.length} new, ${summary.delisted.length} no longer listed, ` +
+      `${summary.renamed.length} renamed), ${summary.measured} with daily history, ${summary.sectors} sectors looked up.`);
+    for (const { from, to } of summary.renamed) console.log(`Renamed: ${from} -> ${to}`);
 
-    // Filter tradable stocks on major US exchanges (most are optionable)
-    const optionable = assets.filter(a =>
-      a.tradable &&
-      ['NASDAQ', 'NYSE', 'AMEX'].includes(a.exchange)
-    );
+    const snapshot = snapshots.recordSnapshot(summary);
+    console.log(`Snapshot ${snapshot.date}: ${snapshot.eligible.length} eligible symbols.`);
 
-    if (!optionable.length) {
-      console.warn('No optionable stocks found from Alpaca API.');
+    const symbols = snapshot.eligible;
+    if (!symbols.length) {
+      console.warn('No symbol passes the eligibility rules yet; optionable_stocks.csv left unchanged.');
       return;
     }
 
     // Minimal CSV: only the symbol per line
-    const rows = optionable.map(a => a.symbol).join('\n');
-    fs.writeFileSync(FILE_PATH, rows);
-
-    console.log(`Optionable stock list updated. Total: ${optionable.length}`);
+    fs.writeFileSync(FILE_PATH, symbols.join('\n'));
+    console.log(`Optionable stock list updated. Eligible: ${symbols.length}`);
   } catch (err) {
-    console.error('Failed to update optionable list:', err);
+    console.error('Failed to update symbol universe:', err.message);
+    process.exitCode = 1;
+  } finally {
+    httpClient.reportMetrics('UpdateOptionableList');
   }
 })();
@@ -26,6 +26,22 @@ async function fetchLogs() {
   }
 }
 
+// Support/resistance levels attached by riskService
+function renderLevels(levels) {
+  if (!levels) return "";
+  const price = level => (level ? `$${level.price.toFixed(2)}` : "N/A");
+  const zones = (levels.zones || [])
+    .map(z => `<li>${z.kind} $${z.low.toFixed(2)}–$${z.high.toFixed(2)} (${z.touches} touches, strength ${z.strength.toFixed(2)})</li>`)
+    .join("");
+  const pivots = levels.pivots?.classic
+    ? `<p><strong>Pivots:</strong> S1 $${levels.pivots.classic.S1.toFixed(2)} · P $${levels.pivots.classic.P.toFixed(2)} · R1 $${levels.pivots.classic.R1.toFixed(2)}</p>`
+    : "";
+  return `
+      <p><strong>Support:</strong> ${price(levels.support)} · <strong>Resistance:</strong> ${price(levels.resistance)}</p>
+      ${pivots}
+      ${zones ? `<ul>${zones}</ul>` : ""}`;
+}
+
 // Render signals into container
 function renderSignals(signals, container) {
   container.innerHTML = "";
@@ -49,6 +65,7 @@ function renderSignals(signals, container) {
     }
 
     const reasonsHTML = signal.reasons ? `<p><strong>Reasons:</strong> ${signal.reasons}</p>` : "";
+    const levelsHTML = renderLevels(signal.levels);
 
     card.innerHTML = `
       <h3>${signal.stock} - ${signal.setup.toUpperCase()}</h3>
@@ -57,6 +74,7 @@ function renderSignals(signals, container) {
       <p><strong>Target:</strong> $${parseFloat(signal.target).toFixed(2)}</p>
       <p><strong>Risk/Reward:</strong> ${signal.riskReward}</p>
       <p><strong>Option Suggestion:</strong> ${signal.optionSuggestion || "N/A"}</p>
+      ${levelsHTML}
       ${reasonsHTML}
       ${adviceHTML}
     `;
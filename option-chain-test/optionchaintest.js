@@ -1,9 +1,14 @@
-import * as math from 'mathjs';
-import axios from 'axios';
 import fs from 'fs';
 import path from 'path';
 import dotenv from 'dotenv';
 import { fileURLToPath } from 'url';
+import clock from '../backend/utils/clock.js';
+import calendar from '../backend/utils/tradingCalendar.js';
+import marketData from '../backend/config/marketData.js';
+import httpClient from '../backend/utils/httpClient.js';
+import optionPricing from '../backend/utils/optionPricing.js';
+import optionStore from '../backend/data/optionStore.js';
+import optionAnalytics from '../backend/data/optionAnalytics.js';
 
 // === Path Setup ===
 const __filename = fileURLToPath(import.meta.url);
@@ -13,56 +18,33 @@ const __dirname = path.dirname(__filename);
 dotenv.config({ path: path.resolve(__dirname, '../.env') });
 
 // === CONFIG ===
-const FINNHUB_KEY = process.env.FINNHUB_API_KEY;
-const FINNHUB_BASE = process.env.FINNHUB_BASE_URL || 'https://finnhub.io/api/v1';
-const POLYGON_KEY = process.env.POLYGON_API_KEY;
-const RISK_FREE_RATE = 0.035;
+// Keys, rate budgets (Finnhub: FINNHUB_MAX_REQUESTS per minute) and retries live in the shared HTTP client
+const FINNHUB_BASE = marketData.finnhub.baseUrl;
+const POLYGON_BASE = marketData.polygon.baseUrl;
+const finnhub = httpClient.getClient('finnhub');
+const polygon = httpClient.getClient('polygon');
+// Underlyings with an expiration every trading day; all others expire weekly
+const DAILY_EXPIRY_SYMBOLS = new Set((process.env.DAILY_EXPIRY_SYMBOLS || 'SPY,QQQ,IWM').split(',').map(s => s.trim()));
 
-if (!FINNHUB_KEY) throw new Error('FINNHUB_API_KEY missing');
-if (!POLYGON_KEY) throw new Error('POLYGON_API_KEY missing');
+if (!httpClient.hasKeys('finnhub')) throw new Error('FINNHUB_API_KEY missing');
+if (!httpClient.hasKeys('polygon')) throw new Error('POLYGON_API_KEY missing');
 
 // === Logging ===
 const LOG_DIR = path.join(__dirname, 'log');
 const LOG_FILE = path.join(LOG_DIR, 'optionchains.txt');
 const RESULTS_JSON = path.join(LOG_DIR, 'results.json');
 const ALERTS_CSV = path.join(LOG_DIR, 'alerts.csv');
+const STOCK_ALERTS_JSON = path.join(__dirname, '..', 'stock_strat_test', 'log', 'alerts.json');
 
 if (!fs.existsSync(LOG_DIR)) fs.mkdirSync(LOG_DIR, { recursive: true });
 const append = text => fs.appendFileSync(LOG_FILE, text + '\n', 'utf8');
 
-const MIN_OPTION_PRICE = 0.01;
-const DIFF_THRESHOLD = 10;
-const MAX_MARKET_PRICE = 0.50;
-
-const sleep = ms => new Promise(r => setTimeout(r, ms));
-
-// === Black-Scholes ===
-function bsPrice({ S, K, T, r, sigma, type }) {
-  const normCdf = x => 0.5 * (1 + math.erf(x / Math.sqrt(2)));
-  if (T <= 0 || sigma <= 0)
-    return type === 'call' ? Math.max(S - K, 0) : Math.max(K - S, 0);
-  const d1 = (Math.log(S / K) + (r + 0.5 * sigma ** 2) * T) / (sigma * Math.sqrt(T));
-  const d2 = d1 - sigma * Math.sqrt(T);
-  return type === 'call'
-    ? S * normCdf(d1) - K * Math.exp(-r * T) * normCdf(d2)
-    : K * Math.exp(-r * T) * normCdf(-d2) - S * normCdf(-d1);
-}
-
-// === Option Symbol Parser ===
-function parseOptionSymbol(sym) {
-  if (!sym) return null;
-  const m = sym.match(/^([A-Z]+)(\d{6})([CP])(\d+)$/);
-  if (!m) return null;
-  const [, , , typeChar, strikeRaw] = m;
-  return { type: typeChar === 'C' ? 'call' : 'put', strike: parseInt(strikeRaw, 10) / 1000 };
-}
+// Black-Scholes and the mispricing thresholds are shared with backtesters/optionMispricingBacktest.js
 
 // === Polygon Spot Price ===
 async function fetchSpot(symbol) {
   try {
-    const res = await axios.get(`https://api.polygon.io/v3/reference/tickers/${symbol}`, {
-      params: { apiKey: POLYGON_KEY }
-    });
+    const res = await polygon.get(`${POLYGON_BASE}/v3/reference/tickers/${symbol}`);
     const spot = parseFloat(res.data.results.last_quote?.price || res.data.results.day?.c);
     console.log(`${symbol} Spot Price: $${spot}`);
     return spot;
@@ -78,40 +60,46 @@ async function fetchSpot(symbol) {
 let failedPolygonCalls = [];
 
 // === Finnhub Option Chain Fetch with Polygon Fallback ===
-let lastFinnhubCall = 0;
-const FINNHUB_CALL_INTERVAL = 1091; // ms
-async function fetchOptionChain(symbol, expirationDate) {
-  try {
-    const now = Date.now();
-    const wait = FINNHUB_CALL_INTERVAL - (now - lastFinnhubCall);
-    if (wait > 0) await sleep(wait);
+// Both return normalized contracts (see backend/data/optionStore.js) tagged with their source
+const tagSource = (raw, source) => raw.map(optionStore.normalizeContract).filter(Boolean).map(c => ({ ...c, source }));
 
-    const res = await axios.get(`${FINNHUB_BASE}/option-chain`, {
-      params: { symbol, expiration: expirationDate, token: FINNHUB_KEY }
+async function fetchOptionChain(symbol, expirationDate, snapshot) {
+  try {
+    const res = await finnhub.get(`${FINNHUB_BASE}/option-chain`, {
+      params: { symbol, expiration: expirationDate }
     });
-    lastFinnhubCall = Date.now();
-    return [...(res.data.calls || []), ...(res.data.puts || [])];
+    return tagSource([...(res.data.calls || []), ...(res.data.puts || [])], 'finnhub');
   } catch (err) {
     console.warn(`Finnhub fetch failed for ${symbol}: ${err.message}, caching for retry`);
-    failedPolygonCalls.push({ symbol, expirationDate });
+    failedPolygonCalls.push({ symbol, expirationDate, snapshot });
     return [];
   }
 }
 
 // === Polygon Option Chain Fallback ===
-async function fetchPolygonOptionChain(symbol, expirationDate) {
+async function fetchPolygonOptionChain(symbol, expirationDate, snapshot) {
   try {
-    const res = await axios.get(`https://api.polygon.io/v3/snapshot/options/${symbol}`, {
-      params: { expiration_date: expirationDate, apiKey: POLYGON_KEY, limit: 250 }
+    const res = await polygon.get(`${POLYGON_BASE}/v3/snapshot/options/${symbol}`, {
+      params: { expiration_date: expirationDate, limit: 250 }
     });
-    return res.data.results || [];
+    return tagSource(res.data.results || [], 'polygon');
   } catch (err) {
     console.warn(`Polygon fetch failed for ${symbol}: ${err.message}, caching for retry`);
-    failedPolygonCalls.push({ symbol, expirationDate });
+    failedPolygonCalls.push({ symbol, expirationDate, snapshot });
     return [];
   }
 }
 
+// === Snapshot Store ===
+// Every fetched chain is kept in Historical/options for IV history and backtests
+async function storeChain(symbol, contracts, { time, spot }) {
+  try {
+    await optionStore.saveChain(symbol, contracts, { time, spot });
+  } catch (err) {
+    console.warn(`⚠️ Could not store option chain for ${symbol}: ${err.message}`);
+  }
+}
+
 // === Retry Cached Calls ===
 async function retryFailedCalls() {
   if (!failedPolygonCalls.length) return;
@@ -119,29 +107,23 @@ async function retryFailedCalls() {
   const retryCalls = [...failedPolygonCalls];
   failedPolygonCalls = [];
 
-  for (const { symbol, expirationDate } of retryCalls) {
+  for (const { symbol, expirationDate, snapshot } of retryCalls) {
     let options = await fetchOptionChain(symbol, expirationDate);
     if (!options.length) options = await fetchPolygonOptionChain(symbol, expirationDate);
-    // Save or log results from retry if needed
+    // Filed under the snapshot it belongs to
+    if (options.length && snapshot) await storeChain(symbol, options, snapshot);
     if (options.length) append(`\n✅ Retry success for ${symbol} ${expirationDate}`);
     else append(`\n❌ Retry failed for ${symbol} ${expirationDate}`);
   }
 }
 
 // === Generate Expiration Dates for Next 2 Months ===
-function getNextTwoMonthsExpirations() {
-  const expirations = [];
-  const now = new Date();
+// Weekly Friday expirations (moved to Thursday on holidays) from the exchange calendar
+function getNextTwoMonthsExpirations(symbol) {
+  const now = clock.now();
   const end = new Date(now);
   end.setMonth(end.getMonth() + 2);
-  let date = new Date(now);
-  while (date <= end) {
-    if (date.getDay() !== 0 && date.getDay() !== 6) {
-      expirations.push(new Date(date).toISOString().split('T')[0]);
-    }
-    date.setDate(date.getDate() + 1);
-  }
-  return expirations;
+  return calendar.optionExpirations(now, end, { daily: DAILY_EXPIRY_SYMBOLS.has(symbol) });
 }
 
 // === Analyze Symbol ===
@@ -149,65 +131,63 @@ async function analyzeSymbol(symbol) {
   const spot = await fetchSpot(symbol);
   if (spot === null) return { symbol, results: [], alerts: [] };
 
-  const expirations = getNextTwoMonthsExpirations();
+  const expirations = getNextTwoMonthsExpirations(symbol);
+  const snapshot = { time: clock.now().getTime(), spot };
+  const chain = [];
   const results = [];
   const alerts = [];
 
   for (const expISO of expirations) {
-    let options = await fetchOptionChain(symbol, expISO);
-    if (!options.length) options = await fetchPolygonOptionChain(symbol, expISO);
+    let options = await fetchOptionChain(symbol, expISO, snapshot);
+    if (!options.length) options = await fetchPolygonOptionChain(symbol, expISO, snapshot);
     if (!options.length) continue;
+    chain.push(...options);
 
-    const T = Math.max((new Date(expISO) - new Date()) / (365 * 24 * 3600 * 1000), 0);
+    const T = optionPricing.yearsToExpiry(calendar.sessionClose(expISO), snapshot.time);
 
     for (const opt of options) {
-      const sym = opt.instrument?.symbol || opt.symbol;
-      const parsed = parseOptionSymbol(sym);
-      if (!parsed) continue;
-
-      const { type, strike: K } = parsed;
-      const mid = opt.bid && opt.ask
-        ? (parseFloat(opt.bid) + parseFloat(opt.ask)) / 2
-        : parseFloat(opt.lastPrice || opt.last || 0);
-
-      if (!mid || mid < MIN_OPTION_PRICE) continue;
+      const flagged = optionPricing.evaluateMispricing(opt, { spot, T });
+      if (!flagged) continue;
 
-      const sigma = parseFloat(opt.impliedVolatility || opt.iv || 0.25);
-      const bs = bsPrice({ S: spot, K, T, r: RISK_FREE_RATE, sigma, type });
-      if (bs < 0.01 || bs > 0.5) continue;
-
-      const diffPct = (((mid - bs) / bs) * 100).toFixed(2);
-      if (Math.abs(diffPct) < DIFF_THRESHOLD || mid > MAX_MARKET_PRICE) continue;
-
-      const status = mid > bs ? 'Overpriced' : 'Underpriced';
       const record = {
         symbol,
         spotPrice: spot.toFixed(2),
         expiration: expISO,
-        type,
-        strike: K,
-        marketPrice: mid.toFixed(2),
-        bsPrice: bs.toFixed(2),
-        diffPct,
-        status
+        type: opt.type,
+        strike: opt.strike,
+        marketPrice: flagged.marketPrice.toFixed(2),
+        bsPrice: flagged.bsPrice.toFixed(2),
+        diffPct: flagged.diffPct.toFixed(2),
+        status: flagged.status
       };
       results.push(record);
       alerts.push(record);
     }
   }
 
+  await storeChain(symbol, chain, snapshot);
+  const iv = await optionAnalytics.ivRank(symbol).catch(() => null);
+
   append(`\n=== ${symbol} (Spot: $${spot}) ===`);
+  if (iv) append(`ATM IV ${(iv.atmIv * 100).toFixed(1)}%, IV rank ${iv.ivRank === null ? 'n/a' : iv.ivRank.toFixed(0)} over ${iv.sessions} sessions`);
   if (!results.length) append('No filtered options data.');
   else for (const r of results) append(JSON.stringify(r, null, 2));
 
   return { symbol, results, alerts };
 }
 
+// === High-importance symbols from strat_test ===
+function loadHighImportanceSymbols() {
+  if (!fs.existsSync(STOCK_ALERTS_JSON)) return [];
+  const alerts = JSON.parse(fs.readFileSync(STOCK_ALERTS_JSON, 'utf8'));
+  return [...new Set(alerts.filter(a => a.importance === 'High').map(a => a.symbol))];
+}
+
 // === MAIN ENTRY POINT ===
 export async function runOptionAnalysis(stockSymbol = null) {
   fs.writeFileSync(LOG_FILE, '', 'utf8');
 
-  const symbolsToProcess = stockSymbol ? [stockSymbol] : [...popularStocks, ...randomStocks];
+  const symbolsToProcess = stockSymbol ? [stockSymbol] : loadHighImportanceSymbols();
   let allResults = [];
   let allAlerts = [];
 
@@ -236,6 +216,7 @@ export async function runOptionAnalysis(stockSymbol = null) {
   fs.writeFileSync(ALERTS_CSV, csvHeader + csvRows.join('\n'), 'utf8');
 
   console.log(`\n✅ Analysis complete. ${allResults.length} results, ${allAlerts.length} alerts.`);
+  httpClient.reportMetrics('OptionChainTest');
   return { allResults, allAlerts };
 }
 
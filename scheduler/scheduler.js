@@ -8,6 +8,7 @@ const { exec } = require("child_process");
 const path = require("path");
 const schedule = require("node-schedule");
 const fs = require("fs");
+const calendar = require("../backend/utils/tradingCalendar");
 
 // ---- Paths ----
 const BASE = path.join(__dirname, "..");
@@ -18,6 +19,10 @@ const LOG_FILE = path.join(LOG_DIR, `scheduler_${DATE_STR}.log`);
 const SUMMARY_FILE = path.join(LOG_DIR, `summary_${DATE_STR}.json`);
 const FAILS_FILE = path.join(LOG_DIR, `fails.json`);
 
+// poll: stockmonitor.js every 15 minutes; stream: streammonitor.js all session,
+// which runs the rest of the pipeline as soon as each 15-minute bar closes
+const INTRADAY_MODE = process.env.INTRADAY_MODE || "poll";
+
 // Ensure fails.json exists
 if (!fs.existsSync(FAILS_FILE)) fs.writeFileSync(FAILS_FILE, JSON.stringify([]));
 
@@ -26,7 +31,9 @@ let summary = {
   date: DATE_STR,
   morningPrep: { successes: 0, failures: 0, retries: 0, duration: 0 },
   intradayCycles: [],
+  endOfDay: null,
 };
+let intradayRun = null; // running intraday cycle or streaming monitor, awaited before the rollover
 
 // ---- Logger ----
 function log(message) {
@@ -56,7 +63,7 @@ async function runScript(scriptPath, name, retries = 1) {
     log(`🚀 Starting ${name} (attempt ${attemptNum}/${retries + 1})...`);
 
     return new Promise((resolve, reject) => {
-      const process = exec(`node "${scriptPath}"`, { cwd: BASE });
+      const process = exec(`node "${scriptPath}"`, { cwd: BASE, maxBuffer: 64 * 1024 * 1024 });
 
       process.stdout.on("data", data => log(`[${name}] ${data.trim()}`));
       process.stderr.on("data", data => log(`[${name} ERROR] ${data.trim()}`));
@@ -104,9 +111,15 @@ async function morningPrep() {
   const results = { successes: 0, failures: 0, retries: 0 };
 
   try {
+    await runScript(path.join(BASE, "backtesters", "update-optionable-list.js"), "UpdateOptionableList", 1);
+    results.successes++;
+    await runScript(path.join(BASE, "Historical", "updateEventCalendar.js"), "UpdateEventCalendar", 1);
+    results.successes++;
     await runScript(path.join(BASE, "Historical", "historicalDBBuilder.js"), "HistoricalDBBuilder", 1);
     results.successes++;
-    await runScript(path.join(BASE, "backtesters", "update-optionable-list.js"), "UpdateOptionableList", 1);
+    await runScript(path.join(BASE, "Historical", "updateRelativeStrength.js"), "UpdateRelativeStrength", 1);
+    results.successes++;
+    await runScript(path.join(BASE, "Historical", "updateRegime.js"), "UpdateRegime", 1);
     results.successes++;
     await runScript(path.join(BASE, "backtesters", "fullbacktest.js"), "FullBacktest", 1);
     results.successes++;
@@ -131,7 +144,7 @@ async function intradayCycle() {
     cycleStats.successes++;
     await runScript(path.join(BASE, "option-chain-test", "optionchaintest.js"), "OptionChainTest", 1);
     cycleStats.successes++;
-    await runScript(path.join(BASE, "Chart Option Bridge", "chartOptionBridge.js"), "ChartOptionBridge", 1);
+    await runScript(path.join(BASE, "Chart Options Bridge", "chartOptionBridge.js"), "ChartOptionBridge", 1);
     cycleStats.successes++;
   } catch (err) {
     log(`⚠️ IntradayCycle failed: ${err.message}`);
@@ -143,33 +156,75 @@ async function intradayCycle() {
   saveSummary();
 }
 
+async function endOfDay() {
+  const start = Date.now();
+  let status = "success";
+  try {
+    await runScript(path.join(BASE, "Archive", "archiveManager.js"), "ArchiveManager", 1);
+  } catch (err) {
+    log(`⚠️ End-of-day rollover failed: ${err.message}`);
+    status = "failed";
+  }
+  summary.endOfDay = { status, duration: ((Date.now() - start) / 1000 / 60).toFixed(2) };
+  saveSummary();
+}
+
 // ---- Schedules ----
+// Cron rules run in exchange time; the calendar decides whether the market is
+// actually open (holidays, early closes).
+const exchangeTime = rule => ({ rule, tz: calendar.TIME_ZONE });
+
 function setupSchedules() {
-  // 4:00 AM - Run morning prep
-  schedule.scheduleJob("0 4 * * 1-5", async () => {
+  // 4:00 AM - Run morning prep on trading days
+  schedule.scheduleJob(exchangeTime("0 4 * * 1-5"), async () => {
+    const today = calendar.sessionDate(new Date());
+    if (!calendar.isTradingDay(today)) {
+      log(`🏖️ ${today} is a market holiday (${calendar.holidayName(today)}). Skipping morning prep.`);
+      return;
+    }
     log("🌅 Morning prep sequence started.");
     await morningPrep();
   });
 
-  // 9:00 AM - Start market cycle (every 15 minutes until 4:00 PM)
-  schedule.scheduleJob("*/15 9-15 * * 1-5", async () => {
-    const now = new Date();
-    const hour = now.getHours();
-    if (hour >= 9 && hour < 16) {
+  // 9:25 AM - Streaming monitor for the whole session (INTRADAY_MODE=stream)
+  schedule.scheduleJob(exchangeTime("25 9 * * 1-5"), async () => {
+    if (INTRADAY_MODE !== "stream" || !calendar.isTradingDay(new Date())) return;
+    log("📡 Starting streaming monitor for the session...");
+    try {
+      intradayRun = runScript(path.join(BASE, "stock_strat_test", "streammonitor.js"), "StreamMonitor", 1);
+      await intradayRun;
+    } catch (err) {
+      log(`⚠️ StreamMonitor failed: ${err.message}`);
+    } finally {
+      intradayRun = null;
+    }
+  });
+
+  // Every 15 minutes while the regular session is open (INTRADAY_MODE=poll)
+  schedule.scheduleJob(exchangeTime("*/15 9-15 * * 1-5"), async () => {
+    if (INTRADAY_MODE === "stream") return;
+    if (calendar.isMarketOpen(new Date())) {
       log("🏁 Running intraday cycle...");
-      await intradayCycle();
+      intradayRun = intradayCycle();
+      await intradayRun;
+      intradayRun = null;
     } else {
       log("⏸️ Market closed. Skipping intraday cycle.");
     }
   });
 
-  // 4:00 PM - Final shutdown/log close
-  schedule.scheduleJob("0 16 * * 1-5", () => {
-    log("📘 Market closed. Scheduler entering idle mode until next day.");
-    saveSummary();
+  // Session close (4:00 PM, or 1:00 PM on early-close days) - End-of-day rollover
+  schedule.scheduleJob(exchangeTime("0 13,16 * * 1-5"), async () => {
+    const now = Date.now();
+    const close = calendar.sessionClose(now);
+    if (close === null || Math.abs(now - close) > 60 * 1000) return;
+    log("📘 Market closed. Waiting for intraday work to finish before the rollover...");
+    await intradayRun?.catch(() => {});
+    await endOfDay();
+    log("💤 Scheduler entering idle mode until next day.");
   });
 }
 
 // ---- Start ----
-log("🕒 Chart Monitor Scheduler initialized (Enhanced Version).");
+log(`🕒 Chart Monitor Scheduler initialized (Enhanced Version, intraday mode: ${INTRADAY_MODE}).`);
 setupSchedules();
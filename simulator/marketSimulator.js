@@ -0,0 +1,261 @@
+/**
+ * Chart Monitor - Offline Market-Data Simulator
+ * Local stand-in for the Polygon, Finnhub and Alpaca endpoints used by the
+ * pipeline. Serves recorded bars (MARKET_DATA_REPLAY_DIR, default Historical/data)
+ * when a file exists and deterministic synthetic data otherwise.
+ *
+ * Point the scripts at it through .env:
+ *   POLYGON_BASE_URL=http://localhost:4010/polygon
+ *   FINNHUB_BASE_URL=http://localhost:4010/finnhub
+ *   ALPACA_DATA_URL=http://localhost:4010/alpaca
+ *   ALPACA_BASE_URL=http://localhost:4010/alpaca
+ *   POLYGON_STREAM_URL=ws://localhost:4010/polygon/stocks
+ *   ALPACA_STREAM_URL=ws://localhost:4010/alpaca/v2/iex
+ */
+
+const express = require("express");
+const fs = require("fs");
+const path = require("path");
+const { getProvider } = require("../backend/providers");
+const { normalizeTimeframe } = require("../backend/utils/timeframes");
+const { generateBars, generateNews, generateOptionChain, generateEarnings, generateEconomicEvents, priceAt, sicCode } = require("./syntheticData");
+const { attachStreams } = require("./streamServer");
+
+const PORT = Number(process.env.SIM_PORT || 4010);
+const SYMBOLS_FILE = path.join(__dirname, "..", "backtesters", "optionable_stocks.csv");
+const recorded = getProvider("replay");
+
+// ---- Simulated clock ----
+// SIM_START pins the clock to a past instant; SIM_SPEED scales how fast it runs (0 = frozen)
+const clock = {
+  anchorSim: process.env.SIM_START ? Date.parse(process.env.SIM_START) : Date.now(),
+  anchorReal: Date.now(),
+  speed: process.env.SIM_SPEED !== undefined ? Number(process.env.SIM_SPEED) : 1,
+  now() {
+    return this.anchorSim + (Date.now() - this.anchorReal) * this.speed;
+  },
+  set(time, speed = this.speed) {
+    this.anchorSim = time;
+    this.anchorReal = Date.now();
+    this.speed = speed;
+  },
+};
+
+// ---- Data access ----
+async function getBars(symbol, timeframe, from, to) {
+  const now = clock.now();
+  try {
+    const bars = (await recorded.fetchBars(symbol, timeframe, { from, to })).filter(b => b.time < now);
+    if (bars.length) return bars;
+  } catch (err) {
+    // No recorded file → fall through to synthetic data
+  }
+  return generateBars(symbol, timeframe, from, to, now);
+}
+
+function loadSymbols() {
+  if (process.env.SIM_SYMBOLS) return process.env.SIM_SYMBOLS.split(",").map(s => s.trim()).filter(Boolean);
+  if (!fs.existsSync(SYMBOLS_FILE)) return ["SPY", "AAPL", "MSFT", "NVDA"];
+  return fs.readFileSync(SYMBOLS_FILE, "utf-8").split(/\r?\n/).map(s => s.trim()).filter(Boolean);
+}
+
+function isoDate(time) {
+  return new Date(time).toISOString().slice(0, 10);
+}
+
+const app = express();
+app.use(express.json());
+
+// Request log, handy when replaying a day
+app.use((req, res, next) => {
+  if (process.env.SIM_QUIET !== "1") console.log(`[sim ${new Date(clock.now()).toISOString()}] ${req.method} ${req.path}`);
+  next();
+});
+
+// ---- Simulator control ----
+app.get("/sim/clock", (req, res) => {
+  res.json({ now: new Date(clock.now()).toISOString(), speed: clock.speed });
+});
+
+app.post("/sim/clock", (req, res) => {
+  const time = Date.parse(req.body.time);
+  if (Number.isNaN(time)) return res.status(400).json({ error: "body.time must be an ISO timestamp" });
+  clock.set(time, req.body.speed !== undefined ? Number(req.body.speed) : clock.speed);
+  res.json({ now: new Date(clock.now()).toISOString(), speed: clock.speed });
+});
+
+// ---- Polygon ----
+app.get("/polygon/v2/aggs/ticker/:symbol/range/:multiplier/:timespan/:from/:to", async (req, res) => {
+  try {
+    const { symbol, multiplier, timespan, from, to } = req.params;
+    let bars = await getBars(symbol, normalizeTimeframe(`${multiplier}${timespan}`), from, to);
+    if (req.query.sort === "desc") bars = bars.slice().reverse();
+    if (req.query.limit) bars = bars.slice(0, Number(req.query.limit));
+
+    res.json({
+      ticker: symbol,
+      status: "OK",
+      adjusted: true,
+      resultsCount: bars.length,
+      results: bars.map(b => ({ t: b.time, o: b.open, h: b.high, l: b.low, c: b.close, v: b.volume, n: b.trades, vw: b.vwap })),
+    });
+  } catch (err) {
+    res.status(400).json({ status: "ERROR", error: err.message });
+  }
+});
+
+app.get("/polygon/v2/reference/news", (req, res) => {
+  const ticker = String(req.query.ticker || "SPY").toUpperCase();
+  const results = generateNews(ticker, Number(req.query.limit || 10), clock.now());
+  res.json({ status: "OK", count: results.length, results });
+});
+
+app.get("/polygon/v3/reference/tickers", (req, res) => {
+  const results = loadSymbols().map(ticker => ({
+    ticker,
+    name: ticker,
+    market: "stocks",
+    locale: "us",
+    type: "CS",
+    active: true,
+  }));
+  res.json({ status: "OK", count: results.length, results });
+});
+
+app.get("/polygon/v3/reference/tickers/:symbol", async (req, res) => {
+  const { symbol } = req.params;
+  const today = isoDate(clock.now());
+  const [day] = (await getBars(symbol, "1day", today, today)).slice(-1);
+  res.json({
+    status: "OK",
+    results: {
+      ticker: symbol,
+      name: symbol,
+      market: "stocks",
+      active: true,
+      sic_code: String(sicCode(symbol)),
+      // Snapshot-style fields so spot-price lookups work offline
+      day: day ? { o: day.open, h: day.high, l: day.low, c: day.close, v: day.volume } : { c: priceAt(symbol, clock.now()) },
+      last_quote: { price: priceAt(symbol, clock.now()) },
+    },
+  });
+});
+
+app.get("/polygon/v3/snapshot/options/:symbol", (req, res) => {
+  const { symbol } = req.params;
+  const expiration = req.query.expiration_date || isoDate(clock.now());
+  const { spot, contracts } = generateOptionChain(symbol, expiration, clock.now());
+  const results = contracts.slice(0, Number(req.query.limit || 250)).map(c => ({
+    details: { ticker: `O:${c.symbol}`, contract_type: c.type, strike_price: c.strike, expiration_date: c.expiration },
+    last_quote: { bid: c.bid, ask: c.ask },
+    day: { close: c.last, volume: c.volume },
+    implied_volatility: c.iv,
+    open_interest: c.openInterest,
+    underlying_asset: { ticker: symbol, price: spot },
+  }));
+  res.json({ status: "OK", results });
+});
+
+// No corporate actions in the synthetic market
+app.get("/polygon/v3/reference/splits", (req, res) => res.json({ status: "OK", results: [] }));
+app.get("/polygon/v3/reference/dividends", (req, res) => res.json({ status: "OK", results: [] }));
+
+// ---- Finnhub ----
+app.get("/finnhub/option-chain", (req, res) => {
+  const symbol = String(req.query.symbol || "").toUpperCase();
+  if (!symbol) return res.status(400).json({ error: "symbol is required" });
+  const expiration = req.query.expiration || isoDate(clock.now());
+  const { spot, contracts } = generateOptionChain(symbol, expiration, clock.now());
+
+  const toFinnhub = c => ({
+    symbol: c.symbol,
+    contractName: c.symbol,
+    type: c.type.toUpperCase(),
+    strike: c.strike,
+    expirationDate: c.expiration,
+    bid: c.bid,
+    ask: c.ask,
+    lastPrice: c.last,
+    volume: c.volume,
+    openInterest: c.openInterest,
+    impliedVolatility: c.iv,
+  });
+  const calls = contracts.filter(c => c.type === "call").map(toFinnhub);
+  const puts = contracts.filter(c => c.type === "put").map(toFinnhub);
+
+  res.json({
+    code: symbol,
+    lastTradePrice: spot,
+    data: [{ expirationDate: expiration, options: { CALL: calls, PUT: puts } }],
+    // Flat lists as read by option-chain-test/optionchaintest.js
+    calls,
+    puts,
+  });
+});
+
+app.get("/finnhub/calendar/earnings", (req, res) => {
+  const from = req.query.from || isoDate(clock.now());
+  const to = req.query.to || from;
+  const symbols = req.query.symbol ? [String(req.query.symbol).toUpperCase()] : loadSymbols();
+  const earningsCalendar = symbols.flatMap(symbol => generateEarnings(symbol, from, to)).sort((a, b) => a.date.localeCompare(b.date));
+  res.json({ earningsCalendar });
+});
+
+app.get("/finnhub/calendar/economic", (req, res) => {
+  const from = req.query.from || isoDate(clock.now());
+  res.json({ economicCalendar: generateEconomicEvents(from, req.query.to || from) });
+});
+
+// ---- Alpaca ----
+app.get("/alpaca/v2/stocks/:symbol/bars", async (req, res) => {
+  try {
+    const { symbol } = req.params;
+    const now = clock.now();
+    const from = req.query.start ? isoDate(Date.parse(req.query.start)) : isoDate(now);
+    const to = req.query.end ? isoDate(Date.parse(req.query.end)) : isoDate(now);
+    let bars = await getBars(symbol, normalizeTimeframe(req.query.timeframe || "1Day"), from, to);
+    if (req.query.limit) bars = bars.slice(0, Number(req.query.limit));
+
+    res.json({
+      symbol,
+      next_page_token: null,
+      bars: bars.map(b => ({ t: new Date(b.time).toISOString(), o: b.open, h: b.high, l: b.low, c: b.close, v: b.volume, n: b.trades, vw: b.vwap })),
+    });
+  } catch (err) {
+    res.status(422).json({ message: err.message });
+  }
+});
+
+app.get("/alpaca/v2/stocks/:symbol/bars/latest", async (req, res) => {
+  const { symbol } = req.params;
+  const today = isoDate(clock.now());
+  const [b] = (await getBars(symbol, "1min", today, today)).slice(-1);
+  if (!b) return res.status(404).json({ message: `no bar for ${symbol}` });
+  res.json({ symbol, bar: { t: new Date(b.time).toISOString(), o: b.open, h: b.high, l: b.low, c: b.close, v: b.volume, n: b.trades, vw: b.vwap } });
+});
+
+app.get("/alpaca/v1/corporate-actions", (req, res) => {
+  res.json({ corporate_actions: {}, next_page_token: null });
+});
+
+app.get("/alpaca/v2/assets", (req, res) => {
+  res.json(loadSymbols().map(symbol => ({
+    id: symbol,
+    class: "us_equity",
+    exchange: "NASDAQ",
+    symbol,
+    name: symbol,
+    status: "active",
+    tradable: true,
+    attributes: ["has_options"],
+  })));
+});
+
+if (require.main === module) {
+  const server = app.listen(PORT, () => {
+    console.log(`🧪 Market simulator running at http://localhost:${PORT} (clock ${new Date(clock.now()).toISOString()}, speed ${clock.speed}x)`);
+  });
+  attachStreams(server, clock);
+}
+
+module.exports = { app, clock };
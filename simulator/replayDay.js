@@ -0,0 +1,86 @@
+/**
+ * Chart Monitor - Trading Day Replay
+ * Starts the offline simulator, then walks a trading day in 15-minute steps and
+ * runs the intraday pipeline (stockmonitor → strat_test → optionchaintest →
+ * chartOptionBridge) against it with SIM_NOW pinned to each bar close.
+ *
+ * Usage: node simulator/replayDay.js 2025-10-31
+ */
+
+const { execFile } = require("child_process");
+const path = require("path");
+const { app, clock } = require("./marketSimulator");
+const calendar = require("../backend/utils/tradingCalendar");
+
+const BASE = path.join(__dirname, "..");
+const PORT = Number(process.env.SIM_PORT || 4010);
+const STEP_MINUTES = 15;
+
+const PIPELINE = [
+  ["StockMonitor", path.join(BASE, "stock_strat_test", "stockmonitor.js")],
+  ["StratTest", path.join(BASE, "stock_strat_test", "strat_test.js")],
+  ["OptionChainTest", path.join(BASE, "option-chain-test", "optionchaintest.js")],
+  ["ChartOptionBridge", path.join(BASE, "Chart Options Bridge", "chartOptionBridge.js")],
+];
+
+function runScript(name, scriptPath, env) {
+  return new Promise(resolve => {
+    execFile(process.execPath, [scriptPath], { cwd: BASE, env, maxBuffer: 64 * 1024 * 1024 }, (err, stdout, stderr) => {
+      if (err) console.log(`  ❌ ${name} failed: ${(stderr || err.message).trim().split("\n").pop()}`);
+      else console.log(`  ✅ ${name}`);
+      resolve(!err);
+    });
+  });
+}
+
+async function replayDay(date) {
+  const simUrl = `http://localhost:${PORT}`;
+  const env = {
+    ...process.env,
+    MARKET_DATA_PROVIDER: process.env.MARKET_DATA_PROVIDER || "polygon",
+    POLYGON_BASE_URL: `${simUrl}/polygon`,
+    FINNHUB_BASE_URL: `${simUrl}/finnhub`,
+    ALPACA_DATA_URL: `${simUrl}/alpaca`,
+    ALPACA_BASE_URL: `${simUrl}/alpaca`,
+    // The simulator ignores keys, but the scripts refuse to start without them
+    POLYGON_API_KEY: process.env.POLYGON_API_KEY || "sim",
+    FINNHUB_API_KEY: process.env.FINNHUB_API_KEY || "sim",
+    ALPACA_API_KEY: process.env.ALPACA_API_KEY || "sim",
+    ALPACA_SECRET_KEY: process.env.ALPACA_SECRET_KEY || "sim",
+    SIM_QUIET: "1",
+  };
+
+  const open = calendar.sessionOpen(date);
+  const close = calendar.sessionClose(date);
+
+  for (let t = open + STEP_MINUTES * 60 * 1000; t <= close; t += STEP_MINUTES * 60 * 1000) {
+    clock.set(t, 0); // frozen: every script in this cycle sees the same instant
+    const simNow = new Date(t).toISOString();
+    console.log(`\n🕒 ${simNow}`);
+    for (const [name, scriptPath] of PIPELINE) {
+      await runScript(name, scriptPath, { ...env, SIM_NOW: simNow });
+    }
+  }
+}
+
+if (require.main === module) {
+  const date = process.argv[2];
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(date || "")) {
+    console.error("Usage: node simulator/replayDay.js YYYY-MM-DD");
+    process.exit(1);
+  }
+  if (!calendar.isTradingDay(date)) {
+    console.error(`${date} is not a trading day (${calendar.holidayName(date) || "weekend"})`);
+    process.exit(1);
+  }
+
+  process.env.SIM_QUIET = "1";
+  const server = app.listen(PORT, async () => {
+    console.log(`🧪 Replaying ${date} against simulator on port ${PORT}`);
+    await replayDay(date);
+    server.close();
+    console.log("\n🏁 Replay complete.");
+  });
+}
+
+module.exports = { replayDay };
@@ -0,0 +1,126 @@
+// simulator/streamServer.js
+// Polygon- and Alpaca-style minute-bar WebSocket feeds on the simulated clock.
+// Each completed simulated minute is pushed to every subscriber of the symbol,
+// from the recorded 1-minute file when one exists, synthetic otherwise.
+//   ws://localhost:4010/polygon/stocks     {"action":"auth"} → {"action":"subscribe","params":"AM.SPY"}
+//   ws://localhost:4010/alpaca/v2/<feed>   {"action":"auth"} → {"action":"subscribe","bars":["SPY"]}
+
+const WebSocket = require("ws");
+const { getProvider } = require("../backend/providers");
+const calendar = require("../backend/utils/tradingCalendar");
+const { generateBars } = require("./syntheticData");
+
+const MINUTE = 60 * 1000;
+const TICK_MS = 250;
+const MAX_CATCH_UP_MINUTES = 30; // after a clock jump, only the latest minutes are sent
+const recorded = getProvider("replay");
+
+// Vendor message formats
+const PROTOCOLS = {
+  polygon: {
+    welcome: () => [{ ev: "status", status: "connected", message: "Connected Successfully" }],
+    authenticated: () => [{ ev: "status", status: "auth_success", message: "authenticated" }],
+    subscriptions: msg => String(msg.params || "").split(",").map(s => s.trim()).filter(s => s.startsWith("AM.")).map(s => s.slice(3)),
+    subscribed: symbols => symbols.map(s => ({ ev: "status", status: "success", message: `subscribed to: AM.${s}` })),
+    bar: (symbol, b) => ({
+      ev: "AM", sym: symbol, v: b.volume, o: b.open, c: b.close, h: b.high, l: b.low,
+      vw: b.vwap, a: b.vwap, z: b.trades ? Math.round(b.volume / b.trades) : 0, s: b.time, e: b.time + MINUTE,
+    }),
+  },
+  alpaca: {
+    welcome: () => [{ T: "success", msg: "connected" }],
+    authenticated: () => [{ T: "success", msg: "authenticated" }],
+    subscriptions: msg => [].concat(msg.bars || []),
+    subscribed: symbols => [{ T: "subscription", trades: [], quotes: [], bars: symbols, updatedBars: symbols }],
+    bar: (symbol, b) => ({
+      T: "b", S: symbol, o: b.open, h: b.high, l: b.low, c: b.close, v: b.volume,
+      t: new Date(b.time).toISOString(), n: b.trades, vw: b.vwap,
+    }),
+  },
+};
+
+// Minute bars of one session per symbol, recorded or synthetic (kept for the current day only)
+const sessionCache = new Map();
+async function minuteBar(symbol, time) {
+  const date = calendar.sessionDate(time);
+  if (![...sessionCache.keys()].every(k => k.endsWith(date))) sessionCache.clear();
+  const key = `${symbol}:${date}`;
+  if (!sessionCache.has(key)) {
+    let bars = [];
+    try {
+      bars = await recorded.fetchBars(symbol, "1min", { from: date, to: date });
+    } catch (err) {
+      // No recorded file → synthetic
+    }
+    if (!bars.length) bars = generateBars(symbol, "1min", date, date, calendar.sessionClose(date));
+    sessionCache.set(key, new Map(bars.map(b => [b.time, b])));
+  }
+  return sessionCache.get(key).get(time) || null;
+}
+
+/**
+ * Serve the minute-bar feeds on an HTTP server
+ * @param {http.Server} server - the simulator's server (from app.listen)
+ * @param {Object} clock - simulated clock with now()
+ * @returns {WebSocket.Server}
+ */
+function attachStreams(server, clock) {
+  const wss = new WebSocket.Server({ server });
+  let lastMinute = Math.floor(clock.now() / MINUTE) * MINUTE; // first minute not sent yet
+
+  wss.on("connection", (socket, req) => {
+    const name = req.url.startsWith("/polygon") ? "polygon" : req.url.startsWith("/alpaca") ? "alpaca" : null;
+    if (!name) return socket.close(1008, "unknown feed");
+    const protocol = PROTOCOLS[name];
+    socket.feed = { protocol, symbols: new Set(), authenticated: false };
+    socket.send(JSON.stringify(protocol.welcome()));
+
+    socket.on("message", data => {
+      let msg;
+      try {
+        msg = JSON.parse(data.toString());
+      } catch (err) {
+        return;
+      }
+      if (msg.action === "auth") {
+        socket.feed.authenticated = true; // any key is accepted
+        socket.send(JSON.stringify(protocol.authenticated()));
+      } else if (socket.feed.authenticated && (msg.action === "subscribe" || msg.action === "unsubscribe")) {
+        const symbols = protocol.subscriptions(msg);
+        symbols.forEach(s => (msg.action === "subscribe" ? socket.feed.symbols.add(s) : socket.feed.symbols.delete(s)));
+        socket.send(JSON.stringify(protocol.subscribed([...socket.feed.symbols])));
+      }
+    });
+  });
+
+  let busy = false;
+  const timer = setInterval(async () => {
+    if (busy) return;
+    busy = true;
+    try {
+      const current = Math.floor(clock.now() / MINUTE) * MINUTE;
+      if (current < lastMinute) lastMinute = current; // clock moved back
+      const from = Math.max(lastMinute, current - MAX_CATCH_UP_MINUTES * MINUTE);
+      for (let start = from; start < current; start += MINUTE) {
+        if (!calendar.isMarketOpen(start)) continue;
+        for (const socket of wss.clients) {
+          if (!socket.feed || !socket.feed.authenticated) continue;
+          const messages = [];
+          for (const symbol of socket.feed.symbols) {
+            const bar = await minuteBar(symbol, start);
+            if (bar) messages.push(socket.feed.protocol.bar(symbol, bar));
+          }
+          if (messages.length) socket.send(JSON.stringify(messages));
+        }
+      }
+      lastMinute = current;
+    } finally {
+      busy = false;
+    }
+  }, TICK_MS);
+
+  wss.on("close", () => clearInterval(timer));
+  return wss;
+}
+
+module.exports = { attachStreams };
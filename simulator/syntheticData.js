@@ -0,0 +1,339 @@
+// simulator/syntheticData.js
+// Deterministic synthetic market data. Every value is a pure function of
+// (symbol, timestamp), so the same request always returns the same bars no
+// matter which range or timeframe it was asked for.
+
+const { getTimeframe } = require("../backend/utils/timeframes");
+const calendar = require("../backend/utils/tradingCalendar");
+
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+
+// ---- Hashing / noise ----
+function hashString(str) {
+  let h = 2166136261;
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 16777619);
+  }
+  return h >>> 0;
+}
+
+// Integer mix → [0, 1)
+function rand(seed, a, b = 0) {
+  let h = seed ^ Math.imul(a | 0, 0x9e3779b1) ^ Math.imul(b | 0, 0x85ebca6b);
+  h = Math.imul(h ^ (h >>> 16), 0x7feb352d);
+  h = Math.imul(h ^ (h >>> 15), 0x846ca68b);
+  h ^= h >>> 16;
+  return (h >>> 0) / 4294967296;
+}
+
+// Smoothly interpolated value noise in [-amp, amp]
+function valueNoise(seed, minute, spacing, amp) {
+  const g = Math.floor(minute / spacing);
+  const frac = minute / spacing - g;
+  const v0 = rand(seed, spacing, g) * 2 - 1;
+  const v1 = rand(seed, spacing, g + 1) * 2 - 1;
+  const s = frac * frac * (3 - 2 * frac);
+  return (v0 + (v1 - v0) * s) * amp;
+}
+
+function symbolProfile(symbol) {
+  const seed = hashString(symbol.toUpperCase());
+  return {
+    seed,
+    basePrice: 5 + rand(seed, 1) * 395,
+    baseVolume: 20000 + Math.floor(rand(seed, 2) * 2000000),
+    baseIV: 0.18 + rand(seed, 3) * 0.5,
+  };
+}
+
+// One SIC code per GICS sector (see backend/utils/sectors.js), so sector lookups work offline
+const SIC_CODES = [7372, 3674, 2834, 8062, 6022, 6211, 1311, 2911, 4911, 6798, 4813, 7812, 5812, 3711, 5411, 2080, 3720, 4512, 2821, 1040];
+
+/**
+ * Synthetic SIC code, fixed per symbol
+ * @param {string} symbol
+ * @returns {number}
+ */
+function sicCode(symbol) {
+  return SIC_CODES[Math.floor(rand(symbolProfile(symbol).seed, 4) * SIC_CODES.length)];
+}
+
+/**
+ * Synthetic price at any instant
+ * @param {string} symbol
+ * @param {number} time - epoch ms
+ * @returns {number}
+ */
+function priceAt(symbol, time) {
+  const { seed, basePrice } = symbolProfile(symbol);
+  const m = time / MINUTE;
+  const logPrice =
+    Math.log(basePrice) +
+    0.15 * Math.sin((2 * Math.PI * m) / (390 * 120) + rand(seed, 10) * 6.28) +
+    0.06 * Math.sin((2 * Math.PI * m) / (390 * 20) + rand(seed, 11) * 6.28) +
+    valueNoise(seed, m, 1440, 0.04) +
+    valueNoise(seed, m, 60, 0.008) +
+    valueNoise(seed, m, 5, 0.002);
+  return Math.round(Math.exp(logPrice) * 100) / 100;
+}
+
+// ---- New York session helpers ----
+// Epoch ms of a New York wall-clock time on a YYYY-MM-DD date
+function nyTime(dateStr, hour, minute = 0) {
+  return calendar.nyTime(dateStr, hour * 60 + minute);
+}
+
+// ---- Bars ----
+function buildBar(symbol, start, end, clock) {
+  const stop = Math.min(end, clock);
+  const { seed, baseVolume } = symbolProfile(symbol);
+  const steps = Math.max(2, Math.min(16, Math.round((stop - start) / MINUTE)));
+  const samples = [];
+  for (let k = 0; k <= steps; k++) samples.push(priceAt(symbol, start + ((stop - start) * k) / steps));
+
+  const minutes = Math.max(1, (stop - start) / MINUTE);
+  const volume = Math.round(baseVolume / 390 * Math.min(minutes, 390 * 5) * (0.5 + rand(seed, 20, start / MINUTE)));
+  return {
+    open: samples[0],
+    high: Math.max(...samples),
+    low: Math.min(...samples),
+    close: samples[samples.length - 1],
+    volume,
+    trades: Math.max(1, Math.round(volume / 120)),
+    vwap: Math.round((samples.reduce((a, b) => a + b, 0) / samples.length) * 10000) / 10000,
+  };
+}
+
+/**
+ * Synthetic bars for a symbol between two dates (regular sessions of the
+ * exchange calendar only: no holidays, 13:00 close on early-close days)
+ * @param {string} symbol
+ * @param {string} timeframe - any spelling accepted by normalizeTimeframe
+ * @param {string} from - YYYY-MM-DD
+ * @param {string} to - YYYY-MM-DD
+ * @param {number} [clock] - epoch ms; nothing after it is generated
+ * @returns {Array} normalized bars { time, open, high, low, close, volume, trades, vwap }
+ */
+function generateBars(symbol, timeframe, from, to, clock = Date.now()) {
+  const { key, minutes } = getTimeframe(timeframe);
+  const bars = [];
+
+  if (minutes < 1440) {
+    calendar.tradingDaysBetween(from, to).forEach(date => {
+      const open = calendar.sessionOpen(date);
+      const close = calendar.sessionClose(date);
+      for (let start = open; start < close && start < clock; start += minutes * MINUTE) {
+        bars.push({ time: start, ...buildBar(symbol, start, Math.min(start + minutes * MINUTE, close), clock) });
+      }
+    });
+    return bars;
+  }
+
+  const daily = [];
+  calendar.tradingDaysBetween(from, to).forEach(date => {
+    const open = calendar.sessionOpen(date);
+    if (open >= clock) return;
+    daily.push({ time: nyTime(date, 0, 0), ...buildBar(symbol, open, calendar.sessionClose(date), clock) });
+  });
+  if (key === "1day") return daily;
+
+  // Weekly bars start on the Sunday before the week's first session (Polygon convention)
+  for (const d of daily) {
+    const date = new Date(d.time + 12 * 60 * MINUTE);
+    const sunday = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate() - date.getUTCDay()));
+    const weekTime = nyTime(sunday.toISOString().slice(0, 10), 0, 0);
+    const last = bars[bars.length - 1];
+    if (last && last.time === weekTime) {
+      last.high = Math.max(last.high, d.high);
+      last.low = Math.min(last.low, d.low);
+      last.close = d.close;
+      last.vwap = (last.vwap * last.volume + d.vwap * d.volume) / (last.volume + d.volume);
+      last.volume += d.volume;
+      last.trades += d.trades;
+    } else {
+      bars.push({ ...d, time: weekTime });
+    }
+  }
+  return bars;
+}
+
+// ---- News ----
+const HEADLINES = [
+  ["{s} beats quarterly estimates", "positive"],
+  ["{s} shares slide after guidance cut", "negative"],
+  ["Analyst upgrades {s} to buy", "positive"],
+  ["{s} faces regulatory probe", "negative"],
+  ["{s} announces new product line", "positive"],
+  ["{s} trades flat ahead of sector data", "neutral"],
+];
+
+/**
+ * Deterministic headlines for a ticker, newest first
+ * @param {string} symbol
+ * @param {number} limit
+ * @param {number} [clock]
+ * @returns {Array} Polygon-style news items
+ */
+function generateNews(symbol, limit = 5, clock = Date.now()) {
+  const { seed } = symbolProfile(symbol);
+  const items = [];
+  const dayIndex = Math.floor(clock / DAY);
+  for (let d = 0; items.length < limit && d < 60; d++) {
+    if (rand(seed, 30, dayIndex - d) < 0.5) continue;
+    const [template, sentiment] = HEADLINES[Math.floor(rand(seed, 31, dayIndex - d) * HEADLINES.length)];
+    const published = (dayIndex - d) * DAY + Math.floor(rand(seed, 32, dayIndex - d) * DAY);
+    if (published > clock) continue;
+    items.push({
+      id: `sim-${symbol}-${dayIndex - d}`,
+      title: template.replace("{s}", symbol),
+      published_utc: new Date(published).toISOString(),
+      tickers: [symbol],
+      insights: [{ ticker: symbol, sentiment, sentiment_reasoning: "Simulated headline" }],
+    });
+  }
+  return items;
+}
+
+// ---- Calendars ----
+const EARNINGS_HOURS = ["bmo", "amc", "amc", "dmh"];
+
+// Months of a YYYY-MM-DD range as [year, month (0-11)]
+function monthsBetween(from, to) {
+  const months = [];
+  for (let y = Number(from.slice(0, 4)), m = Number(from.slice(5, 7)) - 1; `${y}-${String(m + 1).padStart(2, "0")}` <= to.slice(0, 7); m === 11 ? (y++, m = 0) : m++) {
+    months.push([y, m]);
+  }
+  return months;
+}
+
+const ymd = (y, m, d) => new Date(Date.UTC(y, m, d)).toISOString().slice(0, 10);
+
+/**
+ * Deterministic quarterly earnings dates: each symbol reports on a fixed
+ * weekday-adjusted offset 3-6 weeks into January, April, July and October
+ * @param {string} symbol
+ * @param {string} from - YYYY-MM-DD
+ * @param {string} to - YYYY-MM-DD
+ * @returns {Array} Finnhub-style earningsCalendar rows
+ */
+function generateEarnings(symbol, from, to) {
+  const { seed } = symbolProfile(symbol);
+  const offset = 20 + Math.floor(rand(seed, 40) * 25);
+  const hour = EARNINGS_HOURS[Math.floor(rand(seed, 41) * EARNINGS_HOURS.length)];
+  const rows = [];
+  for (const [year, month] of monthsBetween(from, to)) {
+    if (month % 3 !== 0) continue;
+    let date = ymd(year, month, offset);
+    if (!calendar.isTradingDay(date)) date = calendar.nextTradingDay(date);
+    if (date < from || date > to) continue;
+    rows.push({ symbol, date, hour, quarter: month / 3 === 0 ? 4 : month / 3, year: month === 0 ? year - 1 : year, epsEstimate: null, revenueEstimate: null });
+  }
+  return rows;
+}
+
+/**
+ * US macro releases on their usual schedule: payrolls the first Friday, CPI
+ * around the 12th (08:30 ET) and FOMC decisions the third Wednesday of eight
+ * months (14:00 ET). Times are UTC, as Finnhub reports them.
+ * @param {string} from - YYYY-MM-DD
+ * @param {string} to - YYYY-MM-DD
+ * @returns {Array} Finnhub-style economicCalendar rows
+ */
+function generateEconomicEvents(from, to) {
+  const utc = (date, hour, minute) => new Date(nyTime(date, hour, minute)).toISOString().replace("T", " ").slice(0, 19);
+  const weekday = (y, m, dow, nth) => {
+    const first = new Date(Date.UTC(y, m, 1)).getUTCDay();
+    return ymd(y, m, 1 + ((dow - first + 7) % 7) + (nth - 1) * 7);
+  };
+  const rows = [];
+  for (const [year, month] of monthsBetween(from, to)) {
+    let cpi = ymd(year, month, 12);
+    if (!calendar.isTradingDay(cpi)) cpi = calendar.nextTradingDay(cpi);
+    const nfp = weekday(year, month, 5, 1);
+    rows.push({ country: "US", event: "Non Farm Payrolls", time: utc(nfp, 8, 30), impact: "high" });
+    rows.push({ country: "US", event: "CPI MoM", time: utc(cpi, 8, 30), impact: "high" });
+    if ([0, 2, 4, 5, 6, 8, 9, 11].includes(month)) {
+      rows.push({ country: "US", event: "Fed Interest Rate Decision", time: utc(weekday(year, month, 3, 3), 14, 0), impact: "high" });
+    }
+  }
+  return rows.filter(r => r.time.slice(0, 10) >= from && r.time.slice(0, 10) <= to).sort((a, b) => a.time.localeCompare(b.time));
+}
+
+// ---- Option chains ----
+function erf(x) {
+  // Abramowitz & Stegun 7.1.26
+  const sign = Math.sign(x);
+  const t = 1 / (1 + 0.3275911 * Math.abs(x));
+  const y = 1 - (((((1.061405429 * t - 1.453152027) * t) + 1.421413741) * t - 0.284496736) * t + 0.254829592) * t * Math.exp(-x * x);
+  return sign * y;
+}
+
+function bsPrice(S, K, T, r, sigma, type) {
+  if (T <= 0 || sigma <= 0) return type === "call" ? Math.max(S - K, 0) : Math.max(K - S, 0);
+  const N = x => 0.5 * (1 + erf(x / Math.sqrt(2)));
+  const d1 = (Math.log(S / K) + (r + 0.5 * sigma ** 2) * T) / (sigma * Math.sqrt(T));
+  const d2 = d1 - sigma * Math.sqrt(T);
+  return type === "call" ? S * N(d1) - K * Math.exp(-r * T) * N(d2) : K * Math.exp(-r * T) * N(-d2) - S * N(-d1);
+}
+
+function strikeStep(spot) {
+  if (spot < 25) return 0.5;
+  if (spot < 100) return 1;
+  if (spot < 250) return 2.5;
+  return 5;
+}
+
+/**
+ * Deterministic option chain for one expiration
+ * @param {string} symbol
+ * @param {string} expiration - YYYY-MM-DD
+ * @param {number} [clock]
+ * @returns {Object} { spot, contracts: [{ symbol, type, strike, expiration, bid, ask, last, iv, volume, openInterest }] }
+ */
+function generateOptionChain(symbol, expiration, clock = Date.now()) {
+  const { seed, baseIV } = symbolProfile(symbol);
+  const spot = priceAt(symbol, clock);
+  const T = Math.max((nyTime(expiration, 16, 0) - clock) / (365 * DAY), 0);
+  const step = strikeStep(spot);
+  const expSeed = hashString(expiration);
+  const yymmdd = expiration.slice(2).replace(/-/g, "");
+  const contracts = [];
+
+  for (let K = Math.ceil((spot * 0.75) / step) * step; K <= spot * 1.25; K += step) {
+    const strike = Math.round(K * 100) / 100;
+    for (const type of ["call", "put"]) {
+      const moneyness = strike / spot - 1;
+      const iv = Math.max(0.05, baseIV + 2 * moneyness * moneyness - 0.1 * moneyness);
+      const theo = bsPrice(spot, strike, T, 0.035, iv, type);
+      const noise = rand(seed ^ expSeed, Math.round(strike * 100), type === "call" ? 1 : 2);
+      const mid = Math.max(0.01, theo * (0.8 + noise * 0.4));
+      const half = Math.max(0.01, mid * 0.03);
+      contracts.push({
+        symbol: `${symbol}${yymmdd}${type === "call" ? "C" : "P"}${String(Math.round(strike * 1000)).padStart(8, "0")}`,
+        type,
+        strike,
+        expiration,
+        bid: Math.round((mid - half) * 100) / 100,
+        ask: Math.round((mid + half) * 100) / 100,
+        last: Math.round(mid * 100) / 100,
+        iv: Math.round(iv * 10000) / 10000,
+        volume: Math.floor(noise * 500),
+        openInterest: Math.floor(rand(seed ^ expSeed, Math.round(strike * 100), 3) * 5000),
+      });
+    }
+  }
+  return { spot, contracts };
+}
+
+module.exports = {
+  priceAt,
+  sicCode,
+  generateBars,
+  generateNews,
+  generateOptionChain,
+  generateEarnings,
+  generateEconomicEvents,
+  nyTime,
+};
@@ -1,105 +1,58 @@
 require("dotenv").config();
-const axios = require("axios");
 const fs = require("fs");
 const path = require("path");
-const parquet = require("parquetjs-lite");
-const { SMA, RSI, ATR, BollingerBands, ADX } = require(path.join(__dirname, "..", "backtesters", "helpers.js"));
-
-const POLYGON_API_KEY = process.env.POLYGON_API_KEY;
-const BASE_URL = "https://api.polygon.io";
-const CONCURRENT_REQUESTS = 100;
-
-const todayParquetDir = path.join(__dirname, "..", "..", "Chart Monitor", "Historical", "today_15min");
-const liveDataPath = path.join(__dirname, "..", "..", "Chart Monitor", "stock_strat_test", "log", "livedata.json");
+const { ADX } = require(path.join(__dirname, "..", "backend", "utils", "indicators"));
+const { latestPatterns } = require(path.join(__dirname, "..", "backend", "utils", "candlePatterns"));
+const { getProvider } = require(path.join(__dirname, "..", "backend", "providers"));
+const clock = require(path.join(__dirname, "..", "backend", "utils", "clock"));
+const barStore = require(path.join(__dirname, "..", "backend", "data", "barStore"));
+const indicatorPipeline = require(path.join(__dirname, "..", "backend", "data", "indicatorPipeline"));
+const resampler = require(path.join(__dirname, "..", "backend", "data", "resampler"));
+const universe = require(path.join(__dirname, "..", "backend", "data", "universe"));
+const regime = require(path.join(__dirname, "..", "backend", "data", "regime"));
+const httpClient = require(path.join(__dirname, "..", "backend", "utils", "httpClient"));
+
+const provider = getProvider(); // MARKET_DATA_PROVIDER
+// Symbols in flight at once; request throughput itself follows the provider's budget in the HTTP client
+const CONCURRENT_REQUESTS = Number(process.env.STOCKMONITOR_CONCURRENCY || 20);
+
+const liveDataPath = path.join(__dirname, "log", "livedata.json");
 const resultsPath = path.join(__dirname, "..", "backtesters", "log", "results.json");
 
 // Ensure necessary folders exist
-for (const p of [todayParquetDir, path.dirname(liveDataPath)] ) {
-  if (!fs.existsSync(p)) fs.mkdirSync(p, { recursive: true });
-}
+if (!fs.existsSync(path.dirname(liveDataPath))) fs.mkdirSync(path.dirname(liveDataPath), { recursive: true });
 
-// Load backtester highest win-rate strategies
+// Load backtester highest win-rate strategies for the current market regime
 function loadHighestWinRateStrategies() {
   if (!fs.existsSync(resultsPath)) return {};
   const results = JSON.parse(fs.readFileSync(resultsPath, "utf-8"));
+  const current = regime.currentMarketRegime()?.regime ?? null;
   const strategies = {};
-  results.forEach(r => { strategies[r.symbol] = r.strategy; });
+  results.forEach(r => { strategies[r.symbol] = regime.selectStrategy(r, current)?.strategy; });
   return strategies;
 }
 
-// Fetch today’s 15-min candles
+// Fetch today’s 15-min candles (normalized bars)
 async function fetch15MinCandles(symbol) {
-  const today = new Date().toISOString().split("T")[0];
-  const url = `${BASE_URL}/v2/aggs/ticker/${symbol}/range/15/min/${today}/${today}?adjusted=true&sort=asc&apiKey=${POLYGON_API_KEY}`;
-  const res = await axios.get(url);
-  return res.data.results || [];
+  const today = clock.today();
+  return provider.fetchBars(symbol, "15min", { from: today, to: today });
 }
 
-// Compute indicators for a candle array
-function computeIndicators(candles) {
-  const closes = candles.map(c => c.c);
-  const highs = candles.map(c => c.h);
-  const lows = candles.map(c => c.l);
+// Latest indicator values for the live snapshot (stored columns are kept
+// up to date by the indicator pipeline on every append)
+function snapshotIndicators(candles) {
+  const last = candles[candles.length - 1];
   return {
-    sma20: SMA(closes, 20).pop(),
-    rsi: RSI(closes, 14).pop(),
-    atr: ATR(highs, lows, closes, 14).pop(),
-    boll: BollingerBands(closes, 20).pop(),
-    adx: ADX(highs, lows, closes, 14).pop(),
-    latestPrice: closes[closes.length - 1]
+    sma20: last.sma20,
+    rsi: last.rsi14,
+    atr: last.atr14,
+    boll: { upper: last.bollingerUpper, lower: last.bollingerLower },
+    adx: last.adx14 ?? ADX(candles, 14), // stored when BAR_INDICATORS includes dmi
+    patterns: latestPatterns(candles).map(({ index, ...hit }) => hit), // completed by the last candle
+    latestPrice: last.close
   };
 }
 
-// Append new candles to parquet (one file per symbol)
-async function appendToParquet(filepath, newCandles) {
-  if (!newCandles.length) return;
-
-  const schema = new parquet.ParquetSchema({
-    ts: { type: "TIMESTAMP_MILLIS" },
-    o: { type: "DOUBLE" },
-    h: { type: "DOUBLE" },
-    l: { type: "DOUBLE" },
-    c: { type: "DOUBLE" },
-    v: { type: "DOUBLE" },
-    sma20: { type: "DOUBLE", optional: true },
-    rsi14: { type: "DOUBLE", optional: true },
-    atr14: { type: "DOUBLE", optional: true },
-    bollingerUpper: { type: "DOUBLE", optional: true },
-    bollingerLower: { type: "DOUBLE", optional: true }
-  });
-
-  let existingCandles = [];
-  if (fs.existsSync(filepath)) {
-    const reader = await parquet.ParquetReader.openFile(filepath);
-    const cursor = reader.getCursor();
-    let record = null;
-    while ((record = await cursor.next())) existingCandles.push(record);
-    await reader.close();
-  }
-
-  const existingTimestamps = new Set(existingCandles.map(c => new Date(c.ts).getTime()));
-  const toAdd = newCandles.filter(c => !existingTimestamps.has(new Date(c.t).getTime()));
-  if (!toAdd.length) return;
-
-  const writer = await parquet.ParquetWriter.openFile(schema, filepath, { append: fs.existsSync(filepath) });
-  for (const c of toAdd) {
-    await writer.appendRow({
-      ts: new Date(c.t),
-      o: c.o,
-      h: c.h,
-      l: c.l,
-      c: c.c,
-      v: c.v,
-      sma20: c.sma20 || null,
-      rsi14: c.rsi14 || null,
-      atr14: c.atr14 || null,
-      bollingerUpper: c.bollingerUpper || null,
-      bollingerLower: c.bollingerLower || null
-    });
-  }
-  await writer.close();
-}
-
 // Main fetch + update
 async function update15MinData(symbols) {
   const startTime = Date.now();
@@ -112,47 +65,35 @@ async function update15MinData(symbols) {
 
     await Promise.all(batch.map(async sym => {
       try {
-        const filepath = path.join(todayParquetDir, `${sym}.parquet`);
-        let existingCandles = [];
-        if (fs.existsSync(filepath)) {
-          const reader = await parquet.ParquetReader.openFile(filepath);
-          const cursor = reader.getCursor();
-          let record = null;
-          while ((record = await cursor.next())) existingCandles.push(record);
-          await reader.close();
-        }
-
-        const latestTime = existingCandles.length ? existingCandles[existingCandles.length - 1].ts.getTime() : null;
+        const existingCandles = await barStore.readBars(sym, "15min", { store: "today" });
+        const latestTime = existingCandles.length ? existingCandles[existingCandles.length - 1].time : null;
         const candles = await fetch15MinCandles(sym);
         if (!candles.length) throw new Error("No 15-min data");
 
         // Skip if latest candle already exists
-        if (latestTime && new Date(candles[candles.length - 1].t).getTime() === latestTime) {
+        if (latestTime && candles[candles.length - 1].time === latestTime) {
           liveSnapshot[sym] = {
             symbol: sym,
             ohlcv: existingCandles[existingCandles.length - 1],
-            indicators: computeIndicators(existingCandles),
+            indicators: snapshotIndicators(existingCandles),
             strategy: highestStrategies[sym] || null
           };
           return;
         }
 
-        // Compute indicators for 15-min candles
-        const indicators = computeIndicators(candles);
-        candles.forEach(c => {
-          c.sma20 = indicators.sma20;
-          c.rsi14 = indicators.rsi;
-          c.atr14 = indicators.atr;
-          c.bollingerUpper = indicators.boll.upper;
-          c.bollingerLower = indicators.boll.lower;
-        });
+        // Append to today's parquet; indicators are recomputed per candle,
+        // warmed up from the historical 15-min file
+        await indicatorPipeline.appendBars(sym, "15min", candles, { store: "today" });
+        const stored = await barStore.readBars(sym, "15min", { store: "today" });
+        const indicators = snapshotIndicators(stored);
 
-        // Append to parquet
-        await appendToParquet(filepath, candles);
+        // Roll the new candles into the 1hour/4hour/1day/1week files
+        const firstNew = candles.find(c => !latestTime || c.time > latestTime) || candles[0];
+        await resampler.resampleSymbol(sym, { since: firstNew.time });
 
         liveSnapshot[sym] = {
           symbol: sym,
-          ohlcv: candles[candles.length - 1],
+          ohlcv: stored[stored.length - 1],
           indicators,
           strategy: highestStrategies[sym] || null
         };
@@ -172,17 +113,16 @@ async function update15MinData(symbols) {
 }
 
 // ------------------- MAIN -------------------
-(async () => {
-  const optionablePath = path.join(__dirname, "..", "backtesters", "optionable_stocks.csv");
-  if (!fs.existsSync(optionablePath)) {
-    console.error(`❌ Missing ${optionablePath}`);
+if (require.main === module) (async () => {
+  const symbols = universe.eligibleSymbols();
+  if (!symbols.length) {
+    console.error("❌ No eligible symbols. Run backtesters/update-optionable-list.js first.");
     process.exit(1);
   }
-  const symbols = fs.readFileSync(optionablePath, "utf-8")
-    .split(/\r?\n/)
-    .map(l => l.trim())
-    .filter(l => l.length > 0);
 
   console.log(`📄 Loaded ${symbols.length} symbols`);
   await update15MinData(symbols);
+  httpClient.reportMetrics("StockMonitor");
 })();
+
+module.exports = { liveDataPath, loadHighestWinRateStrategies, snapshotIndicators };
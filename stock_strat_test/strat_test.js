@@ -1,25 +1,19 @@
 require("dotenv").config();
 const fs = require("fs");
 const path = require("path");
-const parquet = require("parquetjs-lite");
+const clock = require(path.join(__dirname, "..", "backend", "utils", "clock"));
+const barStore = require(path.join(__dirname, "..", "backend", "data", "barStore"));
+const calendar = require(path.join(__dirname, "..", "backend", "utils", "tradingCalendar"));
+const universe = require(path.join(__dirname, "..", "backend", "data", "universe"));
+const eventCalendar = require(path.join(__dirname, "..", "backend", "data", "eventCalendar"));
+const relativeStrength = require(path.join(__dirname, "..", "backend", "data", "relativeStrength"));
+const regime = require(path.join(__dirname, "..", "backend", "data", "regime"));
+const strategyRegistry = require(path.join(__dirname, "..", "backend", "services", "strategyRegistry"));
+const { latestPatterns, describePattern } = require(path.join(__dirname, "..", "backend", "utils", "candlePatterns"));
 
 // ---- Paths ----
-const HISTORICAL_BASE = path.join(__dirname, "..", "..", "Chart Monitor", "Historical", "data");
-const TODAY_PARQUET = path.join(HISTORICAL_BASE, "today_15min");
 const RESULTS_PATH = path.join(__dirname, "..", "backtesters", "log", "results.json");
-const ALERTS_PATH = path.join(__dirname, "..", "..", "Chart Monitor", "stock_strat_test", "log", "alerts.json");
-
-// ---- Utility to load parquet data ----
-async function loadParquetFile(filepath) {
-  if (!fs.existsSync(filepath)) return [];
-  const reader = await parquet.ParquetReader.openFile(filepath);
-  const cursor = reader.getCursor();
-  const records = [];
-  let record = null;
-  while ((record = await cursor.next())) records.push(record);
-  await reader.close();
-  return records;
-}
+const ALERTS_PATH = path.join(__dirname, "log", "alerts.json");
 
 // ---- Load historical and today data for a stock ----
 async function loadStockData(symbol) {
@@ -27,30 +21,28 @@ async function loadStockData(symbol) {
   const data = {};
 
   for (const tf of timeframes) {
-    const histPath = path.join(HISTORICAL_BASE, tf, `${symbol}.parquet`);
-    const todayPath = tf === "15min" ? path.join(TODAY_PARQUET, `${symbol}.parquet`) : null;
-    const histData = await loadParquetFile(histPath);
-    const todayData = todayPath && fs.existsSync(todayPath) ? await loadParquetFile(todayPath) : [];
-    data[tf] = histData.concat(todayData).sort((a, b) => a.ts - b.ts);
+    const histData = await barStore.readBars(symbol, tf);
+    const todayData = tf === "15min" ? await barStore.readBars(symbol, tf, { store: "today" }) : [];
+    data[tf] = histData.concat(todayData).sort((a, b) => a.time - b.time);
   }
   return data;
 }
 
-// ---- Load highest win-rate strategies ----
-function loadStrategies() {
+// ---- Load backtest results per symbol (strategies are picked per market regime) ----
+function loadResults() {
   if (!fs.existsSync(RESULTS_PATH)) return {};
   const results = JSON.parse(fs.readFileSync(RESULTS_PATH, "utf-8"));
-  const strategies = {};
-  results.forEach(r => { strategies[r.symbol] = r.strategy; });
-  return strategies;
+  const bySymbol = {};
+  results.forEach(r => { bySymbol[r.symbol] = r; });
+  return bySymbol;
 }
 
 // ---- Compute trend direction based on SMA slope ----
 function getTrend(candles) {
   if (!candles.length) return "neutral";
   const n = Math.min(5, candles.length);
-  const first = candles[candles.length - n].c;
-  const last = candles[candles.length - 1].c;
+  const first = candles[candles.length - n].close;
+  const last = candles[candles.length - 1].close;
   if (last > first) return "up";
   if (last < first) return "down";
   return "neutral";
@@ -61,6 +53,14 @@ function computeExpectedMoveMultiTF(stockData, days = 5) {
   const timeframes = ["15min", "1hour", "4hour", "1day", "1week"];
   const moves = [];
 
+  // Bars in the next `days` sessions (holidays and early closes included)
+  const sessions = [];
+  for (let d = clock.today(); sessions.length < days;) {
+    d = calendar.nextTradingDay(d);
+    sessions.push(d);
+  }
+  const barsAhead = tf => sessions.reduce((sum, d) => sum + calendar.sessionBars(d, tf), 0);
+
   for (const tf of timeframes) {
     const candles = stockData[tf];
     if (!candles || !candles.length) continue;
@@ -69,14 +69,14 @@ function computeExpectedMoveMultiTF(stockData, days = 5) {
 
     let multiplier = 1;
     switch (tf) {
-      case "15min": multiplier = Math.sqrt(days * 26); break;
-      case "1hour": multiplier = Math.sqrt(days * 6.5); break;
-      case "4hour": multiplier = Math.sqrt(days * 1.625); break;
-      case "1day": multiplier = Math.sqrt(days); break;
+      case "15min":
+      case "1hour":
+      case "4hour":
+      case "1day": multiplier = Math.sqrt(barsAhead(tf)); break;
       case "1week": multiplier = 1; break;
     }
 
-    const movePct = (lastATR * multiplier / candles[candles.length - 1].c) * 100;
+    const movePct = (lastATR * multiplier / candles[candles.length - 1].close) * 100;
     moves.push(movePct);
   }
 
@@ -84,14 +84,23 @@ function computeExpectedMoveMultiTF(stockData, days = 5) {
   return moves.reduce((a, b) => a + b, 0) / moves.length;
 }
 
+// ---- Candlestick patterns completed by the latest candles ----
+function findPatterns(stockData, timeframes = ["15min", "1day"]) {
+  const patterns = [];
+  for (const tf of timeframes) {
+    for (const { index, ...hit } of latestPatterns(stockData[tf])) patterns.push({ timeframe: tf, ...hit });
+  }
+  return patterns;
+}
+
 // ---- Evaluate strategy and generate alert ----
-function evaluateStrategy(stockData, strategy) {
+function evaluateStrategy(symbol, stockData, strategy) {
   if (!strategy) return null;
 
   const latest15 = stockData["15min"].slice(-1)[0];
   if (!latest15) return null;
 
-  const entry = latest15.c;
+  const entry = latest15.close;
   const trendInfo = {};
   for (const tf of Object.keys(stockData)) {
     trendInfo[tf] = {
@@ -129,8 +138,8 @@ function evaluateStrategy(stockData, strategy) {
   const tpVolFactor = 1.0; // fraction of expected move for TP
 
   // Compute recent volatility (ATR / close)
-  const lastATR = latest15.atr14 || (latest15.c * 0.02); // fallback 2%
-  const volatilityFactor = lastATR / latest15.c;
+  const lastATR = latest15.atr14 || (latest15.close * 0.02); // fallback 2%
+  const volatilityFactor = lastATR / latest15.close;
 
   let stopLoss, takeProfit;
   if (expectedMovePercent) {
@@ -147,8 +156,10 @@ function evaluateStrategy(stockData, strategy) {
     takeProfit = signal === "LONG" ? entry * 1.05 : entry * 0.95;
   }
 
+  const patterns = findPatterns(stockData);
+
   return {
-    symbol: latest15.symbol || "UNKNOWN",
+    symbol,
     signal,
     importance,
     riskLevel: risk,
@@ -158,22 +169,73 @@ function evaluateStrategy(stockData, strategy) {
     expectedDuration: "3-5 days",
     expectedMovePercent: expectedMovePercent ? expectedMovePercent.toFixed(2) : null,
     trendInfo,
-    timestamp: new Date().toISOString()
+    patterns,
+    reasons: patterns.map(p => `${p.timeframe} ${describePattern(p, signal)}`),
+    timestamp: clock.now().toISOString()
   };
 }
 
 // ---- Main runner ----
 async function runStratTest(symbols) {
-  const strategies = loadStrategies();
+  const results = loadResults();
+  const strategies = strategyRegistry.loadStrategies();
+  const market = regime.currentMarketRegime();
+  if (!market) console.warn("⚠️ No market regime; strategies are picked by overall win rate. Run Historical/updateRegime.js");
+  const rsBoard = relativeStrength.loadLeaderboard();
+  if (!rsBoard) console.warn("⚠️ No relative-strength leaderboard; run Historical/updateRelativeStrength.js");
   const allAlerts = [];
+  let suppressed = 0;
+  let filtered = 0;
+  let unversioned = 0;
 
   for (const symbol of symbols) {
     const stockData = await loadStockData(symbol);
-    const strategy = strategies[symbol] || null;
-    const alert = evaluateStrategy(stockData, strategy);
-    if (alert) allAlerts.push(alert);
+    // Best backtested strategy for the current market regime
+    const pick = regime.selectStrategy(results[symbol], market?.regime ?? null);
+    if (pick && !strategies[pick.strategy]) {
+      console.warn(`⚠️ ${symbol}: backtested strategy ${pick.strategy} is not registered; re-run the backtest`);
+      continue;
+    }
+    // Results written before versions were recorded: evaluated, counted in the warning below
+    if (pick && pick.version === null) unversioned++;
+    else if (pick && pick.version !== strategies[pick.strategy].version) {
+      console.warn(`⚠️ ${symbol}: ${pick.strategy} was backtested as version ${pick.version}, registered is ${strategies[pick.strategy].version}; re-run the backtest`);
+      continue;
+    }
+    const alert = evaluateStrategy(symbol, stockData, pick?.strategy);
+    if (!alert) continue;
+    const daily = regime.symbolRegimes(stockData["1day"]);
+    alert.strategy = pick.strategy;
+    alert.strategyVersion = pick.version;
+    alert.regime = { market: market?.regime ?? null, symbol: daily[daily.length - 1]?.regime ?? null, date: market?.date ?? null };
+    alert.reasons.push(`${pick.source === "regime" ? `Regime ${pick.regime}` : "Overall"}: ${pick.strategy}${pick.timeframe ? ` on ${pick.timeframe}` : ""}${pick.winRate !== null ? ` (${pick.winRate}% win rate)` : ""}`);
+
+    // Earnings / macro releases inside the 3-5 day holding period
+    const check = eventCalendar.checkAlert(symbol);
+    const adjusted = eventCalendar.applyToAlert({ ...alert, daysToEarnings: eventCalendar.daysToNextEarnings(symbol) }, check);
+    if (!adjusted) {
+      suppressed++;
+      console.log(`🗓️ ${symbol} ${alert.signal} suppressed: ${check.note}`);
+      continue;
+    }
+
+    // Relative strength: favor LONG in leaders and SHORT in laggards (RS_ALERT_BIAS)
+    const rs = relativeStrength.rankOf(symbol, rsBoard);
+    const ranked = relativeStrength.applyToAlert(adjusted, rs);
+    if (!ranked) {
+      filtered++;
+      console.log(`📉 ${symbol} ${alert.signal} filtered: RS ${rs.percentile} (${rs.group})`);
+      continue;
+    }
+    if (ranked.relativeStrength) {
+      const { percentile, group, rank, of } = ranked.relativeStrength;
+      ranked.reasons = [...(ranked.reasons || []), `RS ${percentile} (${group}, #${rank} of ${of})`];
+    }
+    allAlerts.push(ranked);
   }
 
+  if (unversioned) console.warn(`⚠️ ${unversioned} symbols have backtest results without a strategy version; run backtesters/fullbacktest.js to re-test them`);
+
   // Save alerts to JSON
   let existing = [];
   if (fs.existsSync(ALERTS_PATH)) {
@@ -181,16 +243,13 @@ async function runStratTest(symbols) {
   }
   fs.writeFileSync(ALERTS_PATH, JSON.stringify(existing.concat(allAlerts), null, 2));
 
-  console.log(`✅ Strat test complete. ${allAlerts.length} alerts generated.`);
+  console.log(`✅ Strat test complete. ${allAlerts.length} alerts generated${suppressed ? `, ${suppressed} suppressed by the event calendar` : ""}${filtered ? `, ${filtered} filtered by relative strength` : ""}.`);
   return allAlerts;
 }
 
 // ---- Example usage ----
 (async () => {
-  const optionablePath = path.join(__dirname, "..", "backtesters", "optionable_stocks.csv");
-  const symbols = fs.existsSync(optionablePath)
-    ? fs.readFileSync(optionablePath, "utf-8").split(/\r?\n/).map(l => l.trim()).filter(l => l.length)
-    : [];
+  const symbols = universe.eligibleSymbols();
   if (!symbols.length) {
     console.error("❌ No symbols found.");
     return;
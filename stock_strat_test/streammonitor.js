@@ -0,0 +1,129 @@
+/**
+ * Chart Monitor - Streaming Stock Monitor
+ * Event-driven alternative to stockmonitor.js: builds today's 15-minute bars
+ * from the live minute-bar stream (MARKET_DATA_STREAM) and, as soon as every
+ * bar of a 15-minute slot is stored, refreshes livedata.json and runs the rest
+ * of the intraday pipeline (strat_test → optionchaintest → chartOptionBridge).
+ * Exits after the session's last bar.
+ *
+ * Usage: node stock_strat_test/streammonitor.js [--no-pipeline] [SYMBOL ...]
+ *
+ * Against the offline simulator: POLYGON_STREAM_URL=ws://localhost:4010/polygon/stocks
+ * (or ALPACA_STREAM_URL=ws://localhost:4010/alpaca/v2/iex) and SIM_NOW=<SIM_START>.
+ */
+require("dotenv").config();
+const fs = require("fs");
+const path = require("path");
+const { execFile } = require("child_process");
+const { createLiveIngestion } = require(path.join(__dirname, "..", "backend", "services", "liveIngestion"));
+const barStore = require(path.join(__dirname, "..", "backend", "data", "barStore"));
+const universe = require(path.join(__dirname, "..", "backend", "data", "universe"));
+const { liveDataPath, loadHighestWinRateStrategies, snapshotIndicators } = require("./stockmonitor");
+
+const BASE = path.join(__dirname, "..");
+const PIPELINE = [
+  ["StratTest", path.join(BASE, "stock_strat_test", "strat_test.js")],
+  ["OptionChainTest", path.join(BASE, "option-chain-test", "optionchaintest.js")],
+  ["ChartOptionBridge", path.join(BASE, "Chart Options Bridge", "chartOptionBridge.js")],
+];
+
+const args = process.argv.slice(2);
+const runPipeline = !args.includes("--no-pipeline");
+
+function loadSymbols() {
+  const listed = args.filter(a => !a.startsWith("--"));
+  if (listed.length) return listed;
+  const symbols = universe.eligibleSymbols();
+  if (!symbols.length) {
+    console.error("❌ No eligible symbols. Run backtesters/update-optionable-list.js first.");
+    process.exit(1);
+  }
+  return symbols;
+}
+
+function runScript(name, scriptPath) {
+  return new Promise(resolve => {
+    execFile(process.execPath, [scriptPath], { cwd: BASE, maxBuffer: 64 * 1024 * 1024 }, (err, stdout, stderr) => {
+      if (err) console.log(`  ❌ ${name} failed: ${(stderr || err.message).trim().split("\n").pop()}`);
+      else console.log(`  ✅ ${name}`);
+      resolve(!err);
+    });
+  });
+}
+
+// One pipeline run at a time; slots closing meanwhile are folded into one rerun
+let running = null;
+let rerun = false;
+function triggerPipeline() {
+  if (running) {
+    rerun = true;
+    return running;
+  }
+  running = (async () => {
+    do {
+      rerun = false;
+      for (const [name, scriptPath] of PIPELINE) await runScript(name, scriptPath);
+    } while (rerun);
+    running = null;
+  })();
+  return running;
+}
+
+(async () => {
+  const symbols = loadSymbols();
+  const strategies = loadHighestWinRateStrategies();
+  const liveSnapshot = {};
+  const ingestion = createLiveIngestion({ symbols });
+
+  ingestion.on("barClosed", ({ symbol, bar, partial }) => {
+    console.log(`✅ ${symbol} ${new Date(bar.time).toISOString()} — Price $${bar.close}${partial ? " (REST)" : ""}`);
+  });
+
+  // Slot handlers run one after another so the session-close handler can wait for them
+  let slotWork = Promise.resolve();
+  ingestion.on("slotClosed", ({ time, symbols: updated }) => {
+    slotWork = slotWork.then(() => onSlotClosed(time, updated));
+  });
+
+  async function onSlotClosed(time, updated) {
+    for (const symbol of updated) {
+      try {
+        const candles = await barStore.readBars(symbol, "15min", { store: "today" });
+        liveSnapshot[symbol] = {
+          symbol,
+          ohlcv: candles[candles.length - 1],
+          indicators: snapshotIndicators(candles),
+          strategy: strategies[symbol] || null
+        };
+      } catch (err) {
+        console.log(`❌ ${symbol} (${err.message})`);
+      }
+    }
+    fs.writeFileSync(liveDataPath, JSON.stringify(liveSnapshot, null, 2));
+    console.log(`\n🕒 Slot ${new Date(time).toISOString()} complete: ${updated.length} bars stored`);
+    if (runPipeline) triggerPipeline();
+  }
+
+  ingestion.on("sessionClosed", async ({ date }) => {
+    await slotWork;
+    await running;
+    await ingestion.stop();
+    console.log(`\n📘 Session ${date} closed.`, ingestion.stats());
+    process.exit(0);
+  });
+
+  process.on("SIGINT", async () => {
+    await ingestion.stop();
+    console.log("\n⏹️ Stream stopped.", ingestion.stats());
+    process.exit(0);
+  });
+
+  console.log(`📄 Streaming ${symbols.length} symbols`);
+  try {
+    await ingestion.start();
+    console.log("📡 Stream connected.");
+  } catch (err) {
+    console.error(`❌ ${err.message}`);
+    process.exit(1);
+  }
+})();